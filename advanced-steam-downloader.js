@@ -2,6 +2,7 @@ const { spawn } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const axios = require('axios');
+const { trackProcess, killProcessTree } = require('./utils/processTree');
 
 class AdvancedSteamDownloader {
   constructor(steamcmdPath, steamUsername = 'anonymous', steamPassword = '') {
@@ -26,9 +27,52 @@ class AdvancedSteamDownloader {
     
     this.configPath = path.join(this.steamDir, 'config');
     
+    // Receives raw SteamCMD stdout during downloads (used for progress parsing)
+    this.outputHandler = null;
+    
+    // AbortSignal from the job - aborting kills the running SteamCMD process tree
+    this.abortSignal = null;
+    
     this.ensureDirectories();
   }
 
+  setOutputHandler(handler) {
+    this.outputHandler = handler;
+  }
+
+  setAbortSignal(signal) {
+    this.abortSignal = signal;
+  }
+
+  // Kill the SteamCMD process tree and reject when the job is cancelled; returns a cleanup function
+  watchAbort(steamcmd, onAbort) {
+    if (!this.abortSignal) return () => {};
+
+    const abort = () => {
+      console.log(`🛑 Cancelling SteamCMD (pid ${steamcmd.pid})`);
+      killProcessTree(steamcmd);
+      onAbort(new Error('DOWNLOAD_CANCELLED'));
+    };
+
+    if (this.abortSignal.aborted) {
+      abort();
+      return () => {};
+    }
+
+    this.abortSignal.addEventListener('abort', abort, { once: true });
+    return () => this.abortSignal.removeEventListener('abort', abort);
+  }
+
+  emitOutput(data) {
+    if (this.outputHandler) {
+      try {
+        this.outputHandler(data);
+      } catch (error) {
+        console.error('Output handler error:', error.message);
+      }
+    }
+  }
+
   async ensureDirectories() {
     try {
       await fs.ensureDir(this.steamDir);
@@ -282,12 +326,12 @@ class AdvancedSteamDownloader {
       console.log(`📥 Downloading ${workshopId} using cached session...`);
       
       const timeout = setTimeout(() => {
-        steamcmd.kill('SIGTERM');
+        killProcessTree(steamcmd);
         reject(new Error('Download timeout'));
       }, this.timeout);
 
       // ====== KEY FIX: Use saved credentials without password ======
-      const steamcmd = spawn(this.steamcmdPath, [
+      const steamcmd = trackProcess(spawn(this.steamcmdPath, [
         '+@ShutdownOnFailedCommand', '0',
         '+force_install_dir', downloadPath,
         '+login', this.steamUsername, // No password = use cached credentials
@@ -296,11 +340,17 @@ class AdvancedSteamDownloader {
       ], {
         stdio: ['pipe', 'pipe', 'pipe'],
         cwd: '/root',
+        detached: true, // own process group so cancel can kill steamcmd.sh and its children
         env: { 
           ...process.env, 
           STEAM_COMPAT_CLIENT_INSTALL_PATH: this.steamDir,
           HOME: '/root'
         }
+      }));
+
+      const stopWatching = this.watchAbort(steamcmd, (error) => {
+        clearTimeout(timeout);
+        reject(error);
       });
 
       let output = '';
@@ -311,6 +361,7 @@ class AdvancedSteamDownloader {
         const dataStr = data.toString();
         output += dataStr;
         console.log('SteamCMD:', dataStr);
+        this.emitOutput(dataStr);
         
         // Check if we need to re-authenticate
         if (dataStr.includes('Steam Guard') || 
@@ -334,6 +385,7 @@ class AdvancedSteamDownloader {
 
       steamcmd.on('close', (code) => {
         clearTimeout(timeout);
+        stopWatching();
         
         if (needsReauth) {
           // Session expired - need to re-authenticate
@@ -361,6 +413,7 @@ class AdvancedSteamDownloader {
 
       steamcmd.on('error', (error) => {
         clearTimeout(timeout);
+        stopWatching();
         reject(error);
       });
     });
@@ -372,11 +425,11 @@ class AdvancedSteamDownloader {
       console.log(`📥 Downloading ${workshopId} with full login...`);
       
       const timeout = setTimeout(() => {
-        steamcmd.kill('SIGTERM');
+        killProcessTree(steamcmd);
         reject(new Error('Download timeout'));
       }, this.timeout);
 
-      const steamcmd = spawn(this.steamcmdPath, [
+      const steamcmd = trackProcess(spawn(this.steamcmdPath, [
         '+@ShutdownOnFailedCommand', '0',
         '+force_install_dir', downloadPath,
         '+login', this.steamUsername, this.steamPassword,
@@ -385,11 +438,17 @@ class AdvancedSteamDownloader {
       ], {
         stdio: ['pipe', 'pipe', 'pipe'],
         cwd: '/root',
+        detached: true, // own process group so cancel can kill steamcmd.sh and its children
         env: { 
           ...process.env, 
           STEAM_COMPAT_CLIENT_INSTALL_PATH: this.steamDir,
           HOME: '/root'
         }
+      }));
+
+      const stopWatching = this.watchAbort(steamcmd, (error) => {
+        clearTimeout(timeout);
+        reject(error);
       });
 
       let output = '';
@@ -400,6 +459,7 @@ class AdvancedSteamDownloader {
         const dataStr = data.toString();
         output += dataStr;
         console.log('SteamCMD Full:', dataStr);
+        this.emitOutput(dataStr);
         
         if (dataStr.includes('Steam Guard') || dataStr.includes('Two-factor')) {
           needsSteamGuard = true;
@@ -414,6 +474,7 @@ class AdvancedSteamDownloader {
 
       steamcmd.on('close', (code) => {
         clearTimeout(timeout);
+        stopWatching();
         
         if (needsSteamGuard) {
           reject(new Error('STEAM_GUARD_REQUIRED'));
@@ -438,6 +499,7 @@ class AdvancedSteamDownloader {
 
       steamcmd.on('error', (error) => {
         clearTimeout(timeout);
+        stopWatching();
         reject(error);
       });
     });
@@ -501,11 +563,11 @@ class AdvancedSteamDownloader {
       console.log(`📥 Downloading ${workshopId} anonymously...`);
       
       const timeout = setTimeout(() => {
-        steamcmd.kill('SIGTERM');
+        killProcessTree(steamcmd);
         reject(new Error('Download timeout'));
       }, this.timeout);
 
-      const steamcmd = spawn(this.steamcmdPath, [
+      const steamcmd = trackProcess(spawn(this.steamcmdPath, [
         '+force_install_dir', downloadPath,
         '+login', 'anonymous',
         '+workshop_download_item', appId, workshopId,
@@ -513,11 +575,17 @@ class AdvancedSteamDownloader {
       ], {
         stdio: ['pipe', 'pipe', 'pipe'],
         cwd: '/root',
+        detached: true, // own process group so cancel can kill steamcmd.sh and its children
         env: { 
           ...process.env, 
           STEAM_COMPAT_CLIENT_INSTALL_PATH: this.steamDir,
           HOME: '/root'
         }
+      }));
+
+      const stopWatching = this.watchAbort(steamcmd, (error) => {
+        clearTimeout(timeout);
+        reject(error);
       });
 
       let output = '';
@@ -526,6 +594,7 @@ class AdvancedSteamDownloader {
       steamcmd.stdout.on('data', (data) => {
         output += data.toString();
         console.log('SteamCMD Anon:', data.toString());
+        this.emitOutput(data.toString());
         
         if (data.toString().includes('ERROR!') || 
             data.toString().includes('No subscription')) {
@@ -535,6 +604,7 @@ class AdvancedSteamDownloader {
 
       steamcmd.on('close', (code) => {
         clearTimeout(timeout);
+        stopWatching();
         
         const expectedPath = path.join(downloadPath, 'steamapps', 'workshop', 'content', appId, workshopId);
         if (fs.existsSync(expectedPath)) {
@@ -555,16 +625,34 @@ class AdvancedSteamDownloader {
 
       steamcmd.on('error', (error) => {
         clearTimeout(timeout);
+        stopWatching();
         reject(error);
       });
     });
   }
 
+  // Sleep that ends early when the job is cancelled
+  wait(delay) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.abortSignal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, delay);
+      this.abortSignal?.addEventListener('abort', done, { once: true });
+    });
+  }
+
   // ====== FIX: Retry with smart session handling ======
   async retryDownload(workshopId, downloadPath, appId = '221100') {
     let lastError;
     
     for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+      if (this.abortSignal?.aborted) {
+        throw new Error('DOWNLOAD_CANCELLED');
+      }
+      
       try {
         console.log(`\n📥 Download attempt ${attempt}/${this.retryCount} for workshop ID: ${workshopId}`);
         
@@ -598,14 +686,14 @@ class AdvancedSteamDownloader {
         console.log(`❌ Attempt ${attempt} failed: ${error.message}`);
         
         // Don't retry if Steam Guard is required - user needs to take action
-        if (error.message.includes('STEAM_GUARD_REQUIRED')) {
+        if (error.message.includes('STEAM_GUARD_REQUIRED') || error.message === 'DOWNLOAD_CANCELLED') {
           throw error;
         }
         
         if (attempt < this.retryCount) {
           const delay = this.retryDelay * attempt;
           console.log(`⏳ Waiting ${delay/1000}s before retry...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await this.wait(delay);
         }
       }
     }
@@ -41,7 +41,7 @@ const DownloadHistory = sequelize.define('DownloadHistory', {
     allowNull: false
   },
   status: {
-    type: DataTypes.ENUM('starting', 'preparing', 'downloading', 'creating_archive', 'completed', 'error', 'cleaned'),
+    type: DataTypes.ENUM('queued', 'starting', 'preparing', 'downloading', 'creating_archive', 'completed', 'error', 'cancelled', 'cleaned'),
     allowNull: false,
     defaultValue: 'starting'
   },
@@ -104,6 +104,42 @@ const DownloadHistory = sequelize.define('DownloadHistory', {
     allowNull: true
   },
   
+  // ไฟล์บน disk - ใช้ restore งานหลัง server restart
+  downloadPath: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  zipPath: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  
+  // SHA-256 ของ archive + ไฟล์ข้างใน (utils/checksums)
+  sha256: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  checksums: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  
+  // Job fields needed to rebuild the in-memory job (type, parentId, children, statusTokenHash...)
+  jobData: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  
+  // ผลตรวจ mod หลังโหลด (meta.cpp, mod.cpp, PBO headers, signatures) - utils/modInspector
+  inspection: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  inspectionStatus: {
+    type: DataTypes.ENUM('ok', 'warning', 'failed'),
+    allowNull: true
+  },
+  
   // Workshop Info (JSON)
   workshopInfo: {
     type: DataTypes.JSON,
@@ -114,6 +150,12 @@ const DownloadHistory = sequelize.define('DownloadHistory', {
   clientInfo: {
     type: DataTypes.JSON,
     allowNull: true
+  },
+  
+  // API key ที่ใช้สร้างงานนี้ (null = ผ่านหน้าเว็บ)
+  apiKeyId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   tableName: 'download_history',
@@ -121,7 +163,403 @@ const DownloadHistory = sequelize.define('DownloadHistory', {
     { name: 'idx_download_workshopId', fields: ['workshopId'] },
     { name: 'idx_download_status', fields: ['status'] },
     { name: 'idx_download_startTime', fields: ['startTime'] },
-    { name: 'idx_download_createdAt', fields: ['createdAt'] }
+    { name: 'idx_download_createdAt', fields: ['createdAt'] },
+    { name: 'idx_download_inspectionStatus', fields: ['inspectionStatus'] },
+    { name: 'idx_download_apiKeyId', fields: ['apiKeyId'] }
+  ]
+});
+
+// Download Queue Model - งานที่รอ worker (เก็บใน DB เพื่อให้อยู่รอดหลัง restart)
+const DownloadQueue = sequelize.define('DownloadQueue', {
+  downloadId: {
+    type: DataTypes.STRING(50),
+    primaryKey: true,
+    allowNull: false
+  },
+  workshopId: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'processing'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  jobData: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  queuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'download_queue',
+  indexes: [
+    { name: 'idx_download_queue_status', fields: ['status'] },
+    { name: 'idx_download_queue_queuedAt', fields: ['queuedAt'] }
+  ]
+});
+
+// Download Links Model - signed download URL ที่แชร์ออกไป (ใช้นับจำนวนครั้งและ revoke)
+const DownloadLink = sequelize.define('DownloadLink', {
+  id: {
+    type: DataTypes.STRING(32),
+    primaryKey: true,
+    allowNull: false
+  },
+  downloadId: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  workshopId: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  maxUses: {
+    type: DataTypes.INTEGER,
+    allowNull: true  // null = ไม่จำกัด
+  },
+  useCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  createdIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'download_links',
+  indexes: [
+    { name: 'idx_download_links_downloadId', fields: ['downloadId'] },
+    { name: 'idx_download_links_expiresAt', fields: ['expiresAt'] }
+  ]
+});
+
+// Watchlist Items Model - workshop item ที่ต้องคอยเช็คว่าผู้สร้างอัปเดตหรือยัง
+const WatchlistItem = sequelize.define('WatchlistItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  workshopId: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  lastKnownUpdate: {
+    type: DataTypes.INTEGER,
+    allowNull: true  // Steam time_updated (unix seconds)
+  },
+  lastCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  autoDownload: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  notify: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  addedBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true  // admin username หรือ 'user'
+  },
+  addedIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'watchlist_items',
+  indexes: [
+    { name: 'idx_watchlist_items_workshopId', unique: true, fields: ['workshopId'] },
+    { name: 'idx_watchlist_items_enabled', fields: ['enabled'] }
+  ]
+});
+
+// Workshop Updates Model - ทุกครั้งที่ watchlist เจอว่า item เปลี่ยน
+const WorkshopUpdate = sequelize.define('WorkshopUpdate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  workshopId: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  previousUpdate: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  newUpdate: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  detectedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  downloadId: {
+    type: DataTypes.STRING(50),
+    allowNull: true  // งาน download ที่สร้างให้อัตโนมัติ (autoDownload)
+  },
+  downloadError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  notifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notifyError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'workshop_updates',
+  indexes: [
+    { name: 'idx_workshop_updates_workshopId', fields: ['workshopId'] },
+    { name: 'idx_workshop_updates_detectedAt', fields: ['detectedAt'] }
+  ]
+});
+
+// API Keys Model - key สำหรับ bot / integration (เก็บแค่ hash ของ key)
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  owner: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  keyPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false  // 'dzw_' + 8 ตัวแรก - ใช้หา key และแสดงใน dashboard
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false  // ['info', 'download', 'admin-read']
+  },
+  dailyQuota: {
+    type: DataTypes.INTEGER,
+    allowNull: true  // download requests per day, null = ไม่จำกัด
+  },
+  maxConcurrent: {
+    type: DataTypes.INTEGER,
+    allowNull: true  // queued + running jobs at once, null = ไม่จำกัด
+  },
+  quotaDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  quotaUsed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  requestCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  downloadCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  indexes: [
+    { name: 'idx_api_keys_keyPrefix', unique: true, fields: ['keyPrefix'] },
+    { name: 'idx_api_keys_revokedAt', fields: ['revokedAt'] }
+  ]
+});
+
+// Webhooks Model - URL ภายนอกที่ admin ตั้งไว้ให้รับ event ของงาน download
+const Webhook = sequelize.define('Webhook', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  secret: {
+    type: DataTypes.STRING(128),
+    allowNull: false  // HMAC key - ไม่ส่งกลับไปใน list
+  },
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false  // ['job.completed', ...]
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  lastDeliveryAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastDeliveryStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  }
+}, {
+  tableName: 'webhooks',
+  indexes: [
+    { name: 'idx_webhooks_enabled', fields: ['enabled'] }
+  ]
+});
+
+// Webhook Deliveries Model - หนึ่งแถวต่อหนึ่ง event ต่อหนึ่ง webhook (รวมทุกครั้งที่ retry)
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.STRING(32),
+    primaryKey: true,
+    allowNull: false
+  },
+  webhookId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  downloadId: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'success', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true  // ms ของครั้งล่าสุด
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  indexes: [
+    { name: 'idx_webhook_deliveries_webhookId', fields: ['webhookId'] },
+    { name: 'idx_webhook_deliveries_status_nextAttemptAt', fields: ['status', 'nextAttemptAt'] },
+    { name: 'idx_webhook_deliveries_createdAt', fields: ['createdAt'] }
   ]
 });
 
@@ -236,6 +674,81 @@ const UserSession = sequelize.define('UserSession', {
   ]
 });
 
+// Admin Users Model (ADMIN_USERNAME/ADMIN_PASSWORD_HASH only seed the first owner)
+const AdminUser = sequelize.define('AdminUser', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  username: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  displayName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  passwordHash: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'bcrypt hash'
+  },
+  role: {
+    type: DataTypes.ENUM('viewer', 'operator', 'owner'),
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  totpSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Base32 TOTP secret (set during enrollment, active once totpEnabled)'
+  },
+  totpEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  totpEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  totpLastUsedStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Last accepted TOTP time step - a code cannot be used twice'
+  },
+  totpRecoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'SHA-256 hashes of unused recovery codes'
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastLoginIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'admin_users',
+  indexes: [
+    { name: 'idx_admin_users_username', unique: true, fields: ['username'] },
+    { name: 'idx_admin_users_role', fields: ['role'] },
+    { name: 'idx_admin_users_isActive', fields: ['isActive'] }
+  ]
+});
+
 // Admin Sessions Model
 const AdminSession = sequelize.define('AdminSession', {
   sessionId: {
@@ -249,13 +762,18 @@ const AdminSession = sequelize.define('AdminSession', {
   },
   expiresAt: {
     type: DataTypes.DATE,
-    allowNull: false
+    allowNull: false,
+    comment: 'Idle deadline - moves forward with activity (SESSION_TIMEOUT)'
   },
   loginTime: {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
   },
+  lastActivityAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   clientIp: {
     type: DataTypes.STRING(45),
     allowNull: true
@@ -268,6 +786,15 @@ const AdminSession = sequelize.define('AdminSession', {
     type: DataTypes.BOOLEAN,
     allowNull: false,
     defaultValue: true
+  },
+  deactivatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deactivatedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'logout, new_login, expired, account_disabled, ...'
   }
 }, {
   tableName: 'admin_sessions',
@@ -312,6 +839,108 @@ const LoginAttempt = sequelize.define('LoginAttempt', {
   ]
 });
 
+// Admin Audit Log Model - who did what, to what, from where (kept in the DB, unlike the WebSocket log history)
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  actor: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Admin username, apikey:<name>, the attempted username of a login, or system'
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('success', 'failure'),
+    allowNull: false,
+    defaultValue: 'success'
+  },
+  targetType: {
+    type: DataTypes.STRING(30),
+    allowNull: true  // admin_user, api_key, webhook, watchlist, link, downloads, logs, ...
+  },
+  targetId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: true  // ISO code จาก captureClientInfo
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  before: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  after: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'admin_audit_logs',
+  indexes: [
+    { name: 'idx_admin_audit_logs_actor', fields: ['actor'] },
+    { name: 'idx_admin_audit_logs_action', fields: ['action'] },
+    { name: 'idx_admin_audit_logs_target', fields: ['targetType', 'targetId'] },
+    { name: 'idx_admin_audit_logs_createdAt', fields: ['createdAt'] }
+  ]
+});
+
+// Rate Limit Counters Model (RATE_LIMIT_STORE=mysql - shared by every server instance)
+const RateLimitCounter = sequelize.define('RateLimitCounter', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  bucket: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    comment: 'Route budget name (download, info, file)'
+  },
+  clientKey: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'ip:<address> or key:<apiKeyId>'
+  },
+  windowStart: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: 'Start of the fixed window (ms)'
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'rate_limit_counters',
+  indexes: [
+    { name: 'idx_rate_limit_counters_window', unique: true, fields: ['bucket', 'clientKey', 'windowStart'] },
+    { name: 'idx_rate_limit_counters_windowStart', fields: ['windowStart'] }
+  ]
+});
+
 // System Stats Model (for caching)
 const SystemStats = sequelize.define('SystemStats', {
   id: {
@@ -437,9 +1066,19 @@ const initializeDatabase = async () => {
 module.exports = {
   sequelize,
   DownloadHistory,
+  DownloadQueue,
+  DownloadLink,
+  WatchlistItem,
+  WorkshopUpdate,
+  ApiKey,
+  Webhook,
+  WebhookDelivery,
   UserSession,
+  AdminUser,
   AdminSession,
   LoginAttempt,
+  AdminAuditLog,
+  RateLimitCounter,
   SystemStats,
   testConnection,
   initializeDatabase
@@ -1,11 +1,20 @@
 import { useState, useEffect, useRef } from 'react';
 import Head from 'next/head';
 
+// Refresh the session when less than this many seconds of idle time are left
+const SESSION_REFRESH_THRESHOLD = 10 * 60;
+
+const AUDIT_PAGE_SIZE = 50;
+const EMPTY_AUDIT_FILTERS = { actor: 'all', action: 'all', status: 'all', targetType: 'all', search: '', startDate: '', endDate: '' };
+
 export default function AdminDashboard() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [adminProfile, setAdminProfile] = useState(null);
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loginError, setLoginError] = useState('');
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   const [adminData, setAdminData] = useState({
     downloadHistory: [],
     activeDownloads: [],
@@ -20,6 +29,35 @@ export default function AdminDashboard() {
   const [refreshInterval, setRefreshInterval] = useState(30);
   const [clientInfoTestResult, setClientInfoTestResult] = useState(null);
   const [showClientInfoTest, setShowClientInfoTest] = useState(false);
+  const [cacheData, setCacheData] = useState({ stats: {}, entries: [] });
+  const [cacheAction, setCacheAction] = useState(null);
+  const [downloadLinks, setDownloadLinks] = useState([]);
+  const [revokingLink, setRevokingLink] = useState(null);
+  const [inspectionDetail, setInspectionDetail] = useState(null);
+  const [watchlist, setWatchlist] = useState({ items: [], updates: [], scheduler: {} });
+  const [watchlistInput, setWatchlistInput] = useState('');
+  const [watchlistAutoDownload, setWatchlistAutoDownload] = useState(false);
+  const [watchlistAction, setWatchlistAction] = useState(null);
+  const [webhooks, setWebhooks] = useState({ webhooks: [], events: [], deliveries: [] });
+  const [webhookForm, setWebhookForm] = useState({ name: '', url: '', events: ['job.completed', 'job.failed'] });
+  const [webhookSecret, setWebhookSecret] = useState(null);
+  const [webhookAction, setWebhookAction] = useState(null);
+  const [apiKeyData, setApiKeyData] = useState({ apiKeys: [], scopes: [] });
+  const [apiKeyForm, setApiKeyForm] = useState({ name: '', owner: '', scopes: ['info', 'download'], dailyQuota: '', maxConcurrent: '' });
+  const [newApiKey, setNewApiKey] = useState(null);
+  const [apiKeyAction, setApiKeyAction] = useState(null);
+  const [adminUsers, setAdminUsers] = useState({ users: [], roles: [] });
+  const [userForm, setUserForm] = useState({ username: '', displayName: '', password: '', role: 'viewer' });
+  const [userAction, setUserAction] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorInput, setTwoFactorInput] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [twoFactorAction, setTwoFactorAction] = useState(null);
+  const [auditLogData, setAuditLogData] = useState({ entries: [], options: { actors: [], actions: [], targetTypes: [] }, pagination: {} });
+  const [auditFilters, setAuditFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [auditPage, setAuditPage] = useState(1);
+  const [expandedAuditEntry, setExpandedAuditEntry] = useState(null);
+  const [exportingAuditLog, setExportingAuditLog] = useState(false);
   
   // Logs state
   const [logs, setLogs] = useState([]);
@@ -79,7 +117,14 @@ export default function AdminDashboard() {
         }
       };
       
-      wsRef.current.onclose = () => {
+      wsRef.current.onclose = (event) => {
+        // 4001 = the server ended this admin session (logout elsewhere, revoked, expired) - don't reconnect
+        if (event.code === 4001) {
+          logWarning('🔒 Session ended by server, logging out...', { reason: event.reason });
+          handleLogout();
+          return;
+        }
+        
         console.log('❌ WebSocket disconnected');
         addLog('warning', 'frontend', 'WebSocket disconnected - attempting to reconnect...');
         
@@ -131,17 +176,662 @@ export default function AdminDashboard() {
     if (autoScroll && logsContainerRef.current) {
       logsContainerRef.current.scrollTop = 0; // Since we're showing newest first
     }
-  }, [logs, autoScroll]);
+  }, [logs, autoScroll]);
+
+  // Test client info detection
+  const testClientInfo = async () => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      logInfo('🧪 Testing client info detection...');
+      
+      const response = await fetch(`${apiUrl}/api/test-production-ip`, {
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        logSuccess('✅ Client info test successful', data);
+        setClientInfoTestResult(data);
+        setShowClientInfoTest(true);
+      } else {
+        logError('❌ Client info test failed', { status: response.status });
+        if (response.status === 401) {
+          handleLogout();
+        }
+      }
+    } catch (error) {
+      logError('❌ Error testing client info', { error: error.message });
+    }
+  };
+
+  // Session from /auth or /auth/2fa
+  const completeLogin = (data, loginUsername) => {
+    logSuccess('✅ Login successful', { token: data.token });
+    
+    setIsAuthenticated(true);
+    setAdminProfile(data.user || null);
+    setTwoFactorChallenge(null);
+    setTwoFactorCode('');
+    localStorage.setItem('admin_session', data.token);
+    localStorage.setItem('admin_username', loginUsername);
+    localStorage.setItem('admin_session_expires', data.expiresAt || new Date(Date.now() + data.sessionTimeout).toISOString());
+    
+    // Initialize WebSocket after successful login
+    setTimeout(() => {
+      initializeWebSocket();
+      fetchAdminData();
+    }, 100);
+  };
+
+  // Login step 2 - authenticator or recovery code
+  const handleTwoFactorLogin = async (e) => {
+    e.preventDefault();
+    setLoginError('');
+
+    try {
+      const apiUrl = getApiUrl();
+      
+      const response = await fetch(`${apiUrl}/api/admin/auth/2fa`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken: twoFactorChallenge, code: twoFactorCode.trim() }),
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      
+      if (response.ok && data.success) {
+        completeLogin(data, username.trim());
+      } else {
+        logError('❌ Two-factor verification failed', data);
+        setLoginError(data.error || data.message || 'Verification failed');
+        setTwoFactorCode('');
+        if (response.status === 401 && data.error !== 'Invalid authentication code') {
+          setTwoFactorChallenge(null);
+        }
+      }
+    } catch (error) {
+      logError('❌ Two-factor error', { error: error.message });
+      setLoginError('Connection error: Unable to connect to server');
+    }
+  };
+
+  // Login function
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setLoginError('');
+
+    const cleanUsername = username.trim().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    const cleanPassword = password.trim();
+
+    if (!cleanUsername || !cleanPassword) {
+      setLoginError('Please enter both username and password');
+      return;
+    }
+
+    logInfo('🔐 Attempting admin login...', { username: cleanUsername });
+
+    try {
+      const apiUrl = getApiUrl();
+      
+      const response = await fetch(`${apiUrl}/api/admin/auth`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username: cleanUsername, password: cleanPassword }),
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      
+      if (response.ok && data.success) {
+        completeLogin(data, cleanUsername);
+      } else if (response.ok && data.twoFactorRequired) {
+        logInfo('🔐 Two-factor code required');
+        setTwoFactorChallenge(data.challengeToken);
+        setTwoFactorCode('');
+      } else {
+        logError('❌ Login failed', data);
+        setLoginError(data.error || data.message || 'Login failed');
+      }
+    } catch (error) {
+      logError('❌ Login error', { error: error.message });
+      setLoginError('Connection error: Unable to connect to server');
+    }
+  };
+
+  // Fetch admin data
+  const fetchAdminData = async () => {
+    setLoading(true);
+    logInfo('📊 Fetching admin data...');
+    
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const headers = {
+        'Authorization': `Bearer ${sessionToken}`,
+        'Content-Type': 'application/json'
+      };
+      
+      const [historyRes, activeRes, statsRes] = await Promise.all([
+        fetch(`${apiUrl}/api/admin/download-history`, { credentials: 'include', headers }),
+        fetch(`${apiUrl}/api/admin/active-downloads`, { credentials: 'include', headers }),
+        fetch(`${apiUrl}/api/admin/stats`, { credentials: 'include', headers })
+      ]);
+
+      if (historyRes.ok && activeRes.ok && statsRes.ok) {
+        const [history, active, stats] = await Promise.all([
+          historyRes.json(),
+          activeRes.json(),
+          statsRes.json()
+        ]);
+
+        logSuccess('✅ Admin data loaded successfully', {
+          historyCount: history.downloads?.length || 0,
+          activeCount: active.downloads?.length || 0
+        });
+        
+        setAdminData({
+          downloadHistory: history.downloads || [],
+          activeDownloads: active.downloads || [],
+          systemStats: stats.system || {},
+          userStats: stats.users || {}
+        });
+
+        await fetchCacheData();
+        await fetchDownloadLinks();
+        await fetchWatchlist();
+        await fetchWebhooks();
+        await fetchApiKeys();
+        await fetchAdminUsers();
+        await fetchAuditLog();
+      } else {
+        logWarning('⚠️ Some API calls failed', {
+          history: historyRes.status,
+          active: activeRes.status,
+          stats: statsRes.status
+        });
+        
+        if (historyRes.status === 401 || activeRes.status === 401 || statsRes.status === 401) {
+          logError('❌ Authentication failed, logging out...');
+          handleLogout();
+        }
+      }
+    } catch (error) {
+      logError('❌ Error fetching admin data', { error: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Content cache stats and entries
+  const fetchCacheData = async () => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/cache`, {
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setCacheData({
+          stats: data.stats || {},
+          entries: data.entries || []
+        });
+      } else {
+        logWarning('⚠️ Failed to load cache data', { status: response.status });
+      }
+    } catch (error) {
+      logError('❌ Error fetching cache data', { error: error.message });
+    }
+  };
+
+  // action: 'purge' | 'refresh', workshopId ว่าง = purge ทั้งหมด
+  const runCacheAction = async (action, workshopId = null) => {
+    if (action === 'purge' && !workshopId && !confirm('Purge the entire content cache?')) {
+      return;
+    }
+
+    setCacheAction(`${action}:${workshopId || 'all'}`);
+    logInfo(`🗄️ Cache ${action} requested`, { workshopId: workshopId || 'all' });
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/cache/${action}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ workshopId })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        logSuccess(`✅ ${data.message}`, { removed: data.removed, downloadId: data.downloadId });
+        await fetchCacheData();
+      } else {
+        logError(`❌ Cache ${action} failed`, { status: response.status, error: data.error });
+        if (response.status === 401) {
+          handleLogout();
+        }
+      }
+    } catch (error) {
+      logError(`❌ Error during cache ${action}`, { error: error.message });
+    } finally {
+      setCacheAction(null);
+    }
+  };
+
+  // Signed download links that were handed out
+  const fetchDownloadLinks = async () => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/links`, {
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setDownloadLinks(data.links || []);
+      } else {
+        logWarning('⚠️ Failed to load download links', { status: response.status });
+      }
+    } catch (error) {
+      logError('❌ Error fetching download links', { error: error.message });
+    }
+  };
+
+  const revokeDownloadLink = async (linkId) => {
+    if (!confirm('Revoke this download link? Anyone holding it will no longer be able to download.')) {
+      return;
+    }
+
+    setRevokingLink(linkId);
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/links/${linkId}/revoke`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        logSuccess(`✅ ${data.message}`, { linkId });
+        await fetchDownloadLinks();
+      } else {
+        logError('❌ Revoke link failed', { status: response.status, error: data.error });
+        if (response.status === 401) {
+          handleLogout();
+        }
+      }
+    } catch (error) {
+      logError('❌ Error revoking link', { error: error.message });
+    } finally {
+      setRevokingLink(null);
+    }
+  };
+
+  // Watched workshop items and the updates detected for them
+  const fetchWatchlist = async () => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      const headers = {
+        'Authorization': `Bearer ${sessionToken}`,
+        'Content-Type': 'application/json'
+      };
+
+      const [itemsRes, updatesRes] = await Promise.all([
+        fetch(`${apiUrl}/api/admin/watchlist`, { credentials: 'include', headers }),
+        fetch(`${apiUrl}/api/admin/watchlist/updates?limit=20`, { credentials: 'include', headers })
+      ]);
+
+      if (itemsRes.ok && updatesRes.ok) {
+        const [itemsData, updatesData] = await Promise.all([itemsRes.json(), updatesRes.json()]);
+        setWatchlist({
+          items: itemsData.items || [],
+          scheduler: itemsData.scheduler || {},
+          updates: updatesData.updates || []
+        });
+      } else {
+        logWarning('⚠️ Failed to load watchlist', { items: itemsRes.status, updates: updatesRes.status });
+      }
+    } catch (error) {
+      logError('❌ Error fetching watchlist', { error: error.message });
+    }
+  };
+
+  // path: '' (add), '/check', '/:id' - method POST / PATCH / DELETE
+  const runWatchlistAction = async (key, path, method, body = null) => {
+    setWatchlistAction(key);
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/watchlist${path}`, {
+        method,
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        logSuccess(`✅ Watchlist ${key} done`, data.summary || data.message || {});
+        await fetchWatchlist();
+        return true;
+      }
+
+      logError(`❌ Watchlist ${key} failed`, { status: response.status, error: data.error });
+      if (response.status === 401) {
+        handleLogout();
+      }
+    } catch (error) {
+      logError(`❌ Error during watchlist ${key}`, { error: error.message });
+    } finally {
+      setWatchlistAction(null);
+    }
+    return false;
+  };
+
+  const addToWatchlist = async () => {
+    const input = watchlistInput.trim();
+    const workshopId = input.match(/id=(\d+)/)?.[1] || (/^\d+$/.test(input) ? input : null);
+    if (!workshopId) {
+      logWarning('⚠️ Enter a workshop ID or URL to watch');
+      return;
+    }
+
+    const added = await runWatchlistAction('add', '', 'POST', { workshopId, autoDownload: watchlistAutoDownload });
+    if (added) {
+      setWatchlistInput('');
+    }
+  };
+
+  const removeFromWatchlist = async (item) => {
+    if (!confirm(`Stop watching ${item.title || item.workshopId}?`)) {
+      return;
+    }
+    await runWatchlistAction('remove', `/${item.id}`, 'DELETE');
+  };
+
+  // Own 2FA settings: setup / enable / disable / recovery-codes
+  const runTwoFactorAction = async (action, body = null) => {
+    setTwoFactorAction(action);
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/2fa/${action}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        logSuccess(`✅ Two-factor ${action} done`);
+        setTwoFactorInput('');
+        if (data.otpauthUri) {
+          setTwoFactorSetup({ secret: data.secret, otpauthUri: data.otpauthUri });
+        }
+        if (data.recoveryCodes) {
+          setTwoFactorSetup(null);
+          setRecoveryCodes(data.recoveryCodes);
+        }
+        if (action === 'enable' || action === 'disable') {
+          await checkSessionValidity();
+          await fetchAdminData();
+        }
+        return data;
+      }
+
+      logError(`❌ Two-factor ${action} failed`, { status: response.status, error: data.error });
+      alert(data.error || `Two-factor ${action} failed`);
+      if (response.status === 401) {
+        handleLogout();
+      }
+    } catch (error) {
+      logError(`❌ Error during two-factor ${action}`, { error: error.message });
+    } finally {
+      setTwoFactorAction(null);
+    }
+    return null;
+  };
+
+  // Role permissions of the logged-in admin (the server checks them again on every request)
+  const can = (permission) => Boolean(adminProfile?.permissions?.includes(permission));
+
+  // Admin accounts - only owners (users:manage) get a list back
+  const fetchAdminUsers = async () => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/users`, {
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setAdminUsers({
+          users: data.users || [],
+          roles: data.roles || []
+        });
+      } else if (response.status === 403) {
+        setAdminUsers({ users: [], roles: [] });
+      } else {
+        logWarning('⚠️ Failed to load admin accounts', { status: response.status });
+      }
+    } catch (error) {
+      logError('❌ Error fetching admin accounts', { error: error.message });
+    }
+  };
+
+  const runUserAction = async (key, path, method, body = null) => {
+    setUserAction(key);
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/users${path}`, {
+        method,
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        logSuccess(`✅ Admin account ${key} done`, { username: data.user?.username || data.username });
+        await fetchAdminUsers();
+        return data;
+      }
+
+      logError(`❌ Admin account ${key} failed`, { status: response.status, error: data.error });
+      alert(data.error || `Admin account ${key} failed`);
+      if (response.status === 401) {
+        handleLogout();
+      }
+    } catch (error) {
+      logError(`❌ Error during admin account ${key}`, { error: error.message });
+    } finally {
+      setUserAction(null);
+    }
+    return null;
+  };
+
+  const createAdminUser = async () => {
+    const data = await runUserAction('create', '', 'POST', userForm);
+    if (data) {
+      setUserForm({ username: '', displayName: '', password: '', role: 'viewer' });
+    }
+  };
+
+  const resetAdminPassword = async (user) => {
+    const password = prompt(`New password for ${user.username} (at least 8 characters):`);
+    if (!password) return;
+    await runUserAction('password', `/${user.id}`, 'PATCH', { password });
+  };
+
+  const deleteAdminUser = async (user) => {
+    if (!confirm(`Delete admin account "${user.username}"? Their sessions end immediately.`)) {
+      return;
+    }
+    await runUserAction('delete', `/${user.id}`, 'DELETE');
+  };
+
+  // Audit log filters as a query string (empty / "all" filters are left out)
+  const buildAuditQuery = (extra = {}) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...auditFilters, ...extra }).forEach(([key, value]) => {
+      if (value && value !== 'all') {
+        // date inputs are local days - send the whole day
+        if (key === 'startDate') value = new Date(`${value}T00:00:00`).toISOString();
+        if (key === 'endDate') value = new Date(`${value}T23:59:59.999`).toISOString();
+        params.set(key, value);
+      }
+    });
+    return params.toString();
+  };
+
+  // Admin audit log - owners only (audit:read), others get an empty list
+  const fetchAuditLog = async (page = auditPage) => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/audit-log?${buildAuditQuery({ page, limit: AUDIT_PAGE_SIZE })}`, {
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setAuditLogData({
+          entries: data.entries || [],
+          options: data.options || { actors: [], actions: [], targetTypes: [] },
+          pagination: data.pagination || {}
+        });
+      } else if (response.status === 403) {
+        setAuditLogData({ entries: [], options: { actors: [], actions: [], targetTypes: [] }, pagination: {} });
+      } else {
+        logWarning('⚠️ Failed to load audit log', { status: response.status });
+      }
+    } catch (error) {
+      logError('❌ Error fetching audit log', { error: error.message });
+    }
+  };
 
-  // Test client info detection
-  const testClientInfo = async () => {
+  const updateAuditFilter = (key, value) => {
+    setAuditFilters(prev => ({ ...prev, [key]: value }));
+    setAuditPage(1);
+  };
+
+  // CSV of every entry matching the current filters (server side, not only this page)
+  const exportAuditLog = async () => {
+    setExportingAuditLog(true);
+    
     try {
       const apiUrl = getApiUrl();
       const sessionToken = localStorage.getItem('admin_session');
       
-      logInfo('🧪 Testing client info detection...');
+      const response = await fetch(`${apiUrl}/api/admin/audit-log/export?${buildAuditQuery()}`, {
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`
+        }
+      });
+
+      if (!response.ok) {
+        logError('❌ Audit log export failed', { status: response.status });
+        return;
+      }
       
-      const response = await fetch(`${apiUrl}/api/test-production-ip`, {
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `admin-audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      
+      logSuccess('📁 Audit log exported');
+      await fetchAuditLog();
+    } catch (error) {
+      logError('❌ Error exporting audit log', { error: error.message });
+    } finally {
+      setExportingAuditLog(false);
+    }
+  };
+
+  // API keys for bots and integrations, with their usage
+  const fetchApiKeys = async () => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/api-keys`, {
         credentials: 'include',
         headers: {
           'Authorization': `Bearer ${sessionToken}`,
@@ -151,126 +841,256 @@ export default function AdminDashboard() {
 
       if (response.ok) {
         const data = await response.json();
-        logSuccess('✅ Client info test successful', data);
-        setClientInfoTestResult(data);
-        setShowClientInfoTest(true);
+        setApiKeyData({
+          apiKeys: data.apiKeys || [],
+          scopes: data.scopes || []
+        });
       } else {
-        logError('❌ Client info test failed', { status: response.status });
+        logWarning('⚠️ Failed to load API keys', { status: response.status });
+      }
+    } catch (error) {
+      logError('❌ Error fetching API keys', { error: error.message });
+    }
+  };
+
+  const createApiKey = async () => {
+    setApiKeyAction('create');
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/api-keys`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(apiKeyForm)
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        logSuccess(`✅ API key created: ${data.apiKey.name}`, { prefix: data.apiKey.keyPrefix });
+        setNewApiKey({ name: data.apiKey.name, key: data.key });
+        setApiKeyForm({ name: '', owner: '', scopes: ['info', 'download'], dailyQuota: '', maxConcurrent: '' });
+        await fetchApiKeys();
+      } else {
+        logError('❌ Create API key failed', { status: response.status, error: data.error });
         if (response.status === 401) {
           handleLogout();
         }
       }
     } catch (error) {
-      logError('❌ Error testing client info', { error: error.message });
+      logError('❌ Error creating API key', { error: error.message });
+    } finally {
+      setApiKeyAction(null);
     }
   };
 
-  // Login function
-  const handleLogin = async (e) => {
-    e.preventDefault();
-    setLoginError('');
-
-    const cleanUsername = username.trim().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
-    const cleanPassword = password.trim();
-
-    if (!cleanUsername || !cleanPassword) {
-      setLoginError('Please enter both username and password');
+  const revokeApiKey = async (apiKey) => {
+    if (!confirm(`Revoke API key "${apiKey.name}"? Anything using it will stop working immediately.`)) {
       return;
     }
 
-    logInfo('🔐 Attempting admin login...', { username: cleanUsername });
+    setApiKeyAction(`revoke:${apiKey.id}`);
 
     try {
       const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
       
-      const response = await fetch(`${apiUrl}/api/admin/auth`, {
+      const response = await fetch(`${apiUrl}/api/admin/api-keys/${apiKey.id}/revoke`, {
         method: 'POST',
+        credentials: 'include',
         headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ username: cleanUsername, password: cleanPassword }),
-        credentials: 'include'
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
       });
 
       const data = await response.json();
-      
-      if (response.ok && data.success) {
-        logSuccess('✅ Login successful', { token: data.token });
-        
-        setIsAuthenticated(true);
-        localStorage.setItem('admin_session', data.token);
-        localStorage.setItem('admin_username', cleanUsername);
-        localStorage.setItem('admin_session_expires', new Date(Date.now() + data.sessionTimeout).toISOString());
-        
-        // Initialize WebSocket after successful login
-        setTimeout(() => {
-          initializeWebSocket();
-          fetchAdminData();
-        }, 100);
+
+      if (response.ok) {
+        logSuccess(`✅ ${data.message}`, { apiKeyId: apiKey.id });
+        await fetchApiKeys();
       } else {
-        logError('❌ Login failed', data);
-        setLoginError(data.error || data.message || 'Login failed');
+        logError('❌ Revoke API key failed', { status: response.status, error: data.error });
+        if (response.status === 401) {
+          handleLogout();
+        }
       }
     } catch (error) {
-      logError('❌ Login error', { error: error.message });
-      setLoginError('Connection error: Unable to connect to server');
+      logError('❌ Error revoking API key', { error: error.message });
+    } finally {
+      setApiKeyAction(null);
     }
   };
 
-  // Fetch admin data
-  const fetchAdminData = async () => {
-    setLoading(true);
-    logInfo('📊 Fetching admin data...');
-    
+  const toggleApiKeyFormScope = (scope) => {
+    setApiKeyForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  // Outgoing webhooks and their recent deliveries
+  const fetchWebhooks = async () => {
     try {
       const apiUrl = getApiUrl();
       const sessionToken = localStorage.getItem('admin_session');
-      
       const headers = {
         'Authorization': `Bearer ${sessionToken}`,
         'Content-Type': 'application/json'
       };
-      
-      const [historyRes, activeRes, statsRes] = await Promise.all([
-        fetch(`${apiUrl}/api/admin/download-history`, { credentials: 'include', headers }),
-        fetch(`${apiUrl}/api/admin/active-downloads`, { credentials: 'include', headers }),
-        fetch(`${apiUrl}/api/admin/stats`, { credentials: 'include', headers })
-      ]);
 
-      if (historyRes.ok && activeRes.ok && statsRes.ok) {
-        const [history, active, stats] = await Promise.all([
-          historyRes.json(),
-          activeRes.json(),
-          statsRes.json()
-        ]);
+      const [webhooksRes, deliveriesRes] = await Promise.all([
+        fetch(`${apiUrl}/api/admin/webhooks`, { credentials: 'include', headers }),
+        fetch(`${apiUrl}/api/admin/webhooks/deliveries?limit=50`, { credentials: 'include', headers })
+      ]);
 
-        logSuccess('✅ Admin data loaded successfully', {
-          historyCount: history.downloads?.length || 0,
-          activeCount: active.downloads?.length || 0
-        });
-        
-        setAdminData({
-          downloadHistory: history.downloads || [],
-          activeDownloads: active.downloads || [],
-          systemStats: stats.system || {},
-          userStats: stats.users || {}
+      if (webhooksRes.ok && deliveriesRes.ok) {
+        const [webhooksData, deliveriesData] = await Promise.all([webhooksRes.json(), deliveriesRes.json()]);
+        setWebhooks({
+          webhooks: webhooksData.webhooks || [],
+          events: webhooksData.events || [],
+          deliveries: deliveriesData.deliveries || []
         });
       } else {
-        logWarning('⚠️ Some API calls failed', {
-          history: historyRes.status,
-          active: activeRes.status,
-          stats: statsRes.status
-        });
-        
-        if (historyRes.status === 401 || activeRes.status === 401 || statsRes.status === 401) {
-          logError('❌ Authentication failed, logging out...');
+        logWarning('⚠️ Failed to load webhooks', { webhooks: webhooksRes.status, deliveries: deliveriesRes.status });
+      }
+    } catch (error) {
+      logError('❌ Error fetching webhooks', { error: error.message });
+    }
+  };
+
+  // path: '' (create), '/:id', '/:id/test' - method POST / PATCH / DELETE
+  const runWebhookAction = async (key, path, method, body = null) => {
+    setWebhookAction(key);
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/webhooks${path}`, {
+        method,
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        logSuccess(`✅ Webhook ${key} done`, data.delivery
+          ? { status: data.delivery.status, responseStatus: data.delivery.responseStatus, error: data.delivery.error }
+          : {});
+        await fetchWebhooks();
+        return data;
+      }
+
+      logError(`❌ Webhook ${key} failed`, { status: response.status, error: data.error });
+      if (response.status === 401) {
+        handleLogout();
+      }
+    } catch (error) {
+      logError(`❌ Error during webhook ${key}`, { error: error.message });
+    } finally {
+      setWebhookAction(null);
+    }
+    return null;
+  };
+
+  const createWebhook = async () => {
+    const data = await runWebhookAction('create', '', 'POST', webhookForm);
+    if (data) {
+      setWebhookSecret({ name: data.webhook.name, secret: data.secret });
+      setWebhookForm({ name: '', url: '', events: ['job.completed', 'job.failed'] });
+    }
+  };
+
+  const toggleWebhookFormEvent = (event) => {
+    setWebhookForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(item => item !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const deleteWebhook = async (webhook) => {
+    if (!confirm(`Delete webhook "${webhook.name}"? Pending retries will be dropped.`)) {
+      return;
+    }
+    await runWebhookAction('delete', `/${webhook.id}`, 'DELETE');
+  };
+
+  const getDeliveryStatusColor = (status) => {
+    switch (status) {
+      case 'success': return '#10b981';
+      case 'pending': return '#f59e0b';
+      case 'failed': return '#ef4444';
+      default: return '#94a3b8';
+    }
+  };
+
+  // Mod inspection (meta.cpp, mod.cpp, PBO headers, signatures) of one download
+  const openInspection = async (download) => {
+    setInspectionDetail({ loading: true, downloadId: download.id, title: download.workshopInfo?.title || download.workshopId });
+
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/download-history/${download.id}/inspection`, {
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setInspectionDetail(prev => ({ ...prev, loading: false, ...data }));
+      } else {
+        logError('❌ Failed to load inspection', { status: response.status, error: data.error });
+        setInspectionDetail(prev => ({ ...prev, loading: false, error: data.error }));
+        if (response.status === 401) {
           handleLogout();
         }
       }
     } catch (error) {
-      logError('❌ Error fetching admin data', { error: error.message });
-    } finally {
-      setLoading(false);
+      logError('❌ Error loading inspection', { error: error.message });
+      setInspectionDetail(prev => ({ ...prev, loading: false, error: error.message }));
+    }
+  };
+
+  const getInspectionColor = (status) => {
+    switch (status) {
+      case 'ok': return '#22c55e';
+      case 'signed': return '#22c55e';
+      case 'warning': return '#f59e0b';
+      case 'unsigned': return '#f59e0b';
+      case 'mismatched': return '#ef4444';
+      case 'failed': return '#ef4444';
+      default: return '#6b7280';
+    }
+  };
+
+  const getLinkStatusColor = (status) => {
+    switch (status) {
+      case 'active': return '#22c55e';
+      case 'used': return '#8b5cf6';
+      case 'revoked': return '#ef4444';
+      default: return '#6b7280';
     }
   };
 
@@ -306,6 +1126,7 @@ export default function AdminDashboard() {
           setIsAuthenticated(true);
           initializeWebSocket();
           fetchAdminData();
+          checkSessionValidity();
         } else {
           logWarning('⏰ Session expired, clearing...');
           handleLogout();
@@ -315,6 +1136,7 @@ export default function AdminDashboard() {
         setIsAuthenticated(true);
         initializeWebSocket();
         fetchAdminData();
+        checkSessionValidity();
       }
     } else {
       logInfo('❌ No valid session found');
@@ -350,6 +1172,9 @@ export default function AdminDashboard() {
     }
     
     setIsAuthenticated(false);
+    setAdminProfile(null);
+    setTwoFactorSetup(null);
+    setRecoveryCodes(null);
     localStorage.removeItem('admin_session');
     localStorage.removeItem('admin_username');
     localStorage.removeItem('admin_session_expires');
@@ -390,6 +1215,20 @@ export default function AdminDashboard() {
           localStorage.setItem('admin_session_expires', sessionData.expiresAt);
         }
         
+        setAdminProfile({
+          username: sessionData.username,
+          role: sessionData.role,
+          permissions: sessionData.permissions || [],
+          twoFactorEnabled: sessionData.twoFactorEnabled,
+          twoFactorRequired: sessionData.twoFactorRequired,
+          twoFactorSetupRequired: sessionData.twoFactorSetupRequired
+        });
+        
+        // ใกล้หมดอายุ - ต่อ session (ไม่เกิน SESSION_MAX_AGE นับจาก login)
+        if (sessionData.isValid && sessionData.timeLeft < SESSION_REFRESH_THRESHOLD) {
+          return refreshSession();
+        }
+        
         return sessionData.isValid;
       } else {
         logWarning('❌ Session check failed', { status: response.status });
@@ -401,6 +1240,44 @@ export default function AdminDashboard() {
     }
   };
 
+  // Extend the idle deadline of the current session
+  const refreshSession = async () => {
+    try {
+      const apiUrl = getApiUrl();
+      const sessionToken = localStorage.getItem('admin_session');
+      
+      const response = await fetch(`${apiUrl}/api/admin/session/refresh`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${sessionToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      if (!response.ok) {
+        logWarning('❌ Session refresh failed', { status: response.status });
+        return false;
+      }
+      
+      const sessionData = await response.json();
+      localStorage.setItem('admin_session_expires', sessionData.expiresAt);
+      logInfo('🔄 Session refreshed', { expiresAt: sessionData.expiresAt });
+      return sessionData.isValid;
+    } catch (error) {
+      logError('Session refresh error', { error: error.message });
+      return false;
+    }
+  };
+
+  // Reload the audit log when its filters or page change (typing in search waits a moment)
+  useEffect(() => {
+    if (!isAuthenticated || !can('audit:read')) return;
+    
+    const timer = setTimeout(() => fetchAuditLog(auditPage), 300);
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, adminProfile, auditFilters, auditPage]);
+
   // Periodic session check
   useEffect(() => {
     if (isAuthenticated) {
@@ -485,6 +1362,8 @@ export default function AdminDashboard() {
       if (filter === 'completed') return download.status === 'completed';
       if (filter === 'failed') return download.status === 'error';
       if (filter === 'active') return ['downloading', 'preparing', 'creating_archive'].includes(download.status);
+      if (filter === 'queued') return download.status === 'queued';
+      if (filter === 'cancelled') return download.status === 'cancelled';
       return true;
     })
     .filter(download => {
@@ -548,6 +1427,8 @@ export default function AdminDashboard() {
       case 'downloading': return '#3b82f6';
       case 'preparing': return '#f59e0b';
       case 'creating_archive': return '#8b5cf6';
+      case 'queued': return '#06b6d4';
+      case 'cancelled': return '#94a3b8';
       default: return '#6b7280';
     }
   };
@@ -593,53 +1474,104 @@ export default function AdminDashboard() {
             <p className="version-info">Enhanced with Real-time Logs v2.1</p>
           </div>
           
-          <form onSubmit={handleLogin} className="login-form">
-            <div className="form-group">
-              <label htmlFor="username">Username</label>
-              <input
-                type="text"
-                id="username"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                required
-                className="form-input"
-                placeholder="Enter username"
-              />
-            </div>
+          {twoFactorChallenge ? (
+            <form onSubmit={handleTwoFactorLogin} className="login-form">
+              <div className="form-group">
+                <label htmlFor="twoFactorCode">Authentication Code</label>
+                <input
+                  type="text"
+                  id="twoFactorCode"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  className="form-input"
+                  placeholder="123456"
+                />
+                <span className="login-hint">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </span>
+              </div>
+              
+              {loginError && (
+                <div className="login-error">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10"/>
+                    <line x1="15" y1="9" x2="9" y2="15"/>
+                    <line x1="9" y1="9" x2="15" y2="15"/>
+                  </svg>
+                  {loginError}
+                </div>
+              )}
+              
+              <button type="submit" className="login-button">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                  <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+                </svg>
+                Verify
+              </button>
+              <button
+                type="button"
+                className="login-back-button"
+                onClick={() => {
+                  setTwoFactorChallenge(null);
+                  setLoginError('');
+                }}
+              >
+                Back to login
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleLogin} className="login-form">
+              <div className="form-group">
+                <label htmlFor="username">Username</label>
+                <input
+                  type="text"
+                  id="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  required
+                  className="form-input"
+                  placeholder="Enter username"
+                />
+              </div>
             
-            <div className="form-group">
-              <label htmlFor="password">Password</label>
-              <input
-                type="password"
-                id="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                required
-                className="form-input"
-                placeholder="Enter password"
-              />
-            </div>
+              <div className="form-group">
+                <label htmlFor="password">Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className="form-input"
+                  placeholder="Enter password"
+                />
+              </div>
+            
+              {loginError && (
+                <div className="login-error">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10"/>
+                    <line x1="15" y1="9" x2="9" y2="15"/>
+                    <line x1="9" y1="9" x2="15" y2="15"/>
+                  </svg>
+                  {loginError}
+                </div>
+              )}
             
-            {loginError && (
-              <div className="login-error">
+              <button type="submit" className="login-button">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <circle cx="12" cy="12" r="10"/>
-                  <line x1="15" y1="9" x2="9" y2="15"/>
-                  <line x1="9" y1="9" x2="15" y2="15"/>
+                  <path d="M15 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4"/>
+                  <polyline points="10,17 15,12 10,7"/>
+                  <line x1="15" y1="12" x2="3" y2="12"/>
                 </svg>
-                {loginError}
-              </div>
-            )}
-            
-            <button type="submit" className="login-button">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M15 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4"/>
-                <polyline points="10,17 15,12 10,7"/>
-                <line x1="15" y1="12" x2="3" y2="12"/>
-              </svg>
-              Login
-            </button>
-          </form>
+                Login
+              </button>
+            </form>
+          )}
         </div>
 
         <style jsx>{`
@@ -752,6 +1684,25 @@ export default function AdminDashboard() {
             font-size: 0.875rem;
           }
 
+          .login-hint {
+            display: block;
+            margin-top: 0.5rem;
+            font-size: 0.75rem;
+            color: #94a3b8;
+          }
+
+          .login-back-button {
+            background: none;
+            border: none;
+            color: #94a3b8;
+            font-size: 0.875rem;
+            cursor: pointer;
+          }
+
+          .login-back-button:hover {
+            color: #e2e8f0;
+          }
+
           .login-button {
             background: linear-gradient(135deg, #3b82f6, #1e40af);
             color: white;
@@ -798,6 +1749,11 @@ export default function AdminDashboard() {
               <h1>Admin Dashboard</h1>
               <p>DayZ Workshop Downloader Management</p>
               <span className="version-badge">v2.1</span>
+              {adminProfile && (
+                <span className="role-badge">
+                  {adminProfile.username} • {adminProfile.role}
+                </span>
+              )}
             </div>
           </div>
           
@@ -966,6 +1922,129 @@ export default function AdminDashboard() {
         </div>
       )}
 
+      {/* Mod Inspection Modal */}
+      {inspectionDetail && (
+        <div className="modal-overlay" onClick={() => setInspectionDetail(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Mod Inspection - {inspectionDetail.title}</h3>
+              <button onClick={() => setInspectionDetail(null)} className="modal-close">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="18" y1="6" x2="6" y2="18"/>
+                  <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+              </button>
+            </div>
+            <div className="modal-body">
+              {inspectionDetail.loading && <p>Loading inspection...</p>}
+              {inspectionDetail.error && <p className="error-message">{inspectionDetail.error}</p>}
+              {inspectionDetail.inspection?.error && (
+                <p className="error-message">Inspection failed: {inspectionDetail.inspection.error}</p>
+              )}
+
+              {inspectionDetail.inspection?.summary && (
+                <div className="test-section">
+                  <h4>Summary</h4>
+                  <div className="test-grid">
+                    <div className="test-item">
+                      <span className="test-label">Result:</span>
+                      <span className="test-value" style={{ color: getInspectionColor(inspectionDetail.inspection.status) }}>
+                        {inspectionDetail.inspection.status}
+                      </span>
+                    </div>
+                    <div className="test-item">
+                      <span className="test-label">PBOs:</span>
+                      <span className="test-value">{inspectionDetail.inspection.summary.pbos}</span>
+                    </div>
+                    <div className="test-item">
+                      <span className="test-label">Signed / Unsigned / Mismatched:</span>
+                      <span className="test-value">
+                        {inspectionDetail.inspection.summary.signed} / {inspectionDetail.inspection.summary.unsigned} / {inspectionDetail.inspection.summary.mismatched}
+                      </span>
+                    </div>
+                    <div className="test-item">
+                      <span className="test-label">Keys:</span>
+                      <span className="test-value">{inspectionDetail.inspection.summary.keys}</span>
+                    </div>
+                    <div className="test-item">
+                      <span className="test-label">Inspected:</span>
+                      <span className="test-value">{new Date(inspectionDetail.inspection.inspectedAt).toLocaleString()}</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {inspectionDetail.inspection?.items?.map((item) => (
+                <div key={item.workshopId} className="test-section">
+                  <h4>{item.meta?.name || item.mod?.name || item.folderName || item.workshopId}</h4>
+                  {item.warnings.length > 0 && (
+                    <ul className="inspection-warnings">
+                      {item.warnings.map((warning) => (
+                        <li key={warning}>{warning}</li>
+                      ))}
+                    </ul>
+                  )}
+                  <div className="test-grid">
+                    <div className="test-item">
+                      <span className="test-label">meta.cpp:</span>
+                      <span className="test-value">
+                        {item.meta ? `publishedid ${item.meta.publishedid || '-'} • timestamp ${item.meta.timestamp || '-'}` : 'Missing'}
+                      </span>
+                    </div>
+                    <div className="test-item">
+                      <span className="test-label">mod.cpp:</span>
+                      <span className="test-value">
+                        {item.mod ? [item.mod.name, item.mod.author, item.mod.version].filter(Boolean).join(' • ') || 'Present' : 'Missing'}
+                      </span>
+                    </div>
+                    <div className="test-item">
+                      <span className="test-label">Keys:</span>
+                      <span className="test-value">
+                        {item.keys.length > 0 ? item.keys.map(key => key.authority || key.file).join(', ') : 'None'}
+                      </span>
+                    </div>
+                  </div>
+                  <div className="inspection-pbos">
+                    {item.pbos.map((pbo) => (
+                      <details key={pbo.file} className="inspection-pbo">
+                        <summary>
+                          <span className="inspection-pbo-name">{pbo.file}</span>
+                          <span style={{ color: getInspectionColor(pbo.signatureStatus) }}>{pbo.signatureStatus}</span>
+                          {pbo.error && <span className="error-message">{pbo.error}</span>}
+                        </summary>
+                        <div className="inspection-pbo-detail">
+                          <div>Prefix: <code>{pbo.prefix || '-'}</code></div>
+                          <div>
+                            Signatures: {pbo.signatures.length > 0
+                              ? pbo.signatures.map(signature => `${signature.authority || signature.file}${signature.matchesKey ? '' : ' (no matching key)'}`).join(', ')
+                              : 'none'}
+                          </div>
+                          {pbo.fileCount !== undefined && (
+                            <div>
+                              Files ({pbo.fileCount}{pbo.files.length < pbo.fileCount ? `, first ${pbo.files.length} shown` : ''}):
+                              <ul className="inspection-pbo-files">
+                                {pbo.files.map((file) => (
+                                  <li key={file.name}>{file.name} <span>{formatFileSize(file.size)}</span></li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
+                        </div>
+                      </details>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="modal-footer">
+              <button onClick={() => setInspectionDetail(null)} className="modal-ok-button">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Client Info Test Modal */}
       {showClientInfoTest && clientInfoTestResult && (
         <div className="modal-overlay" onClick={() => setShowClientInfoTest(false)}>
@@ -1094,7 +2173,9 @@ export default function AdminDashboard() {
           <div className="stat-content">
             <h3>Active Downloads</h3>
             <p className="stat-number">{adminData.activeDownloads.length}</p>
-            <span className="stat-subtitle">Currently processing</span>
+            <span className="stat-subtitle">
+              Currently processing{adminData.systemStats.queuedDownloads > 0 ? ` • ${adminData.systemStats.queuedDownloads} queued` : ''}
+            </span>
           </div>
         </div>
 
@@ -1130,6 +2211,947 @@ export default function AdminDashboard() {
         </div>
       </div>
 
+      {/* Content Cache */}
+      <div className="cache-section">
+        <div className="section-header">
+          <h2>Content Cache</h2>
+          <div className="cache-header-actions">
+            <span className="result-count">
+              {cacheData.stats.enabled === false
+                ? 'Disabled'
+                : `${cacheData.stats.totalSize ? formatFileSize(cacheData.stats.totalSize) : '0 Bytes'} of ${formatFileSize(cacheData.stats.maxSize)}`}
+            </span>
+            <button
+              onClick={() => runCacheAction('purge')}
+              className="clear-logs-button"
+              disabled={cacheAction !== null || !cacheData.entries.length}
+            >
+              Purge All
+            </button>
+          </div>
+        </div>
+
+        <div className="cache-stats">
+          <div className="cache-stat">
+            <span className="cache-stat-label">Hits</span>
+            <span className="cache-stat-value">{cacheData.stats.hits || 0}</span>
+          </div>
+          <div className="cache-stat">
+            <span className="cache-stat-label">Misses</span>
+            <span className="cache-stat-value">{cacheData.stats.misses || 0}</span>
+          </div>
+          <div className="cache-stat">
+            <span className="cache-stat-label">Hit Rate</span>
+            <span className="cache-stat-value">{cacheData.stats.hitRate || 0}%</span>
+          </div>
+          <div className="cache-stat">
+            <span className="cache-stat-label">Cached Items</span>
+            <span className="cache-stat-value">{cacheData.stats.entries || 0}</span>
+          </div>
+          <div className="cache-stat">
+            <span className="cache-stat-label">Evictions</span>
+            <span className="cache-stat-value">{cacheData.stats.evictions || 0}</span>
+          </div>
+        </div>
+
+        {cacheData.entries.length > 0 && (
+          <div className="cache-entries">
+            {cacheData.entries.map((entry) => (
+              <div key={entry.key} className="cache-entry">
+                <div className="cache-entry-info">
+                  <h4>{entry.title}</h4>
+                  <span className="workshop-id">
+                    ID: {entry.workshopId} • Updated {formatDate(entry.timeUpdated * 1000)}
+                  </span>
+                </div>
+                <div className="cache-entry-meta">
+                  <span>{entry.format || 'zip-deflate'}</span>
+                  <span>{formatFileSize(entry.fileSize)}</span>
+                  <span>{entry.hits} hits</span>
+                  <span>Last used {formatDate(entry.lastAccess)}</span>
+                </div>
+                <div className="action-buttons">
+                  <button
+                    onClick={() => runCacheAction('refresh', entry.workshopId)}
+                    className="action-btn steam-btn"
+                    title="Re-download from Steam"
+                    disabled={cacheAction !== null}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="23 4 23 10 17 10"/>
+                      <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => runCacheAction('purge', entry.workshopId)}
+                    className="action-btn purge-btn"
+                    title="Remove from cache"
+                    disabled={cacheAction !== null}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="3,6 5,6 21,6"/>
+                      <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Download Links */}
+      <div className="cache-section">
+        <div className="section-header">
+          <h2>Download Links</h2>
+          <span className="result-count">
+            {downloadLinks.filter(link => link.status === 'active').length} active of {downloadLinks.length}
+          </span>
+        </div>
+
+        {downloadLinks.length > 0 && (
+          <div className="cache-entries">
+            {downloadLinks.map((link) => (
+              <div key={link.id} className="cache-entry">
+                <div className="cache-entry-info">
+                  <h4>{link.downloadId}</h4>
+                  <span className="workshop-id">
+                    Link {link.id.substring(0, 8)}… • Workshop {link.workshopId || 'N/A'} • {link.createdIp || 'Unknown IP'}
+                  </span>
+                </div>
+                <div className="cache-entry-meta">
+                  <span>{link.useCount}{link.maxUses ? ` / ${link.maxUses}` : ''} uses</span>
+                  <span>Expires {formatDate(link.expiresAt)}</span>
+                  <span className="link-status" style={{ color: getLinkStatusColor(link.status) }}>
+                    {link.status}
+                  </span>
+                </div>
+                <div className="action-buttons">
+                  <button
+                    onClick={() => revokeDownloadLink(link.id)}
+                    className="action-btn purge-btn"
+                    title="Revoke link"
+                    disabled={link.status !== 'active' || revokingLink !== null}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <circle cx="12" cy="12" r="10"/>
+                      <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/>
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Update Watchlist */}
+      <div className="cache-section">
+        <div className="section-header">
+          <h2>Update Watchlist</h2>
+          <div className="cache-header-actions">
+            <span className="result-count">
+              {watchlist.scheduler.enabled === false
+                ? 'Scheduler disabled'
+                : `${watchlist.items.length} watched • Last check ${watchlist.scheduler.lastRunAt ? formatDate(watchlist.scheduler.lastRunAt) : 'never'}`}
+            </span>
+            <button
+              onClick={() => runWatchlistAction('check', '/check', 'POST')}
+              className="clear-logs-button"
+              disabled={watchlistAction !== null || !watchlist.items.length}
+            >
+              {watchlistAction === 'check' ? 'Checking...' : 'Check Now'}
+            </button>
+          </div>
+        </div>
+
+        <div className="watchlist-form">
+          <input
+            type="text"
+            value={watchlistInput}
+            onChange={(e) => setWatchlistInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addToWatchlist()}
+            placeholder="Workshop ID or URL"
+            className="search-input"
+          />
+          <label className="watchlist-option">
+            <input
+              type="checkbox"
+              checked={watchlistAutoDownload}
+              onChange={(e) => setWatchlistAutoDownload(e.target.checked)}
+            />
+            Auto download into cache
+          </label>
+          <button
+            onClick={addToWatchlist}
+            className="clear-logs-button"
+            disabled={watchlistAction !== null || !watchlistInput.trim()}
+          >
+            Watch
+          </button>
+        </div>
+
+        {watchlist.items.length > 0 && (
+          <div className="cache-entries">
+            {watchlist.items.map((item) => (
+              <div key={item.id} className={`cache-entry ${item.enabled ? '' : 'watchlist-paused'}`}>
+                <div className="cache-entry-info">
+                  <h4>{item.title || `Workshop Item ${item.workshopId}`}</h4>
+                  <span className="workshop-id">
+                    ID: {item.workshopId} • Updated {item.lastKnownUpdate ? formatDate(item.lastKnownUpdate * 1000) : 'unknown'} • Added by {item.addedBy || 'N/A'}
+                  </span>
+                  {item.lastError && <span className="watchlist-error">{item.lastError}</span>}
+                </div>
+                <div className="cache-entry-meta">
+                  <label className="watchlist-option">
+                    <input
+                      type="checkbox"
+                      checked={item.autoDownload}
+                      disabled={watchlistAction !== null}
+                      onChange={(e) => runWatchlistAction('update', `/${item.id}`, 'PATCH', { autoDownload: e.target.checked })}
+                    />
+                    Auto download
+                  </label>
+                  <label className="watchlist-option">
+                    <input
+                      type="checkbox"
+                      checked={item.notify}
+                      disabled={watchlistAction !== null}
+                      onChange={(e) => runWatchlistAction('update', `/${item.id}`, 'PATCH', { notify: e.target.checked })}
+                    />
+                    Notify
+                  </label>
+                  <span>Checked {item.lastCheckedAt ? formatDate(item.lastCheckedAt) : 'never'}</span>
+                </div>
+                <div className="action-buttons">
+                  <button
+                    onClick={() => runWatchlistAction('update', `/${item.id}`, 'PATCH', { enabled: !item.enabled })}
+                    className="action-btn steam-btn"
+                    title={item.enabled ? 'Pause checks' : 'Resume checks'}
+                    disabled={watchlistAction !== null}
+                  >
+                    {item.enabled ? (
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <rect x="6" y="4" width="4" height="16"/>
+                        <rect x="14" y="4" width="4" height="16"/>
+                      </svg>
+                    ) : (
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polygon points="5 3 19 12 5 21 5 3"/>
+                      </svg>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => removeFromWatchlist(item)}
+                    className="action-btn purge-btn"
+                    title="Stop watching"
+                    disabled={watchlistAction !== null}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="3,6 5,6 21,6"/>
+                      <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {watchlist.updates.length > 0 && (
+          <>
+            <h3 className="watchlist-subtitle">Detected Updates</h3>
+            <div className="cache-entries">
+              {watchlist.updates.map((update) => (
+                <div key={update.id} className="cache-entry">
+                  <div className="cache-entry-info">
+                    <h4>{update.title || `Workshop Item ${update.workshopId}`}</h4>
+                    <span className="workshop-id">
+                      ID: {update.workshopId} • {update.previousUpdate ? formatDate(update.previousUpdate * 1000) : 'unknown'} → {formatDate(update.newUpdate * 1000)}
+                    </span>
+                  </div>
+                  <div className="cache-entry-meta">
+                    <span>Detected {formatDate(update.detectedAt)}</span>
+                    {update.downloadId && <span>Download {update.downloadId}</span>}
+                    {update.downloadError && <span className="watchlist-error">Download: {update.downloadError}</span>}
+                    {update.notifyError
+                      ? <span className="watchlist-error">Notify: {update.notifyError}</span>
+                      : update.notifiedAt && <span>Notified</span>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* API Keys */}
+      <div className="cache-section">
+        <div className="section-header">
+          <h2>API Keys</h2>
+          <span className="result-count">
+            {apiKeyData.apiKeys.filter(apiKey => apiKey.status === 'active').length} active of {apiKeyData.apiKeys.length}
+          </span>
+        </div>
+
+        <div className="webhook-form">
+          <input
+            type="text"
+            value={apiKeyForm.name}
+            onChange={(e) => setApiKeyForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Name (e.g. Discord bot)"
+            className="search-input webhook-name-input"
+          />
+          <input
+            type="text"
+            value={apiKeyForm.owner}
+            onChange={(e) => setApiKeyForm(prev => ({ ...prev, owner: e.target.value }))}
+            placeholder="Owner"
+            className="search-input webhook-name-input"
+          />
+          <input
+            type="number"
+            min="1"
+            value={apiKeyForm.dailyQuota}
+            onChange={(e) => setApiKeyForm(prev => ({ ...prev, dailyQuota: e.target.value }))}
+            placeholder="Downloads / day"
+            className="search-input api-key-limit-input"
+          />
+          <input
+            type="number"
+            min="1"
+            value={apiKeyForm.maxConcurrent}
+            onChange={(e) => setApiKeyForm(prev => ({ ...prev, maxConcurrent: e.target.value }))}
+            placeholder="Concurrent jobs"
+            className="search-input api-key-limit-input"
+          />
+          <div className="webhook-events">
+            {apiKeyData.scopes.map((scope) => (
+              <label key={scope} className="webhook-event-option">
+                <input
+                  type="checkbox"
+                  checked={apiKeyForm.scopes.includes(scope)}
+                  onChange={() => toggleApiKeyFormScope(scope)}
+                />
+                {scope}
+              </label>
+            ))}
+          </div>
+          <button
+            onClick={createApiKey}
+            className="clear-logs-button"
+            disabled={apiKeyAction !== null || !apiKeyForm.name.trim() || !apiKeyForm.scopes.length}
+          >
+            Create Key
+          </button>
+        </div>
+
+        {newApiKey && (
+          <div className="secret-notice">
+            <span>
+              API key for <strong>{newApiKey.name}</strong> (shown only once) - send it as
+              Authorization: Bearer &lt;key&gt;:
+            </span>
+            <code>{newApiKey.key}</code>
+            <button onClick={() => setNewApiKey(null)} className="clear-logs-button">Done</button>
+          </div>
+        )}
+
+        {apiKeyData.apiKeys.length > 0 && (
+          <div className="cache-entries">
+            {apiKeyData.apiKeys.map((apiKey) => (
+              <div key={apiKey.id} className={`cache-entry ${apiKey.status === 'active' ? '' : 'webhook-disabled'}`}>
+                <div className="cache-entry-info">
+                  <h4>{apiKey.name}</h4>
+                  <span className="workshop-id">
+                    {apiKey.keyPrefix}… • {apiKey.owner || 'No owner'} • Last used {apiKey.lastUsedAt ? formatDate(apiKey.lastUsedAt) : 'never'}
+                  </span>
+                  <span className="webhook-event-list">{(apiKey.scopes || []).join(', ')}</span>
+                </div>
+                <div className="cache-entry-meta">
+                  <span>
+                    {apiKey.quota.usedToday}{apiKey.quota.dailyQuota ? ` / ${apiKey.quota.dailyQuota}` : ''} today
+                  </span>
+                  <span>{apiKey.maxConcurrent ? `${apiKey.maxConcurrent} concurrent` : 'No concurrency limit'}</span>
+                  <span>{apiKey.usage.downloads} downloads ({apiKey.usage.failed} failed)</span>
+                  <span className="link-status" style={{ color: getLinkStatusColor(apiKey.status) }}>
+                    {apiKey.status}
+                  </span>
+                </div>
+                <div className="action-buttons">
+                  <button
+                    onClick={() => revokeApiKey(apiKey)}
+                    className="action-btn purge-btn"
+                    title="Revoke key"
+                    disabled={apiKey.status !== 'active' || apiKeyAction !== null}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <circle cx="12" cy="12" r="10"/>
+                      <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/>
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Webhooks */}
+      <div className="cache-section">
+        <div className="section-header">
+          <h2>Webhooks</h2>
+          <span className="result-count">
+            {webhooks.webhooks.filter(webhook => webhook.enabled).length} enabled of {webhooks.webhooks.length}
+          </span>
+        </div>
+
+        <div className="webhook-form">
+          <input
+            type="text"
+            value={webhookForm.name}
+            onChange={(e) => setWebhookForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Name"
+            className="search-input webhook-name-input"
+          />
+          <input
+            type="url"
+            value={webhookForm.url}
+            onChange={(e) => setWebhookForm(prev => ({ ...prev, url: e.target.value }))}
+            placeholder="https://example.com/hooks/dayz"
+            className="search-input"
+          />
+          <div className="webhook-events">
+            {webhooks.events.map((event) => (
+              <label key={event} className="webhook-event-option">
+                <input
+                  type="checkbox"
+                  checked={webhookForm.events.includes(event)}
+                  onChange={() => toggleWebhookFormEvent(event)}
+                />
+                {event}
+              </label>
+            ))}
+          </div>
+          <button
+            onClick={createWebhook}
+            className="clear-logs-button"
+            disabled={webhookAction !== null || !webhookForm.name.trim() || !webhookForm.url.trim() || !webhookForm.events.length}
+          >
+            Add Webhook
+          </button>
+        </div>
+
+        {webhookSecret && (
+          <div className="secret-notice">
+            <span>
+              Signing secret for <strong>{webhookSecret.name}</strong> (shown only once) - verify the
+              X-Signature-SHA256 header as HMAC-SHA256 of the raw body:
+            </span>
+            <code>{webhookSecret.secret}</code>
+            <button onClick={() => setWebhookSecret(null)} className="clear-logs-button">Done</button>
+          </div>
+        )}
+
+        {webhooks.webhooks.length > 0 && (
+          <div className="cache-entries">
+            {webhooks.webhooks.map((webhook) => (
+              <div key={webhook.id} className={`cache-entry ${webhook.enabled ? '' : 'webhook-disabled'}`}>
+                <div className="cache-entry-info">
+                  <h4>{webhook.name}</h4>
+                  <span className="workshop-id">
+                    {webhook.url} • Secret {webhook.secretHint}
+                  </span>
+                  <span className="webhook-event-list">{(webhook.events || []).join(', ')}</span>
+                </div>
+                <div className="cache-entry-meta">
+                  <span>Last delivery {webhook.lastDeliveryAt ? formatDate(webhook.lastDeliveryAt) : 'never'}</span>
+                  {webhook.lastDeliveryStatus && (
+                    <span className="link-status" style={{ color: getDeliveryStatusColor(webhook.lastDeliveryStatus) }}>
+                      {webhook.lastDeliveryStatus}
+                    </span>
+                  )}
+                </div>
+                <div className="action-buttons">
+                  <button
+                    onClick={() => runWebhookAction('test', `/${webhook.id}/test`, 'POST')}
+                    className="action-btn steam-btn"
+                    title="Send test event"
+                    disabled={webhookAction !== null || !webhook.enabled}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <line x1="22" y1="2" x2="11" y2="13"/>
+                      <polygon points="22 2 15 22 11 13 2 9 22 2"/>
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => runWebhookAction('update', `/${webhook.id}`, 'PATCH', { enabled: !webhook.enabled })}
+                    className="action-btn steam-btn"
+                    title={webhook.enabled ? 'Disable' : 'Enable'}
+                    disabled={webhookAction !== null}
+                  >
+                    {webhook.enabled ? (
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <rect x="6" y="4" width="4" height="16"/>
+                        <rect x="14" y="4" width="4" height="16"/>
+                      </svg>
+                    ) : (
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polygon points="5 3 19 12 5 21 5 3"/>
+                      </svg>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => deleteWebhook(webhook)}
+                    className="action-btn purge-btn"
+                    title="Delete webhook"
+                    disabled={webhookAction !== null}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="3,6 5,6 21,6"/>
+                      <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {webhooks.deliveries.length > 0 && (
+          <>
+            <h3 className="watchlist-subtitle">Recent Deliveries</h3>
+            <div className="cache-entries">
+              {webhooks.deliveries.map((delivery) => (
+                <div key={delivery.id} className="cache-entry">
+                  <div className="cache-entry-info">
+                    <h4>{delivery.event}</h4>
+                    <span className="workshop-id">
+                      {webhooks.webhooks.find(webhook => webhook.id === delivery.webhookId)?.name || `Webhook #${delivery.webhookId}`}
+                      {delivery.downloadId ? ` • ${delivery.downloadId}` : ''} • {formatDate(delivery.createdAt)}
+                    </span>
+                    {delivery.error && <span className="watchlist-error">{delivery.error}</span>}
+                  </div>
+                  <div className="cache-entry-meta">
+                    <span>{delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}</span>
+                    {delivery.responseStatus && <span>HTTP {delivery.responseStatus}</span>}
+                    {delivery.duration !== null && <span>{delivery.duration} ms</span>}
+                    {delivery.status === 'pending' && delivery.nextAttemptAt && (
+                      <span>Retry {formatDate(delivery.nextAttemptAt)}</span>
+                    )}
+                    <span className="link-status" style={{ color: getDeliveryStatusColor(delivery.status) }}>
+                      {delivery.status}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Two-Factor Authentication (own account) */}
+      {adminProfile && (
+        <div className="cache-section">
+          <div className="section-header">
+            <h2>Two-Factor Authentication</h2>
+            <span className="link-status" style={{ color: adminProfile.twoFactorEnabled ? '#22c55e' : '#f59e0b' }}>
+              {adminProfile.twoFactorEnabled ? 'enabled' : 'not enabled'}
+            </span>
+          </div>
+
+          {adminProfile.twoFactorSetupRequired && (
+            <div className="two-factor-warning">
+              Your account must use two-factor authentication. Set it up to unlock the rest of the dashboard.
+            </div>
+          )}
+
+          {!adminProfile.twoFactorEnabled && !twoFactorSetup && (
+            <button
+              onClick={() => runTwoFactorAction('setup')}
+              className="clear-logs-button"
+              disabled={twoFactorAction !== null}
+            >
+              Set Up Authenticator
+            </button>
+          )}
+
+          {twoFactorSetup && (
+            <div className="two-factor-setup">
+              <p>
+                Add this account to your authenticator app: <a href={twoFactorSetup.otpauthUri}>open the otpauth link</a> on
+                your phone, or enter the key manually.
+              </p>
+              <code>{twoFactorSetup.secret.match(/.{1,4}/g).join(' ')}</code>
+              <code className="two-factor-uri">{twoFactorSetup.otpauthUri}</code>
+              <div className="webhook-form">
+                <input
+                  type="text"
+                  value={twoFactorInput}
+                  onChange={(e) => setTwoFactorInput(e.target.value)}
+                  placeholder="6-digit code from the app"
+                  className="search-input webhook-name-input"
+                  autoComplete="one-time-code"
+                />
+                <button
+                  onClick={() => runTwoFactorAction('enable', { code: twoFactorInput.trim() })}
+                  className="clear-logs-button"
+                  disabled={twoFactorAction !== null || !twoFactorInput.trim()}
+                >
+                  Confirm
+                </button>
+                <button onClick={() => setTwoFactorSetup(null)} className="clear-logs-button">Cancel</button>
+              </div>
+            </div>
+          )}
+
+          {adminProfile.twoFactorEnabled && (
+            <div className="webhook-form">
+              <input
+                type="text"
+                value={twoFactorInput}
+                onChange={(e) => setTwoFactorInput(e.target.value)}
+                placeholder="Current code"
+                className="search-input webhook-name-input"
+                autoComplete="one-time-code"
+              />
+              <button
+                onClick={() => runTwoFactorAction('recovery-codes', { code: twoFactorInput.trim() })}
+                className="clear-logs-button"
+                disabled={twoFactorAction !== null || !twoFactorInput.trim()}
+              >
+                New Recovery Codes
+              </button>
+              {!adminProfile.twoFactorRequired && (
+                <button
+                  onClick={() => runTwoFactorAction('disable', { code: twoFactorInput.trim() })}
+                  className="clear-logs-button"
+                  disabled={twoFactorAction !== null || !twoFactorInput.trim()}
+                >
+                  Disable 2FA
+                </button>
+              )}
+            </div>
+          )}
+
+          {recoveryCodes && (
+            <div className="secret-notice">
+              <span>Recovery codes (shown only once) - each one signs you in once if you lose your phone:</span>
+              <code>{recoveryCodes.join('  ')}</code>
+              <button onClick={() => setRecoveryCodes(null)} className="clear-logs-button">Done</button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Admin Accounts */}
+      {can('users:manage') && (
+        <div className="cache-section">
+          <div className="section-header">
+            <h2>Admin Accounts</h2>
+            <span className="result-count">
+              {adminUsers.users.filter(user => user.isActive).length} active of {adminUsers.users.length}
+            </span>
+          </div>
+
+          <div className="webhook-form">
+            <input
+              type="text"
+              value={userForm.username}
+              onChange={(e) => setUserForm(prev => ({ ...prev, username: e.target.value }))}
+              placeholder="Username"
+              className="search-input webhook-name-input"
+            />
+            <input
+              type="text"
+              value={userForm.displayName}
+              onChange={(e) => setUserForm(prev => ({ ...prev, displayName: e.target.value }))}
+              placeholder="Display name"
+              className="search-input webhook-name-input"
+            />
+            <input
+              type="password"
+              value={userForm.password}
+              onChange={(e) => setUserForm(prev => ({ ...prev, password: e.target.value }))}
+              placeholder="Password (8+ characters)"
+              className="search-input webhook-name-input"
+              autoComplete="new-password"
+            />
+            <select
+              value={userForm.role}
+              onChange={(e) => setUserForm(prev => ({ ...prev, role: e.target.value }))}
+              className="filter-select"
+            >
+              {adminUsers.roles.map(({ role }) => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+            <button
+              onClick={createAdminUser}
+              className="clear-logs-button"
+              disabled={userAction !== null || !userForm.username.trim() || userForm.password.length < 8}
+            >
+              Add Admin
+            </button>
+          </div>
+
+          <div className="role-legend">
+            {adminUsers.roles.map(({ role, permissions }) => (
+              <span key={role}>
+                <strong>{role}</strong>: {permissions.join(', ')}
+              </span>
+            ))}
+          </div>
+
+          <div className="cache-entries">
+            {adminUsers.users.map((user) => (
+              <div key={user.id} className={`cache-entry ${user.isActive ? '' : 'webhook-disabled'}`}>
+                <div className="cache-entry-info">
+                  <h4>{user.displayName || user.username}</h4>
+                  <span className="workshop-id">
+                    {user.username} • Last login {user.lastLoginAt ? `${formatDate(user.lastLoginAt)} from ${user.lastLoginIp || 'unknown'}` : 'never'}
+                  </span>
+                </div>
+                <div className="cache-entry-meta">
+                  <select
+                    value={user.role}
+                    onChange={(e) => runUserAction('role', `/${user.id}`, 'PATCH', { role: e.target.value })}
+                    className="filter-select"
+                    disabled={userAction !== null}
+                  >
+                    {adminUsers.roles.map(({ role }) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                  <span>
+                    {user.totpEnabled
+                      ? `2FA on (${user.recoveryCodesLeft} recovery codes)`
+                      : user.twoFactorRequired ? '2FA required' : '2FA off'}
+                  </span>
+                  <span className="link-status" style={{ color: user.isActive ? '#22c55e' : '#6b7280' }}>
+                    {user.isActive ? 'active' : 'disabled'}
+                  </span>
+                </div>
+                <div className="action-buttons">
+                  <button
+                    onClick={() => resetAdminPassword(user)}
+                    className="action-btn steam-btn"
+                    title="Set new password"
+                    disabled={userAction !== null}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                      <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+                    </svg>
+                  </button>
+                  {user.totpEnabled && (
+                    <button
+                      onClick={() => confirm(`Remove two-factor authentication from ${user.username}?`)
+                        && runUserAction('2fa reset', `/${user.id}`, 'PATCH', { resetTwoFactor: true })}
+                      className="action-btn steam-btn"
+                      title="Reset 2FA"
+                      disabled={userAction !== null}
+                    >
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <rect x="5" y="2" width="14" height="20" rx="2" ry="2"/>
+                        <line x1="12" y1="18" x2="12.01" y2="18"/>
+                      </svg>
+                    </button>
+                  )}
+                  <button
+                    onClick={() => runUserAction('update', `/${user.id}`, 'PATCH', { isActive: !user.isActive })}
+                    className="action-btn steam-btn"
+                    title={user.isActive ? 'Disable' : 'Enable'}
+                    disabled={userAction !== null || user.username === adminProfile?.username}
+                  >
+                    {user.isActive ? (
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <rect x="6" y="4" width="4" height="16"/>
+                        <rect x="14" y="4" width="4" height="16"/>
+                      </svg>
+                    ) : (
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polygon points="5 3 19 12 5 21 5 3"/>
+                      </svg>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => deleteAdminUser(user)}
+                    className="action-btn purge-btn"
+                    title="Delete account"
+                    disabled={userAction !== null || user.username === adminProfile?.username}
+                  >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <polyline points="3,6 5,6 21,6"/>
+                      <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Audit Log */}
+      {can('audit:read') && (
+        <div className="cache-section">
+          <div className="section-header">
+            <h2>Audit Log</h2>
+            <span className="result-count">
+              {auditLogData.pagination.count || 0} entries
+            </span>
+          </div>
+
+          <div className="webhook-form">
+            <select
+              value={auditFilters.actor}
+              onChange={(e) => updateAuditFilter('actor', e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All actors</option>
+              {auditLogData.options.actors.map(actor => (
+                <option key={actor} value={actor}>{actor}</option>
+              ))}
+            </select>
+            <select
+              value={auditFilters.action}
+              onChange={(e) => updateAuditFilter('action', e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All actions</option>
+              {auditLogData.options.actions.map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+            <select
+              value={auditFilters.targetType}
+              onChange={(e) => updateAuditFilter('targetType', e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All targets</option>
+              {auditLogData.options.targetTypes.map(targetType => (
+                <option key={targetType} value={targetType}>{targetType}</option>
+              ))}
+            </select>
+            <select
+              value={auditFilters.status}
+              onChange={(e) => updateAuditFilter('status', e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">Any result</option>
+              <option value="success">Success</option>
+              <option value="failure">Failure</option>
+            </select>
+            <input
+              type="date"
+              value={auditFilters.startDate}
+              onChange={(e) => updateAuditFilter('startDate', e.target.value)}
+              className="search-input audit-date-input"
+              title="From"
+            />
+            <input
+              type="date"
+              value={auditFilters.endDate}
+              onChange={(e) => updateAuditFilter('endDate', e.target.value)}
+              className="search-input audit-date-input"
+              title="To"
+            />
+            <input
+              type="text"
+              value={auditFilters.search}
+              onChange={(e) => updateAuditFilter('search', e.target.value)}
+              placeholder="Search actor, action, target or IP..."
+              className="search-input"
+            />
+            <button
+              onClick={() => { setAuditFilters(EMPTY_AUDIT_FILTERS); setAuditPage(1); }}
+              className="clear-logs-button"
+            >
+              Reset
+            </button>
+            <button
+              onClick={exportAuditLog}
+              className="clear-logs-button"
+              disabled={exportingAuditLog || !auditLogData.pagination.count}
+            >
+              {exportingAuditLog ? 'Exporting...' : 'Export CSV'}
+            </button>
+          </div>
+
+          <div className="cache-entries">
+            {auditLogData.entries.length === 0 ? (
+              <p className="audit-empty">No audit entries match these filters</p>
+            ) : auditLogData.entries.map((entry) => (
+              <div key={entry.id} className="cache-entry audit-entry">
+                <div className="cache-entry-info">
+                  <h4>
+                    {entry.action}
+                    {entry.targetType && (
+                      <span className="audit-target"> → {entry.targetType}{entry.targetId ? `:${entry.targetId}` : ''}</span>
+                    )}
+                  </h4>
+                  <span className="workshop-id">
+                    {entry.actor}{entry.actorRole ? ` (${entry.actorRole})` : ''} • {formatDate(entry.createdAt)} • {entry.ipAddress || 'no IP'}{entry.country ? ` ${getCountryFlag(entry.country)}` : ''}
+                  </span>
+                </div>
+                <div className="cache-entry-meta">
+                  <span className="link-status" style={{ color: entry.status === 'success' ? '#22c55e' : '#ef4444' }}>
+                    {entry.status}
+                  </span>
+                </div>
+                <div className="action-buttons">
+                  {(entry.before || entry.after || entry.details) && (
+                    <button
+                      onClick={() => setExpandedAuditEntry(expandedAuditEntry === entry.id ? null : entry.id)}
+                      className="action-btn steam-btn"
+                      title={expandedAuditEntry === entry.id ? 'Hide changes' : 'Show changes'}
+                    >
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                        <circle cx="12" cy="12" r="3"/>
+                      </svg>
+                    </button>
+                  )}
+                </div>
+                {expandedAuditEntry === entry.id && (
+                  <div className="audit-changes">
+                    {[['Before', entry.before], ['After', entry.after], ['Details', entry.details]]
+                      .filter(([, value]) => value)
+                      .map(([label, value]) => (
+                        <div key={label}>
+                          <strong>{label}</strong>
+                          <pre>{JSON.stringify(value, null, 2)}</pre>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {auditLogData.pagination.total > 1 && (
+            <div className="audit-pagination">
+              <button
+                onClick={() => setAuditPage(page => page - 1)}
+                className="clear-logs-button"
+                disabled={auditPage <= 1}
+              >
+                Previous
+              </button>
+              <span>Page {auditLogData.pagination.current} of {auditLogData.pagination.total}</span>
+              <button
+                onClick={() => setAuditPage(page => page + 1)}
+                className="clear-logs-button"
+                disabled={auditPage >= auditLogData.pagination.total}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Filters and Search */}
       <div className="controls-section">
         <div className="filters">
@@ -1139,7 +3161,9 @@ export default function AdminDashboard() {
               <option value="all">All Downloads</option>
               <option value="completed">Completed</option>
               <option value="active">Active</option>
+              <option value="queued">Queued</option>
               <option value="failed">Failed</option>
+              <option value="cancelled">Cancelled</option>
             </select>
           </div>
 
@@ -1306,6 +3330,14 @@ export default function AdminDashboard() {
                               <span className="progress-text">{download.progress}%</span>
                             </div>
                           )}
+                          {download.inspectionStatus && (
+                            <div
+                              className="inspection-badge"
+                              style={{ color: getInspectionColor(download.inspectionStatus) }}
+                            >
+                              Inspection: {download.inspectionStatus}
+                            </div>
+                          )}
                           {download.error && (
                             <div className="error-message" title={download.error}>
                               Error: {download.error.substring(0, 100)}...
@@ -1340,6 +3372,18 @@ export default function AdminDashboard() {
                               </svg>
                             </a>
                           )}
+                          {download.inspectionStatus && (
+                            <button
+                              onClick={() => openInspection(download)}
+                              className="action-btn inspect-btn"
+                              title="Mod inspection"
+                            >
+                              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <circle cx="11" cy="11" r="8"/>
+                                <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+                              </svg>
+                            </button>
+                          )}
                           <a 
                             href={`https://steamcommunity.com/sharedfiles/filedetails/?id=${download.workshopId}`}
                             target="_blank"
@@ -1433,6 +3477,122 @@ export default function AdminDashboard() {
           display: inline-block;
         }
 
+        .role-badge {
+          background: rgba(59, 130, 246, 0.15);
+          color: #93c5fd;
+          padding: 0.25rem 0.75rem;
+          border-radius: 12px;
+          font-size: 0.75rem;
+          font-weight: 600;
+          margin: 0.5rem 0 0 0.5rem;
+          display: inline-block;
+        }
+
+        .two-factor-warning {
+          background: rgba(245, 158, 11, 0.1);
+          border: 1px solid rgba(245, 158, 11, 0.3);
+          color: #fbbf24;
+          border-radius: 8px;
+          padding: 0.75rem;
+          margin-bottom: 1rem;
+          font-size: 0.875rem;
+        }
+
+        .two-factor-setup {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+          font-size: 0.875rem;
+          color: #cbd5e1;
+        }
+
+        .two-factor-setup a {
+          color: #60a5fa;
+        }
+
+        .two-factor-setup code {
+          font-family: monospace;
+          background: rgba(15, 23, 42, 0.6);
+          padding: 0.5rem 0.75rem;
+          border-radius: 6px;
+          word-break: break-all;
+          color: #e2e8f0;
+        }
+
+        .two-factor-setup .two-factor-uri {
+          font-size: 0.7rem;
+          color: #94a3b8;
+        }
+
+        .role-legend {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          margin-bottom: 1rem;
+          font-size: 0.75rem;
+          color: #9ca3af;
+        }
+
+        .role-legend strong {
+          color: #e5e7eb;
+        }
+
+        .audit-entry {
+          flex-wrap: wrap;
+        }
+
+        .audit-empty {
+          margin: 0;
+          padding: 1rem;
+          text-align: center;
+          font-size: 0.85rem;
+          color: #64748b;
+        }
+
+        .audit-target {
+          font-weight: 400;
+          color: #94a3b8;
+          font-family: monospace;
+        }
+
+        .webhook-form .audit-date-input {
+          flex: 0 1 160px;
+          min-width: 140px;
+        }
+
+        .audit-changes {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 1rem;
+          width: 100%;
+          font-size: 0.75rem;
+          color: #cbd5e1;
+        }
+
+        .audit-changes > div {
+          flex: 1;
+          min-width: 220px;
+        }
+
+        .audit-changes pre {
+          margin: 0.25rem 0 0 0;
+          padding: 0.5rem 0.75rem;
+          background: rgba(2, 6, 23, 0.6);
+          border-radius: 6px;
+          white-space: pre-wrap;
+          word-break: break-all;
+        }
+
+        .audit-pagination {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 1rem;
+          margin-top: 1rem;
+          font-size: 0.85rem;
+          color: #94a3b8;
+        }
+
         .header-right {
           display: flex;
           align-items: center;
@@ -2383,6 +4543,276 @@ export default function AdminDashboard() {
           background: rgba(59, 130, 246, 0.3);
         }
 
+        .purge-btn {
+          background: rgba(239, 68, 68, 0.2);
+          color: #f87171;
+          border-color: rgba(239, 68, 68, 0.3);
+          cursor: pointer;
+        }
+
+        .purge-btn:hover {
+          background: rgba(239, 68, 68, 0.3);
+        }
+
+        .inspect-btn {
+          background: rgba(245, 158, 11, 0.2);
+          color: #fbbf24;
+          border-color: rgba(245, 158, 11, 0.3);
+          cursor: pointer;
+        }
+
+        .inspect-btn:hover {
+          background: rgba(245, 158, 11, 0.3);
+        }
+
+        .inspection-badge {
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+
+        .inspection-warnings {
+          margin: 0 0 0.75rem;
+          padding-left: 1.25rem;
+          color: #fbbf24;
+          font-size: 0.8rem;
+        }
+
+        .inspection-pbos {
+          margin-top: 0.75rem;
+        }
+
+        .inspection-pbo {
+          padding: 0.5rem 0;
+          border-top: 1px solid rgba(71, 85, 105, 0.3);
+          font-size: 0.8rem;
+        }
+
+        .inspection-pbo summary {
+          display: flex;
+          gap: 0.75rem;
+          cursor: pointer;
+        }
+
+        .inspection-pbo-name {
+          flex: 1;
+          font-family: monospace;
+          color: #f8fafc;
+        }
+
+        .inspection-pbo-detail {
+          padding: 0.5rem 0 0 1rem;
+          color: #cbd5e1;
+        }
+
+        .inspection-pbo-files {
+          max-height: 200px;
+          overflow-y: auto;
+          margin: 0.25rem 0 0;
+          padding-left: 1.25rem;
+          font-family: monospace;
+        }
+
+        .inspection-pbo-files span {
+          color: #64748b;
+        }
+
+        .action-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .cache-section {
+          padding: 1rem 2rem;
+          max-width: 1400px;
+          margin: 0 auto;
+        }
+
+        .cache-header-actions {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+        }
+
+        .cache-stats {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+          gap: 1rem;
+          margin-bottom: 1rem;
+        }
+
+        .cache-stat {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          padding: 1rem 1.25rem;
+          background: rgba(30, 41, 59, 0.6);
+          border: 1px solid rgba(71, 85, 105, 0.3);
+          border-radius: 12px;
+        }
+
+        .cache-stat-label {
+          font-size: 0.75rem;
+          color: #94a3b8;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+        }
+
+        .cache-stat-value {
+          font-size: 1.5rem;
+          font-weight: 700;
+          color: #f8fafc;
+        }
+
+        .cache-entries {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          max-height: 320px;
+          overflow-y: auto;
+        }
+
+        .cache-entry {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 1rem;
+          padding: 0.75rem 1rem;
+          background: rgba(15, 23, 42, 0.6);
+          border: 1px solid rgba(71, 85, 105, 0.2);
+          border-radius: 10px;
+        }
+
+        .cache-entry-info h4 {
+          margin: 0 0 0.25rem 0;
+          font-size: 0.95rem;
+          color: #f1f5f9;
+        }
+
+        .cache-entry-meta {
+          display: flex;
+          gap: 1rem;
+          font-size: 0.8rem;
+          color: #94a3b8;
+          margin-left: auto;
+        }
+
+        .link-status {
+          font-weight: 600;
+          text-transform: capitalize;
+        }
+
+        .watchlist-form {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          margin-bottom: 1rem;
+        }
+
+        .watchlist-form .search-input {
+          flex: 1;
+          max-width: 420px;
+        }
+
+        .watchlist-option {
+          display: flex;
+          align-items: center;
+          gap: 0.4rem;
+          font-size: 0.8rem;
+          color: #cbd5e1;
+          cursor: pointer;
+        }
+
+        .watchlist-paused {
+          opacity: 0.55;
+        }
+
+        .watchlist-error {
+          display: block;
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          color: #f87171;
+        }
+
+        .webhook-form {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem 1rem;
+          margin-bottom: 1rem;
+        }
+
+        .webhook-form .search-input {
+          flex: 1;
+          min-width: 240px;
+        }
+
+        .webhook-form .webhook-name-input {
+          flex: 0 1 200px;
+          min-width: 160px;
+        }
+
+        .webhook-form .api-key-limit-input {
+          flex: 0 1 150px;
+          min-width: 120px;
+        }
+
+        .webhook-events {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.75rem;
+        }
+
+        .webhook-event-option {
+          display: flex;
+          align-items: center;
+          gap: 0.35rem;
+          font-size: 0.8rem;
+          color: #cbd5e1;
+          font-family: monospace;
+          cursor: pointer;
+        }
+
+        .webhook-event-list {
+          display: block;
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          color: #64748b;
+          font-family: monospace;
+        }
+
+        .secret-notice {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.75rem 1rem;
+          margin-bottom: 1rem;
+          background: rgba(245, 158, 11, 0.1);
+          border: 1px solid rgba(245, 158, 11, 0.3);
+          border-radius: 10px;
+          font-size: 0.85rem;
+          color: #fde68a;
+        }
+
+        .secret-notice code {
+          padding: 0.25rem 0.5rem;
+          background: rgba(15, 23, 42, 0.8);
+          border-radius: 6px;
+          color: #f8fafc;
+          word-break: break-all;
+        }
+
+        .webhook-disabled {
+          opacity: 0.55;
+        }
+
+        .watchlist-subtitle {
+          margin: 1.25rem 0 0.5rem 0;
+          font-size: 0.9rem;
+          color: #cbd5e1;
+        }
+
         .empty-state {
           display: flex;
           flex-direction: column;
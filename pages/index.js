@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Head from 'next/head';
 
 export default function Home() {
@@ -8,6 +8,19 @@ export default function Home() {
   const [error, setError] = useState('');
   const [workshopInfo, setWorkshopInfo] = useState(null);
   const [fetchingInfo, setFetchingInfo] = useState(false);
+  const [collectionInfo, setCollectionInfo] = useState(null);
+  const [collectionMode, setCollectionMode] = useState('combined');
+  const [includeDependencies, setIncludeDependencies] = useState(false);
+  const [dependencyTree, setDependencyTree] = useState(null);
+  const [resolvingDependencies, setResolvingDependencies] = useState(false);
+  const [archiveFormats, setArchiveFormats] = useState([]);
+  const [archiveFormat, setArchiveFormat] = useState('');
+  const [streamDelivery, setStreamDelivery] = useState(false);
+  const [packageLayout, setPackageLayout] = useState('default');
+  // Per-job file browser: { open, loading, error, files, truncated, expanded, selected }
+  const [fileBrowsers, setFileBrowsers] = useState({});
+  const [watchedItems, setWatchedItems] = useState({});
+  const statusStreamsRef = useRef(new Map());
 
   const extractWorkshopId = (url) => {
     const match = url.match(/id=(\d+)/);
@@ -44,17 +57,27 @@ export default function Home() {
     return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
   };
 
+  const formatDuration = (seconds) => {
+    if (!seconds || seconds < 60) return 'less than a minute';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `~${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return `~${hours}h ${minutes % 60}m`;
+  };
+
   // Fetch workshop info when URL changes
   useEffect(() => {
     const fetchWorkshopInfo = async () => {
       if (!url.trim() || !validateUrl(url)) {
         setWorkshopInfo(null);
+        setCollectionInfo(null);
         return;
       }
 
       const workshopId = extractWorkshopId(url);
       if (!workshopId) {
         setWorkshopInfo(null);
+        setCollectionInfo(null);
         return;
       }
 
@@ -68,12 +91,24 @@ export default function Home() {
         if (response.ok) {
           const info = await response.json();
           setWorkshopInfo(info);
+
+          // Collection: load the list of child items
+          if (info.isCollection) {
+            const collectionResponse = await fetch(`${apiUrl}/api/collection/${workshopId}/info`, {
+              credentials: 'include',
+            });
+            setCollectionInfo(collectionResponse.ok ? await collectionResponse.json() : null);
+          } else {
+            setCollectionInfo(null);
+          }
         } else {
           setWorkshopInfo(null);
+          setCollectionInfo(null);
         }
       } catch (error) {
         console.error('Error fetching workshop info:', error);
         setWorkshopInfo(null);
+        setCollectionInfo(null);
       } finally {
         setFetchingInfo(false);
       }
@@ -83,15 +118,66 @@ export default function Home() {
     return () => clearTimeout(timeoutId);
   }, [url]);
 
+  // Archive formats this server can produce (tar.zst needs zstd on the server)
+  useEffect(() => {
+    const fetchArchiveFormats = async () => {
+      try {
+        const apiUrl = getApiUrl();
+        const response = await fetch(`${apiUrl}/api/archive-formats`, {
+          credentials: 'include'
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setArchiveFormats(data.formats || []);
+          setArchiveFormat(data.default || '');
+        }
+      } catch (error) {
+        console.error('Error fetching archive formats:', error);
+      }
+    };
+
+    fetchArchiveFormats();
+  }, []);
+
+  // Reset dependency selection when the previewed item changes
+  useEffect(() => {
+    setIncludeDependencies(false);
+    setDependencyTree(null);
+  }, [workshopInfo?.workshopId]);
+
+  // Resolve the full (transitive) dependency tree once the box is ticked
+  useEffect(() => {
+    if (!includeDependencies || !workshopInfo?.workshopId || dependencyTree) return;
+
+    const resolveDependencies = async () => {
+      setResolvingDependencies(true);
+      try {
+        const apiUrl = getApiUrl();
+        const response = await fetch(`${apiUrl}/api/workshop/${workshopInfo.workshopId}/dependencies`, {
+          credentials: 'include',
+        });
+        if (response.ok) {
+          setDependencyTree(await response.json());
+        }
+      } catch (error) {
+        console.error('Error resolving dependencies:', error);
+      } finally {
+        setResolvingDependencies(false);
+      }
+    };
+
+    resolveDependencies();
+  }, [includeDependencies, workshopInfo?.workshopId, dependencyTree]);
+
   // Cleanup downloads on page unload
   useEffect(() => {
     const handleBeforeUnload = async () => {
       // Cleanup active downloads
       for (const download of downloads) {
-        if (download.status !== 'completed' && download.status !== 'error') {
+        if (!['completed', 'error', 'cancelled'].includes(download.status)) {
           try {
             const apiUrl = getApiUrl();
-            await fetch(`${apiUrl}/api/cleanup/${download.id}`, {
+            await fetch(`${apiUrl}/api/cleanup/${download.id}?token=${encodeURIComponent(download.statusToken || '')}`, {
               method: 'DELETE',
               credentials: 'include'
             });
@@ -132,12 +218,15 @@ export default function Home() {
 
     try {
       const apiUrl = getApiUrl();
-      const response = await fetch(`${apiUrl}/api/download`, {
+      const isCollection = !!collectionInfo;
+      const response = await fetch(`${apiUrl}${isCollection ? '/api/collection/download' : '/api/download'}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify(isCollection
+          ? { url, mode: collectionMode, format: archiveFormat || undefined, layout: packageLayout }
+          : { url, includeDependencies, format: archiveFormat || undefined, delivery: streamDelivery ? 'stream' : 'file', layout: packageLayout }),
         credentials: 'include',
       });
 
@@ -151,17 +240,31 @@ export default function Home() {
         id: data.downloadId,
         workshopId: data.workshopId,
         url: url,
-        status: 'starting',
+        status: data.status || 'queued',
         progress: 0,
         startTime: new Date().toISOString(),
-        workshopInfo: data.workshopInfo
+        workshopInfo: data.workshopInfo,
+        queuePosition: data.queuePosition,
+        estimatedWaitTime: data.estimatedWaitTime,
+        type: data.type,
+        mode: data.mode,
+        items: data.items,
+        dependencies: data.dependencies,
+        fromCache: data.fromCache,
+        format: data.format,
+        delivery: data.delivery,
+        rangeSupported: data.rangeSupported,
+        layout: data.layout,
+        modParameter: data.modParameter,
+        statusToken: data.statusToken
       };
 
       setDownloads(prev => [newDownload, ...prev]);
       setUrl('');
       setWorkshopInfo(null);
+      setCollectionInfo(null);
       
-      pollDownloadStatus(data.downloadId);
+      watchDownloadStatus(data.downloadId, data.statusToken);
 
     } catch (error) {
       setError(error.message);
@@ -170,11 +273,62 @@ export default function Home() {
     }
   };
 
-  const pollDownloadStatus = async (downloadId) => {
+  // Push updates via Server-Sent Events, falling back to polling if the stream fails
+  const watchDownloadStatus = (downloadId, statusToken) => {
+    if (typeof window === 'undefined' || !window.EventSource || !statusToken) {
+      pollDownloadStatus(downloadId, statusToken);
+      return;
+    }
+
+    const apiUrl = getApiUrl();
+    const stream = new EventSource(
+      `${apiUrl}/api/status/${downloadId}/events?token=${encodeURIComponent(statusToken)}`,
+      { withCredentials: true }
+    );
+    statusStreamsRef.current.set(downloadId, stream);
+
+    const closeStream = () => {
+      stream.close();
+      statusStreamsRef.current.delete(downloadId);
+    };
+
+    const applyStatus = (event) => {
+      const status = JSON.parse(event.data);
+      setDownloads(prev => prev.map(download =>
+        download.id === downloadId
+          ? { ...download, ...status }
+          : download
+      ));
+    };
+
+    stream.addEventListener('status', applyStatus);
+    stream.addEventListener('complete', (event) => {
+      applyStatus(event);
+      closeStream();
+    });
+    stream.addEventListener('removed', closeStream);
+
+    stream.onerror = () => {
+      // EventSource would keep reconnecting on its own - switch to polling instead
+      closeStream();
+      pollDownloadStatus(downloadId, statusToken);
+    };
+  };
+
+  // Close open streams when leaving the page
+  useEffect(() => {
+    const streams = statusStreamsRef.current;
+    return () => {
+      streams.forEach(stream => stream.close());
+      streams.clear();
+    };
+  }, []);
+
+  const pollDownloadStatus = async (downloadId, statusToken) => {
     const poll = async () => {
       try {
         const apiUrl = getApiUrl();
-        const response = await fetch(`${apiUrl}/api/status/${downloadId}`, {
+        const response = await fetch(`${apiUrl}/api/status/${downloadId}?token=${encodeURIComponent(statusToken || '')}`, {
           credentials: 'include'
         });
         if (response.ok) {
@@ -186,7 +340,7 @@ export default function Home() {
               : download
           ));
 
-          if (status.status === 'completed' || status.status === 'error') {
+          if (['completed', 'error', 'cancelled'].includes(status.status)) {
             return;
           }
 
@@ -200,58 +354,110 @@ export default function Home() {
     poll();
   };
 
+  // Signed links expire, so a fresh one is requested each time
+  // (statusToken of the job itself, or of its collection for collection items)
+  const requestSignedUrl = async (downloadId, statusToken) => {
+    const apiUrl = getApiUrl();
+    const response = await fetch(`${apiUrl}/api/download/${downloadId}/link`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify({ token: statusToken })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to create download link');
+    }
+
+    return data;
+  };
+
+  const openInNewTab = (url) => {
+    const newTab = window.open(url, '_blank');
+    
+    // Fallback if popup blocked
+    if (!newTab) {
+      // Create a temporary link and click it
+      const a = document.createElement('a');
+      a.href = url;
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+      a.style.display = 'none';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    }
+  };
+
   const downloadFile = async (downloadId, workshopId) => {
     try {
       const download = downloads.find(d => d.id === downloadId);
-      if (download && download.downloadUrl) {
-        // Open direct download URL in new tab for faster download
-        const newTab = window.open(download.downloadUrl, '_blank');
-        
-        // Fallback if popup blocked
-        if (!newTab) {
-          // Create a temporary link and click it
-          const a = document.createElement('a');
-          a.href = download.downloadUrl;
-          a.target = '_blank';
-          a.rel = 'noopener noreferrer';
-          a.style.display = 'none';
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-        }
-        
-        // Remove from downloads list after opening download
-        setTimeout(() => {
-          setDownloads(prev => prev.filter(d => d.id !== downloadId));
-        }, 1000);
-        
-      } else {
-        // Fallback to old method if direct URL not available
-        const apiUrl = getApiUrl();
-        const downloadUrl = `${apiUrl}/api/download/${downloadId}/file`;
-        
-        // Open in new tab
-        const newTab = window.open(downloadUrl, '_blank');
-        
-        if (!newTab) {
-          // Fallback if popup blocked
-          const a = document.createElement('a');
-          a.href = downloadUrl;
-          a.target = '_blank';
-          a.rel = 'noopener noreferrer';
-          a.style.display = 'none';
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-        }
-        
-        // Remove from downloads list
-        setTimeout(() => {
-          setDownloads(prev => prev.filter(d => d.id !== downloadId));
-        }, 1000);
+      const link = await requestSignedUrl(downloadId, download?.statusToken);
+
+      // Open direct download URL in new tab for faster download
+      openInNewTab(link.downloadUrl);
+      
+      // Remove from downloads list after opening download
+      setTimeout(() => {
+        setDownloads(prev => prev.filter(d => d.id !== downloadId));
+      }, 1000);
+
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  // ZIP of one item in a "separate" collection - signed with the collection's token
+  const downloadCollectionItem = async (itemDownloadId, collection) => {
+    try {
+      const link = await requestSignedUrl(itemDownloadId, collection.statusToken);
+      openInNewTab(link.downloadUrl);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  // Copy a value and briefly show "Copied!" on the button that was clicked
+  const copyText = async (text, button) => {
+    try {
+      await navigator.clipboard.writeText(text);
+
+      const originalText = button.textContent;
+      button.textContent = 'Copied!';
+      setTimeout(() => {
+        button.textContent = originalText;
+      }, 2000);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  // Ask the server to watch the mod and report when its author pushes an update
+  const watchForUpdates = async (workshopId) => {
+    setWatchedItems(prev => ({ ...prev, [workshopId]: 'saving' }));
+
+    try {
+      const apiUrl = getApiUrl();
+      const response = await fetch(`${apiUrl}/api/watchlist`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ workshopId })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to watch workshop item');
       }
 
+      setWatchedItems(prev => ({ ...prev, [workshopId]: 'watched' }));
     } catch (error) {
+      setWatchedItems(prev => ({ ...prev, [workshopId]: null }));
       setError(error.message);
     }
   };
@@ -259,8 +465,16 @@ export default function Home() {
   const copyDownloadUrl = async (downloadId) => {
     try {
       const download = downloads.find(d => d.id === downloadId);
-      if (download && download.downloadUrl) {
-        await navigator.clipboard.writeText(download.downloadUrl);
+      if (download && download.linkUrl) {
+        const link = await requestSignedUrl(downloadId, download.statusToken);
+        await navigator.clipboard.writeText(link.downloadUrl);
+
+        setDownloads(prev => prev.map(d =>
+          d.id === downloadId
+            ? { ...d, signedUrl: link.downloadUrl, signedUrlExpiresAt: link.expiresAt }
+            : d
+        ));
+
         // Show success feedback
         const button = document.querySelector(`[data-copy-id="${downloadId}"]`);
         if (button) {
@@ -273,14 +487,222 @@ export default function Home() {
       }
     } catch (error) {
       console.error('Error copying URL:', error);
+      setError(error.message);
+    }
+  };
+
+  // Stop a queued or running job on the server (SteamCMD is killed, partial files removed)
+  const cancelDownload = async (download) => {
+    setDownloads(prev => prev.map(d =>
+      d.id === download.id ? { ...d, cancelling: true } : d
+    ));
+
+    try {
+      const apiUrl = getApiUrl();
+      const response = await fetch(`${apiUrl}/api/download/${download.id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ token: download.statusToken })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel download');
+      }
+
+      setDownloads(prev => prev.map(d =>
+        d.id === download.id ? { ...d, status: data.status, cancelling: false } : d
+      ));
+    } catch (error) {
+      console.error('Cancel error:', error);
+      setError(error.message);
+      setDownloads(prev => prev.map(d =>
+        d.id === download.id ? { ...d, cancelling: false } : d
+      ));
+    }
+  };
+
+  const updateFileBrowser = (downloadId, changes) => {
+    setFileBrowsers(prev => ({
+      ...prev,
+      [downloadId]: { ...prev[downloadId], ...changes }
+    }));
+  };
+
+  // Show the files of a finished job (listing is loaded once, then only toggled)
+  const toggleFileBrowser = async (download) => {
+    const browser = fileBrowsers[download.id];
+    if (browser?.open) {
+      updateFileBrowser(download.id, { open: false });
+      return;
+    }
+    if (browser?.files) {
+      updateFileBrowser(download.id, { open: true });
+      return;
+    }
+
+    updateFileBrowser(download.id, { open: true, loading: true, error: null, expanded: [], selected: [] });
+
+    try {
+      const apiUrl = getApiUrl();
+      const response = await fetch(
+        `${apiUrl}/api/download/${download.id}/files?token=${encodeURIComponent(download.statusToken)}`,
+        { credentials: 'include' }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load files');
+      }
+
+      updateFileBrowser(download.id, {
+        loading: false,
+        files: data.files,
+        totalSize: data.totalSize,
+        truncated: data.truncated,
+        maxSelectedPaths: data.maxSelectedPaths
+      });
+    } catch (error) {
+      updateFileBrowser(download.id, { loading: false, error: error.message });
+    }
+  };
+
+  // Nest the flat path list into folders for the tree view
+  const buildFileTree = (files) => {
+    const root = { name: '', path: '', folders: {}, files: [] };
+
+    for (const file of files) {
+      const parts = file.path.split('/');
+      let node = root;
+      parts.slice(0, -1).forEach((part) => {
+        if (!node.folders[part]) {
+          node.folders[part] = {
+            name: part,
+            path: node.path ? `${node.path}/${part}` : part,
+            folders: {},
+            files: []
+          };
+        }
+        node = node.folders[part];
+      });
+      node.files.push({ ...file, name: parts[parts.length - 1] });
     }
+
+    return root;
+  };
+
+  const getTreeFilePaths = (node) => [
+    ...node.files.map(file => file.path),
+    ...Object.values(node.folders).flatMap(getTreeFilePaths)
+  ];
+
+  // Fully selected folders are sent as one path to keep the URL short
+  // (not when the listing was truncated - the folder may hold more than what is shown)
+  const getSelectionPaths = (node, selected, collapseFolders) => {
+    const paths = node.files.filter(file => selected.has(file.path)).map(file => file.path);
+
+    Object.values(node.folders).forEach((folder) => {
+      const folderFiles = getTreeFilePaths(folder);
+      if (collapseFolders && folderFiles.length > 0 && folderFiles.every(filePath => selected.has(filePath))) {
+        paths.push(folder.path);
+      } else {
+        paths.push(...getSelectionPaths(folder, selected, collapseFolders));
+      }
+    });
+
+    return paths;
+  };
+
+  const toggleFolderExpanded = (downloadId, folderPath) => {
+    const expanded = fileBrowsers[downloadId]?.expanded || [];
+    updateFileBrowser(downloadId, {
+      expanded: expanded.includes(folderPath)
+        ? expanded.filter(expandedPath => expandedPath !== folderPath)
+        : [...expanded, folderPath]
+    });
+  };
+
+  const setFilesSelected = (downloadId, filePaths, checked) => {
+    const selected = new Set(fileBrowsers[downloadId]?.selected || []);
+    filePaths.forEach(filePath => (checked ? selected.add(filePath) : selected.delete(filePath)));
+    updateFileBrowser(downloadId, { selected: [...selected] });
+  };
+
+  // One file comes as-is, more files come as a smaller archive in the job's format
+  const downloadSelectedFiles = (download) => {
+    const browser = fileBrowsers[download.id];
+    const paths = getSelectionPaths(buildFileTree(browser.files), new Set(browser.selected), !browser.truncated);
+    if (paths.length === 0) return;
+
+    if (browser.maxSelectedPaths && paths.length > browser.maxSelectedPaths) {
+      setError(`Select at most ${browser.maxSelectedPaths} files or folders at once`);
+      return;
+    }
+
+    const params = new URLSearchParams({ token: download.statusToken });
+    paths.forEach(filePath => params.append('path', filePath));
+    openInNewTab(`${getApiUrl()}/api/download/${download.id}/files/download?${params.toString()}`);
+  };
+
+  const renderFileTree = (download, node, browser) => {
+    const selected = new Set(browser.selected);
+
+    return (
+      <ul className="file-tree">
+        {Object.values(node.folders).map((folder) => {
+          const folderFiles = getTreeFilePaths(folder);
+          const checkedCount = folderFiles.filter(filePath => selected.has(filePath)).length;
+          const isExpanded = browser.expanded.includes(folder.path);
+
+          return (
+            <li key={folder.path}>
+              <div className="file-tree-row">
+                <input
+                  type="checkbox"
+                  checked={folderFiles.length > 0 && checkedCount === folderFiles.length}
+                  ref={(el) => {
+                    if (el) el.indeterminate = checkedCount > 0 && checkedCount < folderFiles.length;
+                  }}
+                  onChange={(e) => setFilesSelected(download.id, folderFiles, e.target.checked)}
+                />
+                <button
+                  onClick={() => toggleFolderExpanded(download.id, folder.path)}
+                  className="file-tree-folder"
+                >
+                  {isExpanded ? '▾' : '▸'} {folder.name}/
+                </button>
+                <span className="file-tree-size">{folderFiles.length} files</span>
+              </div>
+              {isExpanded && renderFileTree(download, folder, browser)}
+            </li>
+          );
+        })}
+        {node.files.map((file) => (
+          <li key={file.path}>
+            <label className="file-tree-row">
+              <input
+                type="checkbox"
+                checked={selected.has(file.path)}
+                onChange={(e) => setFilesSelected(download.id, [file.path], e.target.checked)}
+              />
+              <span className="file-tree-name">{file.name}</span>
+              <span className="file-tree-size">{formatFileSize(file.size)}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    );
   };
 
   const removeDownload = async (downloadId) => {
     try {
-      // Cleanup on server
+      // Cleanup on server (only the status token holder may remove a job)
       const apiUrl = getApiUrl();
-      await fetch(`${apiUrl}/api/cleanup/${downloadId}`, {
+      const statusToken = downloads.find(d => d.id === downloadId)?.statusToken || '';
+      await fetch(`${apiUrl}/api/cleanup/${downloadId}?token=${encodeURIComponent(statusToken)}`, {
         method: 'DELETE',
         credentials: 'include'
       });
@@ -288,18 +710,26 @@ export default function Home() {
       console.error('Cleanup error:', error);
     } finally {
       // Remove from local state
+      statusStreamsRef.current.get(downloadId)?.close();
+      statusStreamsRef.current.delete(downloadId);
       setDownloads(prev => prev.filter(d => d.id !== downloadId));
     }
   };
 
+  const getFormatExtension = (formatId) => {
+    return archiveFormats.find(format => format.id === formatId)?.extension || 'zip';
+  };
+
   const getStatusText = (status) => {
     const statusMap = {
+      'queued': 'Queued',
       'starting': 'Initializing',
       'preparing': 'Preparing',
       'downloading': 'Downloading',
       'creating_archive': 'Creating Archive',
       'completed': 'Ready',
-      'error': 'Error'
+      'error': 'Error',
+      'cancelled': 'Cancelled'
     };
     return statusMap[status] || status;
   };
@@ -308,6 +738,7 @@ export default function Home() {
     switch (status) {
       case 'completed': return '✓';
       case 'error': return '✗';
+      case 'cancelled': return '⊘';
       default: return '⏳';
     }
   };
@@ -316,6 +747,7 @@ export default function Home() {
     switch (status) {
       case 'completed': return 'status-success';
       case 'error': return 'status-error';
+      case 'cancelled': return 'status-cancelled';
       default: return 'status-processing';
     }
   };
@@ -324,6 +756,7 @@ export default function Home() {
     switch (status) {
       case 'completed': return 'progress-success';
       case 'error': return 'progress-error';
+      case 'cancelled': return 'progress-cancelled';
       default: return 'progress-processing';
     }
   };
@@ -536,6 +969,124 @@ export default function Home() {
                     </div>
                   </div>
                 )}
+
+                {workshopInfo.isValid && workshopInfo.requiredItems?.length > 0 && (
+                  <div className="required-items">
+                    <div className="required-items-header">
+                      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                        <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+                      </svg>
+                      <span>Required items ({workshopInfo.requiredItems.length})</span>
+                    </div>
+                    <ul className="required-items-list">
+                      {workshopInfo.requiredItems.map((item) => (
+                        <li key={item.workshopId}>
+                          <a
+                            href={`https://steamcommunity.com/sharedfiles/filedetails/?id=${item.workshopId}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            {item.title}
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                    <label className="dependency-toggle">
+                      <input
+                        type="checkbox"
+                        checked={includeDependencies}
+                        onChange={(e) => setIncludeDependencies(e.target.checked)}
+                        disabled={isLoading}
+                      />
+                      <span>
+                        Also download required items (including their dependencies)
+                        {includeDependencies && resolvingDependencies && ' - resolving...'}
+                        {includeDependencies && dependencyTree && ` - ${dependencyTree.count} item${dependencyTree.count === 1 ? '' : 's'} in total`}
+                      </span>
+                    </label>
+                  </div>
+                )}
+
+                {collectionInfo && (
+                  <div className="collection-preview">
+                    <div className="collection-header">
+                      <span className="collection-count">Collection • {collectionInfo.itemCount} items</span>
+                      <select
+                        value={collectionMode}
+                        onChange={(e) => setCollectionMode(e.target.value)}
+                        className="collection-mode-select"
+                        disabled={isLoading}
+                      >
+                        <option value="combined">Single combined archive</option>
+                        <option value="separate">One archive per mod</option>
+                      </select>
+                    </div>
+                    <ul className="collection-list">
+                      {collectionInfo.items.map((item) => (
+                        <li key={item.workshopId} className={item.isValid && item.isDayZ ? '' : 'skipped'}>
+                          <span className="collection-item-title">{item.title}</span>
+                          <span className="collection-item-size">
+                            {item.isValid && item.isDayZ ? item.fileSize : 'Skipped'}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {archiveFormats.length > 0 && (
+                  <div className="archive-format">
+                    <label htmlFor="archive-format">Archive format</label>
+                    <select
+                      id="archive-format"
+                      value={archiveFormat}
+                      onChange={(e) => setArchiveFormat(e.target.value)}
+                      className="collection-mode-select"
+                      disabled={isLoading}
+                    >
+                      {archiveFormats.map((format) => (
+                        <option key={format.id} value={format.id} disabled={!format.available}>
+                          {format.label} (.{format.extension}){format.available ? '' : ' - unavailable'}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className="archive-format">
+                  <label htmlFor="package-layout">Packaging</label>
+                  <select
+                    id="package-layout"
+                    value={packageLayout}
+                    onChange={(e) => setPackageLayout(e.target.value)}
+                    className="collection-mode-select"
+                    disabled={isLoading}
+                  >
+                    <option value="default">Workshop folder as-is</option>
+                    <option value="server">Server-ready (@ModName + keys/)</option>
+                  </select>
+                </div>
+
+                {!collectionInfo && (
+                  <div className="stream-delivery">
+                    <label className="dependency-toggle">
+                      <input
+                        type="checkbox"
+                        checked={streamDelivery}
+                        onChange={(e) => setStreamDelivery(e.target.checked)}
+                        disabled={isLoading}
+                      />
+                      <span>Stream the archive instead of preparing a file</span>
+                    </label>
+                    {streamDelivery && (
+                      <p className="stream-delivery-note">
+                        The archive is built while you download it. The file size is unknown in advance and
+                        pausing or resuming is not possible - an interrupted download has to start over.
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
             )}
 
@@ -618,6 +1169,23 @@ export default function Home() {
                               {download.workshopInfo.author}
                             </span>
                           )}
+                          {download.dependencies?.length > 0 && (
+                            <span className="meta-item">
+                              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+                              </svg>
+                              +{download.dependencies.length} required
+                            </span>
+                          )}
+                          {download.fromCache && (
+                            <span className="meta-item">
+                              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <polygon points="13,2 3,14 12,14 11,22 21,10 12,10 13,2"/>
+                              </svg>
+                              From cache
+                            </span>
+                          )}
                           {download.fileSize && (
                             <span className="meta-item">
                               <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -627,6 +1195,14 @@ export default function Home() {
                               {formatFileSize(download.fileSize)}
                             </span>
                           )}
+                          {download.delivery === 'stream' && !download.fileSize && (
+                            <span className="meta-item" title="Built on the fly - pause/resume is not supported">
+                              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <polyline points="22,12 18,12 15,21 9,3 6,12 2,12"/>
+                              </svg>
+                              Streamed{download.contentSize ? ` • ~${formatFileSize(download.contentSize)} before compression` : ''} • no resume
+                            </span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -634,20 +1210,74 @@ export default function Home() {
                     <div className="download-actions">
                       {download.status === 'completed' ? (
                         <div className="completed-actions">
-                          <button
-                            onClick={() => downloadFile(download.id, download.workshopId)}
-                            className="dark-button success-button"
-                            title="Open download in new tab for faster downloading"
-                          >
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                              <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
-                              <polyline points="15,3 21,3 21,9"/>
-                              <line x1="10" y1="14" x2="21" y2="3"/>
-                            </svg>
-                            <span>Download ZIP</span>
-                          </button>
+                          {!(download.type === 'collection' && download.mode === 'separate') && (
+                            <button
+                              onClick={() => downloadFile(download.id, download.workshopId)}
+                              className="dark-button success-button"
+                              title="Open download in new tab for faster downloading"
+                            >
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
+                                <polyline points="15,3 21,3 21,9"/>
+                                <line x1="10" y1="14" x2="21" y2="3"/>
+                              </svg>
+                              <span>Download {getFormatExtension(download.format).toUpperCase()}</span>
+                            </button>
+                          )}
+
+                          {download.sha256 && (
+                            <div className="archive-hash">
+                              <button
+                                onClick={(e) => copyText(download.sha256, e.currentTarget)}
+                                className="archive-hash-value"
+                                title={`SHA-256: ${download.sha256} (click to copy)`}
+                              >
+                                SHA-256 {download.sha256.substring(0, 12)}…
+                              </button>
+                              {download.checksums?.manifestUrl && (
+                                <a
+                                  href={`${getApiUrl()}${download.checksums.manifestUrl}?token=${encodeURIComponent(download.statusToken || '')}`}
+                                  className="collection-item-link"
+                                  title="SHA-256 of the archive and every file inside it"
+                                >
+                                  SHA256SUMS
+                                </a>
+                              )}
+                            </div>
+                          )}
                           
-                          {download.downloadUrl && (
+                          {download.type !== 'collection' && !download.fromCache && download.statusToken && (
+                            <button
+                              onClick={() => toggleFileBrowser(download)}
+                              className="dark-button secondary-button"
+                            >
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+                              </svg>
+                              <span>{fileBrowsers[download.id]?.open ? 'Hide Files' : 'Browse Files'}</span>
+                            </button>
+                          )}
+
+                          {download.type !== 'collection' && (
+                            <button
+                              onClick={() => watchForUpdates(download.workshopId)}
+                              className="dark-button secondary-button"
+                              title="Get notified when the author updates this mod"
+                              disabled={!!watchedItems[download.workshopId]}
+                            >
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                                <circle cx="12" cy="12" r="3"/>
+                              </svg>
+                              <span>
+                                {watchedItems[download.workshopId] === 'watched'
+                                  ? 'Watching'
+                                  : watchedItems[download.workshopId] === 'saving' ? 'Saving...' : 'Watch for Updates'}
+                              </span>
+                            </button>
+                          )}
+
+                          {download.linkUrl && (
                             <button
                               onClick={() => copyDownloadUrl(download.id)}
                               className="dark-button secondary-button"
@@ -671,7 +1301,7 @@ export default function Home() {
                             </svg>
                           </button>
                         </div>
-                      ) : download.status === 'error' ? (
+                      ) : ['error', 'cancelled'].includes(download.status) ? (
                         <button
                           onClick={() => removeDownload(download.id)}
                           className="dark-button danger-button"
@@ -685,7 +1315,19 @@ export default function Home() {
                       ) : (
                         <div className="processing-status">
                           <div className="loading-spinner small" />
-                          <span>Processing...</span>
+                          <span>{download.status === 'queued' ? 'Waiting in queue...' : 'Processing...'}</span>
+                          {download.statusToken && (
+                            <button
+                              onClick={() => cancelDownload(download)}
+                              disabled={download.cancelling}
+                              className="dark-button cancel-button"
+                            >
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <rect x="6" y="6" width="12" height="12" rx="1"/>
+                              </svg>
+                              <span>{download.cancelling ? 'Cancelling...' : 'Cancel'}</span>
+                            </button>
+                          )}
                         </div>
                       )}
                     </div>
@@ -724,12 +1366,128 @@ export default function Home() {
                         >
                           <div className="progress-glow"></div>
                         </div>
-                      </div>
+                      </div>
+                    </div>
+
+                    {download.status === 'queued' && download.queuePosition > 0 && (
+                      <div className="queue-info">
+                        <span>Position in queue: <strong>#{download.queuePosition}</strong></span>
+                        <span>Estimated wait: <strong>{formatDuration(download.estimatedWaitTime)}</strong></span>
+                      </div>
+                    )}
+
+                    {download.status === 'downloading' && download.bytesDownloaded > 0 && (
+                      <div className="transfer-info">
+                        <span>
+                          <strong>{formatFileSize(download.bytesDownloaded)}</strong>
+                          {download.bytesTotal ? ` / ${formatFileSize(download.bytesTotal)}` : ''}
+                        </span>
+                        {download.downloadPhase === 'validating' ? (
+                          <span>Validating files...</span>
+                        ) : (
+                          <>
+                            {download.speed > 0 && <span>{formatFileSize(download.speed)}/s</span>}
+                            {download.eta !== null && download.eta !== undefined && (
+                              <span>ETA: <strong>{formatDuration(download.eta)}</strong></span>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Collection children */}
+                  {download.type === 'collection' && download.items?.length > 0 && (
+                    <div className="collection-items">
+                      {download.items.map((item) => (
+                        <div key={item.downloadId} className="collection-item-row">
+                          <div className="collection-item-info">
+                            <span className="collection-item-title">{item.title || item.workshopId}</span>
+                            <span className={`collection-item-status ${getStatusClass(item.status)}`}>
+                              {getStatusText(item.status)}
+                            </span>
+                          </div>
+                          <div className="collection-item-progress">
+                            <div className="progress-track small">
+                              <div
+                                className={`progress-fill ${getProgressClass(item.status)}`}
+                                style={{ width: `${item.progress || 0}%` }}
+                              />
+                            </div>
+                            <span className="collection-item-percent">{item.progress || 0}%</span>
+                            {item.linkUrl && (
+                              <button
+                                onClick={() => downloadCollectionItem(item.downloadId, download)}
+                                className="collection-item-link"
+                              >
+                                ZIP
+                              </button>
+                            )}
+                          </div>
+                          {item.error && <p className="collection-item-error">{item.error}</p>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Launch parameter for server-ready packaging */}
+                  {download.modParameter && (
+                    <div className="mod-parameter">
+                      <span className="mod-parameter-label">Server launch parameter</span>
+                      <div className="url-display">
+                        <code className="download-url-text">{download.modParameter}</code>
+                        <button
+                          onClick={(e) => copyText(download.modParameter, e.currentTarget)}
+                          className="collection-item-link"
+                        >
+                          Copy
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Files of a finished job */}
+                  {fileBrowsers[download.id]?.open && (
+                    <div className="file-browser">
+                      <div className="file-browser-header">
+                        <span>
+                          Files
+                          {fileBrowsers[download.id].files && ` • ${fileBrowsers[download.id].files.length} files, ${formatFileSize(fileBrowsers[download.id].totalSize)}`}
+                        </span>
+                        <button
+                          onClick={() => downloadSelectedFiles(download)}
+                          disabled={!fileBrowsers[download.id].selected?.length}
+                          className="dark-button success-button"
+                        >
+                          <span>
+                            {fileBrowsers[download.id].selected?.length === 1
+                              ? 'Download File'
+                              : `Download ${fileBrowsers[download.id].selected?.length || 0} Files as ${getFormatExtension(download.format).toUpperCase()}`}
+                          </span>
+                        </button>
+                      </div>
+                      {fileBrowsers[download.id].loading && (
+                        <div className="processing-status">
+                          <div className="loading-spinner small" />
+                          <span>Loading files...</span>
+                        </div>
+                      )}
+                      {fileBrowsers[download.id].error && (
+                        <p className="collection-item-error">{fileBrowsers[download.id].error}</p>
+                      )}
+                      {fileBrowsers[download.id].files && (
+                        <div className="file-tree-container">
+                          {renderFileTree(download, buildFileTree(fileBrowsers[download.id].files), fileBrowsers[download.id])}
+                        </div>
+                      )}
+                      {fileBrowsers[download.id].truncated && (
+                        <p className="file-browser-note">Only the first {fileBrowsers[download.id].files.length} files are listed.</p>
+                      )}
                     </div>
-                  </div>
+                  )}
 
                   {/* Download URL Display */}
-                  {download.downloadUrl && download.status === 'completed' && (
+                  {download.linkUrl && download.status === 'completed' && (
                     <div className="download-url-section">
                       <div className="url-header">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -740,9 +1498,11 @@ export default function Home() {
                       </div>
                       <div className="url-display">
                         <code className="download-url-text">
-                          {download.downloadUrl.length > 60 
-                            ? `${download.downloadUrl.substring(0, 60)}...` 
-                            : download.downloadUrl
+                          {download.signedUrl
+                            ? (download.signedUrl.length > 60 
+                              ? `${download.signedUrl.substring(0, 60)}...` 
+                              : download.signedUrl)
+                            : 'A signed link is created when you download or copy the URL'
                           }
                         </code>
                       </div>
@@ -753,14 +1513,17 @@ export default function Home() {
                             <path d="M12 16v-4"/>
                             <path d="M12 8h.01"/>
                           </svg>
-                          <span>Click "Download ZIP" to open in new tab for faster downloads</span>
+                          <span>Click "Download" to open in new tab for faster downloads</span>
                         </div>
                         <div className="tip-item">
                           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                             <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
                             <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
                           </svg>
-                          <span>Copy URL for use with download managers like IDM</span>
+                          <span>
+                            Copy URL for use with download managers like IDM
+                            {download.signedUrlExpiresAt && ` (link expires ${new Date(download.signedUrlExpiresAt).toLocaleString()})`}
+                          </span>
                         </div>
                       </div>
                     </div>
@@ -907,7 +1670,7 @@ export default function Home() {
                 <h4>Download Instructions</h4>
                 <p>
                   This service supports files up to 10GB and only works with public DayZ workshop items. 
-                  The "Download ZIP" button opens a new tab for faster downloads, especially for large files. 
+                  The "Download" button opens a new tab for faster downloads, especially for large files. 
                   You can also copy the direct download URL to use with download managers. 
                   The system automatically cleans up temporary files to maintain server performance.
                 </p>
@@ -1338,6 +2101,17 @@ export default function Home() {
           box-shadow: 0 12px 35px rgba(239, 68, 68, 0.4);
         }
 
+        .cancel-button {
+          background: rgba(239, 68, 68, 0.15);
+          color: #f87171;
+          border-color: rgba(239, 68, 68, 0.3);
+          padding: 0.5rem 0.875rem;
+        }
+
+        .cancel-button:hover:not(:disabled) {
+          background: rgba(239, 68, 68, 0.25);
+        }
+
         .remove-button {
           background: rgba(71, 85, 105, 0.4);
           color: #94a3b8;
@@ -1680,6 +2454,11 @@ export default function Home() {
           background: rgba(248, 113, 113, 0.1);
           border-color: rgba(248, 113, 113, 0.3);
         }
+        .status-cancelled { 
+          color: #94a3b8; 
+          background: rgba(148, 163, 184, 0.1);
+          border-color: rgba(148, 163, 184, 0.3);
+        }
 
         .progress-percentage {
           color: #cbd5e1;
@@ -1720,6 +2499,350 @@ export default function Home() {
           background: linear-gradient(90deg, #ef4444, #f87171);
         }
 
+        .progress-cancelled {
+          background: linear-gradient(90deg, #475569, #94a3b8);
+        }
+
+        .required-items {
+          margin-top: 1rem;
+          padding-top: 1rem;
+          border-top: 1px solid rgba(71, 85, 105, 0.3);
+        }
+
+        .required-items-header {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          color: #fbbf24;
+          font-weight: 600;
+          font-size: 0.875rem;
+          margin-bottom: 0.5rem;
+        }
+
+        .required-items-list {
+          list-style: none;
+          margin: 0 0 0.75rem 0;
+          padding: 0;
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+        }
+
+        .required-items-list a {
+          display: inline-block;
+          padding: 0.25rem 0.75rem;
+          border-radius: 12px;
+          background: rgba(251, 191, 36, 0.1);
+          border: 1px solid rgba(251, 191, 36, 0.3);
+          color: #fde68a;
+          font-size: 0.75rem;
+          text-decoration: none;
+        }
+
+        .dependency-toggle {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          color: #cbd5e1;
+          font-size: 0.8rem;
+          cursor: pointer;
+        }
+
+        .archive-hash {
+          display: flex;
+          flex-direction: column;
+          align-items: flex-start;
+          gap: 0.2rem;
+        }
+
+        .archive-hash-value {
+          background: none;
+          border: none;
+          padding: 0;
+          color: #94a3b8;
+          font-family: monospace;
+          font-size: 0.75rem;
+          cursor: pointer;
+        }
+
+        .archive-hash-value:hover {
+          color: #e2e8f0;
+        }
+
+        .mod-parameter {
+          margin-top: 1rem;
+        }
+
+        .mod-parameter-label {
+          display: block;
+          margin-bottom: 0.5rem;
+          color: #cbd5e1;
+          font-size: 0.8rem;
+          font-weight: 600;
+        }
+
+        .mod-parameter .url-display {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+        }
+
+        .file-browser {
+          margin-top: 1rem;
+          padding: 1rem;
+          background: rgba(15, 23, 42, 0.5);
+          border: 1px solid rgba(71, 85, 105, 0.3);
+          border-radius: 12px;
+        }
+
+        .file-browser-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 1rem;
+          margin-bottom: 0.75rem;
+          color: #cbd5e1;
+          font-size: 0.875rem;
+          font-weight: 600;
+        }
+
+        .file-tree-container {
+          max-height: 320px;
+          overflow-y: auto;
+        }
+
+        .file-tree {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .file-tree .file-tree {
+          padding-left: 1.25rem;
+        }
+
+        .file-tree-row {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.2rem 0;
+          color: #cbd5e1;
+          font-size: 0.8rem;
+          cursor: pointer;
+        }
+
+        .file-tree-folder {
+          background: none;
+          border: none;
+          padding: 0;
+          color: #e2e8f0;
+          font-size: 0.8rem;
+          cursor: pointer;
+        }
+
+        .file-tree-name {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .file-tree-size {
+          margin-left: auto;
+          color: #64748b;
+          font-size: 0.75rem;
+          white-space: nowrap;
+        }
+
+        .file-browser-note {
+          margin: 0.5rem 0 0;
+          color: #94a3b8;
+          font-size: 0.75rem;
+        }
+
+        .stream-delivery {
+          margin-top: 1rem;
+          padding-top: 1rem;
+          border-top: 1px solid rgba(71, 85, 105, 0.3);
+        }
+
+        .stream-delivery-note {
+          margin: 0.5rem 0 0;
+          color: #fbbf24;
+          font-size: 0.75rem;
+          line-height: 1.4;
+        }
+
+        .collection-preview {
+          margin-top: 1rem;
+          padding-top: 1rem;
+          border-top: 1px solid rgba(71, 85, 105, 0.3);
+        }
+
+        .collection-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 1rem;
+          margin-bottom: 0.75rem;
+        }
+
+        .collection-count {
+          color: #cbd5e1;
+          font-weight: 600;
+          font-size: 0.875rem;
+        }
+
+        .archive-format {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 0.75rem;
+          margin-top: 1rem;
+          padding-top: 1rem;
+          border-top: 1px solid rgba(71, 85, 105, 0.3);
+          color: #cbd5e1;
+          font-size: 0.8rem;
+        }
+
+        .collection-mode-select {
+          background: rgba(30, 41, 59, 0.8);
+          border: 1px solid rgba(71, 85, 105, 0.4);
+          border-radius: 8px;
+          color: #e2e8f0;
+          padding: 0.4rem 0.75rem;
+          font-size: 0.8rem;
+        }
+
+        .collection-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 220px;
+          overflow-y: auto;
+        }
+
+        .collection-list li {
+          display: flex;
+          justify-content: space-between;
+          gap: 1rem;
+          padding: 0.4rem 0;
+          font-size: 0.8rem;
+          color: #cbd5e1;
+          border-bottom: 1px solid rgba(71, 85, 105, 0.2);
+        }
+
+        .collection-list li.skipped {
+          color: #64748b;
+          text-decoration: line-through;
+        }
+
+        .collection-item-size {
+          color: #94a3b8;
+          flex-shrink: 0;
+        }
+
+        .collection-items {
+          margin-top: 1rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .collection-item-row {
+          padding: 0.6rem 0.75rem;
+          background: rgba(15, 23, 42, 0.6);
+          border: 1px solid rgba(71, 85, 105, 0.3);
+          border-radius: 8px;
+        }
+
+        .collection-item-info {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.75rem;
+          margin-bottom: 0.4rem;
+          font-size: 0.8rem;
+        }
+
+        .collection-item-title {
+          color: #e2e8f0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .collection-item-status {
+          font-size: 0.7rem;
+          padding: 0.15rem 0.5rem;
+          border-radius: 10px;
+          border: 1px solid;
+          flex-shrink: 0;
+        }
+
+        .collection-item-progress {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .progress-track.small {
+          height: 6px;
+          flex: 1;
+        }
+
+        .collection-item-percent {
+          color: #94a3b8;
+          font-size: 0.75rem;
+          min-width: 2.5rem;
+          text-align: right;
+        }
+
+        .collection-item-link {
+          color: #4ade80;
+          font-size: 0.75rem;
+          font-weight: 600;
+          text-decoration: none;
+          background: none;
+          border: none;
+          padding: 0;
+          cursor: pointer;
+        }
+
+        .collection-item-error {
+          margin: 0.4rem 0 0 0;
+          font-size: 0.75rem;
+          color: #fca5a5;
+        }
+
+        .queue-info {
+          display: flex;
+          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          margin-top: 0.75rem;
+          font-size: 0.8rem;
+          color: #94a3b8;
+        }
+
+        .queue-info strong {
+          color: #22d3ee;
+        }
+
+        .transfer-info {
+          display: flex;
+          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          margin-top: 0.75rem;
+          font-size: 0.8rem;
+          color: #94a3b8;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .transfer-info strong {
+          color: #60a5fa;
+        }
+
         .progress-glow {
           position: absolute;
           top: 0;
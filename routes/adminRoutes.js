@@ -1,4 +1,5 @@
 const express = require('express');
+const crypto = require('crypto');
 const geoip = require('geoip-lite');
 const useragent = require('useragent');
 const bcrypt = require('bcryptjs');
@@ -11,37 +12,43 @@ const {
   sequelize,
   DownloadHistory,
   UserSession,
+  AdminUser,
   AdminSession,
   LoginAttempt,
-  SystemStats
+  SystemStats,
+  WatchlistItem,
+  WorkshopUpdate,
+  Webhook,
+  WebhookDelivery,
+  ApiKey
 } = require('../models');
+const contentCache = require('../utils/contentCache');
+const signedUrls = require('../utils/signedUrls');
+const watchlistScheduler = require('../utils/watchlistScheduler');
+const webhookDispatcher = require('../utils/webhookDispatcher');
+const apiKeys = require('../utils/apiKeys');
+const sessionService = require('../utils/sessionService');
+const auditLog = require('../utils/auditLog');
+const { ADMIN_ROLES, isAdminRole, getPermissions, hasPermission, isTwoFactorRequired } = require('../utils/adminRoles');
+const totp = require('../utils/totp');
+const { requireSecret } = require('../utils/secrets');
 
-// Admin credentials from environment variables
-const ADMIN_CREDENTIALS = {
-  username: process.env.ADMIN_USERNAME || 'admin',
-  passwordHash: process.env.ADMIN_PASSWORD_HASH || '$2a$13$defaulthash'
-};
+// Admin accounts live in admin_users; ADMIN_USERNAME/ADMIN_PASSWORD_HASH only seed the first owner
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,50}$/;
+
+// Two-factor authentication (TOTP)
+const TWO_FACTOR_ISSUER = process.env.ADMIN_2FA_ISSUER || 'DayZ Workshop Downloader';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
 
-// JWT Configuration
-const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
-const SESSION_TIMEOUT = parseInt(process.env.SESSION_TIMEOUT) || 86400000; // 24 hours
+// JWT is only used for short-lived 2FA challenge tokens - dashboard sessions are opaque tokens (sessionService)
+const JWT_SECRET = requireSecret('JWT_SECRET');
 
 // Rate limiting configuration
 const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
 const LOCKOUT_TIME = parseInt(process.env.LOCKOUT_TIME) || 900000; // 15 minutes
 
-// Generate JWT token
-const generateToken = (username) => {
-  const payload = {
-    username,
-    role: 'admin',
-    iat: Date.now()
-  };
-  
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-};
-
 // Verify JWT token
 const verifyToken = (token) => {
   try {
@@ -51,62 +58,97 @@ const verifyToken = (token) => {
   }
 };
 
+// Audit log before/after snapshots - only fields an admin can change, never secrets
+const WATCHLIST_AUDIT_FIELDS = ['workshopId', 'title', 'enabled', 'autoDownload', 'notify'];
+const API_KEY_AUDIT_FIELDS = ['name', 'owner', 'scopes', 'dailyQuota', 'maxConcurrent', 'expiresAt', 'revokedAt'];
+const WEBHOOK_AUDIT_FIELDS = ['name', 'url', 'events', 'enabled'];
+
+const pickFields = (instance, fields) => Object.fromEntries(fields.map(field => [field, instance[field] ?? null]));
+
+const toAuditUser = (user) => ({
+  username: user.username,
+  displayName: user.displayName,
+  role: user.role,
+  isActive: user.isActive,
+  twoFactorEnabled: Boolean(user.totpEnabled)
+});
+
+// Create the owner account from .env when admin_users is still empty (first start / upgrade)
+const ensureOwnerAccount = async () => {
+  const count = await AdminUser.count();
+  if (count > 0) return null;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const passwordHash = process.env.ADMIN_PASSWORD_HASH;
+  if (!passwordHash) {
+    console.warn('⚠️  No admin accounts and no ADMIN_PASSWORD_HASH set - nobody can log in to the admin dashboard');
+    return null;
+  }
+
+  const owner = await AdminUser.create({
+    username,
+    passwordHash,
+    role: 'owner',
+    createdBy: 'env'
+  });
+
+  console.log(`👑 Created owner account "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD_HASH`);
+  return owner;
+};
+
+// Route-level permission check; use after verifyAdmin
+const requirePermission = (permission) => (req, res, next) => {
+  // บัญชีที่ถูกบังคับใช้ 2FA แต่ยังไม่ได้ตั้งค่า ใช้ได้แค่หน้า session / 2FA
+  if (req.admin?.twoFactorSetupRequired) {
+    return res.status(403).json({
+      error: 'Two-factor authentication must be set up before using the dashboard',
+      twoFactorSetupRequired: true
+    });
+  }
+  
+  if (hasPermission(req.admin?.role, permission)) {
+    return next();
+  }
+
+  console.log(`⛔ ${req.admin?.username} (${req.admin?.role}) lacks ${permission} for ${req.method} ${req.originalUrl}`);
+  res.status(403).json({
+    error: 'Insufficient permissions',
+    required: permission,
+    role: req.admin?.role || null
+  });
+};
+
 // Enhanced admin authentication middleware
 const verifyAdmin = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    let token = authHeader?.replace('Bearer ', '');
-    
-    console.log('🔐 Verifying admin token:', token?.substring(0, 20) + '...');
-    
-    // Check for session token from admin dashboard
-    if (!token || token === 'admin_session') {
-      // ถ้าเป็น token เก่า ให้หา session ที่ active
-      const session = await AdminSession.findOne({
-        where: {
-          sessionId: {
-            [Op.like]: 'admin_session%' // หา session ที่ขึ้นต้นด้วย admin_session
-          },
-          isActive: true,
-          expiresAt: { [Op.gt]: new Date() }
-        },
-        order: [['loginTime', 'DESC']] // เอา session ล่าสุด
-      });
-      
-      if (session) {
-        console.log(`✅ Found active session: ${session.sessionId}`);
-        req.admin = { username: session.username, role: 'admin' };
-        return next();
+    // API key ที่มี scope admin-read อ่านข้อมูลได้อย่างเดียว
+    if (req.apiKey) {
+      if (!apiKeys.hasScope(req.apiKey, 'admin-read') || req.method !== 'GET') {
+        return res.status(403).json({ error: 'API key is not allowed to use this admin endpoint' });
       }
-      
-      console.log('❌ No active session found');
-      return res.status(401).json({ error: 'Unauthorized' });
+      req.admin = { username: `apikey:${req.apiKey.name}`, role: 'admin-read', apiKeyId: req.apiKey.id };
+      return next();
     }
     
-    // ถ้ามี token ที่ไม่ใช่ admin_session ให้หา session ตาม token นั้น
-    const session = await AdminSession.findOne({
-      where: {
-        sessionId: token,
-        isActive: true,
-        expiresAt: { [Op.gt]: new Date() }
-      }
-    });
+    const token = sessionService.getToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
     
-    if (session) {
-      console.log(`✅ Session verified: ${session.sessionId}`);
-      req.admin = { username: session.username, role: 'admin' };
-      return next();
+    const session = await sessionService.validate(token);
+    if (!session) {
+      console.log('❌ Invalid or expired session');
+      return res.status(401).json({ error: 'Invalid or expired session' });
     }
     
-    // Verify JWT token as fallback
-    const decoded = verifyToken(token);
-    if (!decoded) {
-      console.log('❌ Invalid token');
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    const admin = await sessionService.loadAdmin(session.username);
+    if (!admin) {
+      console.log(`❌ Account disabled or removed: ${session.username}`);
+      return res.status(401).json({ error: 'Admin account is disabled' });
     }
     
-    console.log('✅ JWT token verified');
-    req.admin = decoded;
+    req.admin = { ...admin, sessionId: session.sessionId };
+    req.adminSession = session;
     next();
     
   } catch (error) {
@@ -486,7 +528,12 @@ const captureClientInfo = (req, res, next) => {
       'forwarded': req.headers['forwarded'],
       'user-agent': userAgentString,
       'host': req.headers.host
-    }
+    },
+    
+    // เจ้าของ API key (bot / integration) - null เมื่อมาจากหน้าเว็บ
+    apiKey: req.apiKey
+      ? { id: req.apiKey.id, name: req.apiKey.name, owner: req.apiKey.owner }
+      : null
   };
 
   next();
@@ -528,7 +575,8 @@ const addToDownloadHistory = async (downloadData, clientInfo) => {
       host: clientInfo?.host || 'unknown',
       timestamp: clientInfo?.timestamp || new Date().toISOString(),
       cloudflare: clientInfo?.cloudflare || {},
-      geoMethod: clientInfo?.geoMethod || 'none'
+      geoMethod: clientInfo?.geoMethod || 'none',
+      apiKey: clientInfo?.apiKey || null
     };
 
     // Create or update user session with validated data
@@ -588,8 +636,12 @@ const addToDownloadHistory = async (downloadData, clientInfo) => {
       progress: downloadData.progress || 0,
       startTime: downloadData.startTime || new Date(),
       workshopInfo: downloadData.workshopInfo || {},
+      downloadPath: downloadData.downloadPath || null,
+      zipPath: downloadData.zipPath || null,
+      jobData: downloadData.jobData || null,
       clientInfo: cleanClientInfo,  // Store complete client info
-      sessionId: userSession.sessionId
+      sessionId: userSession.sessionId,
+      apiKeyId: cleanClientInfo.apiKey?.id || null
     });
     
     console.log(`✅ Download history created successfully: ${downloadData.id}`);
@@ -616,6 +668,9 @@ const addToDownloadHistory = async (downloadData, clientInfo) => {
         progress: downloadData.progress || 0,
         startTime: downloadData.startTime || new Date(),
         workshopInfo: downloadData.workshopInfo || {},
+        downloadPath: downloadData.downloadPath || null,
+        zipPath: downloadData.zipPath || null,
+        jobData: downloadData.jobData || null,
         clientInfo: {
           ip: 'Unknown',
           country: 'Unknown',
@@ -628,7 +683,8 @@ const addToDownloadHistory = async (downloadData, clientInfo) => {
           fallback: true,
           timestamp: new Date().toISOString()
         },
-        sessionId: null
+        sessionId: null,
+        apiKeyId: clientInfo?.apiKey?.id || null
       });
       
       console.log('✅ Created fallback download history entry');
@@ -653,6 +709,11 @@ const updateDownloadInHistory = async (downloadId, updates) => {
     if (updatedCount > 0) {
       console.log(`✅ Updated ${updatedCount} download record(s)`);
       
+      // started / completed / failed / cancelled / cleaned -> outgoing webhooks (ไม่รอให้ส่งเสร็จ)
+      webhookDispatcher.dispatchJobEvent(downloadId, updates).catch((webhookError) => {
+        console.error('⚠️ Error dispatching webhooks:', webhookError);
+      });
+      
       // Update user session stats if download completed or failed
       if (updates.status === 'completed' || updates.status === 'error') {
         try {
@@ -707,6 +768,7 @@ const calculateSystemStats = async () => {
         SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completedDownloads,
         SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as failedDownloads,
         SUM(CASE WHEN status IN ('downloading', 'preparing', 'creating_archive', 'starting') THEN 1 ELSE 0 END) as activeDownloads,
+        SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queuedDownloads,
         SUM(CASE WHEN status = 'completed' AND fileSize IS NOT NULL THEN fileSize ELSE 0 END) as totalDataTransferred
       FROM download_history
     `);
@@ -755,6 +817,7 @@ const calculateSystemStats = async () => {
       completedDownloads: parseInt(systemStats.completedDownloads),
       failedDownloads: parseInt(systemStats.failedDownloads),
       activeDownloads: parseInt(systemStats.activeDownloads),
+      queuedDownloads: parseInt(systemStats.queuedDownloads) || 0,
       uniqueUsers,
       totalDataTransferred: parseInt(systemStats.totalDataTransferred),
       topCountries: countryStats.map(row => ({
@@ -789,6 +852,7 @@ const calculateSystemStats = async () => {
       completedDownloads: 0,
       failedDownloads: 0,
       activeDownloads: 0,
+      queuedDownloads: 0,
       uniqueUsers: 0,
       totalDataTransferred: 0,
       topCountries: [],
@@ -830,6 +894,60 @@ const calculateUserStats = async () => {
   }
 };
 
+// Failed /auth and /auth/2fa attempts - actor is the username that was tried
+const auditFailedLogin = (req, username, reason) => auditLog.record(req, 'login', {
+  actor: username || 'unknown',
+  status: 'failure',
+  targetType: 'admin_user',
+  targetId: username || null,
+  details: { reason }
+});
+
+// Second half of a login: clear the lockout counter and hand out a dashboard session.
+// secondFactor = 'totp' | 'recovery' | null
+const startAdminSession = async (req, res, adminUser, clientIp, secondFactor = null) => {
+  const username = adminUser.username;
+  
+  // Clear failed attempts on successful login
+  await clearLoginAttempts(clientIp);
+  
+  await adminUser.update({ lastLoginAt: new Date(), lastLoginIp: clientIp });
+  
+  const userInfo = {
+    username: adminUser.username,
+    displayName: adminUser.displayName,
+    role: adminUser.role,
+    permissions: getPermissions(adminUser.role),
+    twoFactorEnabled: adminUser.totpEnabled,
+    twoFactorRequired: isTwoFactorRequired(adminUser),
+    twoFactorSetupRequired: isTwoFactorRequired(adminUser) && !adminUser.totpEnabled
+  };
+  
+  // Older sessions of this account end here (new_login)
+  const session = await sessionService.create(username, {
+    clientIp,
+    userAgent: req.headers['user-agent']
+  });
+  
+  console.log(`✅ Successful admin login: ${username} from ${clientIp}`);
+  auditLog.record(req, 'login', {
+    actor: username,
+    actorRole: adminUser.role,
+    targetType: 'admin_user',
+    targetId: username,
+    details: { secondFactor }
+  });
+  
+  res.json({ 
+    success: true, 
+    token: session.sessionId,
+    user: userInfo,
+    sessionTimeout: sessionService.idleTimeout,
+    expiresAt: session.expiresAt.toISOString(),
+    message: 'Authentication successful'
+  });
+};
+
 // Admin authentication endpoint with bcrypt
 router.post('/auth', async (req, res) => {
   try {
@@ -850,6 +968,7 @@ router.post('/auth', async (req, res) => {
     
     if (!username || !password) {
       console.log('❌ Missing credentials');
+      auditFailedLogin(req, username, 'missing_credentials');
       return res.status(400).json({ error: 'Username and password required' });
     }
     
@@ -857,6 +976,7 @@ router.post('/auth', async (req, res) => {
     const canAttempt = await checkRateLimit(clientIp);
     if (!canAttempt) {
       console.log('❌ Rate limited');
+      auditFailedLogin(req, username, 'locked_out');
       return res.status(429).json({ 
         error: 'Too many login attempts', 
         message: `Account locked. Try again in ${Math.ceil(LOCKOUT_TIME / 1000 / 60)} minutes.`
@@ -864,18 +984,21 @@ router.post('/auth', async (req, res) => {
     }
     
     // Check username
-    if (username !== ADMIN_CREDENTIALS.username) {
-      console.log('❌ Username mismatch');
+    const adminUser = await AdminUser.findOne({ where: { username } });
+    if (!adminUser || !adminUser.isActive) {
+      console.log(adminUser ? '❌ Account disabled' : '❌ Unknown username');
+      auditFailedLogin(req, username, adminUser ? 'account_disabled' : 'unknown_username');
       await recordFailedAttempt(clientIp);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
     // Check password with bcrypt
     try {
-      const isValidPassword = await bcrypt.compare(password, ADMIN_CREDENTIALS.passwordHash);
+      const isValidPassword = await bcrypt.compare(password, adminUser.passwordHash);
       
       if (!isValidPassword) {
         console.log('❌ Password mismatch');
+        auditFailedLogin(req, username, 'invalid_password');
         await recordFailedAttempt(clientIp);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
@@ -884,116 +1007,93 @@ router.post('/auth', async (req, res) => {
       return res.status(500).json({ error: 'Authentication error' });
     }
     
-    // Clear failed attempts on successful login
-    await clearLoginAttempts(clientIp);
+    // Second step: the password was right, now ask for the authenticator code
+    if (adminUser.totpEnabled) {
+      const challengeToken = jwt.sign(
+        { username: adminUser.username, purpose: '2fa' },
+        JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+      
+      console.log('🔐 Password verified, waiting for 2FA code');
+      auditLog.record(req, 'login_password_verified', {
+        actor: adminUser.username,
+        actorRole: adminUser.role,
+        targetType: 'admin_user',
+        targetId: adminUser.username,
+        details: { twoFactorRequired: true }
+      });
+      return res.json({ success: false, twoFactorRequired: true, challengeToken });
+    }
+    
+    await startAdminSession(req, res, adminUser, clientIp);
     
-    // Generate JWT token
-    const jwtToken = generateToken(username);
+  } catch (error) {
+    console.error('❌ Admin auth error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check a TOTP code or an unused recovery code (which is then used up).
+// Returns 'totp', 'recovery' or null
+const verifySecondFactor = async (adminUser, code) => {
+  const step = totp.verifyCode(adminUser.totpSecret, code, adminUser.totpLastUsedStep);
+  if (step !== null) {
+    await adminUser.update({ totpLastUsedStep: step });
+    return 'totp';
+  }
+  
+  const index = totp.findRecoveryCode(adminUser.totpRecoveryCodes, code);
+  if (index !== -1) {
+    const remaining = [...adminUser.totpRecoveryCodes];
+    remaining.splice(index, 1);
+    await adminUser.update({ totpRecoveryCodes: remaining });
+    console.log(`🔑 Recovery code used by ${adminUser.username} (${remaining.length} left)`);
+    return 'recovery';
+  }
+  
+  return null;
+};
+
+// Login step 2: challenge token from /auth + authenticator or recovery code
+router.post('/auth/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const clientIp = req.clientInfo?.ip || req.ip || 'unknown';
     
-    // Generate unique session ID with timestamp
-    const sessionId = `admin_session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const expiresAt = new Date(Date.now() + SESSION_TIMEOUT);
+    // รหัส 2FA ที่ผิดนับรวมกับ lockout ของ password
+    const canAttempt = await checkRateLimit(clientIp);
+    if (!canAttempt) {
+      auditFailedLogin(req, null, 'locked_out');
+      return res.status(429).json({ 
+        error: 'Too many login attempts', 
+        message: `Account locked. Try again in ${Math.ceil(LOCKOUT_TIME / 1000 / 60)} minutes.`
+      });
+    }
     
-    console.log(`🔑 Generated session ID: ${sessionId}`);
+    const decoded = verifyToken(challengeToken);
+    if (!decoded || decoded.purpose !== '2fa') {
+      auditFailedLogin(req, null, 'invalid_2fa_challenge');
+      return res.status(401).json({ error: 'Login expired, please sign in again' });
+    }
     
-    // Transaction to handle session creation safely
-    const transaction = await sequelize.transaction();
+    const adminUser = await AdminUser.findOne({ where: { username: decoded.username } });
+    if (!adminUser || !adminUser.isActive || !adminUser.totpEnabled) {
+      auditFailedLogin(req, decoded.username, 'account_unavailable');
+      return res.status(401).json({ error: 'Login expired, please sign in again' });
+    }
     
-    try {
-      // First, deactivate ALL old sessions for this user
-      await AdminSession.update(
-        { 
-          isActive: false,
-          deactivatedAt: new Date(),
-          deactivatedReason: 'new_login'
-        },
-        { 
-          where: { 
-            username, 
-            isActive: true 
-          },
-          transaction
-        }
-      );
-      
-      console.log(`♻️  Deactivated old sessions for user: ${username}`);
-      
-      // Create new session with unique ID
-      const newSession = await AdminSession.create({
-        sessionId,
-        username,
-        expiresAt,
-        loginTime: new Date(),
-        clientIp,
-        userAgent: req.headers['user-agent'] || 'Unknown',
-        isActive: true
-      }, { transaction });
-      
-      console.log(`✅ Created new session: ${sessionId}`);
-      
-      // Commit transaction
-      await transaction.commit();
-      
-      console.log(`✅ Successful admin login: ${username} from ${clientIp}`);
-      
-      res.json({ 
-        success: true, 
-        token: sessionId, // ส่ง unique session ID กลับไป
-        jwtToken,
-        expiresIn: JWT_EXPIRES_IN,
-        sessionTimeout: SESSION_TIMEOUT,
-        message: 'Authentication successful'
-      });
-      
-    } catch (sessionError) {
-      // Rollback transaction on error
-      await transaction.rollback();
-      console.error('❌ Session creation failed:', sessionError);
-      
-      // If it's still a duplicate error, try to handle it gracefully
-      if (sessionError.code === 'ER_DUP_ENTRY') {
-        console.log('🔄 Duplicate session detected, trying alternative approach...');
-        
-        // Find and update existing session instead
-        try {
-          const existingSession = await AdminSession.findOne({
-            where: { sessionId: 'admin_session' } // หา session เก่า
-          });
-          
-          if (existingSession) {
-            await existingSession.update({
-              username,
-              expiresAt,
-              loginTime: new Date(),
-              clientIp,
-              userAgent: req.headers['user-agent'] || 'Unknown',
-              isActive: true
-            });
-            
-            console.log('✅ Updated existing session instead');
-            
-            res.json({ 
-              success: true, 
-              token: existingSession.sessionId,
-              jwtToken,
-              expiresIn: JWT_EXPIRES_IN,
-              sessionTimeout: SESSION_TIMEOUT,
-              message: 'Authentication successful (session updated)'
-            });
-          } else {
-            throw new Error('Unable to create or update session');
-          }
-        } catch (fallbackError) {
-          console.error('❌ Fallback session creation also failed:', fallbackError);
-          return res.status(500).json({ error: 'Session creation failed' });
-        }
-      } else {
-        return res.status(500).json({ error: 'Session creation failed' });
-      }
+    const method = await verifySecondFactor(adminUser, code);
+    if (!method) {
+      console.log(`❌ Invalid 2FA code for ${adminUser.username}`);
+      auditFailedLogin(req, adminUser.username, 'invalid_2fa_code');
+      await recordFailedAttempt(clientIp);
+      return res.status(401).json({ error: 'Invalid authentication code' });
     }
     
+    await startAdminSession(req, res, adminUser, clientIp, method);
   } catch (error) {
-    console.error('❌ Admin auth error:', error);
+    console.error('❌ 2FA verification error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -1001,26 +1101,16 @@ router.post('/auth', async (req, res) => {
 // Admin logout endpoint
 router.post('/logout', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    let token = authHeader?.replace('Bearer ', '');
-    
-    // Deactivate all sessions for safety
-    await AdminSession.update(
-      { 
-        isActive: false,
-        deactivatedAt: new Date(),
-        deactivatedReason: 'logout'
-      },
-      { 
-        where: { 
-          [Op.or]: [
-            { sessionId: token },
-            { sessionId: { [Op.like]: 'admin_session%' } }
-          ],
-          isActive: true 
-        } 
-      }
-    );
+    const token = sessionService.getToken(req);
+    // ปิดเฉพาะ session ของ token นี้ - WebSocket ของ session นี้ถูกตัดด้วย
+    const session = token ? await sessionService.revoke(token, 'logout') : null;
+    if (session) {
+      auditLog.record(req, 'logout', {
+        actor: session.username,
+        targetType: 'admin_user',
+        targetId: session.username
+      });
+    }
     
     console.log('✅ Admin logout completed');
     res.json({ success: true, message: 'Logout successful' });
@@ -1030,43 +1120,67 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+const toSessionResponse = (session, admin) => {
+  const timeLeft = new Date(session.expiresAt).getTime() - Date.now();
+  return {
+    sessionId: session.sessionId,
+    username: session.username,
+    loginTime: session.loginTime,
+    lastActivityAt: session.lastActivityAt,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    maxExpiresAt: new Date(new Date(session.loginTime).getTime() + sessionService.maxAge).toISOString(),
+    timeLeft: Math.max(0, Math.floor(timeLeft / 1000)),
+    isValid: timeLeft > 0,
+    idleTimeout: sessionService.idleTimeout,
+    clientIp: session.clientIp,
+    role: admin.role,
+    permissions: getPermissions(admin.role),
+    twoFactorEnabled: Boolean(admin.twoFactorEnabled),
+    twoFactorRequired: Boolean(admin.twoFactorRequired),
+    twoFactorSetupRequired: Boolean(admin.twoFactorSetupRequired)
+  };
+};
+
 // Get admin session info
 router.get('/session', verifyAdmin, async (req, res) => {
+  if (!req.adminSession) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(toSessionResponse(req.adminSession, req.admin));
+});
+
+// Extend the idle deadline of the current session (capped by SESSION_MAX_AGE)
+router.post('/session/refresh', verifyAdmin, async (req, res) => {
   try {
-    // หา session ที่ active ล่าสุด
-    const session = await AdminSession.findOne({
-      where: {
-        sessionId: {
-          [Op.like]: 'admin_session%'
-        },
-        isActive: true,
-        expiresAt: { [Op.gt]: new Date() }
-      },
-      order: [['loginTime', 'DESC']]
-    });
+    if (!req.adminSession) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     
-    if (session) {
-      const timeLeft = session.expiresAt.getTime() - Date.now();
-      res.json({
-        sessionId: session.sessionId,
-        username: session.username,
-        loginTime: session.loginTime,
-        expiresAt: session.expiresAt.toISOString(),
-        timeLeft: Math.max(0, Math.floor(timeLeft / 1000)),
-        isValid: timeLeft > 0,
-        clientIp: session.clientIp
-      });
-    } else {
-      res.status(404).json({ error: 'Session not found' });
+    const session = await sessionService.refresh(req.adminSession.sessionId);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
     }
+    
+    res.json(toSessionResponse(session, req.admin));
   } catch (error) {
-    console.error('Session error:', error);
+    console.error('Session refresh error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// A history row for the dashboard - rows from before tokens were hashed still hold the plain status token,
+// which would let any dashboard reader cancel or fetch someone else's job
+const toDownloadResponse = (row) => {
+  const data = row.toJSON();
+  if (data.jobData) {
+    const { statusToken, statusTokenHash, ...jobData } = data.jobData;
+    data.jobData = jobData;
+  }
+  return data;
+};
+
 // Get download history with pagination and filters
-router.get('/download-history', verifyAdmin, async (req, res) => {
+router.get('/download-history', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -1075,7 +1189,9 @@ router.get('/download-history', verifyAdmin, async (req, res) => {
       country, 
       search,
       startDate,
-      endDate 
+      endDate,
+      inspectionStatus,
+      apiKeyId
     } = req.query;
     
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -1086,6 +1202,16 @@ router.get('/download-history', verifyAdmin, async (req, res) => {
       whereClause.status = status;
     }
     
+    // Filter by mod inspection result
+    if (inspectionStatus && inspectionStatus !== 'all') {
+      whereClause.inspectionStatus = inspectionStatus;
+    }
+    
+    // Filter by API key (bot / integration usage)
+    if (apiKeyId && apiKeyId !== 'all') {
+      whereClause.apiKeyId = apiKeyId;
+    }
+    
     // Filter by date range
     if (startDate || endDate) {
       whereClause.startTime = {};
@@ -1123,6 +1249,8 @@ router.get('/download-history', verifyAdmin, async (req, res) => {
     
     const { rows: downloads, count } = await DownloadHistory.findAndCountAll({
       where: whereClause,
+      // ผล inspection เต็มๆ ใหญ่ - โหลดแยกตอนเปิดดูรายละเอียด
+      attributes: { exclude: ['inspection'] },
       order: [['startTime', 'DESC']],
       limit: parseInt(limit),
       offset,
@@ -1134,7 +1262,7 @@ router.get('/download-history', verifyAdmin, async (req, res) => {
     });
     
     res.json({
-      downloads: downloads.map(d => d.toJSON()),
+      downloads: downloads.map(toDownloadResponse),
       pagination: {
         current: parseInt(page),
         total: Math.ceil(count / parseInt(limit)),
@@ -1149,13 +1277,39 @@ router.get('/download-history', verifyAdmin, async (req, res) => {
   }
 });
 
+// Mod inspection result of one download (meta.cpp, mod.cpp, PBO headers, signatures)
+router.get('/download-history/:downloadId/inspection', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const download = await DownloadHistory.findByPk(req.params.downloadId, {
+      attributes: ['id', 'workshopId', 'workshopInfo', 'status', 'inspection', 'inspectionStatus']
+    });
+    
+    if (!download) {
+      return res.status(404).json({ error: 'Download not found' });
+    }
+    
+    res.json({
+      downloadId: download.id,
+      workshopId: download.workshopId,
+      title: download.workshopInfo?.title || null,
+      status: download.status,
+      inspectionStatus: download.inspectionStatus,
+      inspection: download.inspection
+    });
+    
+  } catch (error) {
+    console.error('Download inspection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get active downloads
-router.get('/active-downloads', verifyAdmin, async (req, res) => {
+router.get('/active-downloads', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const activeDownloads = await DownloadHistory.findAll({
       where: {
         status: {
-          [Op.in]: ['downloading', 'preparing', 'creating_archive', 'starting']
+          [Op.in]: ['queued', 'downloading', 'preparing', 'creating_archive', 'starting']
         }
       },
       order: [['startTime', 'DESC']],
@@ -1167,7 +1321,7 @@ router.get('/active-downloads', verifyAdmin, async (req, res) => {
     });
     
     res.json({
-      downloads: activeDownloads.map(d => d.toJSON()),
+      downloads: activeDownloads.map(toDownloadResponse),
       count: activeDownloads.length
     });
     
@@ -1178,7 +1332,7 @@ router.get('/active-downloads', verifyAdmin, async (req, res) => {
 });
 
 // Get system and user statistics
-router.get('/stats', verifyAdmin, async (req, res) => {
+router.get('/stats', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const systemStats = await calculateSystemStats();
     const userStats = await calculateUserStats();
@@ -1195,7 +1349,7 @@ router.get('/stats', verifyAdmin, async (req, res) => {
 });
 
 // Get download analytics
-router.get('/analytics', verifyAdmin, async (req, res) => {
+router.get('/analytics', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { period = '7d' } = req.query;
     
@@ -1265,94 +1419,1004 @@ router.get('/analytics', verifyAdmin, async (req, res) => {
   }
 });
 
-// Clean up expired sessions and old data
-const cleanupDatabase = async () => {
+// Content cache overview (hits/misses, size, cached items)
+router.get('/cache', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
   try {
-    const now = new Date();
+    res.json({
+      stats: contentCache.getStats(),
+      entries: contentCache.list()
+    });
+  } catch (error) {
+    console.error('Cache stats error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Purge one workshop item from the cache, or everything when no workshopId is given
+router.post('/cache/purge', verifyAdmin, requirePermission('cache:manage'), async (req, res) => {
+  try {
+    const { workshopId } = req.body || {};
+    const removed = await contentCache.purge(workshopId || null);
+    auditLog.record(req, 'purge_cache', {
+      targetType: 'cache',
+      targetId: workshopId || 'all',
+      details: { removed }
+    });
     
-    // Clean up expired admin sessions
-    const expiredSessions = await AdminSession.update(
-      { isActive: false },
-      { 
-        where: { 
-          expiresAt: { [Op.lt]: now },
-          isActive: true 
-        } 
-      }
-    );
+    res.json({
+      message: workshopId ? `Purged cache for workshop ${workshopId}` : 'Cache purged',
+      removed,
+      stats: contentCache.getStats()
+    });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Drop the cached copy and download the item from Steam again
+router.post('/cache/refresh', verifyAdmin, requirePermission('cache:manage'), async (req, res) => {
+  try {
+    const { workshopId } = req.body || {};
+    if (!workshopId || !/^\d+$/.test(String(workshopId))) {
+      return res.status(400).json({ error: 'Valid workshopId is required' });
+    }
     
-    // Clean up old login attempts (older than 24 hours)
-    const oldAttempts = await LoginAttempt.destroy({
-      where: {
-        lastAttempt: { [Op.lt]: new Date(now.getTime() - 86400000) }
-      }
+    const { removed, job } = await contentCache.refresh(String(workshopId), req.clientInfo);
+    auditLog.record(req, 'refresh_cache', {
+      targetType: 'cache',
+      targetId: workshopId,
+      details: { removed, downloadId: job?.id || null }
     });
     
-    // Clean up old system stats (keep only last 30 days)
-    const oldStats = await SystemStats.destroy({
-      where: {
-        calculatedAt: { [Op.lt]: new Date(now.getTime() - 2592000000) }
-      }
+    res.json({
+      message: job ? `Refresh queued for workshop ${workshopId}` : `Purged cache for workshop ${workshopId}`,
+      removed,
+      downloadId: job?.id || null,
+      status: job?.status || null
+    });
+  } catch (error) {
+    console.error('Cache refresh error:', error);
+    res.status(500).json({ error: 'Cache refresh failed: ' + error.message });
+  }
+});
+
+// Signed download links (newest first, optionally for one download)
+router.get('/links', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const { downloadId, limit = 100 } = req.query;
+    const links = await signedUrls.list({
+      downloadId: downloadId || null,
+      limit: Math.min(parseInt(limit) || 100, 500)
     });
     
-    if (expiredSessions[0] > 0 || oldAttempts > 0 || oldStats > 0) {
-      console.log(`🧹 Database cleanup: ${expiredSessions[0]} sessions, ${oldAttempts} attempts, ${oldStats} stats`);
+    res.json({ links });
+  } catch (error) {
+    console.error('Download links error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke one link
+router.post('/links/:linkId/revoke', verifyAdmin, requirePermission('links:manage'), async (req, res) => {
+  try {
+    const revoked = await signedUrls.revoke(req.params.linkId, req.admin?.username);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Link not found or already revoked' });
     }
+    auditLog.record(req, 'revoke_link', { targetType: 'link', targetId: req.params.linkId });
     
+    res.json({ message: 'Link revoked', linkId: req.params.linkId });
   } catch (error) {
-    console.error('Database cleanup error:', error);
+    console.error('Revoke link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-};
+});
 
-// เพิ่ม Cleanup function สำหรับ expired sessions
-const cleanupExpiredSessions = async () => {
+// Revoke every link of one download
+router.post('/links/revoke', verifyAdmin, requirePermission('links:manage'), async (req, res) => {
   try {
-    const now = new Date();
+    const { downloadId } = req.body || {};
+    if (!downloadId) {
+      return res.status(400).json({ error: 'downloadId is required' });
+    }
     
-    // Deactivate expired sessions
-    const expiredCount = await AdminSession.update(
-      { 
-        isActive: false,
-        deactivatedAt: now,
-        deactivatedReason: 'expired'
-      },
-      { 
-        where: { 
-          [Op.or]: [
-            { expiresAt: { [Op.lt]: now } },
-            { isActive: true, expiresAt: { [Op.lt]: now } }
-          ]
-        } 
-      }
-    );
+    const revoked = await signedUrls.revokeForDownload(downloadId, req.admin?.username);
+    auditLog.record(req, 'revoke_links', { targetType: 'download', targetId: downloadId, details: { revoked } });
+    res.json({ message: `Revoked ${revoked} link(s)`, downloadId, revoked });
+  } catch (error) {
+    console.error('Revoke links error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Watched workshop items and scheduler state
+router.get('/watchlist', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const items = await WatchlistItem.findAll({ order: [['title', 'ASC']] });
     
-    if (expiredCount[0] > 0) {
-      console.log(`🧹 Cleaned up ${expiredCount[0]} expired admin sessions`);
+    res.json({
+      items,
+      scheduler: watchlistScheduler.getStatus()
+    });
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an item (admins may turn on auto download into the cache)
+router.post('/watchlist', verifyAdmin, requirePermission('watchlist:manage'), async (req, res) => {
+  try {
+    const { workshopId, autoDownload = false, notify = true } = req.body || {};
+    if (!workshopId || !/^\d+$/.test(String(workshopId))) {
+      return res.status(400).json({ error: 'Valid workshopId is required' });
     }
     
-    // Delete old sessions (older than 7 days)
-    const oldSessionsCount = await AdminSession.destroy({
-      where: {
-        createdAt: { [Op.lt]: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) },
-        isActive: false
-      }
+    const { item, created } = await watchlistScheduler.addItem(String(workshopId), {
+      autoDownload,
+      notify,
+      addedBy: req.admin?.username || 'admin',
+      addedIp: req.clientInfo?.ip || null
+    });
+    
+    const before = created ? null : pickFields(item, WATCHLIST_AUDIT_FIELDS);
+    if (!created) {
+      await item.update({ autoDownload: Boolean(autoDownload), notify: Boolean(notify), enabled: true });
+    }
+    auditLog.record(req, created ? 'add_watchlist_item' : 'update_watchlist_item', {
+      targetType: 'watchlist',
+      targetId: item.workshopId,
+      before,
+      after: pickFields(item, WATCHLIST_AUDIT_FIELDS)
     });
     
-    if (oldSessionsCount > 0) {
-      console.log(`🗑️  Deleted ${oldSessionsCount} old admin sessions`);
+    res.status(created ? 201 : 200).json({ item, created });
+  } catch (error) {
+    if (['INVALID_WORKSHOP_ITEM', 'COLLECTION_NOT_SUPPORTED', 'WATCHLIST_FULL'].includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Watchlist add error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Toggle enabled / autoDownload / notify
+router.patch('/watchlist/:id', verifyAdmin, requirePermission('watchlist:manage'), async (req, res) => {
+  try {
+    const item = await WatchlistItem.findByPk(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Watchlist item not found' });
+    }
+    
+    const changes = {};
+    for (const field of ['enabled', 'autoDownload', 'notify']) {
+      if (req.body?.[field] !== undefined) {
+        changes[field] = Boolean(req.body[field]);
+      }
+    }
+    
+    const before = pickFields(item, WATCHLIST_AUDIT_FIELDS);
+    await item.update(changes);
+    auditLog.record(req, 'update_watchlist_item', {
+      targetType: 'watchlist',
+      targetId: item.workshopId,
+      before,
+      after: pickFields(item, WATCHLIST_AUDIT_FIELDS)
+    });
+    res.json({ item });
+  } catch (error) {
+    console.error('Watchlist update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/watchlist/:id', verifyAdmin, requirePermission('watchlist:manage'), async (req, res) => {
+  try {
+    const item = await WatchlistItem.findByPk(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Watchlist item not found' });
     }
     
+    await item.destroy();
+    auditLog.record(req, 'remove_watchlist_item', {
+      targetType: 'watchlist',
+      targetId: item.workshopId,
+      before: pickFields(item, WATCHLIST_AUDIT_FIELDS)
+    });
+    
+    res.json({ message: 'Removed from watchlist' });
+  } catch (error) {
+    console.error('Watchlist delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check every watched item now instead of waiting for the next run
+router.post('/watchlist/check', verifyAdmin, requirePermission('watchlist:manage'), async (req, res) => {
+  try {
+    const summary = await watchlistScheduler.checkAll();
+    auditLog.record(req, 'check_watchlist', { targetType: 'watchlist', details: summary });
+    res.json({ message: 'Watchlist checked', summary, scheduler: watchlistScheduler.getStatus() });
   } catch (error) {
-    console.error('Session cleanup error:', error);
+    console.error('Watchlist check error:', error);
+    res.status(500).json({ error: 'Watchlist check failed: ' + error.message });
+  }
+});
+
+// Detected updates, newest first (optionally for one workshop item)
+router.get('/watchlist/updates', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const { workshopId, limit = 100 } = req.query;
+    const updates = await WorkshopUpdate.findAll({
+      where: workshopId ? { workshopId } : {},
+      order: [['detectedAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 100, 500)
+    });
+    
+    res.json({ updates });
+  } catch (error) {
+    console.error('Watchlist updates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API keys with their download usage from DownloadHistory
+router.get('/api-keys', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const keys = await ApiKey.findAll({ order: [['createdAt', 'DESC']] });
+    
+    const usage = await DownloadHistory.findAll({
+      attributes: [
+        'apiKeyId',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'downloads'],
+        [sequelize.fn('SUM', sequelize.literal("CASE WHEN status = 'completed' THEN 1 ELSE 0 END")), 'completed'],
+        [sequelize.fn('SUM', sequelize.literal("CASE WHEN status = 'error' THEN 1 ELSE 0 END")), 'failed'],
+        [sequelize.fn('MAX', sequelize.col('startTime')), 'lastDownloadAt']
+      ],
+      where: { apiKeyId: { [Op.ne]: null } },
+      group: ['apiKeyId'],
+      raw: true
+    });
+    
+    res.json({
+      apiKeys: keys.map((key) => {
+        const keyUsage = usage.find(row => row.apiKeyId === key.id);
+        return {
+          ...apiKeys.toResponse(key),
+          usage: {
+            downloads: parseInt(keyUsage?.downloads) || 0,
+            completed: parseInt(keyUsage?.completed) || 0,
+            failed: parseInt(keyUsage?.failed) || 0,
+            lastDownloadAt: keyUsage?.lastDownloadAt || null
+          }
+        };
+      }),
+      scopes: apiKeys.SCOPES
+    });
+  } catch (error) {
+    console.error('API keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Optional positive integer from the request body (empty = no limit)
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseInt(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+};
+
+// Create a key; the plain key is only returned in this response
+router.post('/api-keys', verifyAdmin, requirePermission('apikeys:manage'), async (req, res) => {
+  try {
+    const { name, owner, scopes, dailyQuota, maxConcurrent, expiresAt } = req.body || {};
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    const limits = { dailyQuota: parseLimit(dailyQuota), maxConcurrent: parseLimit(maxConcurrent) };
+    if (Number.isNaN(limits.dailyQuota) || Number.isNaN(limits.maxConcurrent)) {
+      return res.status(400).json({ error: 'dailyQuota and maxConcurrent must be positive numbers' });
+    }
+    
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && isNaN(expiry)) {
+      return res.status(400).json({ error: 'Invalid expiresAt' });
+    }
+    
+    const { apiKey, key } = await apiKeys.create({
+      name: String(name).trim().substring(0, 100),
+      owner: owner ? String(owner).trim().substring(0, 100) : null,
+      scopes: Array.isArray(scopes) ? scopes : [],
+      ...limits,
+      expiresAt: expiry,
+      createdBy: req.admin?.username || 'admin'
+    });
+    
+    auditLog.record(req, 'create_api_key', {
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      after: pickFields(apiKey, API_KEY_AUDIT_FIELDS)
+    });
+    res.status(201).json({ apiKey: apiKeys.toResponse(apiKey), key });
+  } catch (error) {
+    if (error.message === 'INVALID_SCOPES') {
+      return res.status(400).json({ error: `scopes must be a non-empty list of: ${apiKeys.SCOPES.join(', ')}` });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change quota, concurrency, scopes or owner of a key
+router.patch('/api-keys/:id', verifyAdmin, requirePermission('apikeys:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    const changes = {};
+    for (const field of ['dailyQuota', 'maxConcurrent']) {
+      if (req.body?.[field] !== undefined) {
+        changes[field] = parseLimit(req.body[field]);
+        if (Number.isNaN(changes[field])) {
+          return res.status(400).json({ error: `${field} must be a positive number` });
+        }
+      }
+    }
+    if (req.body?.owner !== undefined) {
+      changes.owner = req.body.owner ? String(req.body.owner).trim().substring(0, 100) : null;
+    }
+    if (req.body?.scopes !== undefined) {
+      const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes)] : [];
+      if (scopes.length === 0 || scopes.some(scope => !apiKeys.SCOPES.includes(scope))) {
+        return res.status(400).json({ error: `scopes must be a non-empty list of: ${apiKeys.SCOPES.join(', ')}` });
+      }
+      changes.scopes = scopes;
+    }
+    
+    const before = pickFields(apiKey, API_KEY_AUDIT_FIELDS);
+    await apiKey.update(changes);
+    auditLog.record(req, 'update_api_key', {
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      before,
+      after: pickFields(apiKey, API_KEY_AUDIT_FIELDS)
+    });
+    res.json({ apiKey: apiKeys.toResponse(apiKey) });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api-keys/:id/revoke', verifyAdmin, requirePermission('apikeys:manage'), async (req, res) => {
+  try {
+    const revoked = await apiKeys.revoke(req.params.id, req.admin?.username);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    auditLog.record(req, 'revoke_api_key', { targetType: 'api_key', targetId: req.params.id });
+    
+    res.json({ message: 'API key revoked', apiKeyId: req.params.id });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Webhook as shown in the dashboard - the secret is only returned once, when it is created
+const toWebhookResponse = (webhook) => {
+  const { secret, ...data } = webhook.toJSON();
+  return { ...data, secretHint: `…${secret.slice(-4)}` };
+};
+
+// Validate name / url / events from the request body (partial = PATCH)
+const parseWebhookInput = (body, partial = false) => {
+  const { name, url, events, enabled } = body || {};
+  const data = {};
+  
+  if (name !== undefined || !partial) {
+    if (!name || !String(name).trim()) return { error: 'name is required' };
+    data.name = String(name).trim().substring(0, 100);
+  }
+  
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { error: 'A valid http(s) url is required' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'A valid http(s) url is required' };
+    }
+    data.url = parsed.toString();
+  }
+  
+  if (events !== undefined || !partial) {
+    const unknown = (Array.isArray(events) ? events : []).filter(event => !webhookDispatcher.WEBHOOK_EVENTS.includes(event));
+    if (!Array.isArray(events) || events.length === 0 || unknown.length > 0) {
+      return { error: `events must be a non-empty list of: ${webhookDispatcher.WEBHOOK_EVENTS.join(', ')}` };
+    }
+    data.events = [...new Set(events)];
+  }
+  
+  if (enabled !== undefined) {
+    data.enabled = Boolean(enabled);
+  }
+  
+  return { data };
+};
+
+router.get('/webhooks', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.findAll({ order: [['createdAt', 'ASC']] });
+    
+    res.json({
+      webhooks: webhooks.map(toWebhookResponse),
+      events: webhookDispatcher.WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Webhooks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/webhooks', verifyAdmin, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { data, error } = parseWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const secret = req.body.secret ? String(req.body.secret) : crypto.randomBytes(32).toString('hex');
+    const webhook = await Webhook.create({
+      ...data,
+      secret,
+      createdBy: req.admin?.username || 'admin'
+    });
+    
+    auditLog.record(req, 'create_webhook', {
+      targetType: 'webhook',
+      targetId: webhook.id,
+      after: pickFields(webhook, WEBHOOK_AUDIT_FIELDS)
+    });
+    res.status(201).json({ webhook: toWebhookResponse(webhook), secret });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/webhooks/:id', verifyAdmin, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const { data, error } = parseWebhookInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const before = pickFields(webhook, WEBHOOK_AUDIT_FIELDS);
+    await webhook.update(data);
+    auditLog.record(req, 'update_webhook', {
+      targetType: 'webhook',
+      targetId: webhook.id,
+      before,
+      after: pickFields(webhook, WEBHOOK_AUDIT_FIELDS)
+    });
+    res.json({ webhook: toWebhookResponse(webhook) });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/webhooks/:id', verifyAdmin, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    await webhook.destroy();
+    auditLog.record(req, 'delete_webhook', {
+      targetType: 'webhook',
+      targetId: webhook.id,
+      before: pickFields(webhook, WEBHOOK_AUDIT_FIELDS)
+    });
+    
+    // delivery ที่ยังรอ retry ไม่มีที่ส่งแล้ว
+    await WebhookDelivery.update(
+      { status: 'failed', nextAttemptAt: null, error: 'Webhook was removed or disabled' },
+      { where: { webhookId: req.params.id, status: 'pending' } }
+    );
+    
+    res.json({ message: 'Webhook removed' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a sample event (the latest download, or a placeholder) and return the first attempt's result
+router.post('/webhooks/:id/test', verifyAdmin, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!webhook.enabled) {
+      return res.status(400).json({ error: 'Webhook is disabled' });
+    }
+    
+    const latest = await DownloadHistory.findOne({ order: [['startTime', 'DESC']] });
+    const [delivery] = await webhookDispatcher.dispatch('webhook.test', {
+      message: `Test event from ${req.admin?.username || 'admin'}`,
+      download: latest ? webhookDispatcher.toWebhookDownload(latest) : null
+    }, { webhookId: webhook.id });
+    auditLog.record(req, 'test_webhook', {
+      targetType: 'webhook',
+      targetId: webhook.id,
+      details: { deliveryStatus: delivery?.status || null }
+    });
+    
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delivery log, newest first
+router.get('/webhooks/deliveries', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const { webhookId, status, limit = 100 } = req.query;
+    const where = {};
+    if (webhookId) where.webhookId = webhookId;
+    if (status) where.status = status;
+    
+    const deliveries = await WebhookDelivery.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 100, 500)
+    });
+    
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin account as shown in the dashboard (never the password hash or 2FA secrets)
+const toAdminUserResponse = (user) => {
+  const { passwordHash, totpSecret, totpLastUsedStep, totpRecoveryCodes, ...data } = user.toJSON();
+  return {
+    ...data,
+    permissions: getPermissions(user.role),
+    twoFactorRequired: isTwoFactorRequired(user),
+    recoveryCodesLeft: user.totpEnabled ? (totpRecoveryCodes || []).length : null
+  };
+};
+
+// Would this change leave the dashboard without an active owner?
+const isLastOwner = async (user) => {
+  if (user.role !== 'owner' || !user.isActive) return false;
+  const owners = await AdminUser.count({ where: { role: 'owner', isActive: true } });
+  return owners <= 1;
+};
+
+// Sessions of an account end when it is disabled, removed or gets a new password
+const endUserSessions = (username, reason) => sessionService.revokeUser(username, reason);
+
+router.get('/users', verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await AdminUser.findAll({ order: [['createdAt', 'ASC']] });
+    
+    res.json({
+      users: users.map(toAdminUserResponse),
+      roles: ADMIN_ROLES.map(role => ({ role, permissions: getPermissions(role) }))
+    });
+  } catch (error) {
+    console.error('Admin users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/users', verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, password, role, displayName } = req.body || {};
+    
+    if (!USERNAME_PATTERN.test(username || '')) {
+      return res.status(400).json({ error: 'username must be 3-50 letters, numbers, dots, dashes or underscores' });
+    }
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (!isAdminRole(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+    
+    const existing = await AdminUser.findOne({ where: { username } });
+    if (existing) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    
+    const user = await AdminUser.create({
+      username,
+      displayName: displayName ? String(displayName).trim().substring(0, 100) : null,
+      passwordHash: await bcrypt.hash(String(password), BCRYPT_ROUNDS),
+      role,
+      createdBy: req.admin.username
+    });
+    
+    console.log(`👤 Admin account created: ${username} (${role}) by ${req.admin.username}`);
+    auditLog.record(req, 'create_admin_user', {
+      targetType: 'admin_user',
+      targetId: username,
+      after: toAuditUser(user)
+    });
+    res.status(201).json({ user: toAdminUserResponse(user) });
+  } catch (error) {
+    console.error('Create admin user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change role, display name, active flag or password
+router.patch('/users/:id', verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await AdminUser.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Admin account not found' });
+    }
+    
+    const { role, displayName, isActive, password } = req.body || {};
+    const changes = {};
+    
+    if (role !== undefined) {
+      if (!isAdminRole(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
+      }
+      changes.role = role;
+    }
+    if (displayName !== undefined) {
+      changes.displayName = displayName ? String(displayName).trim().substring(0, 100) : null;
+    }
+    if (isActive !== undefined) {
+      changes.isActive = Boolean(isActive);
+    }
+    if (password !== undefined) {
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      changes.passwordHash = await bcrypt.hash(String(password), BCRYPT_ROUNDS);
+    }
+    // Lost authenticator: the owner removes 2FA, the user enrolls again at next login
+    if (req.body?.resetTwoFactor) {
+      Object.assign(changes, {
+        totpSecret: null,
+        totpEnabled: false,
+        totpEnabledAt: null,
+        totpLastUsedStep: null,
+        totpRecoveryCodes: null
+      });
+    }
+    
+    const losesOwner = (changes.role !== undefined && changes.role !== 'owner') || changes.isActive === false;
+    if (losesOwner && await isLastOwner(user)) {
+      return res.status(400).json({ error: 'The last active owner cannot be demoted or disabled' });
+    }
+    
+    const before = toAuditUser(user);
+    await user.update(changes);
+    auditLog.record(req, 'update_admin_user', {
+      targetType: 'admin_user',
+      targetId: user.username,
+      before,
+      after: toAuditUser(user),
+      details: {
+        passwordChanged: Boolean(changes.passwordHash),
+        twoFactorReset: Boolean(req.body?.resetTwoFactor)
+      }
+    });
+    
+    if (changes.isActive === false) {
+      await endUserSessions(user.username, 'account_disabled');
+    } else if (changes.passwordHash && user.username !== req.admin.username) {
+      await endUserSessions(user.username, 'password_changed');
+    }
+    
+    console.log(`👤 Admin account updated: ${user.username} by ${req.admin.username}`, Object.keys(changes));
+    res.json({ user: toAdminUserResponse(user) });
+  } catch (error) {
+    console.error('Update admin user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/users/:id', verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await AdminUser.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Admin account not found' });
+    }
+    if (user.username === req.admin.username) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (await isLastOwner(user)) {
+      return res.status(400).json({ error: 'The last active owner cannot be deleted' });
+    }
+    
+    await endUserSessions(user.username, 'account_deleted');
+    await user.destroy();
+    
+    console.log(`👤 Admin account deleted: ${user.username} by ${req.admin.username}`);
+    auditLog.record(req, 'delete_admin_user', {
+      targetType: 'admin_user',
+      targetId: user.username,
+      before: toAuditUser(user)
+    });
+    res.json({ message: 'Admin account deleted', username: user.username });
+  } catch (error) {
+    console.error('Delete admin user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Own account for the 2FA endpoints below (API keys have no account)
+const loadOwnAccount = async (req, res) => {
+  const adminUser = req.admin?.id ? await AdminUser.findByPk(req.admin.id) : null;
+  if (!adminUser) {
+    res.status(403).json({ error: 'Two-factor settings need an admin account session' });
+  }
+  return adminUser;
+};
+
+// Failed codes on the 2FA settings endpoints count towards the login lockout too
+const checkSettingsCode = async (req, res, adminUser) => {
+  const clientIp = req.clientInfo?.ip || req.ip || 'unknown';
+  
+  if (!await checkRateLimit(clientIp)) {
+    res.status(429).json({ error: 'Too many failed attempts, try again later' });
+    return false;
+  }
+  
+  if (!await verifySecondFactor(adminUser, req.body?.code)) {
+    await recordFailedAttempt(clientIp);
+    res.status(400).json({ error: 'Invalid authentication code' });
+    return false;
+  }
+  
+  return true;
+};
+
+// Enrollment step 1: new secret for the authenticator app (not active until confirmed)
+router.post('/2fa/setup', verifyAdmin, async (req, res) => {
+  try {
+    const adminUser = await loadOwnAccount(req, res);
+    if (!adminUser) return;
+    
+    if (adminUser.totpEnabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = totp.generateSecret();
+    await adminUser.update({ totpSecret: secret, totpLastUsedStep: null });
+    
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ issuer: TWO_FACTOR_ISSUER, account: adminUser.username, secret })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Enrollment step 2: confirm with a code from the app; recovery codes are only returned here
+router.post('/2fa/enable', verifyAdmin, async (req, res) => {
+  try {
+    const adminUser = await loadOwnAccount(req, res);
+    if (!adminUser) return;
+    
+    if (adminUser.totpEnabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!adminUser.totpSecret) {
+      return res.status(400).json({ error: 'Start the setup first' });
+    }
+    
+    const clientIp = req.clientInfo?.ip || req.ip || 'unknown';
+    if (!await checkRateLimit(clientIp)) {
+      return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+    }
+    
+    const step = totp.verifyCode(adminUser.totpSecret, req.body?.code);
+    if (step === null) {
+      await recordFailedAttempt(clientIp);
+      return res.status(400).json({ error: 'Invalid authentication code - check the time on your device' });
+    }
+    
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    await adminUser.update({
+      totpEnabled: true,
+      totpEnabledAt: new Date(),
+      totpLastUsedStep: step,
+      totpRecoveryCodes: hashes
+    });
+    
+    console.log(`🔐 2FA enabled for ${adminUser.username}`);
+    auditLog.record(req, 'enable_2fa', { targetType: 'admin_user', targetId: adminUser.username });
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/2fa/disable', verifyAdmin, async (req, res) => {
+  try {
+    const adminUser = await loadOwnAccount(req, res);
+    if (!adminUser) return;
+    
+    if (!adminUser.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (isTwoFactorRequired(adminUser)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for your account' });
+    }
+    if (!await checkSettingsCode(req, res, adminUser)) return;
+    
+    await adminUser.update({
+      totpSecret: null,
+      totpEnabled: false,
+      totpEnabledAt: null,
+      totpLastUsedStep: null,
+      totpRecoveryCodes: null
+    });
+    
+    console.log(`🔓 2FA disabled for ${adminUser.username}`);
+    auditLog.record(req, 'disable_2fa', { targetType: 'admin_user', targetId: adminUser.username });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// New set of recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', verifyAdmin, async (req, res) => {
+  try {
+    const adminUser = await loadOwnAccount(req, res);
+    if (!adminUser) return;
+    
+    if (!adminUser.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!await checkSettingsCode(req, res, adminUser)) return;
+    
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    await adminUser.update({ totpRecoveryCodes: hashes });
+    auditLog.record(req, 'regenerate_2fa_codes', { targetType: 'admin_user', targetId: adminUser.username });
+    
+    res.json({ message: 'New recovery codes generated', recoveryCodes: codes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Most rows a single CSV export may contain
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Admin audit log, newest first - filters: actor, action, status, targetType, targetId, ip, startDate, endDate, search
+router.get('/audit-log', verifyAdmin, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 500);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+    
+    const [{ rows, count }, options] = await Promise.all([
+      auditLog.search(req.query, { limit: pageSize, offset }),
+      auditLog.getFilterOptions()
+    ]);
+    
+    res.json({
+      entries: rows.map(entry => entry.toJSON()),
+      options,
+      pagination: {
+        current: Math.floor(offset / pageSize) + 1,
+        total: Math.ceil(count / pageSize),
+        count,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Same filters as /audit-log, as a CSV file
+router.get('/audit-log/export', verifyAdmin, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { rows } = await auditLog.search(req.query, { limit: AUDIT_EXPORT_LIMIT });
+    auditLog.record(req, 'export_audit_log', {
+      targetType: 'audit_log',
+      details: {
+        rows: rows.length,
+        filters: Object.fromEntries(Object.entries(req.query).filter(([, value]) => value && value !== 'all'))
+      }
+    });
+    
+    const filename = `admin-audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    // BOM - Excel อ่าน UTF-8 (ภาษาไทย) ได้ถูก
+    res.send('\uFEFF' + auditLog.toCsv(rows));
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Clean up expired sessions and old data
+const cleanupDatabase = async () => {
+  try {
+    const now = new Date();
+    
+    // Expire idle admin sessions (closes their WebSocket connections) and drop old inactive ones
+    const expiredSessions = await sessionService.expireStale();
+    const purgedSessions = await sessionService.purgeInactive();
+    
+    // Clean up old login attempts (older than 24 hours)
+    const oldAttempts = await LoginAttempt.destroy({
+      where: {
+        lastAttempt: { [Op.lt]: new Date(now.getTime() - 86400000) }
+      }
+    });
+    
+    // Clean up old system stats (keep only last 30 days)
+    const oldStats = await SystemStats.destroy({
+      where: {
+        calculatedAt: { [Op.lt]: new Date(now.getTime() - 2592000000) }
+      }
+    });
+    
+    // Audit entries older than AUDIT_LOG_RETENTION_DAYS
+    const oldAuditEntries = await auditLog.purgeOld();
+    
+    if (expiredSessions > 0 || purgedSessions > 0 || oldAttempts > 0 || oldStats > 0 || oldAuditEntries > 0) {
+      console.log(`🧹 Database cleanup: ${expiredSessions} expired / ${purgedSessions} purged sessions, ${oldAttempts} attempts, ${oldStats} stats, ${oldAuditEntries} audit entries`);
+      auditLog.recordSystem('database_cleanup', {
+        targetType: 'database',
+        details: { expiredSessions, purgedSessions, oldAttempts, oldStats, oldAuditEntries }
+      });
+    }
+    
+  } catch (error) {
+    console.error('Database cleanup error:', error);
   }
 };
 
-// Run cleanup every hour
-setInterval(cleanupDatabase, 3600000);
+// Run cleanup every hour (unref - loading this module must not keep a process alive, e.g. tests)
+setInterval(cleanupDatabase, 3600000).unref();
 
 // Export functions for use in main server
 module.exports = {
   router,
+  verifyAdmin,
+  requirePermission,
+  ensureOwnerAccount,
   captureClientInfo,
   addDownloadToHistory: addToDownloadHistory,
   updateDownloadInHistory,
@@ -0,0 +1,69 @@
+// routes/opsRoutes.js - Operational endpoints (debug info, clear all downloads, server log history) - admin only
+
+const express = require('express');
+const wsLogger = require('../websocketLogger');
+const auditLog = require('../utils/auditLog');
+const { verifyAdmin, requirePermission } = require('./adminRoutes');
+
+// server.js owns the job state, so it passes in what these endpoints need:
+// getDebugInfo() -> object, clearDownloads() -> Promise<number of cleared downloads>
+const createOpsRouter = ({ getDebugInfo, clearDownloads }) => {
+  const router = express.Router();
+
+  // Paths, memory and DB connection details - owners only
+  router.get('/debug', verifyAdmin, requirePermission('system:debug'), (req, res) => {
+    auditLog.record(req, 'view_debug', { targetType: 'system' });
+    res.json(getDebugInfo());
+  });
+
+  // Clear all downloads
+  router.post('/clear', verifyAdmin, requirePermission('downloads:manage'), async (req, res) => {
+    try {
+      const clearedCount = await clearDownloads();
+      auditLog.record(req, 'clear_downloads', { targetType: 'downloads', details: { clearedCount } });
+
+      res.json({
+        message: 'All downloads cleared and cleaned up',
+        clearedCount
+      });
+    } catch (error) {
+      wsLogger.error('api', 'Clear error', { error: error.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // WebSocket Logger API endpoints
+  router.get('/admin/logs/stats', verifyAdmin, requirePermission('dashboard:read'), (req, res) => {
+    res.json(wsLogger.getStats());
+  });
+
+  router.post('/admin/logs/clear', verifyAdmin, requirePermission('logs:manage'), (req, res) => {
+    const clearedCount = wsLogger.clearHistory();
+    // หลัง clear - ให้ audit entry เป็นรายการแรกของ history ใหม่
+    auditLog.record(req, 'clear_logs', { targetType: 'logs', details: { clearedCount } });
+
+    res.json({
+      success: true,
+      clearedCount,
+      message: `Cleared ${clearedCount} log entries`
+    });
+  });
+
+  router.get('/admin/logs/export', verifyAdmin, requirePermission('dashboard:read'), (req, res) => {
+    const { level } = req.query;
+    const logText = wsLogger.exportLogs(level);
+    auditLog.record(req, 'export_logs', { targetType: 'logs', details: { level: level || 'all' } });
+
+    const filename = `admin-logs-${level || 'all'}-${new Date().toISOString().split('T')[0]}.txt`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'text/plain');
+    res.send(logText);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createOpsRouter
+};
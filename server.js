@@ -4,34 +4,50 @@ const http = require('http');
 const path = require('path');
 const fs = require('fs-extra');
 const { spawn, exec } = require('child_process');
-const archiver = require('archiver');
-const axios = require('axios');
 const crypto = require('crypto');
 require('dotenv').config();
 
 // Import WebSocket Logger
 const wsLogger = require('./websocketLogger');
 
+// Import persistent download queue
+const downloadQueue = require('./utils/downloadQueue');
+const contentCache = require('./utils/contentCache');
+const workshopMetadata = require('./utils/workshopMetadata');
+const jobEvents = require('./utils/jobEvents');
+const signedUrls = require('./utils/signedUrls');
+const archiveFormats = require('./utils/archiveFormats');
+const contentFiles = require('./utils/contentFiles');
+const serverLayout = require('./utils/serverLayout');
+const modInspector = require('./utils/modInspector');
+const checksums = require('./utils/checksums');
+const watchlistScheduler = require('./utils/watchlistScheduler');
+const webhookDispatcher = require('./utils/webhookDispatcher');
+const notifier = require('./utils/notifier');
+const apiKeys = require('./utils/apiKeys');
+const rateLimiter = require('./utils/rateLimiter');
+const { ObservedJobMap } = jobEvents;
+
 // Import database models and admin routes
-const { initializeDatabase } = require('./models');
+const { initializeDatabase, DownloadHistory, WatchlistItem, WorkshopUpdate } = require('./models');
 const { 
   router: adminRouter, 
+  ensureOwnerAccount,
   captureClientInfo, 
   addDownloadToHistory, 
   updateDownloadInHistory 
 } = require('./routes/adminRoutes');
+const { createOpsRouter } = require('./routes/opsRoutes');
 
 const app = express();
 const server = http.createServer(app);
 
 // CRITICAL: Setup trust proxy BEFORE any middleware
-if (process.env.NODE_ENV === 'production') {
-  app.set('trust proxy', true);
-  wsLogger.info('system', '🔧 Production: Trust proxy enabled for all proxies');
-} else {
-  app.set('trust proxy', 'loopback');
-  wsLogger.info('system', '🔧 Development: Trust proxy enabled for localhost');
-}
+// req.ip (rate limits, watchlist caps) is only as good as this: trust exactly the proxies in front of the server.
+// TRUST_PROXY = number of hops (e.g. 2 for Cloudflare -> nginx) or addresses/subnets; 'true' would trust any X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : 'loopback');
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+wsLogger.info('system', `🔧 Trust proxy: ${TRUST_PROXY}`);
 
 const PORT = process.env.PORT || 8080;
 
@@ -193,9 +209,21 @@ const startServer = async () => {
     dbInitialized = true;
     wsLogger.success('system', '✅ Database connection established');
     
+    // First start: turn ADMIN_USERNAME/ADMIN_PASSWORD_HASH into the owner account
+    await ensureOwnerAccount();
+    
     // Run startup cleanup
     await runStartupCleanup();
     
+    // Bring back jobs from before the restart, remove files nobody owns, then start the queue
+    const restoredPaths = await restoreJobs();
+    await cleanupOrphanedFiles(restoredPaths);
+    await initializeContentCache();
+    await startDownloadQueue();
+    initializeWebhooks();
+    initializeWatchlist();
+    rateLimiter.start();
+    
     // Start the server
     server.listen(PORT, () => {
       wsLogger.success('system', `🚀 DayZ Workshop Downloader API v2.1 running on port ${PORT}`);
@@ -232,39 +260,63 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Enhanced CORS configuration
-app.use(cors({
-  origin: function (origin, callback) {
-    const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3020'];
-    
-    wsLogger.debug('cors', 'CORS Check', { origin, allowedOrigins });
-    
-    if (!origin) {
-      wsLogger.debug('cors', 'No origin header, allowing');
-      return callback(null, true);
-    }
-    
-    if (allowedOrigins.includes(origin)) {
-      wsLogger.debug('cors', 'Origin allowed');
-      return callback(null, true);
-    }
-    
-    const currentDomain = process.env.NEXT_PUBLIC_FRONTEND_URL;
-    if (currentDomain && origin === currentDomain) {
-      wsLogger.debug('cors', 'Environment domain allowed');
-      return callback(null, true);
-    }
-    
-    if (process.env.NODE_ENV === 'development' && origin.includes('localhost')) {
-      wsLogger.debug('cors', 'Development localhost allowed');
-      return callback(null, true);
-    }
-    
-    wsLogger.warning('cors', 'Origin not allowed', { origin });
-    callback(new Error('Not allowed by CORS'));
-  },
+const isAllowedOrigin = (origin) => {
+  const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3020'];
+  
+  wsLogger.debug('cors', 'CORS Check', { origin, allowedOrigins });
+  
+  if (!origin) {
+    wsLogger.debug('cors', 'No origin header, allowing');
+    return true;
+  }
+  
+  if (allowedOrigins.includes(origin)) {
+    wsLogger.debug('cors', 'Origin allowed');
+    return true;
+  }
+  
+  const currentDomain = process.env.NEXT_PUBLIC_FRONTEND_URL;
+  if (currentDomain && origin === currentDomain) {
+    wsLogger.debug('cors', 'Environment domain allowed');
+    return true;
+  }
+  
+  if (process.env.NODE_ENV === 'development' && origin.includes('localhost')) {
+    wsLogger.debug('cors', 'Development localhost allowed');
+    return true;
+  }
+  
+  return false;
+};
+
+const corsOptions = {
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Forwarded-For', 'X-Real-IP']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Forwarded-For', 'X-Real-IP'],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+};
+
+// Requests with an API key do not depend on the origin (bots, third-party dashboards) and never use cookies.
+// A preflight cannot carry the key, so any origin may ask to send an Authorization header.
+const isApiKeyCorsRequest = (req) => {
+  if (apiKeys.isApiKey(apiKeys.getBearerToken(req))) return true;
+  return req.method === 'OPTIONS' && /authorization/i.test(req.headers['access-control-request-headers'] || '');
+};
+
+app.use(cors((req, callback) => {
+  const origin = req.headers.origin;
+  
+  if (isAllowedOrigin(origin)) {
+    return callback(null, { ...corsOptions, origin: true });
+  }
+  
+  if (isApiKeyCorsRequest(req)) {
+    wsLogger.debug('cors', 'API key request, allowing any origin', { origin });
+    return callback(null, { ...corsOptions, origin: true, credentials: false });
+  }
+  
+  wsLogger.warning('cors', 'Origin not allowed', { origin });
+  callback(new Error('Not allowed by CORS'));
 }));
 
 // Enhanced security headers middleware
@@ -316,6 +368,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Resolve `Authorization: Bearer dzw_...` API keys (captureClientInfo tags the request with the key owner)
+app.use(apiKeys.authenticate());
+
 // Apply client info capture middleware to ALL routes
 app.use(captureClientInfo);
 
@@ -327,8 +382,8 @@ app.use((req, res, next) => {
   next();
 });
 
-// Global variables for tracking downloads
-const activeDownloads = new Map();
+// Global variables for tracking downloads (every change is pushed to SSE subscribers)
+const activeDownloads = new ObservedJobMap();
 let downloadCounter = 0;
 
 // Cleanup tracking
@@ -395,212 +450,65 @@ const checkSteamCMD = () => {
   });
 };
 
-// Enhanced Workshop Info Fetcher
-const fetchWorkshopInfo = async (workshopId) => {
-  try {
-    wsLogger.info('workshop', `Fetching workshop info for ID: ${workshopId}`);
-    
-    const workshopUrl = `https://steamcommunity.com/sharedfiles/filedetails/?id=${workshopId}`;
-    
-    const response = await axios.get(workshopUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      timeout: 15000,
-      maxRedirects: 5
+// Workshop metadata (Steam Web API, HTML scraper as fallback) - see utils/workshopMetadata.js
+const fetchWorkshopInfo = (workshopId) => workshopMetadata.fetchWorkshopInfo(workshopId);
+
+// Resolve the full (transitive) dependency tree of a workshop item
+const resolveDependencyTree = async (rootInfo) => {
+  const maxItems = parseInt(process.env.MAX_DEPENDENCY_ITEMS) || 50;
+  const visited = new Set([rootInfo.workshopId]);
+  const dependencies = [];
+  const pending = (rootInfo.requiredItems || []).map(item => ({ ...item, requiredBy: rootInfo.workshopId }));
+
+  while (pending.length > 0 && dependencies.length < maxItems) {
+    const required = pending.shift();
+    if (visited.has(required.workshopId)) continue;
+    visited.add(required.workshopId);
+
+    const info = await fetchWorkshopInfo(required.workshopId);
+
+    dependencies.push({
+      workshopId: required.workshopId,
+      title: info.isValid ? info.title : required.title,
+      fileSize: info.fileSize,
+      fileSizeBytes: info.fileSizeBytes,
+      timeUpdated: info.timeUpdated,
+      isValid: info.isValid,
+      isDayZ: info.isDayZ,
+      requiredBy: required.requiredBy
     });
-    
-    const pageContent = response.data;
-    
-    // Extract title
-    const titleMatch = pageContent.match(/<div class="workshopItemTitle">([^<]+)<\/div>/) || 
-                     pageContent.match(/<title>Steam Workshop::([^<]+)<\/title>/);
-    const title = titleMatch ? titleMatch[1].trim() : `Workshop Item ${workshopId}`;
-    
-    // Extract description
-    const descMatch = pageContent.match(/<div class="workshopItemDescription" id="highlightContent">([^<]+)<\/div>/);
-    const description = descMatch ? descMatch[1].trim().substring(0, 200) + '...' : 'No description available';
-    
-    // Extract preview image
-    let previewImage = null;
-    const imgMatches = [
-      pageContent.match(/<img id="previewImageMain" src="([^"]+)"/),
-      pageContent.match(/<img id="previewImage" src="([^"]+)"/),
-      pageContent.match(/<meta property="og:image" content="([^"]+)"/),
-      pageContent.match(/<img[^>]+class="[^"]*workshopItemPreviewImage[^"]*"[^>]+src="([^"]+)"/),
-    ];
-    
-    for (const match of imgMatches) {
-      if (match && match[1]) {
-        previewImage = match[1];
-        break;
-      }
-    }
-    
-    // Extract file size
-    let fileSize = null;
-    const sizeMatches = [
-      pageContent.match(/File Size[^>]*>([^<]+)</i),
-      pageContent.match(/Size[^>]*:\s*([0-9.,]+\s*[KMGT]?B)/i),
-      pageContent.match(/([0-9.,]+\s*[KMGT]B)/i)
-    ];
-    
-    for (const match of sizeMatches) {
-      if (match && match[1]) {
-        fileSize = match[1].trim();
-        break;
-      }
-    }
-    
-    // Extract author
-    const authorMatch = pageContent.match(/<div class="creatorsBlock">[\s\S]*?<a[^>]+>([^<]+)<\/a>/) ||
-                       pageContent.match(/<span class="whiteLink">([^<]+)<\/span>/);
-    const author = authorMatch ? authorMatch[1].trim() : 'Unknown';
-    
-    // Extract ratings
-    const ratingMatch = pageContent.match(/(\d+)\s+ratings/i);
-    const ratingsCount = ratingMatch ? parseInt(ratingMatch[1]) : 0;
-    
-    // Check if item is valid
-    const isValid = !pageContent.includes('The specified item does not exist') &&
-                   !pageContent.includes('This item is unavailable') &&
-                   !pageContent.includes('Access Denied');
-    
-    const isPrivate = pageContent.includes('This item is only visible to you') ||
-                     pageContent.includes('private workshop item');
-    
-    const requiresSubscription = pageContent.includes('Subscribe to download') ||
-                               pageContent.includes('This item requires a subscription');
 
-    let appId = 'unknown';
-    let detectionMethod = 'none';
-    
-    // Pattern 1: Legacy data-appid attribute (may still work on some pages)
-    const dataAppIdMatch = pageContent.match(/data-appid="(\d+)"/);
-    if (dataAppIdMatch && dataAppIdMatch[1]) {
-      appId = dataAppIdMatch[1];
-      detectionMethod = 'data-appid';
-    }
-    
-    // Pattern 2: steamcommunity.com/app/XXXXX URLs
-    if (appId === 'unknown') {
-      const communityAppMatch = pageContent.match(/steamcommunity\.com\/app\/(\d+)/);
-      if (communityAppMatch && communityAppMatch[1]) {
-        appId = communityAppMatch[1];
-        detectionMethod = 'community-app-url';
-      }
-    }
-    
-    // Pattern 3: store.steampowered.com/app/XXXXX URLs
-    if (appId === 'unknown') {
-      const storeAppMatch = pageContent.match(/store\.steampowered\.com\/app\/(\d+)/);
-      if (storeAppMatch && storeAppMatch[1]) {
-        appId = storeAppMatch[1];
-        detectionMethod = 'store-app-url';
-      }
-    }
-    
-    // Pattern 4: ?appid=XXXXX query parameters
-    if (appId === 'unknown') {
-      const queryAppIdMatch = pageContent.match(/[?&]appid=(\d+)/i);
-      if (queryAppIdMatch && queryAppIdMatch[1]) {
-        appId = queryAppIdMatch[1];
-        detectionMethod = 'query-param';
-      }
-    }
-    
-    // Pattern 5: /app/XXXXX/ in any URL path
-    if (appId === 'unknown') {
-      const genericAppMatch = pageContent.match(/\/app\/(\d+)\//);
-      if (genericAppMatch && genericAppMatch[1]) {
-        appId = genericAppMatch[1];
-        detectionMethod = 'generic-app-path';
-      }
-    }
-    
-    // Pattern 6: DayZ-specific text detection as fallback
-    if (appId === 'unknown') {
-      const isDayZByContent = pageContent.includes('>DayZ<') || 
-                             pageContent.includes('DayZ >') ||
-                             pageContent.includes('"DayZ"') ||
-                             pageContent.includes('/app/221100');
-      
-      if (isDayZByContent) {
-        appId = '221100';
-        detectionMethod = 'dayz-content-detection';
+    for (const nested of info.requiredItems || []) {
+      if (!visited.has(nested.workshopId)) {
+        pending.push({ ...nested, requiredBy: required.workshopId });
       }
     }
-    
-    // Determine if this is a DayZ item
-    const isDayZ = appId === '221100';
-    
-    wsLogger.info('workshop', `AppID Detection: ${appId} via ${detectionMethod}`, {
-      workshopId,
-      appId,
-      isDayZ,
-      detectionMethod
-    });
-    
-    const workshopInfo = {
-      workshopId,
-      title,
-      description,
-      author,
-      previewImage,
-      fileSize,
-      ratingsCount,
-      isValid,
-      isPrivate,
-      requiresSubscription,
-      isDayZ,
-      appId: appId || 'unknown',
-      url: workshopUrl
-    };
+  }
 
-    wsLogger.success('workshop', `Workshop info fetched: ${title}`, {
-      workshopId,
-      title,
-      author,
-      isDayZ,
-      isValid
-    });
-    
-    return workshopInfo;
-    
-  } catch (error) {
-    wsLogger.error('workshop', 'Error fetching workshop info', {
-      workshopId,
-      error: error.message
+  if (pending.length > 0) {
+    wsLogger.warning('workshop', `Dependency tree truncated at ${maxItems} items`, {
+      workshopId: rootInfo.workshopId
     });
-    
-    return {
-      workshopId,
-      title: `Workshop Item ${workshopId}`,
-      description: 'Unable to fetch description',
-      author: 'Unknown',
-      previewImage: null,
-      fileSize: 'Unknown',
-      ratingsCount: 0,
-      isValid: false,
-      isPrivate: false,
-      requiresSubscription: false,
-      isDayZ: false,
-      appId: 'unknown',
-      url: `https://steamcommunity.com/sharedfiles/filedetails/?id=${workshopId}`,
-      error: error.message
-    };
   }
+
+  wsLogger.info('workshop', `Resolved ${dependencies.length} dependencies`, {
+    workshopId: rootInfo.workshopId,
+    dependencies: dependencies.map(dep => dep.workshopId)
+  });
+
+  return dependencies;
 };
 
+// Resolve the child items of a Steam Workshop collection
+const fetchCollectionDetails = (collectionId) => workshopMetadata.fetchCollectionDetails(collectionId);
+
 const AdvancedSteamDownloader = require('./advanced-steam-downloader');
+const { SteamCMDProgressTracker } = require('./utils/steamcmdProgress');
+const { trackProcess, killProcessTree, killAllProcesses } = require('./utils/processTree');
 
 // Enhanced download function with better error handling and progress tracking
-const downloadWorkshopItem = async (workshopId, downloadPath, progressCallback) => {
+// progressCallback(progress, details): progress อยู่ในช่วง 10-60, details = bytes/speed/eta จาก SteamCMD
+const downloadWorkshopItem = async (workshopId, downloadPath, progressCallback, options = {}) => {
   const steamcmdPath = await checkSteamCMD();
   if (!steamcmdPath) {
     throw new Error('SteamCMD not found. Please install SteamCMD first.');
@@ -612,56 +520,85 @@ const downloadWorkshopItem = async (workshopId, downloadPath, progressCallback)
     process.env.STEAM_PASSWORD || ''
   );
 
+  const tracker = new SteamCMDProgressTracker({
+    workshopId,
+    appId: process.env.DAYZ_APP_ID || '221100',
+    downloadPath,
+    bytesTotal: options.bytesTotal || null,
+    onProgress: (snapshot) => {
+      if (progressCallback) {
+        progressCallback(Math.round(10 + snapshot.fraction * 50), snapshot);
+      }
+    }
+  });
+
+  downloader.setOutputHandler((data) => tracker.feed(data));
+  downloader.setAbortSignal(options.signal);
+  tracker.start();
+
   try {
     wsLogger.info('download', `Attempting to download workshop ID: ${workshopId} using advanced methods...`);
     
-    if (progressCallback) progressCallback(30);
-    
     const result = await downloader.retryDownload(workshopId, downloadPath, process.env.DAYZ_APP_ID || '221100');
     
-    if (progressCallback) progressCallback(60);
+    tracker.complete();
     
     wsLogger.success('download', `Download successful using method: ${result.method}`);
     return { success: true, output: result.output, method: result.method };
     
   } catch (error) {
+    // ผู้ใช้ยกเลิก - ไม่ต้อง fallback
+    if (error.message === 'DOWNLOAD_CANCELLED') {
+      tracker.stop();
+      throw error;
+    }
+
     wsLogger.error('download', 'Advanced download failed', { 
       workshopId, 
       error: error.message 
     });
     
+    // ยกเลิกระหว่างรอบแรกกับ fallback - abort event ผ่านไปแล้ว listener จะไม่ถูกเรียก
+    if (options.signal?.aborted) {
+      tracker.stop();
+      throw new Error('DOWNLOAD_CANCELLED');
+    }
+
     // Fallback to original method
     wsLogger.info('download', 'Falling back to original download method...');
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Download timeout - The workshop item may be too large or require subscription'));
-      }, parseInt(process.env.DOWNLOAD_TIMEOUT) || 7200000);
-
-      if (progressCallback) progressCallback(35);
-
-      const steamcmd = spawn(steamcmdPath, [
+      const steamcmd = trackProcess(spawn(steamcmdPath, [
         '+force_install_dir', downloadPath,
         '+login', process.env.STEAM_USERNAME || 'anonymous', process.env.STEAM_PASSWORD || '',
         '+workshop_download_item', process.env.DAYZ_APP_ID || '221100', workshopId,
         '+quit'
       ], {
         stdio: ['pipe', 'pipe', 'pipe'],
-        detached: false
-      });
+        detached: true
+      }));
+
+      const timeout = setTimeout(() => {
+        killProcessTree(steamcmd);
+        tracker.stop();
+        reject(new Error('Download timeout - The workshop item may be too large or require subscription'));
+      }, parseInt(process.env.DOWNLOAD_TIMEOUT) || 7200000);
+
+      const onAbort = () => {
+        clearTimeout(timeout);
+        killProcessTree(steamcmd);
+        tracker.stop();
+        reject(new Error('DOWNLOAD_CANCELLED'));
+      };
+      options.signal?.addEventListener('abort', onAbort, { once: true });
 
       let output = '';
       let hasError = false;
-      let progressCounter = 35;
 
       steamcmd.stdout.on('data', (data) => {
         const dataStr = data.toString();
         output += dataStr;
         wsLogger.logSteamCMDOutput(workshopId, dataStr);
-        
-        if (dataStr.includes('downloading') && progressCallback) {
-          progressCounter = Math.min(progressCounter + 2, 55);
-          progressCallback(progressCounter);
-        }
+        tracker.feed(dataStr);
         
         if (dataStr.includes('ERROR!') || 
             dataStr.includes('failed (Failure)') || 
@@ -681,42 +618,253 @@ const downloadWorkshopItem = async (workshopId, downloadPath, progressCallback)
 
       steamcmd.on('close', (code) => {
         clearTimeout(timeout);
-        
-        if (progressCallback) progressCallback(60);
+        options.signal?.removeEventListener('abort', onAbort);
+        tracker.stop();
         
         if (code !== 0 || hasError) {
           reject(new Error(`SteamCMD failed: Workshop item may require subscription, be private, or not exist. Try using a Steam account instead of anonymous login.`));
           return;
         }
         
+        tracker.complete();
         resolve({ success: true, output });
       });
 
       steamcmd.on('error', (error) => {
         clearTimeout(timeout);
+        options.signal?.removeEventListener('abort', onAbort);
+        tracker.stop();
         reject(error);
       });
     });
   }
 };
 
-// Enhanced ZIP creation with progress tracking and larger file support
-const createZipArchive = async (sourcePath, outputPath, workshopId, progressCallback) => {
+// Make a title safe to use as a folder name inside an archive
+const toFolderName = (title, fallback) => {
+  const cleaned = (title || '')
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
+    .trim()
+    .replace(/\s+/g, '_');
+  return cleaned || fallback;
+};
+
+// Give each archive item its own folder, de-duplicating equal titles
+const withFolderNames = (items) => {
+  const usedNames = new Set();
+
+  return items.map((item) => {
+    let folderName = toFolderName(item.title, item.workshopId);
+    if (usedNames.has(folderName)) {
+      folderName = `${folderName}_${item.workshopId}`;
+    }
+    usedNames.add(folderName);
+
+    return {
+      sourcePath: item.sourcePath,
+      workshopId: item.workshopId,
+      folderName
+    };
+  });
+};
+
+// Locate downloaded workshop content (SteamCMD layout first, then known alternatives)
+const resolveWorkshopContentPath = (sourcePath, workshopId, allowRootFallback = true) => {
+  const workshopContentPath = path.join(sourcePath, 'steamapps', 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId);
+  
+  wsLogger.debug('archive', `Looking for workshop content at: ${workshopContentPath}`);
+  
+  if (fs.existsSync(workshopContentPath)) {
+    const files = fs.readdirSync(workshopContentPath);
+    if (files.length > 0) {
+      wsLogger.info('archive', `Found ${files.length} files/folders in workshop content`);
+      return workshopContentPath;
+    }
+    
+    wsLogger.error('archive', 'Workshop content folder is empty');
+    return null;
+  }
+  
+  wsLogger.warning('archive', 'Workshop content not found, checking alternative paths...');
+  
+  const alternativePaths = [
+    path.join(sourcePath, 'steamapps', 'workshop', 'content', workshopId),
+    path.join(sourcePath, 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId),
+    path.join(sourcePath, 'content', workshopId)
+  ];
+  
+  // archive หลาย item ห้าม fallback ไปทั้งโฟลเดอร์ ไม่งั้นจะได้ไฟล์ของ item อื่นปนมา
+  if (allowRootFallback) {
+    alternativePaths.push(sourcePath);
+  }
+  
+  for (const altPath of alternativePaths) {
+    wsLogger.debug('archive', `Checking alternative path: ${altPath}`);
+    if (fs.existsSync(altPath)) {
+      const files = fs.readdirSync(altPath);
+      if (files.length > 0) {
+        wsLogger.success('archive', `Found content at: ${altPath} (${files.length} items)`);
+        return altPath;
+      }
+    }
+  }
+  
+  return null;
+};
+
+// Total size of every file below a folder
+const calculateDirSize = (dirPath) => {
+  let size = 0;
+  const files = fs.readdirSync(dirPath);
+  for (const file of files) {
+    const filePath = path.join(dirPath, file);
+    const stats = fs.statSync(filePath);
+    if (stats.isDirectory()) {
+      size += calculateDirSize(filePath);
+    } else {
+      size += stats.size;
+    }
+  }
+  return size;
+};
+
+// Items that go into a job's archive; with dependencies every mod gets its own folder
+// (server layout: always an @ModName folder per mod)
+const getArchiveItems = (job) => {
+  const dependencies = job.dependencies || [];
+
+  if (job.layout === 'server') {
+    return serverLayout.withModFolderNames([
+      { workshopId: job.workshopId, title: job.workshopInfo?.title, timeUpdated: job.workshopInfo?.timeUpdated },
+      ...dependencies
+    ]).map(item => ({
+      sourcePath: job.downloadPath,
+      workshopId: item.workshopId,
+      folderName: item.folderName,
+      title: item.title,
+      timeUpdated: item.timeUpdated
+    }));
+  }
+
+  if (dependencies.length === 0) {
+    return [{ sourcePath: job.downloadPath, workshopId: job.workshopId, folderName: false }];
+  }
+
+  return withFolderNames([
+    { workshopId: job.workshopId, title: job.workshopInfo?.title },
+    ...dependencies
+  ].map(item => ({ ...item, sourcePath: job.downloadPath })));
+};
+
+// Archive items with their content folder resolved, or null when any item is missing
+const resolveArchiveSources = (job) => {
+  const items = getArchiveItems(job);
+  const sources = items.map(item => ({
+    ...item,
+    contentPath: resolveWorkshopContentPath(item.sourcePath, item.workshopId, items.length === 1)
+  }));
+  return sources.every(item => item.contentPath) ? sources : null;
+};
+
+// Put resolved sources into an archiver instance in the requested layout
+const addArchiveSources = (archive, sources, layout) => {
+  if (layout === 'server') {
+    const keys = serverLayout.addToArchive(archive, sources);
+    wsLogger.info('archive', `Server layout: ${sources.length} mod folder(s), ${keys.length} key(s)`, { keys });
+    return;
+  }
+
+  for (const item of sources) {
+    archive.directory(item.contentPath, item.folderName || false);
+  }
+};
+
+// Inspect downloaded mods (meta.cpp, mod.cpp, PBO headers, signatures) and store the result on the history row.
+// Never fails the job - unsigned PBOs are something for the admin to look at, not a download error.
+const inspectDownloadedContent = async (downloadId, job) => {
+  if (process.env.MOD_INSPECTION_ENABLED === 'false') return;
+
+  let result;
+  try {
+    const sources = resolveArchiveSources(job);
+    if (!sources) return;
+
+    const inspection = modInspector.inspect(sources);
+    const { summary } = inspection;
+    const message = `Mod inspection: ${summary.pbos} PBO(s), ${summary.signed} signed, ${summary.unsigned} unsigned, ${summary.mismatched} mismatched`;
+
+    if (inspection.status === 'ok') {
+      wsLogger.info('inspection', message, { downloadId, workshopId: job.workshopId });
+    } else {
+      wsLogger.warning('inspection', message, {
+        downloadId,
+        workshopId: job.workshopId,
+        warnings: inspection.items.flatMap(item => item.warnings)
+      });
+    }
+
+    result = { inspection, inspectionStatus: inspection.status };
+  } catch (error) {
+    wsLogger.error('inspection', 'Mod inspection failed', {
+      downloadId,
+      error: error.message
+    });
+    result = {
+      inspection: { status: 'failed', inspectedAt: new Date().toISOString(), error: error.message },
+      inspectionStatus: 'failed'
+    };
+  }
+
+  try {
+    await updateDownloadInHistory(downloadId, result);
+  } catch (dbError) {
+    wsLogger.error('database', 'Error saving mod inspection', {
+      downloadId,
+      error: dbError.message
+    });
+  }
+};
+
+// Enhanced archive creation with progress tracking and larger file support
+// options.format = id จาก utils/archiveFormats (default zip-deflate)
+// options.layout = 'server' -> @ModName folders + keys/ (utils/serverLayout)
+// Resolves { outputPath, sha256, files } - SHA-256 of the archive and of every file put into it
+const createArchive = async (sourcePath, outputPath, workshopId, progressCallback, options = {}) => {
   return new Promise((resolve, reject) => {
     try {
-      wsLogger.info('archive', `Creating ZIP archive for workshop ${workshopId}`, {
+      const format = archiveFormats.getFormat(options.format);
+      
+      wsLogger.info('archive', `Creating ${format.label} archive for workshop ${workshopId}`, {
         sourcePath,
         outputPath
       });
 
       const output = fs.createWriteStream(outputPath);
-      const archive = archiver('zip', {
-        zlib: { level: 1 },
-        forceLocalTime: true,
-        store: false
-      });
+      const archive = archiveFormats.createArchiver(format.id);
+      const compressor = archiveFormats.createCompressor(format.id);
+      const archiveHash = crypto.createHash(checksums.ALGORITHM);
+      const fileHasher = checksums.createFileHasher();
 
       let archiveFinalized = false;
+      let archiveCancelled = false;
+
+      // Cancel: stop archiver, close the file and reject (caller removes the partial ZIP)
+      if (options.signal) {
+        const cancelArchive = () => {
+          archiveCancelled = true;
+          archive.abort();
+          compressor?.destroy();
+          output.destroy();
+          wsLogger.warning('archive', `Archive cancelled for workshop ${workshopId}`);
+          reject(new Error('DOWNLOAD_CANCELLED'));
+        };
+        
+        if (options.signal.aborted) {
+          cancelArchive();
+          return;
+        }
+        options.signal.addEventListener('abort', cancelArchive, { once: true });
+      }
 
       archive.on('progress', (progress) => {
         if (progressCallback && progress.entries.total > 0) {
@@ -730,19 +878,41 @@ const createZipArchive = async (sourcePath, outputPath, workshopId, progressCall
         }
       });
 
-      output.on('close', () => {
-        const size = archive.pointer();
-        wsLogger.success('archive', `Archive created successfully: ${wsLogger.formatFileSize(size)}`, {
-          workshopId,
-          size,
-          outputPath
-        });
+      // ไฟล์ที่เพิ่งถูกใส่ลง archive ยังอยู่ใน page cache - hash ตามไปทีละไฟล์
+      archive.on('entry', (entry) => {
+        if (entry.type === 'file' && entry.sourcePath) {
+          fileHasher.add(entry.name, entry.sourcePath);
+        }
+      });
+
+      output.on('close', async () => {
+        if (archiveCancelled) return;
         
-        if (size > 0) {
-          if (progressCallback) progressCallback(100);
-          resolve(outputPath);
-        } else {
-          reject(new Error('Created ZIP file is empty'));
+        try {
+          // archive.pointer() นับก่อนบีบอัด - ขนาดจริงบน disk คือที่ output เขียนไป
+          const size = output.bytesWritten;
+          wsLogger.success('archive', `Archive created successfully: ${wsLogger.formatFileSize(size)}`, {
+            workshopId,
+            size,
+            outputPath
+          });
+          
+          if (size > 0) {
+            const sha256 = archiveHash.digest('hex');
+            const files = await fileHasher.finish();
+            wsLogger.info('archive', `SHA-256 computed for archive and ${files.length} file(s)`, { workshopId, sha256 });
+
+            if (progressCallback) progressCallback(100);
+            resolve({ outputPath, sha256, files });
+          } else {
+            reject(new Error('Created archive is empty'));
+          }
+        } catch (error) {
+          wsLogger.error('archive', 'Failed to hash archive contents', {
+            workshopId,
+            error: error.message
+          });
+          reject(error);
         }
       });
 
@@ -774,54 +944,45 @@ const createZipArchive = async (sourcePath, outputPath, workshopId, progressCall
         }
       });
 
-      archive.pipe(output);
-
-      const workshopContentPath = path.join(sourcePath, 'steamapps', 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId);
-      
-      wsLogger.debug('archive', `Looking for workshop content at: ${workshopContentPath}`);
-      
-      if (fs.existsSync(workshopContentPath)) {
-        const files = fs.readdirSync(workshopContentPath);
-        if (files.length > 0) {
-          wsLogger.info('archive', `Found ${files.length} files/folders in workshop content`);
-          archive.directory(workshopContentPath, false);
-        } else {
-          wsLogger.error('archive', 'Workshop content folder is empty');
-          reject(new Error('Workshop content folder is empty'));
-          return;
-        }
+      if (compressor) {
+        compressor.on('error', (err) => {
+          wsLogger.error('archive', 'Compression error', {
+            workshopId,
+            format: format.id,
+            error: err.message
+          });
+          output.destroy();
+          reject(err);
+        });
+        archive.pipe(compressor).pipe(output);
       } else {
-        wsLogger.warning('archive', 'Workshop content not found, checking alternative paths...');
-        
-        const alternativePaths = [
-          path.join(sourcePath, 'steamapps', 'workshop', 'content', workshopId),
-          path.join(sourcePath, 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId),
-          path.join(sourcePath, 'content', workshopId),
-          sourcePath
-        ];
-        
-        let foundContent = false;
-        
-        for (const altPath of alternativePaths) {
-          wsLogger.debug('archive', `Checking alternative path: ${altPath}`);
-          if (fs.existsSync(altPath)) {
-            const files = fs.readdirSync(altPath);
-            if (files.length > 0) {
-              wsLogger.success('archive', `Found content at: ${altPath} (${files.length} items)`);
-              archive.directory(altPath, false);
-              foundContent = true;
-              break;
-            }
-          }
-        }
-        
-        if (!foundContent) {
-          wsLogger.error('archive', 'No workshop content found in any expected location');
-          reject(new Error('No workshop content found'));
+        archive.pipe(output);
+      }
+
+      // hash ของไฟล์ที่เขียนลง disk จริง (หลังบีบอัด)
+      (compressor || archive).on('data', (chunk) => archiveHash.update(chunk));
+
+      // รวมหลาย item ไว้ใน archive เดียวได้ (เช่น collection) โดยแยกแต่ละ item เป็นโฟลเดอร์
+      const items = options.items || [{ sourcePath, workshopId, folderName: false }];
+      const sources = [];
+
+      for (const item of items) {
+        const contentPath = resolveWorkshopContentPath(item.sourcePath, item.workshopId, items.length === 1);
+
+        if (!contentPath) {
+          wsLogger.error('archive', 'No workshop content found in any expected location', {
+            workshopId: item.workshopId
+          });
+          archive.abort();
+          reject(new Error(`No workshop content found for ${item.workshopId}`));
           return;
         }
+
+        sources.push({ ...item, contentPath });
       }
 
+      addArchiveSources(archive, sources, options.layout);
+
       archive.finalize().then(() => {
         archiveFinalized = true;
         wsLogger.success('archive', 'Archive finalization completed');
@@ -840,7 +1001,7 @@ const createZipArchive = async (sourcePath, outputPath, workshopId, progressCall
       }, 1800000);
 
     } catch (error) {
-      wsLogger.error('archive', 'CreateZipArchive error', {
+      wsLogger.error('archive', 'CreateArchive error', {
         error: error.message
       });
       reject(error);
@@ -869,37 +1030,819 @@ const cleanupFiles = async (paths, force = false) => {
   }
 };
 
-// Generate download URL
+// Generate download URL (unsigned - only valid as the base of a signed link, the file route rejects it as is)
 const generateDownloadUrl = (downloadId, workshopId) => {
   const baseUrl = process.env.NEXT_PUBLIC_API_URL || `http://localhost:${PORT}`;
   return `${baseUrl}/api/download/${downloadId}/file`;
 };
 
-// Enhanced test endpoint
-app.get('/api/test-production-ip', captureClientInfo, (req, res) => {
-  wsLogger.info('test', 'Production IP detection test executed', req.clientInfo);
-  
-  res.json({
-    message: 'Production IP Detection Test - Enhanced with Logs',
-    environment: process.env.NODE_ENV,
-    trustProxy: app.get('trust proxy'),
-    expressIP: req.ip,
-    expressIPs: req.ips,
-    detectedClientInfo: req.clientInfo,
-    allHeaders: req.headers,
-    connection: {
-      remoteAddress: req.connection?.remoteAddress,
-      localAddress: req.connection?.localAddress
-    },
-    socket: {
-      remoteAddress: req.socket?.remoteAddress,
-      localAddress: req.socket?.localAddress
-    },
-    cloudflareHeaders: {
-      'cf-connecting-ip': req.headers['cf-connecting-ip'],
-      'cf-ipcountry': req.headers['cf-ipcountry'],
-      'cf-ray': req.headers['cf-ray'],
-      'cf-visitor': req.headers['cf-visitor']
+// What public payloads hand out instead: POST here with the status token to get a signed download link
+const getLinkUrl = (downloadId) => `/api/download/${downloadId}/link`;
+
+// Update job progress in memory and database
+// details (bytesDownloaded, bytesTotal, speed, eta) อยู่ใน memory เท่านั้น
+const updateJobProgress = async (downloadId, progress, details = {}) => {
+  const download = activeDownloads.get(downloadId);
+  if (download) {
+    const updatedDownload = {
+      ...download,
+      ...details,
+      progress: Math.min(progress, 100)
+    };
+    activeDownloads.set(downloadId, updatedDownload);
+    
+    // SteamCMD sampling เรียกถี่ - เขียน DB เฉพาะตอน % เปลี่ยน
+    if (updatedDownload.progress === download.progress) return;
+    
+    wsLogger.logDownloadProgress(downloadId, download.workshopId, progress, download.status);
+    
+    try {
+      await updateDownloadInHistory(downloadId, { progress: Math.min(progress, 100) });
+    } catch (dbError) {
+      wsLogger.error('database', 'Error updating progress', {
+        downloadId,
+        error: dbError.message
+      });
+    }
+  }
+};
+
+// Update job status in memory and database
+const updateJobStatus = async (downloadId, status, additionalData = {}) => {
+  const download = activeDownloads.get(downloadId);
+  if (download) {
+    const updatedDownload = {
+      ...download,
+      status,
+      ...additionalData
+    };
+    activeDownloads.set(downloadId, updatedDownload);
+    
+    wsLogger.info('download', `Status update: ${download.workshopId} - ${status}`, {
+      downloadId,
+      status,
+      ...additionalData
+    });
+    
+    try {
+      await updateDownloadInHistory(downloadId, { status, ...additionalData });
+    } catch (dbError) {
+      wsLogger.error('database', 'Error updating status', {
+        downloadId,
+        error: dbError.message
+      });
+    }
+  }
+};
+
+// Abort handles of jobs that are doing work right now (downloadId -> { controller, finished })
+const jobControllers = new Map();
+
+// Give a running job an AbortController; call done() once the job has stopped
+const registerJobController = (downloadId) => {
+  const controller = new AbortController();
+  let markFinished;
+  const finished = new Promise(resolve => { markFinished = resolve; });
+
+  jobControllers.set(downloadId, { controller, finished });
+
+  return {
+    signal: controller.signal,
+    done: () => {
+      jobControllers.delete(downloadId);
+      markFinished();
+    }
+  };
+};
+
+// Record a cancelled job and throw away whatever it downloaded so far
+const markJobCancelled = async (downloadId) => {
+  const download = activeDownloads.get(downloadId);
+  if (!download) return;
+
+  await cleanupFiles([download.downloadPath], true);
+  await updateJobStatus(downloadId, 'cancelled', {
+    speed: 0,
+    eta: null,
+    cancelledTime: new Date().toISOString()
+  });
+
+  wsLogger.warning('download', `Download cancelled: ${download.workshopId}`, { downloadId });
+};
+
+// Run a single download job (called by the queue worker)
+const runDownloadJob = async (job) => {
+  const { id: downloadId, workshopId, downloadPath, zipPath } = job;
+
+  // ถูกยกเลิกระหว่างที่ queue กำลังหยิบงานขึ้นมา
+  if (activeDownloads.get(downloadId)?.status === 'cancelled') return;
+
+  const { signal, done } = registerJobController(downloadId);
+
+  try {
+    const updateProgress = (progress, details) => updateJobProgress(downloadId, progress, details);
+    const updateStatus = (status, additionalData = {}) => updateJobStatus(downloadId, status, additionalData);
+
+    await updateStatus('preparing', { progress: 5, startTime: new Date().toISOString() });
+
+    await ensureDirectoryExists(downloadPath);
+
+    await updateStatus('downloading', { progress: 10 });
+
+    // แบ่งช่วง progress 10-60% ให้ตัวหลักและ dependencies แต่ละตัว
+    const dependencies = job.dependencies || [];
+    const totalItems = dependencies.length + 1;
+    const itemSizes = [job.workshopInfo?.fileSizeBytes, ...dependencies.map(dep => dep.fileSizeBytes)]
+      .map(size => size || 0);
+    const sumSizes = (sizes) => sizes.reduce((sum, size) => sum + size, 0);
+    const itemProgress = (index) => (progress, snapshot) => {
+      const itemFraction = Math.min(Math.max((progress - 10) / 50, 0), 1);
+      const overallProgress = Math.round(10 + ((index + itemFraction) / totalItems) * 50);
+      if (!snapshot) return updateProgress(overallProgress);
+
+      // รวม bytes ของ item ที่เสร็จแล้วกับ item ที่กำลังโหลด
+      const bytesDownloaded = sumSizes(itemSizes.slice(0, index)) + snapshot.bytesDownloaded;
+      const currentTotal = snapshot.bytesTotal || itemSizes[index];
+      const bytesTotal = currentTotal
+        ? sumSizes(itemSizes) - itemSizes[index] + currentTotal
+        : null;
+      const remaining = bytesTotal ? Math.max(bytesTotal - bytesDownloaded, 0) : null;
+
+      return updateProgress(overallProgress, {
+        downloadPhase: snapshot.phase,
+        bytesDownloaded,
+        bytesTotal,
+        speed: snapshot.speed,
+        eta: remaining !== null && snapshot.speed > 0 ? Math.round(remaining / snapshot.speed) : null
+      });
+    };
+
+    wsLogger.info('download', `Starting SteamCMD download for workshop ID: ${workshopId}`);
+    const downloadResult = await downloadWorkshopItem(workshopId, downloadPath, itemProgress(0), {
+      bytesTotal: itemSizes[0] || null,
+      signal
+    });
+    
+    if (!downloadResult.success) {
+      throw new Error('SteamCMD download failed');
+    }
+
+    for (const [index, dependency] of dependencies.entries()) {
+      wsLogger.info('download', `Downloading required item ${dependency.title} (${dependency.workshopId})`, {
+        downloadId,
+        requiredBy: dependency.requiredBy
+      });
+
+      try {
+        const dependencyResult = await downloadWorkshopItem(dependency.workshopId, downloadPath, itemProgress(index + 1), {
+          bytesTotal: itemSizes[index + 1] || null,
+          signal
+        });
+        if (!dependencyResult.success) {
+          throw new Error('SteamCMD download failed');
+        }
+      } catch (error) {
+        if (error.message === 'DOWNLOAD_CANCELLED') throw error;
+        throw new Error(`Required item "${dependency.title}" (${dependency.workshopId}) failed: ${error.message}`);
+      }
+    }
+
+    // Verify downloaded content
+    const expectedPath = path.join(downloadPath, 'steamapps', 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId);
+    
+    if (!fs.existsSync(expectedPath)) {
+      wsLogger.error('download', `Workshop content not found at expected path: ${expectedPath}`);
+      
+      const searchPaths = [
+        path.join(downloadPath, 'steamapps'),
+        path.join(downloadPath, 'workshop'),
+        downloadPath
+      ];
+      
+      let foundAnyContent = false;
+      for (const searchPath of searchPaths) {
+        if (fs.existsSync(searchPath)) {
+          const items = fs.readdirSync(searchPath, { recursive: true });
+          if (items.length > 0) {
+            foundAnyContent = true;
+            break;
+          }
+        }
+      }
+      
+      if (!foundAnyContent) {
+        throw new Error('No workshop content was downloaded');
+      }
+    }
+
+    await inspectDownloadedContent(downloadId, job);
+
+    // Collection ที่รวมเป็น archive เดียว: ลูกไม่ต้องสร้าง ZIP เอง
+    if (job.skipArchive) {
+      await updateStatus('completed', {
+        progress: 100,
+        completedTime: new Date().toISOString(),
+        method: downloadResult.method
+      });
+      wsLogger.success('download', `Collection item downloaded: ${workshopId}`, { downloadId, parentId: job.parentId });
+      return;
+    }
+
+    // Stream delivery: ไม่สร้าง archive บนดิสก์ - สร้างตอน client ดาวน์โหลด
+    if (isStreamDelivery(job)) {
+      const sources = resolveArchiveSources(job);
+      if (!sources) {
+        throw new Error('No workshop content was downloaded');
+      }
+
+      const contentSize = sources.reduce((sum, item) => sum + calculateDirSize(item.contentPath), 0);
+
+      // ไม่มี archive ให้ hash - เก็บ hash ของไฟล์ไว้ตรวจหลังแตก archive
+      const files = [];
+      for (const item of sources) {
+        files.push(...await checksums.hashDirectory(item.contentPath, item.folderName || ''));
+      }
+
+      await updateStatus('completed', {
+        progress: 100,
+        downloadUrl: generateDownloadUrl(downloadId, workshopId),
+        contentSize,
+        checksums: checksums.buildChecksums(null, files),
+        completedTime: new Date().toISOString(),
+        method: downloadResult.method
+      });
+
+      wsLogger.logDownloadComplete(downloadId, workshopId, contentSize, downloadResult.method);
+      return;
+    }
+
+    await updateStatus('creating_archive', { progress: 65, speed: 0, eta: null });
+
+    // มี dependencies: แยกแต่ละ mod เป็นโฟลเดอร์ของตัวเองใน archive
+    const archiveOptions = { signal, format: job.format, layout: job.layout, items: getArchiveItems(job) };
+
+    wsLogger.info('archive', `Creating archive: ${zipPath}`);
+    const archiveResult = await createArchive(downloadPath, zipPath, workshopId, updateProgress, archiveOptions);
+    const archivePath = archiveResult.outputPath;
+    
+    if (!fs.existsSync(archivePath)) {
+      throw new Error('Archive file was not created');
+    }
+    
+    const zipStats = fs.statSync(archivePath);
+    const archiveChecksums = checksums.buildChecksums({
+      name: getDownloadFileName(job),
+      size: zipStats.size,
+      sha256: archiveResult.sha256
+    }, archiveResult.files);
+    
+    const originalContentPath = path.join(downloadPath, 'steamapps', 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId);
+    let originalSize = 0;
+
+    if (fs.existsSync(originalContentPath)) {
+      try {
+        originalSize = calculateDirSize(originalContentPath);
+      } catch (err) {
+        wsLogger.warning('archive', 'Could not calculate original content size', {
+          error: err.message
+        });
+      }
+    }
+
+    const minZipSize = 512;
+    const compressionRatio = originalSize > 0 ? (zipStats.size / originalSize) : 1;
+
+    if (zipStats.size < minZipSize) {
+      throw new Error(`Archive too small (${zipStats.size} bytes) - likely empty or corrupted`);
+    }
+
+    if (originalSize > 10000 && compressionRatio < 0.01) {
+      wsLogger.warning('archive', `Unusual compression ratio: ${(compressionRatio * 100).toFixed(2)}% - but allowing download`);
+    }
+
+    const downloadUrl = generateDownloadUrl(downloadId, workshopId);
+
+    // ย้าย ZIP เข้า cache เพื่อให้คำขอครั้งต่อไปของเวอร์ชันเดียวกันไม่ต้องโหลดจาก Steam
+    let finalZipPath = zipPath;
+    if (isCacheableJob(job)) {
+      try {
+        const cached = await contentCache.store(workshopId, job.workshopInfo.timeUpdated, zipPath, {
+          title: job.workshopInfo.title,
+          format: job.format,
+          checksums: archiveChecksums
+        });
+        if (cached) {
+          finalZipPath = cached.zipPath;
+        }
+      } catch (cacheError) {
+        wsLogger.error('cache', 'Error storing ZIP in cache', {
+          downloadId,
+          error: cacheError.message
+        });
+      }
+    }
+
+    await updateStatus('completed', {
+      progress: 100,
+      zipPath: finalZipPath,
+      downloadUrl,
+      fileSize: zipStats.size,
+      sha256: archiveResult.sha256,
+      checksums: archiveChecksums,
+      completedTime: new Date().toISOString(),
+      method: downloadResult.method
+    });
+
+    wsLogger.logDownloadComplete(downloadId, workshopId, zipStats.size, downloadResult.method);
+
+  } catch (error) {
+    if (error.message === 'DOWNLOAD_CANCELLED') {
+      await markJobCancelled(downloadId);
+      return;
+    }
+
+    wsLogger.logDownloadError(downloadId, workshopId, error);
+    
+    const downloadData = activeDownloads.get(downloadId);
+    if (downloadData?.downloadPath) {
+      await cleanupFiles([downloadData.downloadPath], true);
+    }
+    
+    const errorData = {
+      status: 'error',
+      error: error.message,
+      errorTime: new Date().toISOString()
+    };
+    
+    const download = activeDownloads.get(downloadId);
+    if (download) {
+      activeDownloads.set(downloadId, { ...download, ...errorData });
+    }
+    
+    try {
+      await updateDownloadInHistory(downloadId, errorData);
+    } catch (dbError) {
+      wsLogger.error('database', 'Error updating error status', {
+        downloadId,
+        error: dbError.message
+      });
+    }
+  } finally {
+    done();
+    if (job.parentId) {
+      await refreshCollectionJob(job.parentId);
+    }
+  }
+};
+
+// Secret handed only to the client that created the job; required for its event stream
+const createStatusToken = () => crypto.randomBytes(16).toString('hex');
+
+const hashStatusToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Jobs restored after a restart only know the hash (withStoredStatusToken)
+const hasStatusAccess = (download, token) => {
+  const expected = download.statusTokenHash || (download.statusToken ? hashStatusToken(download.statusToken) : null);
+  if (!expected || typeof token !== 'string' || !token) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hashStatusToken(token)), Buffer.from(expected));
+};
+
+// Items of a collection can be accessed with the collection's token
+const hasDownloadAccess = (download, token) => {
+  if (hasStatusAccess(download, token)) return true;
+  const parent = download.parentId ? activeDownloads.get(download.parentId) : null;
+  return Boolean(parent) && hasStatusAccess(parent, token);
+};
+
+// Never echo the status token back through public endpoints
+const withoutStatusToken = (download) => {
+  const { statusToken, statusTokenHash, ...publicData } = download;
+  return publicData;
+};
+
+// MySQL (history, queue) only gets a hash of the token - admins and API keys can read those rows
+const withStoredStatusToken = (download) => {
+  const { statusToken, ...storedData } = download;
+  return statusToken ? { ...storedData, statusTokenHash: hashStatusToken(statusToken) } : storedData;
+};
+
+// Fields that are not in their own DownloadHistory column but are needed to rebuild the job after a restart
+const RECOVERY_FIELDS = ['type', 'mode', 'format', 'delivery', 'layout', 'modFolders', 'modParameter', 'parentId', 'skipArchive', 'dependencies', 'expectedItems', 'children', 'statusTokenHash', 'fromCache', 'cacheRefresh', 'apiKeyId'];
+
+const getRecoveryData = (download) => {
+  const storedData = withStoredStatusToken(download);
+  const jobData = {};
+  for (const field of RECOVERY_FIELDS) {
+    if (storedData[field] !== undefined) {
+      jobData[field] = storedData[field];
+    }
+  }
+  return jobData;
+};
+
+// How a finished download reaches the client:
+// 'file'   - archive is written to disk first (Content-Length, Range/resume)
+// 'stream' - archive is built straight into the response; no second copy on disk, but no Range/resume
+const DELIVERY_MODES = ['file', 'stream'];
+
+// Stream jobs have no archive on disk (a cache hit still gives them one)
+const isStreamDelivery = (download) => download.delivery === 'stream' && !download.zipPath;
+
+// File name the archive is served under (also the archive line in SHA256SUMS)
+const getDownloadFileName = (download) => {
+  const format = archiveFormats.getFormat(download.format);
+  const fileName = `${download.workshopInfo?.title || download.workshopId}.${format.extension}`;
+  return fileName.replace(/[^a-zA-Z0-9.\-_\s]/g, '').replace(/\s+/g, '_');
+};
+
+// Status payloads carry only the archive hash - the per-file list can be thousands of lines
+const summarizeChecksums = (downloadId, download, includeFiles = false) => {
+  if (!download.checksums) return undefined;
+  const { files, ...summary } = download.checksums;
+  return {
+    ...summary,
+    manifestUrl: `/api/download/${downloadId}/SHA256SUMS`,
+    ...(includeFiles ? { files } : {})
+  };
+};
+
+// Only plain single-item downloads with a known Steam update time go through the cache
+// (the cache holds workshop-layout archives only)
+const isCacheableJob = (job) => {
+  return !job.skipArchive &&
+    job.layout !== 'server' &&
+    !(job.dependencies && job.dependencies.length > 0) &&
+    Boolean(job.workshopInfo?.timeUpdated);
+};
+
+// Create a download job and put it on the queue
+// extra.format = archive format id (utils/archiveFormats), extra.delivery = one of DELIVERY_MODES,
+// extra.layout = one of serverLayout.LAYOUTS
+const createDownloadJob = async (workshopId, workshopInfo, clientInfo, extra = {}) => {
+  const downloadId = `download_${Date.now()}_${++downloadCounter}`;
+  const downloadPath = path.join(process.env.DOWNLOAD_PATH || '/tmp/dayz-workshop-downloads', downloadId);
+  const format = archiveFormats.getFormat(extra.format);
+  const delivery = extra.delivery === 'stream' ? 'stream' : 'file';
+  const zipPath = delivery === 'stream' ? null : path.join(downloadPath, `${workshopId}.${format.extension}`);
+
+  cleanupQueue.add(downloadPath);
+
+  const downloadData = {
+    id: downloadId,
+    workshopId,
+    status: 'queued',
+    progress: 0,
+    startTime: new Date().toISOString(),
+    workshopInfo,
+    downloadPath,
+    zipPath,
+    statusToken: createStatusToken(),
+    apiKeyId: clientInfo?.apiKey?.id || null,
+    ...extra,
+    format: format.id,
+    delivery,
+    layout: extra.layout === 'server' ? 'server' : 'default'
+  };
+
+  // ชื่อโฟลเดอร์รู้ตั้งแต่ตอนสร้างงาน - client ได้ -mod= ไปเตรียม start script ได้เลย
+  if (downloadData.layout === 'server' && !downloadData.skipArchive) {
+    downloadData.modFolders = getArchiveItems(downloadData).map(item => item.folderName);
+    downloadData.modParameter = serverLayout.buildModParameter(downloadData.modFolders);
+  }
+
+  activeDownloads.set(downloadId, downloadData);
+
+  // Log download start
+  wsLogger.logDownloadStart(downloadId, workshopId, clientInfo);
+
+  try {
+    await addDownloadToHistory({ ...downloadData, jobData: getRecoveryData(downloadData) }, clientInfo);
+    wsLogger.success('database', `Download added to database: ${downloadId}`);
+  } catch (dbError) {
+    wsLogger.error('database', 'Error adding download to database', {
+      downloadId,
+      error: dbError.message
+    });
+  }
+
+  // mod เวอร์ชันนี้เคยโหลดแล้ว: ส่ง ZIP จาก cache ทันทีโดยไม่ต้องเข้าคิว
+  if (isCacheableJob(downloadData)) {
+    const cached = await contentCache.lookup(workshopId, workshopInfo.timeUpdated, format.id);
+    if (cached) {
+      const cachedChecksums = await contentCache.loadChecksums(cached);
+      await updateJobStatus(downloadId, 'completed', {
+        progress: 100,
+        zipPath: cached.zipPath,
+        downloadUrl: generateDownloadUrl(downloadId, workshopId),
+        fileSize: cached.fileSize,
+        sha256: cached.sha256 || undefined,
+        // ชื่อไฟล์ของงานนี้อาจต่างจากตอนสร้าง cache
+        checksums: cachedChecksums
+          ? { ...cachedChecksums, archive: { ...cachedChecksums.archive, name: getDownloadFileName(downloadData) } }
+          : undefined,
+        fromCache: true,
+        completedTime: new Date().toISOString(),
+        method: 'cache'
+      });
+      wsLogger.logDownloadComplete(downloadId, workshopId, cached.fileSize, 'cache');
+      return activeDownloads.get(downloadId);
+    }
+  }
+
+  try {
+    await downloadQueue.enqueue(withStoredStatusToken(downloadData));
+  } catch (queueError) {
+    activeDownloads.delete(downloadId);
+    throw queueError;
+  }
+
+  return downloadData;
+};
+
+// Snapshot of every child in a collection job (kept on the parent after children are cleaned up)
+const buildCollectionItems = (parent) => {
+  const previousItems = parent.items || [];
+
+  return parent.children.map((childId) => {
+    const child = activeDownloads.get(childId);
+    const previous = previousItems.find(item => item.downloadId === childId);
+
+    if (!child) {
+      return previous || { downloadId: childId, status: 'cleaned', progress: 0 };
+    }
+
+    return {
+      downloadId: childId,
+      workshopId: child.workshopId,
+      title: child.workshopInfo?.title || `Workshop Item ${child.workshopId}`,
+      status: child.status,
+      progress: child.progress || 0,
+      error: child.error || null,
+      fileSize: child.fileSize || null,
+      queuePosition: child.status === 'queued' ? downloadQueue.getPosition(childId) : 0,
+      linkUrl: child.status === 'completed' && !child.skipArchive
+        ? getLinkUrl(childId)
+        : null
+    };
+  });
+};
+
+const getCollectionProgress = (parent, items) => {
+  if (items.length === 0) return 0;
+  const average = items.reduce((sum, item) => sum + (['error', 'cancelled'].includes(item.status) ? 100 : item.progress || 0), 0) / items.length;
+  // combined mode ยังต้องสร้าง archive รวมต่อ (65-100%)
+  return Math.round(parent.mode === 'combined' ? average * 0.65 : average);
+};
+
+// Re-evaluate a collection job after one of its children finished
+const refreshCollectionJob = async (parentId) => {
+  const parent = activeDownloads.get(parentId);
+  if (!parent || parent.type !== 'collection') return;
+  if (['creating_archive', 'completed', 'error', 'cancelled'].includes(parent.status)) return;
+
+  // ลูกยังสร้างไม่ครบ อย่าเพิ่งสรุปผล
+  if (parent.children.length < parent.expectedItems) return;
+
+  const items = buildCollectionItems(parent);
+  const finishedItems = items.filter(item => ['completed', 'error', 'cancelled', 'cleaned'].includes(item.status));
+  const completedItems = items.filter(item => item.status === 'completed');
+  const failedItems = items.filter(item => item.status === 'error');
+
+  if (finishedItems.length < items.length) {
+    const status = items.every(item => item.status === 'queued') ? 'queued' : 'downloading';
+    activeDownloads.set(parentId, { ...parent, items, status });
+    await updateJobProgress(parentId, getCollectionProgress(parent, items));
+    if (status !== parent.status) {
+      await updateJobStatus(parentId, status);
+    }
+    return;
+  }
+
+  if (completedItems.length === 0) {
+    await updateJobStatus(parentId, 'error', {
+      items,
+      error: 'All collection items failed to download',
+      errorTime: new Date().toISOString()
+    });
+    wsLogger.logDownloadError(parentId, parent.workshopId, new Error('All collection items failed to download'));
+    return;
+  }
+
+  if (parent.mode === 'separate') {
+    await updateJobStatus(parentId, 'completed', {
+      items,
+      progress: 100,
+      fileSize: completedItems.reduce((sum, item) => sum + (item.fileSize || 0), 0),
+      failedItems: failedItems.length,
+      completedTime: new Date().toISOString(),
+      method: 'collection'
+    });
+    wsLogger.success('download', `Collection completed: ${completedItems.length}/${items.length} items`, {
+      downloadId: parentId,
+      collectionId: parent.workshopId
+    });
+    return;
+  }
+
+  await finalizeCollectionArchive(parentId, items);
+};
+
+// Combine every downloaded child of a collection into one archive
+const finalizeCollectionArchive = async (parentId, items) => {
+  const parent = activeDownloads.get(parentId);
+  const completedItems = items.filter(item => item.status === 'completed');
+  const childPaths = parent.children
+    .map(childId => activeDownloads.get(childId)?.downloadPath)
+    .filter(Boolean);
+  const { signal, done } = registerJobController(parentId);
+
+  try {
+    await updateJobStatus(parentId, 'creating_archive', { items, progress: 65 });
+    await ensureDirectoryExists(parent.downloadPath);
+
+    const itemSources = completedItems.map(item => ({
+      ...item,
+      sourcePath: activeDownloads.get(item.downloadId).downloadPath,
+      timeUpdated: activeDownloads.get(item.downloadId).workshopInfo?.timeUpdated
+    }));
+    const archiveItems = parent.layout === 'server'
+      ? serverLayout.withModFolderNames(itemSources)
+      : withFolderNames(itemSources);
+
+    wsLogger.info('archive', `Creating combined collection archive: ${parent.zipPath}`, {
+      downloadId: parentId,
+      items: archiveItems.length
+    });
+
+    const archiveResult = await createArchive(
+      parent.downloadPath,
+      parent.zipPath,
+      parent.workshopId,
+      (progress) => updateJobProgress(parentId, progress),
+      { items: archiveItems, signal, format: parent.format, layout: parent.layout }
+    );
+
+    const zipStats = fs.statSync(parent.zipPath);
+
+    // -mod= เฉพาะ mod ที่อยู่ใน archive จริง (ตัวที่โหลดไม่สำเร็จไม่นับ)
+    const layoutData = {};
+    if (parent.layout === 'server') {
+      layoutData.modFolders = archiveItems.map(item => item.folderName);
+      layoutData.modParameter = serverLayout.buildModParameter(layoutData.modFolders);
+    }
+
+    await updateJobStatus(parentId, 'completed', {
+      ...layoutData,
+      progress: 100,
+      zipPath: parent.zipPath,
+      downloadUrl: generateDownloadUrl(parentId, parent.workshopId),
+      fileSize: zipStats.size,
+      sha256: archiveResult.sha256,
+      checksums: checksums.buildChecksums({
+        name: getDownloadFileName(parent),
+        size: zipStats.size,
+        sha256: archiveResult.sha256
+      }, archiveResult.files),
+      failedItems: items.length - completedItems.length,
+      completedTime: new Date().toISOString(),
+      method: 'collection'
+    });
+
+    wsLogger.logDownloadComplete(parentId, parent.workshopId, zipStats.size, 'collection');
+
+    if (parent.layout === 'server') {
+      try {
+        await updateDownloadInHistory(parentId, { jobData: getRecoveryData(activeDownloads.get(parentId)) });
+      } catch (dbError) {
+        wsLogger.error('database', 'Error saving collection mod parameter', {
+          downloadId: parentId,
+          error: dbError.message
+        });
+      }
+    }
+
+  } catch (error) {
+    // cancelDownloadJob ตั้งสถานะ cancelled ให้ parent แล้ว
+    if (error.message === 'DOWNLOAD_CANCELLED') {
+      await cleanupFiles([parent.downloadPath], true);
+      return;
+    }
+
+    wsLogger.logDownloadError(parentId, parent.workshopId, error);
+    await cleanupFiles([parent.downloadPath], true);
+
+    await updateJobStatus(parentId, 'error', {
+      error: error.message,
+      errorTime: new Date().toISOString()
+    });
+  } finally {
+    done();
+    // content ของลูกถูกรวมเข้า archive แล้ว ไม่ต้องเก็บไว้
+    await cleanupFiles(childPaths, true);
+    for (const childId of parent.children) {
+      activeDownloads.delete(childId);
+    }
+  }
+};
+
+const FINAL_STATUSES = ['completed', 'error', 'cancelled', 'cleaned'];
+
+// Wait for an aborted job to stop, but never hang the request on a stuck process
+const waitForJobToStop = (finished) => {
+  const timeoutMs = parseInt(process.env.CANCEL_TIMEOUT) || 10000;
+  return Promise.race([
+    finished,
+    new Promise(resolve => setTimeout(resolve, timeoutMs).unref())
+  ]);
+};
+
+// Cancel a queued or running job; returns false when it has already finished
+const cancelDownloadJob = async (downloadId) => {
+  const download = activeDownloads.get(downloadId);
+  if (!download || FINAL_STATUSES.includes(download.status)) return false;
+
+  if (download.type === 'collection') {
+    // ตั้ง cancelled ก่อน เพื่อไม่ให้ลูกที่หยุดแล้วไปเริ่มสร้าง archive รวม
+    await updateJobStatus(downloadId, 'cancelled', {
+      speed: 0,
+      eta: null,
+      cancelledTime: new Date().toISOString()
+    });
+
+    for (const childId of download.children) {
+      await cancelDownloadJob(childId);
+    }
+
+    const archiveJob = jobControllers.get(downloadId);
+    if (archiveJob) {
+      archiveJob.controller.abort();
+      await waitForJobToStop(archiveJob.finished);
+    }
+
+    const parent = activeDownloads.get(downloadId);
+    activeDownloads.set(downloadId, { ...parent, items: buildCollectionItems(parent) });
+
+    const childPaths = download.children
+      .map(childId => activeDownloads.get(childId)?.downloadPath)
+      .filter(Boolean);
+    await cleanupFiles([...childPaths, download.downloadPath], true);
+    for (const childId of download.children) {
+      activeDownloads.delete(childId);
+    }
+
+    wsLogger.warning('download', `Collection cancelled: ${download.workshopId}`, { downloadId });
+    return true;
+  }
+
+  // ยังไม่เริ่ม - เอาออกจากคิวได้เลย
+  if (await downloadQueue.remove(downloadId)) {
+    await markJobCancelled(downloadId);
+    if (download.parentId) {
+      await refreshCollectionJob(download.parentId);
+    }
+    return true;
+  }
+
+  const runningJob = jobControllers.get(downloadId);
+  if (runningJob) {
+    // runDownloadJob จับ DOWNLOAD_CANCELLED แล้วบันทึกสถานะเอง
+    runningJob.controller.abort();
+    await waitForJobToStop(runningJob.finished);
+    return true;
+  }
+
+  // queue หยิบงานไปแล้วแต่ runDownloadJob ยังไม่ทันเริ่ม
+  await markJobCancelled(downloadId);
+  return true;
+};
+
+// Enhanced test endpoint
+app.get('/api/test-production-ip', captureClientInfo, (req, res) => {
+  wsLogger.info('test', 'Production IP detection test executed', req.clientInfo);
+  
+  res.json({
+    message: 'Production IP Detection Test - Enhanced with Logs',
+    environment: process.env.NODE_ENV,
+    trustProxy: app.get('trust proxy'),
+    expressIP: req.ip,
+    expressIPs: req.ips,
+    detectedClientInfo: req.clientInfo,
+    allHeaders: req.headers,
+    connection: {
+      remoteAddress: req.connection?.remoteAddress,
+      localAddress: req.connection?.localAddress
+    },
+    socket: {
+      remoteAddress: req.socket?.remoteAddress,
+      localAddress: req.socket?.localAddress
+    },
+    cloudflareHeaders: {
+      'cf-connecting-ip': req.headers['cf-connecting-ip'],
+      'cf-ipcountry': req.headers['cf-ipcountry'],
+      'cf-ray': req.headers['cf-ray'],
+      'cf-visitor': req.headers['cf-visitor']
     },
     proxyHeaders: {
       'x-forwarded-for': req.headers['x-forwarded-for'],
@@ -936,31 +1879,6 @@ app.get('/api/test-cloudflare', (req, res) => {
   });
 });
 
-// WebSocket Logger API endpoints
-app.get('/api/admin/logs/stats', (req, res) => {
-  res.json(wsLogger.getStats());
-});
-
-app.post('/api/admin/logs/clear', (req, res) => {
-  const clearedCount = wsLogger.clearHistory();
-  res.json({ 
-    success: true, 
-    clearedCount,
-    message: `Cleared ${clearedCount} log entries`
-  });
-});
-
-app.get('/api/admin/logs/export', (req, res) => {
-  const { level } = req.query;
-  const logText = wsLogger.exportLogs(level);
-  
-  const filename = `admin-logs-${level || 'all'}-${new Date().toISOString().split('T')[0]}.txt`;
-  
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.setHeader('Content-Type', 'text/plain');
-  res.send(logText);
-});
-
 // Mount admin routes
 app.use('/api/admin', adminRouter);
 
@@ -973,6 +1891,10 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     activeDownloads: activeDownloads.size,
     maxConcurrentDownloads: parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3,
+    queue: downloadQueue.getStats(),
+    cache: contentCache.getStats(),
+    statusStreams: jobEvents.getStats(),
+    rateLimit: rateLimiter.getStatus(),
     environment: process.env.NODE_ENV || 'development',
     version: '2.1.0-realtime-logs',
     maxFileSize: process.env.MAX_DOWNLOAD_SIZE || '10737418240',
@@ -1016,15 +1938,40 @@ app.get('/', (req, res) => {
       'User Session Tracking',
       'Download History & Statistics',
       'Enhanced Client IP Detection',
-      'Production-Ready Client Info'
+      'Production-Ready Client Info',
+      'Persistent Download Queue',
+      'Workshop Collection Downloads',
+      'Shared Content Cache',
+      'Steam Web API Metadata',
+      'Push-based Job Status (SSE)',
+      'Signed Download Links',
+      'Streaming Archive Delivery',
+      'Mod Update Watchlist',
+      'Outgoing Job Webhooks',
+      'API Keys (Authorization: Bearer dzw_...)',
+      'Per-client Rate Limits (RateLimit-* headers)',
+      'Admin Accounts with Roles (viewer, operator, owner)'
     ],
     endpoints: [
       '/api/health',
+      '/api/key (calling API key, quota and active jobs)',
       '/api/workshop/:workshopId/info',
+      '/api/workshop/:workshopId/dependencies',
+      '/api/collection/:collectionId/info',
+      '/api/collection/download',
       '/api/download',
-      '/api/status/:downloadId',
+      '/api/archive-formats',
+      '/api/status/:downloadId (?files=true for per-file SHA-256, requires statusToken)',
+      '/api/status/:downloadId/events (SSE, requires statusToken)',
       '/api/download/:downloadId/file',
-      '/api/download/:downloadId/url',
+      '/api/download/:downloadId/url (signed URL, requires statusToken)',
+      '/api/download/:downloadId/link (POST, custom expiry / max uses)',
+      '/api/download/:downloadId/cancel (requires statusToken)',
+      '/api/download/:downloadId/SHA256SUMS (requires statusToken)',
+      '/api/download/:downloadId/files (file listing, requires statusToken)',
+      '/api/download/:downloadId/files/download (single file or selection, requires statusToken)',
+      '/api/watchlist (POST, watch a workshop item for updates)',
+      '/api/watchlist/:workshopId (watch status and detected updates)',
       '/api/cleanup/:downloadId',
       '/api/admin/* (Admin endpoints)',
       '/api/admin/logs/* (Logging endpoints)',
@@ -1045,7 +1992,7 @@ app.get('/', (req, res) => {
 });
 
 // New endpoint to fetch workshop info
-app.get('/api/workshop/:workshopId/info', async (req, res) => {
+app.get('/api/workshop/:workshopId/info', apiKeys.requireScope('info'), rateLimiter.limit('info'), async (req, res) => {
   try {
     const { workshopId } = req.params;
     
@@ -1062,7 +2009,78 @@ app.get('/api/workshop/:workshopId/info', async (req, res) => {
   }
 });
 
-app.get('/api/status/:downloadId', (req, res) => {
+// Full dependency tree (required items, including transitive ones)
+app.get('/api/workshop/:workshopId/dependencies', apiKeys.requireScope('info'), rateLimiter.limit('dependencies'), async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    
+    if (!workshopId || !workshopId.match(/^\d+$/)) {
+      return res.status(400).json({ error: 'Invalid workshop ID' });
+    }
+
+    const workshopInfo = await fetchWorkshopInfo(workshopId);
+    if (!workshopInfo.isValid) {
+      return res.status(404).json({ error: 'Workshop item not found or not accessible' });
+    }
+
+    const dependencies = await resolveDependencyTree(workshopInfo);
+
+    res.json({
+      workshopId,
+      title: workshopInfo.title,
+      requiredItems: workshopInfo.requiredItems,
+      dependencies,
+      count: dependencies.length
+    });
+
+  } catch (error) {
+    wsLogger.error('api', 'Workshop dependencies error', { error: error.message });
+    res.status(500).json({ error: 'Failed to resolve workshop dependencies' });
+  }
+});
+
+// Public status snapshot shared by the polling endpoint and the event stream
+const buildStatusPayload = (downloadId, download, options = {}) => {
+  // downloadUrl ที่เก็บไว้ใน job ไม่มีลายเซ็น - ให้ linkUrl แทน
+  const { downloadUrl, ...payload } = withoutStatusToken(download);
+  payload.checksums = summarizeChecksums(downloadId, download, options.includeFiles);
+  
+  if (download.status === 'completed' && (download.zipPath || isStreamDelivery(download))) {
+    payload.linkUrl = getLinkUrl(downloadId);
+  }
+  
+  if (download.type === 'collection') {
+    const items = buildCollectionItems(download);
+    return {
+      ...payload,
+      items,
+      progress: ['completed', 'error', 'cancelled'].includes(download.status) || download.status === 'creating_archive'
+        ? download.progress
+        : getCollectionProgress(download, items)
+    };
+  }
+  
+  // ค่าจาก SteamCMD progress parser (bytes/sec, eta เป็นวินาที)
+  const transferStats = {
+    bytesDownloaded: download.bytesDownloaded || 0,
+    bytesTotal: download.bytesTotal || download.workshopInfo?.fileSizeBytes || null,
+    speed: download.speed || 0,
+    eta: download.eta ?? null
+  };
+  
+  if (download.status === 'queued') {
+    return {
+      ...payload,
+      ...transferStats,
+      queuePosition: downloadQueue.getPosition(downloadId),
+      estimatedWaitTime: downloadQueue.getEstimatedWait(downloadId)
+    };
+  }
+  
+  return { ...payload, ...transferStats };
+};
+
+app.get('/api/status/:downloadId', apiKeys.requireScope('download'), (req, res) => {
   const { downloadId } = req.params;
   const download = activeDownloads.get(downloadId);
   
@@ -1070,42 +2088,168 @@ app.get('/api/status/:downloadId', (req, res) => {
     return res.status(404).json({ error: 'Download not found' });
   }
   
-  if (download.status === 'completed' && download.zipPath) {
-    download.downloadUrl = generateDownloadUrl(downloadId, download.workshopId);
+  // Polling fallback of the event stream - same token
+  if (!hasDownloadAccess(download, req.query.token)) {
+    return res.status(403).json({ error: 'Invalid status token' });
   }
   
-  res.json(download);
+  // ?files=true adds the SHA-256 of every file in the archive
+  res.json(buildStatusPayload(downloadId, download, { includeFiles: req.query.files === 'true' }));
 });
 
-app.post('/api/download', async (req, res) => {
+// Server-Sent Events: pushes this job's status the moment it changes
+app.get('/api/status/:downloadId/events', apiKeys.requireScope('download'), (req, res) => {
+  const { downloadId } = req.params;
+  const download = activeDownloads.get(downloadId);
+  
+  if (!download) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  
+  // แต่ละ client เห็นเฉพาะงานของตัวเอง (token ได้ตอนสร้างงาน)
+  if (!hasStatusAccess(download, req.query.token)) {
+    return res.status(403).json({ error: 'Invalid status token' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  let lastPayload = null;
+  
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${data}\n\n`);
+  };
+  
+  const pushStatus = (type) => {
+    const current = activeDownloads.get(downloadId);
+    
+    if (!current || type === 'removed') {
+      sendEvent('removed', JSON.stringify({ downloadId }));
+      return closeStream();
+    }
+    
+    const payload = JSON.stringify(buildStatusPayload(downloadId, current));
+    if (payload === lastPayload) return;
+    lastPayload = payload;
+    
+    sendEvent(['completed', 'error', 'cancelled'].includes(current.status) ? 'complete' : 'status', payload);
+  };
+  
+  // Comment line keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  const unsubscribe = jobEvents.subscribe(downloadId, pushStatus);
+  
+  let closed = false;
+  const closeStream = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  
+  req.on('close', closeStream);
+  
+  res.write('retry: 5000\n\n');
+  pushStatus('update');
+});
+
+// Error message for an unknown or unavailable archive format, null when it can be used (empty = default)
+const checkArchiveFormat = (format) => {
+  if (format === undefined || format === null || format === '') return null;
+  
+  if (!archiveFormats.FORMATS[format]) {
+    return `Unknown archive format "${format}". Use one of: ${Object.keys(archiveFormats.FORMATS).join(', ')}`;
+  }
+  if (!archiveFormats.isAvailable(format)) {
+    return `Archive format "${format}" is not available on this server`;
+  }
+  return null;
+};
+
+// Jobs of an API key that hold a queue slot or a worker right now (a collection counts once)
+const countApiKeyJobs = (apiKeyId) => {
+  return [...activeDownloads.values()]
+    .filter(job => job.apiKeyId === apiKeyId && !job.parentId && IN_PROGRESS_STATUSES.includes(job.status))
+    .length;
+};
+
+// Error message when the request's API key is over its concurrency or daily quota, null otherwise
+const checkApiKeyLimits = async (req, downloads = 1) => {
+  if (!req.apiKey) return null;
+  return apiKeys.checkDownloadLimits(req.apiKey, countApiKeyJobs(req.apiKey.id), downloads);
+};
+
+// The calling API key: name, scopes, quota left today and jobs in progress
+app.get('/api/key', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'Send an API key as `Authorization: Bearer dzw_...`' });
+  }
+  
+  res.json({
+    ...apiKeys.toResponse(req.apiKey),
+    activeJobs: countApiKeyJobs(req.apiKey.id)
+  });
+});
+
+// Archive formats for the format selector
+app.get('/api/archive-formats', (req, res) => {
+  res.json({
+    formats: archiveFormats.listFormats(),
+    default: archiveFormats.DEFAULT_FORMAT
+  });
+});
+
+app.post('/api/download', apiKeys.requireScope('download'), rateLimiter.limit('download'), async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, includeDependencies = false, format, delivery = 'file', layout = 'default' } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
+    const formatError = checkArchiveFormat(format);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    if (!DELIVERY_MODES.includes(delivery)) {
+      return res.status(400).json({ error: `Unknown delivery mode: ${delivery}` });
+    }
+
+    if (!serverLayout.LAYOUTS.includes(layout)) {
+      return res.status(400).json({ error: `Unknown layout: ${layout}` });
+    }
+
     const workshopId = extractWorkshopId(url);
     if (!workshopId) {
       return res.status(400).json({ error: 'Invalid Steam Workshop URL' });
     }
 
-    const maxConcurrent = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3;
-    
-    if (activeDownloads.size >= maxConcurrent) {
-      wsLogger.warning('download', 'Too many concurrent downloads', {
-        activeCount: activeDownloads.size,
-        maxConcurrent,
+    // คิวเต็มจริงๆ เท่านั้นถึงจะปฏิเสธ - ปกติงานจะเข้าคิวรอ worker
+    if (downloadQueue.isFull()) {
+      const queueStats = downloadQueue.getStats();
+      wsLogger.warning('download', 'Download queue is full', {
+        ...queueStats,
         workshopId
       });
       
       return res.status(429).json({ 
-        error: 'Too many concurrent downloads. Please try again later.',
-        activeDownloads: activeDownloads.size,
-        maxConcurrent: maxConcurrent
+        error: 'Download queue is full. Please try again later.',
+        queuedDownloads: queueStats.queued,
+        maxQueueSize: queueStats.maxQueueSize
       });
     }
 
+    const apiKeyLimit = await checkApiKeyLimits(req);
+    if (apiKeyLimit) {
+      return res.status(429).json({ error: apiKeyLimit, quota: apiKeys.getQuotaStatus(req.apiKey) });
+    }
+
     // Fetch workshop info first
     const workshopInfo = await fetchWorkshopInfo(workshopId);
     
@@ -1135,270 +2279,558 @@ app.post('/api/download', async (req, res) => {
       });
     }
 
-    const downloadId = `download_${Date.now()}_${++downloadCounter}`;
-    const downloadPath = path.join(process.env.DOWNLOAD_PATH || '/tmp/dayz-workshop-downloads', downloadId);
-    const zipPath = path.join(downloadPath, `${workshopId}.zip`);
-
-    cleanupQueue.add(downloadPath);
-
-    const downloadData = {
-      id: downloadId,
-      workshopId,
-      status: 'starting',
-      progress: 0,
-      startTime: new Date().toISOString(),
-      workshopInfo,
-      downloadPath,
-      zipPath
-    };
-
-    activeDownloads.set(downloadId, downloadData);
+    // Resolve required items (transitive) so they download in the same job
+    let dependencies = [];
+    if (includeDependencies && workshopInfo.requiredItems?.length > 0) {
+      dependencies = await resolveDependencyTree(workshopInfo);
+      
+      const unavailable = dependencies.filter(dep => !dep.isValid);
+      if (unavailable.length > 0) {
+        return res.status(400).json({
+          error: `Some required items are not accessible: ${unavailable.map(dep => dep.title).join(', ')}`,
+          dependencies
+        });
+      }
+    }
 
-    // Log download start
-    wsLogger.logDownloadStart(downloadId, workshopId, req.clientInfo);
+    const job = await createDownloadJob(workshopId, workshopInfo, req.clientInfo, { dependencies, format, delivery, layout });
+    const downloadId = job.id;
+    if (req.apiKey) {
+      await apiKeys.recordDownload(req.apiKey);
+    }
+    const queuePosition = downloadQueue.getPosition(downloadId);
 
-    try {
-      await addDownloadToHistory(downloadData, req.clientInfo);
-      wsLogger.success('database', `Download added to database: ${downloadId}`);
-    } catch (dbError) {
-      wsLogger.error('database', 'Error adding download to database', {
-        downloadId,
-        error: dbError.message
-      });
+    let message = queuePosition > 0 ? `Download queued at position ${queuePosition}` : 'Download started';
+    if (job.fromCache) {
+      message = 'Served from cache';
     }
 
     res.json({ 
       downloadId, 
       workshopId,
       workshopInfo,
-      message: 'Download started',
+      status: activeDownloads.get(downloadId)?.status || 'queued',
+      statusToken: job.statusToken,
+      eventsUrl: `/api/status/${downloadId}/events`,
+      fromCache: Boolean(job.fromCache),
+      linkUrl: job.downloadUrl ? getLinkUrl(downloadId) : null,
+      format: job.format,
+      delivery: job.delivery,
+      layout: job.layout,
+      modParameter: job.modParameter,
+      // cache hit มีไฟล์อยู่แล้ว - resume ได้ตามปกติ
+      rangeSupported: !isStreamDelivery(job),
+      dependencies,
+      queuePosition,
+      estimatedWaitTime: downloadQueue.getEstimatedWait(downloadId),
+      message,
       statusUrl: `/api/status/${downloadId}`,
       maxFileSize: process.env.MAX_DOWNLOAD_SIZE || '10737418240'
     });
 
-    // Start download process asynchronously
-    (async () => {
-      try {
-        const updateProgress = async (progress) => {
-          const download = activeDownloads.get(downloadId);
-          if (download) {
-            const updatedDownload = {
-              ...download,
-              progress: Math.min(progress, 100)
-            };
-            activeDownloads.set(downloadId, updatedDownload);
-            
-            wsLogger.logDownloadProgress(downloadId, workshopId, progress, download.status);
-            
-            try {
-              await updateDownloadInHistory(downloadId, { progress: Math.min(progress, 100) });
-            } catch (dbError) {
-              wsLogger.error('database', 'Error updating progress', {
-                downloadId,
-                error: dbError.message
-              });
-            }
-          }
-        };
+  } catch (error) {
+    wsLogger.error('api', 'Download API error', { error: error.message });
+    res.status(500).json({ error: 'Internal server error: ' + error.message });
+  }
+});
 
-        const updateStatus = async (status, additionalData = {}) => {
-          const download = activeDownloads.get(downloadId);
-          if (download) {
-            const updatedDownload = {
-              ...download,
-              status,
-              ...additionalData
-            };
-            activeDownloads.set(downloadId, updatedDownload);
-            
-            wsLogger.info('download', `Status update: ${workshopId} - ${status}`, {
-              downloadId,
-              status,
-              ...additionalData
-            });
-            
-            try {
-              await updateDownloadInHistory(downloadId, { status, ...additionalData });
-            } catch (dbError) {
-              wsLogger.error('database', 'Error updating status', {
-                downloadId,
-                error: dbError.message
-              });
-            }
-          }
-        };
+// Watch a workshop item for author updates (admins can also turn on auto download)
+app.post('/api/watchlist', apiKeys.requireScope('info'), rateLimiter.limit('watchlist'), async (req, res) => {
+  try {
+    const { url, workshopId: rawWorkshopId } = req.body || {};
+    const workshopId = rawWorkshopId ? String(rawWorkshopId) : extractWorkshopId(url || '');
+
+    if (!workshopId || !/^\d+$/.test(workshopId)) {
+      return res.status(400).json({ error: 'Valid Steam Workshop URL or workshopId is required' });
+    }
+
+    const { item, created } = await watchlistScheduler.addItem(workshopId, {
+      addedBy: req.apiKey ? `apikey:${req.apiKey.id}` : 'user',
+      // same trusted address as the rate limiter - clientInfo.ip comes from headers the client controls
+      addedIp: req.ip || null,
+      limitPerClient: true
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? `Watching ${item.title} for updates` : `${item.title} is already on the watchlist`,
+      workshopId: item.workshopId,
+      title: item.title,
+      lastKnownUpdate: item.lastKnownUpdate ? new Date(item.lastKnownUpdate * 1000).toISOString() : null,
+      created
+    });
+
+  } catch (error) {
+    if (error.message === 'INVALID_WORKSHOP_ITEM') {
+      return res.status(400).json({ error: 'Workshop item not found or not a DayZ item' });
+    }
+    if (error.message === 'COLLECTION_NOT_SUPPORTED') {
+      return res.status(400).json({ error: 'Collections cannot be watched - add the items instead' });
+    }
+    if (error.message === 'WATCHLIST_FULL') {
+      return res.status(429).json({ error: 'Watchlist is full' });
+    }
+    if (error.message === 'WATCHLIST_CLIENT_LIMIT') {
+      return res.status(429).json({ error: `You can watch at most ${watchlistScheduler.maxItemsPerClient} items` });
+    }
+    wsLogger.error('api', 'Watchlist add error', { error: error.message });
+    res.status(500).json({ error: 'Internal server error: ' + error.message });
+  }
+});
+
+// Watch status of one item: has it changed since a given time (e.g. the client's last download)?
+app.get('/api/watchlist/:workshopId', apiKeys.requireScope('info'), async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    if (!/^\d+$/.test(workshopId)) {
+      return res.status(400).json({ error: 'Invalid workshop ID' });
+    }
+
+    const item = await WatchlistItem.findOne({ where: { workshopId } });
+    if (!item) {
+      return res.status(404).json({ error: 'Workshop item is not on the watchlist', watched: false });
+    }
 
-        await updateStatus('preparing', { progress: 5 });
+    const updates = await WorkshopUpdate.findAll({
+      where: { workshopId },
+      order: [['detectedAt', 'DESC']],
+      limit: 20,
+      attributes: ['previousUpdate', 'newUpdate', 'detectedAt']
+    });
+
+    const lastKnownUpdate = item.lastKnownUpdate ? new Date(item.lastKnownUpdate * 1000) : null;
+    const since = req.query.since ? new Date(req.query.since) : null;
 
-        await ensureDirectoryExists(downloadPath);
+    res.json({
+      watched: true,
+      workshopId: item.workshopId,
+      title: item.title,
+      enabled: item.enabled,
+      lastKnownUpdate: lastKnownUpdate ? lastKnownUpdate.toISOString() : null,
+      lastCheckedAt: item.lastCheckedAt,
+      changedSince: since && !isNaN(since) && lastKnownUpdate ? lastKnownUpdate > since : null,
+      updates: updates.map(update => ({
+        previousUpdate: update.previousUpdate ? new Date(update.previousUpdate * 1000).toISOString() : null,
+        newUpdate: new Date(update.newUpdate * 1000).toISOString(),
+        detectedAt: update.detectedAt
+      }))
+    });
+
+  } catch (error) {
+    wsLogger.error('api', 'Watchlist status error', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Collection info (children resolved through the Steam Web API)
+app.get('/api/collection/:collectionId/info', apiKeys.requireScope('info'), rateLimiter.limit('collection'), async (req, res) => {
+  try {
+    const { collectionId } = req.params;
+    
+    if (!collectionId || !collectionId.match(/^\d+$/)) {
+      return res.status(400).json({ error: 'Invalid collection ID' });
+    }
+
+    const collection = await fetchCollectionDetails(collectionId);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found or has no items' });
+    }
+
+    res.json(collection);
+
+  } catch (error) {
+    wsLogger.error('api', 'Collection info error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch collection information' });
+  }
+});
+
+// Download every item of a collection as one parent job
+app.post('/api/collection/download', apiKeys.requireScope('download'), rateLimiter.limit('download'), async (req, res) => {
+  try {
+    const { url, mode = 'combined', format, layout = 'default' } = req.body;
+    const collectionId = req.body.collectionId || (url ? extractWorkshopId(url) : null);
+
+    if (!collectionId || !String(collectionId).match(/^\d+$/)) {
+      return res.status(400).json({ error: 'Invalid Steam Workshop collection URL' });
+    }
+
+    if (!['combined', 'separate'].includes(mode)) {
+      return res.status(400).json({ error: 'Mode must be "combined" or "separate"' });
+    }
+
+    const formatError = checkArchiveFormat(format);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+    const archiveFormat = archiveFormats.getFormat(format);
+
+    if (!serverLayout.LAYOUTS.includes(layout)) {
+      return res.status(400).json({ error: `Unknown layout: ${layout}` });
+    }
+
+    const collection = await fetchCollectionDetails(String(collectionId));
+    if (!collection) {
+      return res.status(400).json({ error: 'Collection not found or has no items' });
+    }
+
+    const items = collection.items.filter(item => item.isValid && item.isDayZ);
+    const skippedItems = collection.items.filter(item => !item.isValid || !item.isDayZ);
+    const maxItems = parseInt(process.env.MAX_COLLECTION_ITEMS) || 100;
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Collection has no downloadable DayZ items', collection });
+    }
+
+    if (items.length > maxItems) {
+      return res.status(400).json({
+        error: `Collection has too many items (${items.length}). Maximum is ${maxItems}.`,
+        maxItems
+      });
+    }
+
+    if (!downloadQueue.canAccept(items.length)) {
+      const queueStats = downloadQueue.getStats();
+      return res.status(429).json({
+        error: 'Download queue does not have room for this collection. Please try again later.',
+        queuedDownloads: queueStats.queued,
+        maxQueueSize: queueStats.maxQueueSize
+      });
+    }
 
-        await updateStatus('downloading', { progress: 10 });
+    const apiKeyLimit = await checkApiKeyLimits(req, items.length);
+    if (apiKeyLimit) {
+      return res.status(429).json({ error: apiKeyLimit, quota: apiKeys.getQuotaStatus(req.apiKey) });
+    }
 
-        wsLogger.info('download', `Starting SteamCMD download for workshop ID: ${workshopId}`);
-        const downloadResult = await downloadWorkshopItem(workshopId, downloadPath, updateProgress);
-        
-        if (!downloadResult.success) {
-          throw new Error('SteamCMD download failed');
-        }
+    const parentId = `collection_${Date.now()}_${++downloadCounter}`;
+    const parentPath = path.join(process.env.DOWNLOAD_PATH || '/tmp/dayz-workshop-downloads', parentId);
 
-        // Verify downloaded content
-        const expectedPath = path.join(downloadPath, 'steamapps', 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId);
-        
-        if (!fs.existsSync(expectedPath)) {
-          wsLogger.error('download', `Workshop content not found at expected path: ${expectedPath}`);
-          
-          const searchPaths = [
-            path.join(downloadPath, 'steamapps'),
-            path.join(downloadPath, 'workshop'),
-            downloadPath
-          ];
-          
-          let foundAnyContent = false;
-          for (const searchPath of searchPaths) {
-            if (fs.existsSync(searchPath)) {
-              const items = fs.readdirSync(searchPath, { recursive: true });
-              if (items.length > 0) {
-                foundAnyContent = true;
-                break;
-              }
-            }
-          }
-          
-          if (!foundAnyContent) {
-            throw new Error('No workshop content was downloaded');
-          }
-        }
+    cleanupQueue.add(parentPath);
 
-        await updateStatus('creating_archive', { progress: 65 });
+    const parentData = {
+      id: parentId,
+      type: 'collection',
+      workshopId: collection.collectionId,
+      mode,
+      status: 'queued',
+      progress: 0,
+      startTime: new Date().toISOString(),
+      workshopInfo: {
+        workshopId: collection.collectionId,
+        title: collection.title,
+        description: collection.description,
+        previewImage: collection.previewImage,
+        isCollection: true,
+        itemCount: items.length,
+        url: collection.url
+      },
+      downloadPath: parentPath,
+      format: archiveFormat.id,
+      layout,
+      zipPath: mode === 'combined' ? path.join(parentPath, `${collection.collectionId}.${archiveFormat.extension}`) : null,
+      expectedItems: items.length,
+      children: [],
+      items: [],
+      statusToken: createStatusToken(),
+      apiKeyId: req.apiKey?.id || null
+    };
 
-        wsLogger.info('archive', `Creating ZIP archive: ${zipPath}`);
-        const archivePath = await createZipArchive(downloadPath, zipPath, workshopId, updateProgress);
-        
-        if (!fs.existsSync(archivePath)) {
-          throw new Error('ZIP file was not created');
-        }
-        
-        const zipStats = fs.statSync(archivePath);
-        
-        const originalContentPath = path.join(downloadPath, 'steamapps', 'workshop', 'content', process.env.DAYZ_APP_ID || '221100', workshopId);
-        let originalSize = 0;
-
-        if (fs.existsSync(originalContentPath)) {
-          try {
-            const calculateDirSize = (dirPath) => {
-              let size = 0;
-              const files = fs.readdirSync(dirPath);
-              for (const file of files) {
-                const filePath = path.join(dirPath, file);
-                const stats = fs.statSync(filePath);
-                if (stats.isDirectory()) {
-                  size += calculateDirSize(filePath);
-                } else {
-                  size += stats.size;
-                }
-              }
-              return size;
-            };
-            
-            originalSize = calculateDirSize(originalContentPath);
-          } catch (err) {
-            wsLogger.warning('archive', 'Could not calculate original content size', {
-              error: err.message
-            });
-          }
-        }
+    activeDownloads.set(parentId, parentData);
+    wsLogger.logDownloadStart(parentId, collection.collectionId, req.clientInfo);
 
-        const minZipSize = 512;
-        const compressionRatio = originalSize > 0 ? (zipStats.size / originalSize) : 1;
+    try {
+      await addDownloadToHistory({ ...parentData, jobData: getRecoveryData(parentData) }, req.clientInfo);
+    } catch (dbError) {
+      wsLogger.error('database', 'Error adding collection to database', {
+        downloadId: parentId,
+        error: dbError.message
+      });
+    }
 
-        if (zipStats.size < minZipSize) {
-          throw new Error(`ZIP file too small (${zipStats.size} bytes) - likely empty or corrupted`);
-        }
+    for (const item of items) {
+      const child = await createDownloadJob(item.workshopId, { ...item, collectionId: collection.collectionId }, req.clientInfo, {
+        parentId,
+        skipArchive: mode === 'combined',
+        format: archiveFormat.id,
+        layout
+      });
 
-        if (originalSize > 10000 && compressionRatio < 0.01) {
-          wsLogger.warning('archive', `Unusual compression ratio: ${(compressionRatio * 100).toFixed(2)}% - but allowing download`);
-        }
+      const parent = activeDownloads.get(parentId);
+      activeDownloads.set(parentId, { ...parent, children: [...parent.children, child.id] });
+    }
 
-        const downloadUrl = generateDownloadUrl(downloadId, workshopId);
+    if (req.apiKey) {
+      await apiKeys.recordDownload(req.apiKey, items.length);
+    }
 
-        await updateStatus('completed', {
-          progress: 100,
-          zipPath,
-          downloadUrl,
-          fileSize: zipStats.size,
-          completedTime: new Date().toISOString(),
-          method: downloadResult.method
-        });
+    try {
+      await updateDownloadInHistory(parentId, { jobData: getRecoveryData(activeDownloads.get(parentId)) });
+    } catch (dbError) {
+      wsLogger.error('database', 'Error saving collection children', {
+        downloadId: parentId,
+        error: dbError.message
+      });
+    }
 
-        wsLogger.logDownloadComplete(downloadId, workshopId, zipStats.size, downloadResult.method);
+    await refreshCollectionJob(parentId);
 
-      } catch (error) {
-        wsLogger.logDownloadError(downloadId, workshopId, error);
-        
-        const downloadData = activeDownloads.get(downloadId);
-        if (downloadData?.downloadPath) {
-          await cleanupFiles([downloadData.downloadPath], true);
-        }
-        
-        const errorData = {
-          status: 'error',
-          error: error.message,
-          errorTime: new Date().toISOString()
-        };
-        
-        const download = activeDownloads.get(downloadId);
-        if (download) {
-          activeDownloads.set(downloadId, { ...download, ...errorData });
-        }
-        
-        try {
-          await updateDownloadInHistory(downloadId, errorData);
-        } catch (dbError) {
-          wsLogger.error('database', 'Error updating error status', {
-            downloadId,
-            error: dbError.message
-          });
-        }
-      }
-    })();
+    res.json({
+      downloadId: parentId,
+      type: 'collection',
+      workshopId: collection.collectionId,
+      mode,
+      format: archiveFormat.id,
+      layout,
+      workshopInfo: parentData.workshopInfo,
+      items: buildCollectionItems(activeDownloads.get(parentId)),
+      skippedItems: skippedItems.map(item => ({ workshopId: item.workshopId, title: item.title })),
+      message: `Collection queued: ${items.length} items`,
+      statusUrl: `/api/status/${parentId}`,
+      statusToken: parentData.statusToken,
+      eventsUrl: `/api/status/${parentId}/events`
+    });
 
   } catch (error) {
-    wsLogger.error('api', 'Download API error', { error: error.message });
+    wsLogger.error('api', 'Collection download API error', { error: error.message });
     res.status(500).json({ error: 'Internal server error: ' + error.message });
   }
 });
 
-// Get download URL
-app.get('/api/download/:downloadId/url', async (req, res) => {
-  try {
-    const { downloadId } = req.params;
-    const download = activeDownloads.get(downloadId);
+// Create a signed link for a finished download (expiresIn in seconds, maxUses or singleUse optional)
+const createSignedLink = async (req, res, options) => {
+  const { downloadId } = req.params;
+  const download = activeDownloads.get(downloadId);
 
-    if (!download) {
-      return res.status(404).json({ error: 'Download not found' });
-    }
+  if (!download) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
 
-    if (download.status !== 'completed') {
-      return res.status(400).json({ error: 'Download not completed yet' });
-    }
+  const token = req.body?.token || req.query.token;
+  if (!hasDownloadAccess(download, token)) {
+    return res.status(403).json({ error: 'Invalid status token' });
+  }
+
+  if (download.status !== 'completed' || !(download.zipPath || isStreamDelivery(download))) {
+    return res.status(400).json({ error: 'Download not completed yet' });
+  }
+
+  try {
+    const link = await signedUrls.createLink(downloadId, generateDownloadUrl(downloadId, download.workshopId), {
+      ...options,
+      workshopId: download.workshopId,
+      clientIp: req.clientInfo?.ip
+    });
 
-    const downloadUrl = generateDownloadUrl(downloadId, download.workshopId);
-    
     res.json({
       downloadId,
       workshopId: download.workshopId,
-      downloadUrl,
+      downloadUrl: link.url,
+      linkId: link.linkId,
+      expiresAt: link.expiresAt,
+      maxUses: link.maxUses,
       fileSize: download.fileSize,
+      delivery: download.delivery,
+      rangeSupported: !isStreamDelivery(download),
       status: download.status
     });
+  } catch (error) {
+    if (error.message === 'INVALID_MAX_USES') {
+      return res.status(400).json({ error: 'maxUses must be a positive integer' });
+    }
+    throw error;
+  }
+};
 
+// Get a signed download URL with the default expiry
+app.get('/api/download/:downloadId/url', apiKeys.requireScope('download'), async (req, res) => {
+  try {
+    await createSignedLink(req, res, {});
   } catch (error) {
     wsLogger.error('api', 'Download URL error', { error: error.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/download/:downloadId/file', async (req, res) => {
+app.post('/api/download/:downloadId/link', apiKeys.requireScope('download'), async (req, res) => {
+  try {
+    const { expiresIn, maxUses, singleUse } = req.body || {};
+    await createSignedLink(req, res, {
+      expiresIn,
+      maxUses: singleUse ? 1 : maxUses
+    });
+  } catch (error) {
+    wsLogger.error('api', 'Download link error', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Number of archive streams currently being sent per download - their content must not be cleaned up
+const activeStreams = new Map();
+
+const releaseStream = (downloadId) => {
+  const remaining = (activeStreams.get(downloadId) || 1) - 1;
+  if (remaining > 0) {
+    activeStreams.set(downloadId, remaining);
+  } else {
+    activeStreams.delete(downloadId);
+  }
+};
+
+// Record a finished file transfer and clean up unless the download is still needed
+const completeFileDownload = async (downloadId, download, totalBytes) => {
+  wsLogger.success('download', `File download completed`, {
+    downloadId,
+    workshopId: download.workshopId,
+    totalBytes
+  });
+  
+  try {
+    await updateDownloadInHistory(downloadId, { 
+      downloadCompletedTime: new Date().toISOString(),
+      finalDownloadSize: totalBytes
+    });
+  } catch (dbError) {
+    wsLogger.error('database', 'Error updating download completion', {
+      downloadId,
+      error: dbError.message
+    });
+  }
+  
+  // client อื่นยัง stream archive จาก content ชุดนี้อยู่
+  if (activeStreams.has(downloadId)) return;
+  
+  // link อื่นที่แชร์ไปยังใช้ได้อยู่ - เก็บไฟล์ไว้จนกว่าจะหมดอายุ (periodic cleanup)
+  try {
+    if (await signedUrls.hasUsableLinks(downloadId)) return;
+  } catch (dbError) {
+    wsLogger.error('database', 'Error checking download links', {
+      downloadId,
+      error: dbError.message
+    });
+  }
+  
+  // ZIP ที่อยู่ใน cache ไม่ถูกลบ - ลบเฉพาะโฟลเดอร์งาน
+  await cleanupFiles([download.downloadPath]);
+  
+  activeDownloads.delete(downloadId);
+  await contentCache.releaseUnreferenced();
+  wsLogger.info('cleanup', `Cleaned up download: ${downloadId}`);
+  
+  try {
+    await updateDownloadInHistory(downloadId, { cleanedUpTime: new Date().toISOString() });
+  } catch (dbError) {
+    wsLogger.error('database', 'Error updating cleanup time', {
+      downloadId,
+      error: dbError.message
+    });
+  }
+};
+
+// Build the archive straight into the response (delivery: 'stream', or a selection of files).
+// The size is unknown up front, so there is no Content-Length and no Range/resume support.
+// sources: folders ({ contentPath, folderName }) or single files ({ contentPath, folderName, isFile: true })
+// options.partial: only part of the content was sent - the job is not finished with
+// options.layout: 'server' for @ModName folders + keys/
+const streamArchiveResponse = (req, res, download, sources, fileName, options = {}) => {
+  const downloadId = download.id;
+  const format = archiveFormats.getFormat(download.format);
+  
+  wsLogger.info('download', `Archive stream started`, {
+    downloadId,
+    workshopId: download.workshopId,
+    fileName,
+    format: format.id,
+    clientIP: req.clientInfo?.ip
+  });
+  
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Content-Type', format.mimeType);
+  res.setHeader('Accept-Ranges', 'none');
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('X-Delivery-Mode', 'stream');
+  
+  const archive = archiveFormats.createArchiver(format.id);
+  const compressor = archiveFormats.createCompressor(format.id);
+  const output = compressor ? archive.pipe(compressor) : archive;
+  let streamed = 0;
+  
+  activeStreams.set(downloadId, (activeStreams.get(downloadId) || 0) + 1);
+  
+  // หัว response ส่งไปแล้ว - แจ้ง error ได้แค่ตัด connection
+  const failStream = (stage, error) => {
+    wsLogger.error('download', `Archive stream ${stage} error`, {
+      downloadId,
+      error: error.message
+    });
+    archive.abort();
+    compressor?.destroy();
+    res.destroy(error);
+  };
+  
+  archive.on('error', (err) => failStream('archive', err));
+  archive.on('warning', (err) => {
+    if (err.code === 'ENOENT') {
+      wsLogger.warning('download', 'File not found while streaming, continuing...', {
+        downloadId,
+        warning: err.message
+      });
+    } else {
+      failStream('archive', err);
+    }
+  });
+  compressor?.on('error', (err) => failStream('compression', err));
+  
+  output.on('data', (chunk) => {
+    streamed += chunk.length;
+  });
+  
+  res.on('close', () => {
+    releaseStream(downloadId);
+    
+    if (res.writableFinished) {
+      if (options.partial) {
+        wsLogger.success('download', `File selection sent`, {
+          downloadId,
+          entries: sources.length,
+          totalBytes: streamed
+        });
+      } else {
+        completeFileDownload(downloadId, download, streamed);
+      }
+      return;
+    }
+    
+    // client ปิดกลางคัน: หยุดอ่านไฟล์และบีบอัด (เริ่มใหม่ได้ด้วย link เดิมถ้ายังมีสิทธิ์เหลือ)
+    archive.abort();
+    compressor?.destroy();
+    wsLogger.warning('download', `Client disconnected during archive stream`, {
+      downloadId,
+      streamedBytes: streamed
+    });
+  });
+  
+  output.pipe(res);
+  
+  try {
+    if (options.partial) {
+      for (const item of sources) {
+        if (item.isFile) {
+          archive.file(item.contentPath, { name: item.folderName });
+        } else {
+          archive.directory(item.contentPath, item.folderName || false);
+        }
+      }
+    } else {
+      addArchiveSources(archive, sources, options.layout);
+    }
+  } catch (error) {
+    failStream('archive', error);
+    return;
+  }
+  
+  archive.finalize().catch((err) => failStream('finalize', err));
+};
+
+app.get('/api/download/:downloadId/file', apiKeys.requireScope('download'), rateLimiter.limit('file'), async (req, res) => {
   try {
     const { downloadId } = req.params;
     const download = activeDownloads.get(downloadId);
@@ -1411,13 +2843,34 @@ app.get('/api/download/:downloadId/file', async (req, res) => {
       return res.status(400).json({ error: 'Download not completed yet' });
     }
 
+    // delivery: 'stream' ไม่มีไฟล์บนดิสก์ - ต้องมี content ที่โหลดมาแทน
+    const streaming = isStreamDelivery(download);
+    const sources = streaming ? resolveArchiveSources(download) : null;
     const zipPath = download.zipPath;
-    if (!fs.existsSync(zipPath)) {
+    
+    if (streaming ? !sources : !fs.existsSync(zipPath)) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    const fileName = `${download.workshopInfo?.title || download.workshopId}.zip`;
-    const cleanFileName = fileName.replace(/[^a-zA-Z0-9.\-_\s]/g, '').replace(/\s+/g, '_');
+    // ดาวน์โหลดต่อจากจุดที่ค้าง (Range ที่ไม่เริ่มจาก 0) ไม่นับเป็นการใช้ link ครั้งใหม่
+    // stream ไม่รองรับ Range - ทุก request เริ่มใหม่ตั้งแต่ต้น
+    const resuming = !streaming && Boolean(req.headers.range) && !/^bytes=0-/.test(req.headers.range);
+    const linkCheck = await signedUrls.verify(downloadId, req.query, { countUse: !resuming });
+    if (!linkCheck.valid) {
+      wsLogger.warning('download', `Rejected download link: ${linkCheck.reason}`, {
+        downloadId,
+        clientIP: req.clientInfo?.ip
+      });
+      return res.status(linkCheck.status).json({ error: linkCheck.reason });
+    }
+
+    const format = archiveFormats.getFormat(download.format);
+    const cleanFileName = getDownloadFileName(download);
+    
+    if (streaming) {
+      streamArchiveResponse(req, res, download, sources, cleanFileName, { layout: download.layout });
+      return;
+    }
     
     const stats = fs.statSync(zipPath);
     
@@ -1430,12 +2883,15 @@ app.get('/api/download/:downloadId/file', async (req, res) => {
     });
     
     res.setHeader('Content-Disposition', `attachment; filename="${cleanFileName}"`);
-    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Type', format.mimeType);
     res.setHeader('Content-Length', stats.size);
     res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.setHeader('Cache-Control', 'private, no-store');
     res.setHeader('Last-Modified', stats.mtime.toUTCString());
-    res.setHeader('ETag', `"${stats.size}-${stats.mtime.getTime()}"`);
+    res.setHeader('ETag', download.sha256 ? `"${download.sha256}"` : `"${stats.size}-${stats.mtime.getTime()}"`);
+    if (download.sha256) {
+      res.setHeader('X-Checksum-SHA256', download.sha256);
+    }
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('Keep-Alive', 'timeout=300, max=1000');
 
@@ -1464,94 +2920,286 @@ app.get('/api/download/:downloadId/file', async (req, res) => {
         }
       });
 
-      stream.on('data', (chunk) => {
-        downloaded += chunk.length;
-      });
-      
-      stream.pipe(res);
-      
-    } else {
-      const fileStream = fs.createReadStream(zipPath, {
-        highWaterMark: 64 * 1024
-      });
-      
-      fileStream.on('error', (error) => {
-        wsLogger.error('download', 'File stream error', {
+      stream.on('data', (chunk) => {
+        downloaded += chunk.length;
+      });
+      
+      stream.pipe(res);
+      
+    } else {
+      const fileStream = fs.createReadStream(zipPath, {
+        highWaterMark: 64 * 1024
+      });
+      
+      fileStream.on('error', (error) => {
+        wsLogger.error('download', 'File stream error', {
+          downloadId,
+          error: error.message
+        });
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Error streaming file' });
+        }
+      });
+      
+      fileStream.on('data', (chunk) => {
+        downloaded += chunk.length;
+        if (stats.size > 100 * 1024 * 1024) {
+          const progress = ((downloaded / stats.size) * 100).toFixed(1);
+          if (downloaded % (10 * 1024 * 1024) < chunk.length) {
+            wsLogger.debug('download', `Download progress: ${progress}%`, {
+              downloadId,
+              downloaded,
+              total: stats.size
+            });
+          }
+        }
+      });
+      
+      fileStream.pipe(res);
+    }
+
+    req.on('close', () => {
+      wsLogger.warning('download', `Client disconnected during download`, {
+        downloadId
+      });
+    });
+
+    if (!range) {
+      res.on('finish', () => completeFileDownload(downloadId, download, downloaded));
+    }
+
+  } catch (error) {
+    wsLogger.error('api', 'Download file error', { error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// Content folders of a finished job that can be browsed file by file.
+// Returns { sources } or { status, error }.
+const getBrowsableContent = (download, token) => {
+  if (!hasDownloadAccess(download, token)) {
+    return { status: 403, error: 'Invalid status token' };
+  }
+  if (download.status !== 'completed') {
+    return { status: 400, error: 'Download not completed yet' };
+  }
+  if (download.type === 'collection') {
+    return { status: 400, error: 'Browse the items of a collection one by one' };
+  }
+  // cache hit ไม่เคยโหลด content ลงเครื่อง มีแค่ archive
+  if (download.method === 'cache') {
+    return { status: 404, error: 'Individual files are not available for downloads served from cache' };
+  }
+
+  const sources = download.downloadPath && fs.existsSync(download.downloadPath)
+    ? resolveArchiveSources(download)
+    : null;
+  if (!sources) {
+    return { status: 404, error: 'Downloaded content is no longer available' };
+  }
+  return { sources };
+};
+
+// Maximum number of paths in one file selection
+const MAX_SELECTED_PATHS = 200;
+
+// List the files of a finished download (paths match the layout inside its archive)
+app.get('/api/download/:downloadId/files', apiKeys.requireScope('download'), async (req, res) => {
+  try {
+    const { downloadId } = req.params;
+    const download = activeDownloads.get(downloadId);
+
+    if (!download) {
+      return res.status(404).json({ error: 'Download not found' });
+    }
+
+    const content = getBrowsableContent(download, req.query.token);
+    if (content.error) {
+      return res.status(content.status).json({ error: content.error });
+    }
+
+    const listing = await contentFiles.listFiles(content.sources);
+
+    res.json({
+      downloadId,
+      workshopId: download.workshopId,
+      ...listing,
+      maxListedFiles: contentFiles.MAX_LISTED_FILES,
+      maxSelectedPaths: MAX_SELECTED_PATHS
+    });
+
+  } catch (error) {
+    wsLogger.error('api', 'List files error', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download one file as-is, or several files/folders (?path=a&path=b) as a smaller archive in the job's format
+app.get('/api/download/:downloadId/files/download', apiKeys.requireScope('download'), rateLimiter.limit('file'), async (req, res) => {
+  try {
+    const { downloadId } = req.params;
+    const download = activeDownloads.get(downloadId);
+
+    if (!download) {
+      return res.status(404).json({ error: 'Download not found' });
+    }
+
+    const content = getBrowsableContent(download, req.query.token);
+    if (content.error) {
+      return res.status(content.status).json({ error: content.error });
+    }
+
+    const requestedPaths = [].concat(req.query.path || []);
+    if (requestedPaths.length === 0) {
+      return res.status(400).json({ error: 'At least one path is required' });
+    }
+    if (requestedPaths.length > MAX_SELECTED_PATHS) {
+      return res.status(400).json({ error: `At most ${MAX_SELECTED_PATHS} paths can be selected` });
+    }
+
+    const entries = [];
+    for (const requestedPath of requestedPaths) {
+      const entry = await contentFiles.resolveEntry(content.sources, requestedPath);
+      if (!entry) {
+        wsLogger.warning('download', `Rejected file path: ${requestedPath}`, {
           downloadId,
-          error: error.message
+          clientIP: req.clientInfo?.ip
         });
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Error streaming file' });
-        }
-      });
-      
-      fileStream.on('data', (chunk) => {
-        downloaded += chunk.length;
-        if (stats.size > 100 * 1024 * 1024) {
-          const progress = ((downloaded / stats.size) * 100).toFixed(1);
-          if (downloaded % (10 * 1024 * 1024) < chunk.length) {
-            wsLogger.debug('download', `Download progress: ${progress}%`, {
-              downloadId,
-              downloaded,
-              total: stats.size
-            });
-          }
-        }
-      });
-      
-      fileStream.pipe(res);
+        return res.status(400).json({ error: `Invalid path: ${requestedPath}` });
+      }
+      entries.push(entry);
     }
 
-    req.on('close', () => {
-      wsLogger.warning('download', `Client disconnected during download`, {
-        downloadId
+    // ไฟล์เดียว (เช่น .bikey) ส่งไฟล์ตรงๆ ไม่ต้องห่อ archive - รองรับ Range ด้วย
+    if (entries.length === 1 && !entries[0].isDirectory) {
+      const entry = entries[0];
+      wsLogger.info('download', `Single file download: ${entry.path}`, {
+        downloadId,
+        fileSize: entry.size,
+        clientIP: req.clientInfo?.ip
       });
-    });
 
-    if (!range) {
-      res.on('finish', async () => {
-        wsLogger.success('download', `File download completed`, {
-          downloadId,
-          workshopId: download.workshopId,
-          totalBytes: downloaded
-        });
-        
-        try {
-          await updateDownloadInHistory(downloadId, { 
-            downloadCompletedTime: new Date().toISOString(),
-            finalDownloadSize: downloaded
-          });
-        } catch (dbError) {
-          wsLogger.error('database', 'Error updating download completion', {
+      res.attachment(path.posix.basename(entry.path));
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.sendFile(entry.absolutePath, { dotfiles: 'allow' }, (err) => {
+        if (err && !res.headersSent) {
+          wsLogger.error('download', 'Single file send error', {
             downloadId,
-            error: dbError.message
+            error: err.message
           });
+          res.status(500).json({ error: 'Error sending file' });
         }
-        
-        const downloadPath = path.dirname(zipPath);
-        await cleanupFiles([downloadPath]);
-        
-        activeDownloads.delete(downloadId);
-        wsLogger.info('cleanup', `Cleaned up download: ${downloadId}`);
       });
     }
 
+    const format = archiveFormats.getFormat(download.format);
+    const baseName = `${download.workshopInfo?.title || download.workshopId}_selection`
+      .replace(/[^a-zA-Z0-9.\-_\s]/g, '').replace(/\s+/g, '_');
+
+    streamArchiveResponse(req, res, download, entries.map(entry => ({
+      contentPath: entry.absolutePath,
+      folderName: entry.path,
+      isFile: !entry.isDirectory
+    })), `${baseName}.${format.extension}`, { partial: true });
+
   } catch (error) {
-    wsLogger.error('api', 'Download file error', { error: error.message });
+    wsLogger.error('api', 'File selection download error', { error: error.message });
     if (!res.headersSent) {
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 });
 
-// Manual cleanup endpoint
+// SHA256SUMS manifest of a finished download (`sha256sum -c SHA256SUMS` after extracting)
+app.get('/api/download/:downloadId/SHA256SUMS', apiKeys.requireScope('download'), (req, res) => {
+  const { downloadId } = req.params;
+  const download = activeDownloads.get(downloadId);
+
+  if (!download) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+
+  if (!hasDownloadAccess(download, req.query.token)) {
+    return res.status(403).json({ error: 'Invalid status token' });
+  }
+
+  if (download.status !== 'completed') {
+    return res.status(400).json({ error: 'Download not completed yet' });
+  }
+
+  if (!download.checksums) {
+    return res.status(404).json({ error: 'No checksums recorded for this download' });
+  }
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="SHA256SUMS"');
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(checksums.buildManifest(download.checksums));
+});
+
+// Cancel a queued or running download (only the client holding the status token may cancel)
+app.post('/api/download/:downloadId/cancel', apiKeys.requireScope('download'), async (req, res) => {
+  try {
+    const { downloadId } = req.params;
+    const download = activeDownloads.get(downloadId);
+
+    if (!download) {
+      return res.status(404).json({ error: 'Download not found' });
+    }
+
+    const token = req.body?.token || req.query.token;
+    if (!hasStatusAccess(download, token)) {
+      return res.status(403).json({ error: 'Invalid status token' });
+    }
+
+    const cancelled = await cancelDownloadJob(downloadId);
+    const current = activeDownloads.get(downloadId) || download;
+
+    if (!cancelled) {
+      return res.status(409).json({
+        error: `Download already ${current.status}`,
+        status: current.status
+      });
+    }
+
+    res.json({
+      message: 'Download cancelled',
+      downloadId,
+      status: current.status
+    });
+
+  } catch (error) {
+    wsLogger.error('api', 'Cancel download error', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Manual cleanup endpoint (same status token check as cancel - it aborts the job and deletes its files)
 app.delete('/api/cleanup/:downloadId', async (req, res) => {
   try {
     const { downloadId } = req.params;
     const download = activeDownloads.get(downloadId);
 
+    if (download && !hasStatusAccess(download, req.body?.token || req.query.token)) {
+      return res.status(403).json({ error: 'Invalid status token' });
+    }
+
     if (download && download.downloadPath) {
+      // หยุด SteamCMD ก่อนลบไฟล์ที่มันยังเขียนอยู่
+      await cancelDownloadJob(downloadId);
       await cleanupFiles([download.downloadPath], true);
+      
+      // ลบงานลูกของ collection ที่ยังค้างอยู่ด้วย
+      for (const childId of download.children || []) {
+        const child = activeDownloads.get(childId);
+        if (child?.downloadPath) {
+          await cleanupFiles([child.downloadPath], true);
+        }
+        activeDownloads.delete(childId);
+      }
+
       activeDownloads.delete(downloadId);
       
       wsLogger.info('cleanup', `Manual cleanup completed for download: ${downloadId}`);
@@ -1579,14 +3227,16 @@ app.delete('/api/cleanup/:downloadId', async (req, res) => {
   }
 });
 
-// Enhanced debug endpoint
-app.get('/api/debug', (req, res) => {
+// Enhanced debug info for GET /api/debug
+const getDebugInfo = () => {
   const logStats = wsLogger.getStats();
   
-  res.json({ 
-    activeDownloads: Array.from(activeDownloads.entries()),
+  return { 
+    activeDownloads: Array.from(activeDownloads.entries()).map(([downloadId, download]) => [downloadId, withoutStatusToken(download)]),
     downloadCounter,
     maxConcurrent: parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3,
+    queue: downloadQueue.getStats(),
+    cache: contentCache.getStats(),
     downloadPath: process.env.DOWNLOAD_PATH,
     steamcmdPath: process.env.STEAMCMD_PATH,
     maxDownloadSize: process.env.MAX_DOWNLOAD_SIZE,
@@ -1603,60 +3253,84 @@ app.get('/api/debug', (req, res) => {
       name: process.env.DB_NAME,
       user: process.env.DB_USERNAME
     }
-  });
-});
+  };
+};
 
-// Clear all downloads
-app.post('/api/clear', async (req, res) => {
-  try {
-    const cleared = activeDownloads.size;
-    
-    wsLogger.info('admin', `Clearing all ${cleared} active downloads`);
-    
-    for (const [downloadId, download] of activeDownloads.entries()) {
-      if (download.downloadPath) {
-        await cleanupFiles([download.downloadPath], true);
-      }
-      
-      try {
-        await updateDownloadInHistory(downloadId, { 
-          cleanedUpTime: new Date().toISOString(),
-          status: 'cleaned',
-          reason: 'manual_clear'
-        });
-      } catch (dbError) {
-        wsLogger.error('database', 'Error updating clear status', {
-          downloadId,
-          error: dbError.message
-        });
-      }
+// Clear all downloads for POST /api/clear; returns how many were cleared
+const clearAllDownloads = async () => {
+  const cleared = activeDownloads.size;
+  
+  wsLogger.info('admin', `Clearing all ${cleared} active downloads`);
+  
+  // หยุดงานที่ยังทำอยู่ก่อน - SteamCMD จะได้ไม่เขียนลง directory ที่กำลังจะลบ และคืน worker slot
+  for (const [downloadId, download] of Array.from(activeDownloads.entries())) {
+    if (IN_PROGRESS_STATUSES.includes(download.status)) {
+      await cancelDownloadJob(downloadId);
+    }
+  }
+  
+  await downloadQueue.clear();
+  
+  for (const [downloadId, download] of activeDownloads.entries()) {
+    if (download.downloadPath) {
+      await cleanupFiles([download.downloadPath], true);
     }
     
-    activeDownloads.clear();
-    cleanupQueue.clear();
-    downloadCounter = 0;
-    
-    wsLogger.success('admin', `All downloads cleared and cleaned up`, { clearedCount: cleared });
-    
-    res.json({ 
-      message: 'All downloads cleared and cleaned up',
-      clearedCount: cleared
-    });
-  } catch (error) {
-    wsLogger.error('api', 'Clear error', { error: error.message });
-    res.status(500).json({ error: 'Internal server error' });
+    try {
+      await updateDownloadInHistory(downloadId, { 
+        cleanedUpTime: new Date().toISOString(),
+        status: 'cleaned',
+        reason: 'manual_clear'
+      });
+    } catch (dbError) {
+      wsLogger.error('database', 'Error updating clear status', {
+        downloadId,
+        error: dbError.message
+      });
+    }
   }
-});
+  
+  activeDownloads.clear();
+  cleanupQueue.clear();
+  downloadCounter = 0;
+  await contentCache.releaseUnreferenced();
+  
+  wsLogger.success('admin', `All downloads cleared and cleaned up`, { clearedCount: cleared });
+  return cleared;
+};
+
+app.use('/api', createOpsRouter({ getDebugInfo, clearDownloads: clearAllDownloads }));
+
+// Finished downloads are kept this long before the periodic cleanup removes them
+const DOWNLOAD_MAX_AGE = 7200000; // 2 hours
 
 // Cleanup old downloads periodically
 setInterval(async () => {
   const now = Date.now();
-  const maxAge = 7200000; // 2 hours
+  const maxAge = DOWNLOAD_MAX_AGE;
+
+  try {
+    await signedUrls.purgeExpired();
+  } catch (dbError) {
+    wsLogger.error('database', 'Error purging expired download links', {
+      error: dbError.message
+    });
+  }
 
   if (activeDownloads.size > 0) {
     wsLogger.debug('cleanup', `Running periodic cleanup. Active downloads: ${activeDownloads.size}`);
 
     for (const [downloadId, download] of activeDownloads.entries()) {
+      // งานที่ยังรอคิวอยู่ไม่นับเป็นงานค้าง
+      if (download.status === 'queued') continue;
+      
+      // collection ที่ยังไม่เสร็จ และลูกของ collection ที่ยังทำงานอยู่ ให้ collection จัดการเอง
+      if (download.type === 'collection' && !['completed', 'error', 'cancelled'].includes(download.status)) continue;
+      if (download.parentId && activeDownloads.has(download.parentId)) continue;
+      
+      // ยังมี client กำลังรับ archive stream จาก content นี้
+      if (activeStreams.has(downloadId)) continue;
+      
       const startTime = new Date(download.startTime).getTime();
       if (now - startTime > maxAge) {
         wsLogger.info('cleanup', `Cleaning up old download: ${downloadId}`);
@@ -1681,18 +3355,26 @@ setInterval(async () => {
       }
     }
   }
+
+  // cache entries purged/evicted while these downloads still used them
+  await contentCache.releaseUnreferenced();
 }, 600000); // Check every 10 minutes
 
-// Cleanup orphaned files on startup
-(async () => {
+// Cleanup orphaned files on startup (keepPaths = folders of jobs restored from the database)
+const cleanupOrphanedFiles = async (keepPaths = new Set()) => {
   try {
     const downloadDir = process.env.DOWNLOAD_PATH || '/tmp/dayz-workshop-downloads';
     if (fs.existsSync(downloadDir)) {
       const items = fs.readdirSync(downloadDir);
       wsLogger.info('cleanup', `Found ${items.length} items in download directory on startup`);
       
+      const keep = new Set([...keepPaths].map(keepPath => path.resolve(keepPath)));
+      keep.add(path.resolve(contentCache.cacheDir));
+      
       for (const item of items) {
         const itemPath = path.join(downloadDir, item);
+        if (keep.has(path.resolve(itemPath))) continue;
+
         try {
           await fs.remove(itemPath);
           wsLogger.debug('cleanup', `Cleaned up orphaned item: ${item}`);
@@ -1708,7 +3390,238 @@ setInterval(async () => {
       error: error.message
     });
   }
-})();
+};
+
+// Load the shared ZIP cache and let admin refreshes queue a fresh download
+const initializeContentCache = async () => {
+  // งานจะเก็บ entry ไว้ใน activeDownloads ตราบที่ยังมีคนโหลด/stream หรือมี signed link ที่ใช้ได้
+  contentCache.setReferenceCheck((zipPath) => [...activeDownloads.values()]
+    .some(download => download.zipPath && path.resolve(download.zipPath) === path.resolve(zipPath)));
+
+  try {
+    await contentCache.initialize();
+  } catch (error) {
+    wsLogger.error('cache', 'Error initializing content cache', {
+      error: error.message
+    });
+  }
+  
+  contentCache.setWarmHandler(async (workshopId, clientInfo) => {
+    const workshopInfo = await fetchWorkshopInfo(workshopId);
+    if (!workshopInfo.isValid || !workshopInfo.isDayZ) {
+      throw new Error('Workshop item not found or not a DayZ item');
+    }
+    return createDownloadJob(workshopId, workshopInfo, clientInfo, { cacheRefresh: true });
+  });
+};
+
+// Check watched items on a timer; updated items with autoDownload get a fresh copy in the cache
+const WATCHLIST_CLIENT_INFO = {
+  ip: '127.0.0.1',
+  userAgent: 'watchlist-scheduler',
+  browser: 'System',
+  os: 'System',
+  device: 'Server',
+  method: 'SYSTEM',
+  url: 'watchlist'
+};
+
+// Retry failed webhook deliveries; other notifications (watchlist updates) reach webhooks too
+const initializeWebhooks = () => {
+  notifier.registerChannel('webhooks', {
+    send: (event, payload) => webhookDispatcher.dispatch(event, payload)
+  });
+  webhookDispatcher.start();
+};
+
+const initializeWatchlist = () => {
+  watchlistScheduler.setDownloadHandler(async (workshopId, workshopInfo) => {
+    if (downloadQueue.isFull()) {
+      throw new Error('Download queue is full');
+    }
+    return createDownloadJob(workshopId, workshopInfo, WATCHLIST_CLIENT_INFO, { cacheRefresh: true });
+  });
+  watchlistScheduler.start();
+};
+
+// Statuses of a job that was still doing work when the server stopped
+const IN_PROGRESS_STATUSES = ['queued', 'starting', 'preparing', 'downloading', 'creating_archive'];
+
+// Rebuild the in-memory job from its DownloadHistory row
+const jobFromHistory = (row) => ({
+  id: row.id,
+  workshopId: row.workshopId,
+  status: row.status,
+  progress: row.progress,
+  startTime: new Date(row.startTime).toISOString(),
+  completedTime: row.completedTime ? new Date(row.completedTime).toISOString() : undefined,
+  workshopInfo: row.workshopInfo,
+  downloadPath: row.downloadPath,
+  zipPath: row.zipPath,
+  fileSize: row.fileSize !== null ? Number(row.fileSize) : null,
+  sha256: row.sha256 || undefined,
+  checksums: row.checksums || undefined,
+  method: row.method,
+  ...(row.jobData || {}),
+  restoredAt: new Date().toISOString()
+});
+
+// A job that cannot continue after the restart
+const markJobInterrupted = async (job, reason) => {
+  const errorData = {
+    status: 'error',
+    error: reason,
+    errorTime: new Date().toISOString()
+  };
+  
+  // ลูกของ collection ที่ยังทำงานอยู่ต้องอยู่ใน memory ให้ parent สรุปผลได้
+  if (job.parentId && activeDownloads.has(job.parentId)) {
+    activeDownloads.set(job.id, { ...job, ...errorData });
+  }
+  
+  wsLogger.warning('system', `Job could not be resumed: ${job.id}`, { reason });
+  
+  try {
+    await updateDownloadInHistory(job.id, { ...errorData, reason: 'server_restart' });
+  } catch (dbError) {
+    wsLogger.error('database', 'Error marking interrupted job', {
+      downloadId: job.id,
+      error: dbError.message
+    });
+  }
+};
+
+// Restore jobs from before a restart: queued and interrupted jobs go back on the queue,
+// finished ZIPs stay downloadable and anything else is marked as failed.
+// Returns the download folders the orphaned-file cleanup must keep.
+const restoreJobs = async () => {
+  const keepPaths = new Set();
+  let rows = [];
+  let queueState = { restored: [], abandoned: [] };
+  
+  try {
+    rows = await DownloadHistory.findAll({
+      where: {
+        [Op.or]: [
+          { status: IN_PROGRESS_STATUSES },
+          {
+            status: 'completed',
+            startTime: { [Op.gte]: new Date(Date.now() - DOWNLOAD_MAX_AGE) },
+            cleanedUpTime: null,
+            autoCleanedTime: null
+          }
+        ]
+      },
+      order: [['startTime', 'ASC']]
+    });
+    queueState = await downloadQueue.restore();
+  } catch (error) {
+    wsLogger.error('system', 'Error loading jobs to restore', {
+      error: error.message
+    });
+    return keepPaths;
+  }
+  
+  // งานในคิว (รวมถึงงานที่ถูกตัดกลางคัน) เริ่มโหลดใหม่ตั้งแต่ต้น
+  for (const job of queueState.restored) {
+    activeDownloads.set(job.id, { ...job, status: 'queued', progress: 0 });
+    cleanupQueue.add(job.downloadPath);
+    
+    try {
+      await updateDownloadInHistory(job.id, { status: 'queued', progress: 0 });
+    } catch (dbError) {
+      wsLogger.error('database', 'Error resetting restored job status', {
+        downloadId: job.id,
+        error: dbError.message
+      });
+    }
+  }
+  
+  const queuedIds = new Set(queueState.restored.map(job => job.id));
+  const abandonedIds = new Set(queueState.abandoned.map(job => job.id));
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  const counts = { queued: queuedIds.size, completed: 0, failed: 0 };
+  
+  // Rows are ordered by startTime, so a collection parent is restored before its children
+  for (const row of rows) {
+    if (queuedIds.has(row.id)) continue;
+    
+    const job = jobFromHistory(row);
+    
+    if (abandonedIds.has(row.id)) {
+      await markJobInterrupted(job, `Interrupted by a server restart more than ${downloadQueue.maxRestarts} times`);
+      counts.failed++;
+      continue;
+    }
+    
+    if (job.type === 'collection') {
+      if (row.status === 'completed') {
+        // combined ต้องมี ZIP รวม / separate ไฟล์อยู่ที่ลูกแต่ละตัว
+        if (job.mode === 'combined' && !(job.zipPath && fs.existsSync(job.zipPath))) continue;
+        activeDownloads.set(job.id, job);
+        keepPaths.add(job.downloadPath);
+        counts.completed++;
+        continue;
+      }
+      
+      // สถานะจริงคำนวณใหม่จากลูกตอน startDownloadQueue
+      activeDownloads.set(job.id, {
+        ...job,
+        status: 'downloading',
+        children: job.children || [],
+        expectedItems: (job.children || []).length,
+        items: []
+      });
+      continue;
+    }
+    
+    if (row.status === 'completed') {
+      const parentRow = job.parentId ? rowsById.get(job.parentId) : null;
+      const parentActive = Boolean(parentRow) && IN_PROGRESS_STATUSES.includes(parentRow.status);
+      
+      // ลูกของ collection แบบ combined ไม่มี ZIP ของตัวเอง - เก็บ content ไว้รอรวม archive
+      // stream delivery ก็ไม่มี ZIP - archive สร้างจาก content ตอนดาวน์โหลด
+      let hasFiles;
+      if (job.skipArchive) {
+        hasFiles = parentActive && Boolean(job.downloadPath) && fs.existsSync(job.downloadPath);
+      } else if (isStreamDelivery(job)) {
+        hasFiles = Boolean(job.downloadPath) && fs.existsSync(job.downloadPath);
+      } else {
+        hasFiles = Boolean(job.zipPath) && fs.existsSync(job.zipPath);
+      }
+      
+      if (hasFiles) {
+        activeDownloads.set(job.id, job);
+        keepPaths.add(job.downloadPath);
+        counts.completed++;
+      }
+      continue;
+    }
+    
+    // ยังทำงานอยู่แต่ไม่มีในคิวแล้ว - ทำต่อไม่ได้
+    await markJobInterrupted(job, 'Interrupted by a server restart');
+    counts.failed++;
+  }
+  
+  if (counts.queued + counts.completed + counts.failed > 0) {
+    wsLogger.info('system', `Restored jobs after restart: ${counts.queued} re-queued, ${counts.completed} completed, ${counts.failed} failed`);
+  }
+  
+  return keepPaths;
+};
+
+// Start the queue workers and let restored collections pick up where they were
+const startDownloadQueue = async () => {
+  downloadQueue.setProcessor(runDownloadJob);
+  downloadQueue.pump();
+  
+  // collection ที่ลูกเสร็จครบแล้วก่อน restart (เช่นค้างตอนสร้าง archive รวม) สรุปผลได้ทันที
+  for (const [downloadId, download] of activeDownloads.entries()) {
+    if (download.type === 'collection' && download.restoredAt) {
+      await refreshCollectionJob(downloadId);
+    }
+  }
+};
 
 // Enhanced error handling middleware
 app.use((error, req, res, next) => {
@@ -1729,14 +3642,19 @@ app.use((error, req, res, next) => {
 const gracefulShutdown = async (signal) => {
   wsLogger.info('system', `${signal} received, cleaning up...`);
   
-  // Cleanup all active downloads
+  // SteamCMD รันแบบ detached - ต้องปิดเองไม่งั้นจะค้างหลัง server ปิด (รอจน SIGKILL ออกไปก่อน exit)
+  const killed = await killAllProcesses();
+  if (killed > 0) {
+    wsLogger.info('system', `Stopped ${killed} SteamCMD process(es)`);
+  }
+  
+  // Remove partial downloads; finished ZIPs stay so restoreJobs can serve them after the restart
   for (const [downloadId, download] of activeDownloads.entries()) {
-    if (download.downloadPath) {
+    if (download.downloadPath && download.status !== 'completed') {
       try {
         await cleanupFiles([download.downloadPath], true);
         
         await updateDownloadInHistory(downloadId, { 
-          cleanedUpTime: new Date().toISOString(),
           reason: 'server_shutdown'
         });
       } catch (error) {
@@ -1747,6 +3665,10 @@ const gracefulShutdown = async (signal) => {
     }
   }
   
+  watchlistScheduler.stop();
+  webhookDispatcher.stop();
+  rateLimiter.stop();
+  
   // Shutdown WebSocket logger
   wsLogger.shutdown();
   
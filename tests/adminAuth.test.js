@@ -0,0 +1,298 @@
+// tests/adminAuth.test.js - every admin-only route must answer 401 without a valid admin session
+
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const { AdminAuditLog, AdminSession, AdminUser, DownloadHistory } = require('../models');
+const { router: adminRouter, verifyAdmin } = require('../routes/adminRoutes');
+const { createOpsRouter } = require('../routes/opsRoutes');
+const sessionService = require('../utils/sessionService');
+const wsLogger = require('../websocketLogger');
+const { requireSecret } = require('../utils/secrets');
+
+const JWT_SECRET = requireSecret('JWT_SECRET');
+
+// ไม่มี MySQL ตอนเทส - ค่าเริ่มต้นคือไม่มี session และไม่มีบัญชี admin
+const consoleLog = console.log;
+const findSession = AdminSession.findOne;
+const updateSessions = AdminSession.update;
+const findUser = AdminUser.findOne;
+const createAuditEntry = AdminAuditLog.create;
+const searchHistory = DownloadHistory.findAndCountAll;
+const findHistory = DownloadHistory.findAll;
+const withoutDatabase = () => {
+  AdminAuditLog.create = async (entry) => entry;
+  AdminSession.findOne = async () => null;
+  AdminSession.update = async () => [0];
+  AdminUser.findOne = async () => null;
+};
+
+// Active session row for a token, as sessionService reads it
+const fakeSession = (sessionId, username, expiresInMs = 60000) => ({
+  sessionId,
+  username,
+  isActive: true,
+  loginTime: new Date(),
+  lastActivityAt: new Date(),
+  expiresAt: new Date(Date.now() + expiresInMs),
+  update: async () => {}
+});
+
+// Every route whose middleware chain includes verifyAdmin, with :params filled in
+const collectAdminRoutes = (router, prefix) => router.stack
+  .filter(layer => layer.route && layer.route.stack.some(handler => handler.handle === verifyAdmin))
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+    method: method.toUpperCase(),
+    path: prefix + layer.route.path.replace(/:\w+/g, 'test')
+  })));
+
+const opsRouter = createOpsRouter({
+  getDebugInfo: () => ({}),
+  clearDownloads: async () => 0
+});
+
+const routes = [
+  ...collectAdminRoutes(adminRouter, '/api/admin'),
+  ...collectAdminRoutes(opsRouter, '/api')
+];
+
+let server;
+let baseUrl;
+
+const request = (method, path, token = null) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  },
+  body: method === 'GET' ? undefined : '{}'
+});
+
+before(async () => {
+  // verifyAdmin logs every check to stdout, which the test runner also reads - keep it quiet
+  console.log = () => {};
+  withoutDatabase();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRouter);
+  app.use('/api', opsRouter);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  console.log = consoleLog;
+  AdminSession.findOne = findSession;
+  AdminSession.update = updateSessions;
+  AdminUser.findOne = findUser;
+  AdminAuditLog.create = createAuditEntry;
+  DownloadHistory.findAndCountAll = searchHistory;
+  DownloadHistory.findAll = findHistory;
+  server.close();
+});
+
+describe('admin-only routes', () => {
+  test('include the operational endpoints', () => {
+    const registered = routes.map(route => `${route.method} ${route.path}`);
+
+    for (const route of [
+      'GET /api/debug',
+      'POST /api/clear',
+      'GET /api/admin/logs/stats',
+      'POST /api/admin/logs/clear',
+      'GET /api/admin/logs/export'
+    ]) {
+      assert.ok(registered.includes(route), `${route} is not behind verifyAdmin`);
+    }
+  });
+
+  for (const { method, path } of routes) {
+    test(`${method} ${path} returns 401 without a session`, async () => {
+      const response = await request(method, path);
+      assert.strictEqual(response.status, 401);
+    });
+
+    test(`${method} ${path} returns 401 with an unknown session token`, async () => {
+      const response = await request(method, path, 'admin_session_0_unknown');
+      assert.strictEqual(response.status, 401);
+    });
+  }
+});
+
+describe('tokens that are not sessions', () => {
+  test('a JWT for an account that does not exist is rejected', async () => {
+    const token = jwt.sign({ username: 'ghost', role: 'owner' }, JWT_SECRET);
+    const response = await request('GET', '/api/admin/stats', token);
+    assert.strictEqual(response.status, 401);
+  });
+
+  test('a 2FA challenge token is rejected', async () => {
+    AdminUser.findOne = async () => ({ id: 1, username: 'owner', role: 'owner', totpEnabled: true });
+
+    const token = jwt.sign({ username: 'owner', purpose: '2fa' }, JWT_SECRET);
+    const response = await request('POST', '/api/clear', token);
+    assert.strictEqual(response.status, 401);
+  });
+
+  afterEach(withoutDatabase);
+});
+
+describe('role checks on the operational endpoints', () => {
+  const signInAs = (role) => {
+    AdminSession.findOne = async () => fakeSession(`${role}-session-token-0123456789`, role);
+    AdminUser.findOne = async () => ({ id: 1, username: role, role, totpEnabled: false });
+  };
+
+  test('a viewer can read log stats', async () => {
+    signInAs('viewer');
+    const response = await request('GET', '/api/admin/logs/stats', 'viewer-session-token-0123456789');
+    assert.strictEqual(response.status, 200);
+  });
+
+  for (const [method, path] of [
+    ['POST', '/api/clear'],
+    ['POST', '/api/admin/logs/clear'],
+    ['GET', '/api/debug']
+  ]) {
+    test(`a viewer gets 403 for ${method} ${path}`, async () => {
+      signInAs('viewer');
+      const response = await request(method, path, 'viewer-session-token-0123456789');
+      assert.strictEqual(response.status, 403);
+    });
+  }
+
+  test('an operator can clear downloads but not see debug info', async () => {
+    signInAs('operator');
+    assert.strictEqual((await request('POST', '/api/clear', 'operator-session-token-0123456789')).status, 200);
+    assert.strictEqual((await request('GET', '/api/debug', 'operator-session-token-0123456789')).status, 403);
+  });
+
+  afterEach(withoutDatabase);
+});
+
+describe('session lifecycle', () => {
+  const token = 'owner-session-token-0123456789';
+
+  test('an expired session is rejected and ended as expired', async () => {
+    const ended = [];
+    const onEnded = (event) => ended.push(event);
+    sessionService.on('ended', onEnded);
+
+    AdminSession.findOne = async () => fakeSession(token, 'owner', -1000);
+    AdminUser.findOne = async () => ({ id: 1, username: 'owner', role: 'owner', isActive: true, totpEnabled: false });
+
+    const response = await request('GET', '/api/admin/stats', token);
+    sessionService.off('ended', onEnded);
+
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(ended, [{ sessionIds: [token], reason: 'expired' }]);
+  });
+
+  test('logout ends only the session of the token', async () => {
+    const updates = [];
+    AdminSession.findOne = async () => fakeSession(token, 'owner');
+    AdminSession.update = async (values, options) => {
+      updates.push({ values, where: options.where });
+      return [1];
+    };
+
+    const response = await request('POST', '/api/admin/logout', token);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(updates.length, 1);
+    assert.deepStrictEqual(updates[0].where, { sessionId: [token] });
+    assert.strictEqual(updates[0].values.deactivatedReason, 'logout');
+  });
+
+  test('a session can be refreshed', async () => {
+    let refreshed = null;
+    const session = fakeSession(token, 'owner', 1000);
+    session.update = async (values) => {
+      refreshed = values;
+      Object.assign(session, values);
+    };
+    AdminSession.findOne = async () => session;
+    AdminUser.findOne = async () => ({ id: 1, username: 'owner', role: 'owner', isActive: true, totpEnabled: false });
+
+    const response = await request('POST', '/api/admin/session/refresh', token);
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.ok(refreshed.expiresAt.getTime() > Date.now() + 1000);
+    assert.strictEqual(body.expiresAt, refreshed.expiresAt.toISOString());
+  });
+
+  afterEach(withoutDatabase);
+});
+
+describe('log stream connections', () => {
+  const token = 'viewer-session-token-0123456789';
+
+  // Stand-in for an open WebSocket of the dashboard
+  const connect = () => {
+    const client = { sessionId: token, username: 'viewer', closed: null };
+    client.close = (code, reason) => { client.closed = { code, reason }; };
+    wsLogger.clients.add(client);
+    return client;
+  };
+
+  test('need an active account that may read the dashboard', async () => {
+    AdminSession.findOne = async () => fakeSession(token, 'viewer');
+    assert.strictEqual((await wsLogger.authorize(token)).reason, 'account_disabled');
+
+    AdminUser.findOne = async () => ({ id: 2, username: 'viewer', role: 'viewer', isActive: true, totpEnabled: false });
+    assert.strictEqual((await wsLogger.authorize(token)).admin.username, 'viewer');
+  });
+
+  test('are closed once the account is disabled', async () => {
+    AdminSession.findOne = async () => fakeSession(token, 'viewer');
+    AdminUser.findOne = async () => ({ id: 2, username: 'viewer', role: 'viewer', isActive: true, totpEnabled: false });
+    const client = connect();
+
+    await wsLogger.checkSessions();
+    assert.strictEqual(client.closed, null);
+
+    AdminUser.findOne = async () => null;
+    await wsLogger.checkSessions();
+
+    assert.deepStrictEqual(client.closed, { code: 4001, reason: 'account_disabled' });
+    assert.ok(!wsLogger.clients.has(client));
+  });
+
+  afterEach(withoutDatabase);
+});
+
+describe('download rows for the dashboard', () => {
+  const token = 'viewer-session-token-0123456789';
+  const statusToken = '0123456789abcdef0123456789abcdef';
+
+  // A row from before status tokens were hashed, and a current one
+  const rows = [
+    { id: 'dl_old', status: 'downloading', jobData: { type: 'single', statusToken } },
+    { id: 'dl_new', status: 'queued', jobData: { type: 'single', statusTokenHash: 'f'.repeat(64) } }
+  ].map(values => ({ toJSON: () => JSON.parse(JSON.stringify(values)) }));
+
+  test('never include the status token of a job', async () => {
+    AdminSession.findOne = async () => fakeSession(token, 'viewer');
+    AdminUser.findOne = async () => ({ id: 2, username: 'viewer', role: 'viewer', isActive: true, totpEnabled: false });
+    DownloadHistory.findAndCountAll = async () => ({ rows, count: rows.length });
+    DownloadHistory.findAll = async () => rows;
+
+    for (const path of ['/api/admin/download-history', '/api/admin/active-downloads']) {
+      const response = await request('GET', path, token);
+      const text = await response.text();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(!text.includes(statusToken), `${path} leaks the status token`);
+      assert.ok(!text.includes('statusTokenHash'), `${path} includes the token hash`);
+      assert.deepStrictEqual(JSON.parse(text).downloads[0].jobData, { type: 'single' });
+    }
+  });
+
+  afterEach(withoutDatabase);
+});
@@ -0,0 +1,258 @@
+// tests/auditLog.test.js - admin audit trail: what gets stored, CSV export and the audited login paths
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+const { AdminAuditLog, AdminSession, AdminUser, LoginAttempt } = require('../models');
+const { router: adminRouter } = require('../routes/adminRoutes');
+const auditLog = require('../utils/auditLog');
+
+const originals = {
+  log: console.log,
+  warn: console.warn,
+  createEntry: AdminAuditLog.create,
+  searchEntries: AdminAuditLog.findAndCountAll,
+  distinctEntries: AdminAuditLog.findAll,
+  findSession: AdminSession.findOne,
+  findSessions: AdminSession.findAll,
+  createSession: AdminSession.create,
+  findUser: AdminUser.findOne,
+  findAttempt: LoginAttempt.findOne,
+  recordAttempt: LoginAttempt.findOrCreate,
+  clearAttempts: LoginAttempt.destroy
+};
+
+// ไม่มี MySQL ตอนเทส - audit entries ถูกเก็บไว้ใน array แทน
+let entries = [];
+const withoutDatabase = () => {
+  entries = [];
+  AdminAuditLog.create = async (entry) => {
+    entries.push(entry);
+    return entry;
+  };
+  AdminAuditLog.findAndCountAll = async () => ({ rows: [], count: 0 });
+  AdminAuditLog.findAll = async () => [];
+  AdminSession.findOne = async () => null;
+  AdminSession.findAll = async () => [];
+  AdminUser.findOne = async () => null;
+  LoginAttempt.findOne = async () => null;
+  LoginAttempt.findOrCreate = async () => [{ attemptCount: 1, update: async () => {} }, true];
+  LoginAttempt.destroy = async () => 0;
+};
+
+// audit writes are not awaited by the routes
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+let server;
+let baseUrl;
+
+const request = (method, path, { token = null, body = {} } = {}) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    'User-Agent': 'audit-test',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  },
+  body: method === 'GET' ? undefined : JSON.stringify(body)
+});
+
+before(async () => {
+  // adminRoutes logs every check to stdout, which the test runner also reads - keep it quiet
+  console.log = () => {};
+  console.warn = () => {};
+
+  const app = express();
+  app.use(express.json());
+  // captureClientInfo stand-in
+  app.use((req, res, next) => {
+    req.clientInfo = { ip: '203.0.113.7', countryCode: 'th', userAgent: 'audit-test' };
+    next();
+  });
+  app.use('/api/admin', adminRouter);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  console.log = originals.log;
+  console.warn = originals.warn;
+  AdminAuditLog.create = originals.createEntry;
+  AdminAuditLog.findAndCountAll = originals.searchEntries;
+  AdminAuditLog.findAll = originals.distinctEntries;
+  AdminSession.findOne = originals.findSession;
+  AdminSession.findAll = originals.findSessions;
+  AdminSession.create = originals.createSession;
+  AdminUser.findOne = originals.findUser;
+  LoginAttempt.findOne = originals.findAttempt;
+  LoginAttempt.findOrCreate = originals.recordAttempt;
+  LoginAttempt.destroy = originals.clearAttempts;
+  server.close();
+});
+
+beforeEach(withoutDatabase);
+
+describe('audit entries', () => {
+  test('take actor and origin from the request', async () => {
+    const req = {
+      admin: { username: 'alice', role: 'operator' },
+      clientInfo: { ip: '198.51.100.4', countryCode: 'de', userAgent: 'Firefox' },
+      headers: {}
+    };
+
+    await auditLog.record(req, 'purge_cache', { targetType: 'cache', targetId: 123 });
+
+    assert.strictEqual(entries.length, 1);
+    assert.deepStrictEqual(entries[0], {
+      actor: 'alice',
+      actorRole: 'operator',
+      action: 'purge_cache',
+      status: 'success',
+      targetType: 'cache',
+      targetId: '123',
+      ipAddress: '198.51.100.4',
+      country: 'DE',
+      userAgent: 'Firefox',
+      before: null,
+      after: null,
+      details: null
+    });
+  });
+
+  test('never store secrets', async () => {
+    await auditLog.recordSystem('test', {
+      after: { name: 'hook', secret: 'abc', nested: { passwordHash: 'x', role: 'owner' } },
+      details: { recoveryCodes: ['a'], list: [{ token: 't' }] }
+    });
+
+    assert.deepStrictEqual(entries[0].after, { name: 'hook', secret: '[redacted]', nested: { passwordHash: '[redacted]', role: 'owner' } });
+    assert.deepStrictEqual(entries[0].details, { recoveryCodes: '[redacted]', list: [{ token: '[redacted]' }] });
+    assert.strictEqual(entries[0].actor, 'system');
+  });
+
+  test('a failed write does not throw', async () => {
+    AdminAuditLog.create = async () => { throw new Error('connection refused'); };
+    const consoleError = console.error;
+    console.error = () => {};
+
+    try {
+      assert.strictEqual(await auditLog.recordSystem('test'), null);
+    } finally {
+      console.error = consoleError;
+    }
+  });
+});
+
+describe('CSV export', () => {
+  test('quotes cells, serializes JSON and defuses formulas', () => {
+    const csv = auditLog.toCsv([{
+      createdAt: new Date('2026-01-02T03:04:05.000Z'),
+      actor: 'bob "the admin"',
+      action: 'update_webhook',
+      status: 'success',
+      targetId: '=HYPERLINK("x")',
+      before: { enabled: true },
+      after: null
+    }]);
+    const [header, row] = csv.split('\r\n');
+
+    assert.ok(header.startsWith('"Time","Actor","Role","Action"'));
+    assert.ok(row.startsWith('"2026-01-02T03:04:05.000Z","bob ""the admin""","","update_webhook","success"'));
+    assert.ok(row.includes('"\'=HYPERLINK(""x"")"'));
+    assert.ok(row.includes('"{""enabled"":true}"'));
+  });
+});
+
+describe('audited login', () => {
+  test('an unknown username is logged as a failed login', async () => {
+    const response = await request('POST', '/api/admin/auth', { body: { username: 'mallory', password: 'guess-123' } });
+    await flush();
+
+    assert.strictEqual(response.status, 401);
+    const entry = entries.find(candidate => candidate.action === 'login');
+    assert.strictEqual(entry.status, 'failure');
+    assert.strictEqual(entry.actor, 'mallory');
+    assert.strictEqual(entry.ipAddress, '203.0.113.7');
+    assert.deepStrictEqual(entry.details, { reason: 'unknown_username' });
+  });
+
+  test('a wrong password is logged as a failed login', async () => {
+    const passwordHash = await bcrypt.hash('right-password', 4);
+    AdminUser.findOne = async () => ({ username: 'owner', role: 'owner', isActive: true, passwordHash });
+
+    const response = await request('POST', '/api/admin/auth', { body: { username: 'owner', password: 'wrong-password' } });
+    await flush();
+
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(entries.find(candidate => candidate.action === 'login').details, { reason: 'invalid_password' });
+  });
+
+  test('a successful login is logged with the role, without the session token', async () => {
+    const passwordHash = await bcrypt.hash('right-password', 4);
+    AdminUser.findOne = async () => ({
+      username: 'owner',
+      role: 'owner',
+      isActive: true,
+      totpEnabled: false,
+      passwordHash,
+      update: async () => {}
+    });
+    AdminSession.create = async (values) => values;
+
+    const response = await request('POST', '/api/admin/auth', { body: { username: 'owner', password: 'right-password' } });
+    const body = await response.json();
+    await flush();
+
+    assert.strictEqual(response.status, 200);
+    const entry = entries.find(candidate => candidate.action === 'login');
+    assert.strictEqual(entry.status, 'success');
+    assert.strictEqual(entry.actorRole, 'owner');
+    assert.ok(!JSON.stringify(entry).includes(body.token));
+  });
+});
+
+describe('audit log endpoints', () => {
+  const signInAs = (role) => {
+    AdminSession.findOne = async () => ({
+      sessionId: `${role}-session-token-0123456789`,
+      username: role,
+      isActive: true,
+      loginTime: new Date(),
+      lastActivityAt: new Date(),
+      expiresAt: new Date(Date.now() + 60000),
+      update: async () => {}
+    });
+    AdminUser.findOne = async () => ({ id: 1, username: role, role, totpEnabled: false });
+    return `${role}-session-token-0123456789`;
+  };
+
+  test('are for owners only', async () => {
+    const token = signInAs('operator');
+    assert.strictEqual((await request('GET', '/api/admin/audit-log', { token })).status, 403);
+    assert.strictEqual((await request('GET', '/api/admin/audit-log/export', { token })).status, 403);
+  });
+
+  test('export returns CSV and is audited itself', async () => {
+    const token = signInAs('owner');
+    let where = null;
+    AdminAuditLog.findAndCountAll = async (options) => {
+      where = options.where;
+      return { rows: [{ actor: 'owner', action: 'login', status: 'success', createdAt: new Date() }], count: 1 };
+    };
+
+    const response = await request('GET', '/api/admin/audit-log/export?action=login&status=all', { token });
+    const text = await response.text();
+    await flush();
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.strictEqual(text.split('\r\n').length, 2);
+    assert.deepStrictEqual(where, { action: 'login' });
+
+    const entry = entries.find(candidate => candidate.action === 'export_audit_log');
+    assert.deepStrictEqual(entry.details, { rows: 1, filters: { action: 'login' } });
+  });
+});
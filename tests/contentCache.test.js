@@ -0,0 +1,89 @@
+// tests/contentCache.test.js - cached archives that a job still serves must outlive purge and eviction
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-cache-test-'));
+process.env.CACHE_PATH = cacheDir;
+const contentCache = require('../utils/contentCache');
+
+const consoleLog = console.log;
+let referenced = new Set();
+
+// Freshly built archive waiting to be cached
+const buildArchive = async (name, size = 10) => {
+  const zipPath = path.join(os.tmpdir(), `${path.basename(cacheDir)}-${name}.zip`);
+  await fs.writeFile(zipPath, Buffer.alloc(size));
+  return zipPath;
+};
+
+before(async () => {
+  // wsLogger echoes every entry to stdout, which the test runner also reads
+  console.log = () => {};
+  contentCache.setReferenceCheck((zipPath) => referenced.has(zipPath));
+  await contentCache.initialize();
+});
+
+after(async () => {
+  console.log = consoleLog;
+  await contentCache.saving;
+  await fs.remove(cacheDir);
+});
+
+beforeEach(async () => {
+  referenced = new Set();
+  await contentCache.purge();
+  contentCache.maxSize = 1000;
+});
+
+describe('archives in use', () => {
+  test('survive a purge and are removed once released', async () => {
+    const entry = await contentCache.store('111', 1, await buildArchive('purge'));
+    referenced.add(entry.zipPath);
+
+    assert.strictEqual(await contentCache.purge('111'), 1);
+    assert.strictEqual(contentCache.list().length, 0);
+    assert.ok(fs.existsSync(entry.zipPath));
+
+    assert.strictEqual(await contentCache.releaseUnreferenced(), 0);
+    referenced.delete(entry.zipPath);
+    assert.strictEqual(await contentCache.releaseUnreferenced(), 1);
+    assert.ok(!fs.existsSync(entry.zipPath));
+  });
+
+  test('survive a newer version of the same item', async () => {
+    const old = await contentCache.store('222', 1, await buildArchive('old'));
+    referenced.add(old.zipPath);
+
+    await contentCache.store('222', 2, await buildArchive('new'));
+
+    assert.deepStrictEqual(contentCache.list().map(entry => entry.timeUpdated), [2]);
+    assert.ok(fs.existsSync(old.zipPath));
+  });
+
+  test('are skipped by eviction', async () => {
+    contentCache.maxSize = 15;
+    const first = await contentCache.store('333', 1, await buildArchive('first'));
+    referenced.add(first.zipPath);
+
+    const second = await contentCache.store('444', 1, await buildArchive('second'));
+
+    // neither can go: the older one is still served and the new one is about to be
+    assert.deepStrictEqual(contentCache.list().map(entry => entry.key).sort(), [first.key, second.key]);
+    assert.ok(fs.existsSync(first.zipPath));
+    assert.ok(fs.existsSync(second.zipPath));
+  });
+
+  test('never include the archive that was just stored', async () => {
+    contentCache.maxSize = 15;
+    const first = await contentCache.store('555', 1, await buildArchive('older'));
+    const second = await contentCache.store('666', 1, await buildArchive('newer'));
+
+    assert.deepStrictEqual(contentCache.list().map(entry => entry.key), [second.key]);
+    assert.ok(!fs.existsSync(first.zipPath));
+    assert.ok(fs.existsSync(second.zipPath));
+  });
+});
@@ -0,0 +1,45 @@
+// tests/processTree.test.js - shutdown must not return before stuck SteamCMD process groups are SIGKILLed
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+
+const { trackProcess, killAllProcesses } = require('../utils/processTree');
+
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Killed processes can take a moment to be reaped
+const waitForExit = async (pid, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (isAlive(pid) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return !isAlive(pid);
+};
+
+describe('killAllProcesses', () => {
+  test('resolves only after a process group that ignores SIGTERM is killed', async () => {
+    // Stand-in for a hung steamcmd.sh: own process group, ignores SIGTERM
+    const child = trackProcess(spawn('sh', ['-c', 'trap "" TERM; sleep 30 & echo ready; wait'], {
+      stdio: ['ignore', 'pipe', 'ignore'],
+      detached: true
+    }));
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve(signal)));
+    await new Promise(resolve => child.stdout.once('data', resolve));
+
+    const startedAt = Date.now();
+    assert.strictEqual(await killAllProcesses(200), 1);
+
+    assert.ok(Date.now() - startedAt >= 200);
+    assert.strictEqual(await exited, 'SIGKILL');
+    // the sleep in the same group is gone too
+    assert.ok(await waitForExit(-child.pid));
+  });
+});
@@ -0,0 +1,55 @@
+// tests/rateLimiter.test.js - budgets follow the address Express trusts, not what the client claims
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const rateLimiter = require('../utils/rateLimiter');
+const { captureClientInfo } = require('../routes/adminRoutes');
+
+const consoleLog = console.log;
+let server;
+let baseUrl;
+
+const request = (headers = {}) => fetch(`${baseUrl}/limited`, { headers });
+
+before(async () => {
+  // captureClientInfo logs every header it looks at
+  console.log = () => {};
+  rateLimiter.store = new rateLimiter.MemoryStore();
+
+  const app = express();
+  app.set('trust proxy', false);
+  app.use(captureClientInfo);
+  app.get('/limited', rateLimiter.limit('watchlist'), (req, res) => res.json({ ip: req.ip }));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  console.log = consoleLog;
+  server.close();
+});
+
+describe('rate limits', () => {
+  test('are not reset by a new X-Forwarded-For from an untrusted client', async () => {
+    const budget = rateLimiter.budgets.watchlist;
+
+    for (let i = 0; i < budget; i++) {
+      const response = await request({ 'X-Forwarded-For': `198.51.100.${i + 1}` });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('ratelimit-remaining'), String(budget - i - 1));
+    }
+
+    const response = await request({ 'X-Forwarded-For': '203.0.113.200', 'CF-Connecting-IP': '203.0.113.201' });
+    assert.strictEqual(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) >= 1);
+  });
+
+  test('are per API key for key requests', () => {
+    assert.strictEqual(rateLimiter.getClientKey({ apiKey: { id: 7 }, ip: '127.0.0.1' }), 'key:7');
+    assert.strictEqual(rateLimiter.getClientKey({ ip: '127.0.0.1', clientInfo: { ip: '8.8.8.8' } }), 'ip:127.0.0.1');
+  });
+});
@@ -0,0 +1,45 @@
+// tests/secrets.test.js - signing secrets must be configured in production
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { DEVELOPMENT_SECRET, requireSecret } = require('../utils/secrets');
+
+const originalEnv = { ...process.env };
+
+afterEach(() => {
+  for (const name of ['NODE_ENV', 'JWT_SECRET', 'DOWNLOAD_LINK_SECRET']) {
+    if (originalEnv[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = originalEnv[name];
+    }
+  }
+});
+
+describe('signing secrets', () => {
+  test('use the first variable that is set', () => {
+    delete process.env.DOWNLOAD_LINK_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+    assert.strictEqual(requireSecret('DOWNLOAD_LINK_SECRET', 'JWT_SECRET'), 'jwt-secret');
+
+    process.env.DOWNLOAD_LINK_SECRET = 'link-secret';
+    assert.strictEqual(requireSecret('DOWNLOAD_LINK_SECRET', 'JWT_SECRET'), 'link-secret');
+  });
+
+  test('fall back to the development secret outside production', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.JWT_SECRET;
+    assert.strictEqual(requireSecret('JWT_SECRET'), DEVELOPMENT_SECRET);
+  });
+
+  test('stop a production server that has none', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.JWT_SECRET;
+    delete process.env.DOWNLOAD_LINK_SECRET;
+    assert.throws(() => requireSecret('DOWNLOAD_LINK_SECRET', 'JWT_SECRET'), /DOWNLOAD_LINK_SECRET or JWT_SECRET must be set/);
+
+    process.env.JWT_SECRET = DEVELOPMENT_SECRET;
+    assert.throws(() => requireSecret('JWT_SECRET'), /JWT_SECRET must be set/);
+  });
+});
@@ -0,0 +1,212 @@
+// tests/totp.test.js - RFC 6238 codes, the drift window and one-time use of 2FA codes
+
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const { AdminAuditLog, AdminSession, AdminUser, LoginAttempt } = require('../models');
+const { router: adminRouter } = require('../routes/adminRoutes');
+const totp = require('../utils/totp');
+const { requireSecret } = require('../utils/secrets');
+
+const JWT_SECRET = requireSecret('JWT_SECRET');
+
+// ASCII "12345678901234567890" - the SHA-1 seed of RFC 6238 appendix B
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const originals = {
+  log: console.log,
+  warn: console.warn,
+  createEntry: AdminAuditLog.create,
+  findSession: AdminSession.findOne,
+  findSessions: AdminSession.findAll,
+  createSession: AdminSession.create,
+  findUser: AdminUser.findOne,
+  findUserById: AdminUser.findByPk,
+  findAttempt: LoginAttempt.findOne,
+  recordAttempt: LoginAttempt.findOrCreate,
+  clearAttempts: LoginAttempt.destroy
+};
+
+// ไม่มี MySQL ตอนเทส - ไม่มี session, บัญชี หรือ login attempt
+let failedAttempts = [];
+const withoutDatabase = () => {
+  failedAttempts = [];
+  AdminAuditLog.create = async (entry) => entry;
+  AdminSession.findOne = async () => null;
+  AdminSession.findAll = async () => [];
+  AdminSession.create = async (values) => values;
+  AdminUser.findOne = async () => null;
+  AdminUser.findByPk = async () => null;
+  LoginAttempt.findOne = async () => null;
+  LoginAttempt.findOrCreate = async ({ where }) => {
+    failedAttempts.push(where.clientIp);
+    return [{ attemptCount: 1, update: async () => {} }, true];
+  };
+  LoginAttempt.destroy = async () => 0;
+};
+
+// Runs fn with Date.now() frozen at the given time (ms)
+const atTime = (time, fn) => {
+  const now = Date.now;
+  Date.now = () => time;
+  try {
+    return fn();
+  } finally {
+    Date.now = now;
+  }
+};
+
+// Admin account row with a method that writes changes back like a Sequelize instance
+const fakeUser = (values) => {
+  const user = { id: 1, username: 'owner', role: 'owner', isActive: true, ...values };
+  user.update = async (changes) => Object.assign(user, changes);
+  return user;
+};
+
+let server;
+let baseUrl;
+
+const request = (path, body, token = null) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  },
+  body: JSON.stringify(body)
+});
+
+before(async () => {
+  // adminRoutes logs every check to stdout, which the test runner also reads - keep it quiet
+  console.log = () => {};
+  console.warn = () => {};
+  withoutDatabase();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRouter);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  console.log = originals.log;
+  console.warn = originals.warn;
+  AdminAuditLog.create = originals.createEntry;
+  AdminSession.findOne = originals.findSession;
+  AdminSession.findAll = originals.findSessions;
+  AdminSession.create = originals.createSession;
+  AdminUser.findOne = originals.findUser;
+  AdminUser.findByPk = originals.findUserById;
+  LoginAttempt.findOne = originals.findAttempt;
+  LoginAttempt.findOrCreate = originals.recordAttempt;
+  LoginAttempt.destroy = originals.clearAttempts;
+  server.close();
+});
+
+afterEach(withoutDatabase);
+
+describe('TOTP codes', () => {
+  test('match the RFC 6238 SHA-1 test vectors', () => {
+    // 8-digit values from the RFC, we use the last 6 digits
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+
+    for (const [seconds, expected] of vectors) {
+      assert.strictEqual(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000)), expected.slice(-6));
+    }
+  });
+
+  test('are accepted one step either side of now, not further', () => {
+    const now = 1234567890 * 1000;
+    const current = totp.getTimeStep(now);
+
+    atTime(now, () => {
+      for (const offset of [-1, 0, 1]) {
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current + offset)), current + offset);
+      }
+      for (const offset of [-2, 2]) {
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current + offset)), null);
+      }
+    });
+  });
+
+  test('work only once', () => {
+    const now = 1234567890 * 1000;
+    const current = totp.getTimeStep(now);
+    const code = totp.generateCode(RFC_SECRET, current);
+
+    atTime(now, () => {
+      const step = totp.verifyCode(RFC_SECRET, code);
+      assert.strictEqual(totp.verifyCode(RFC_SECRET, code, step), null);
+      // an older code of the window is no good after a newer one was used either
+      assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current - 1), step), null);
+    });
+  });
+});
+
+describe('recovery codes', () => {
+  test('sign in once each', async () => {
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    const user = fakeUser({ totpEnabled: true, totpSecret: RFC_SECRET, totpRecoveryCodes: hashes });
+    AdminUser.findOne = async () => user;
+    const challengeToken = jwt.sign({ username: 'owner', purpose: '2fa' }, JWT_SECRET, { expiresIn: '5m' });
+
+    const first = await request('/api/admin/auth/2fa', { challengeToken, code: codes[3].toUpperCase() });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(user.totpRecoveryCodes.length, codes.length - 1);
+
+    const second = await request('/api/admin/auth/2fa', { challengeToken, code: codes[3] });
+    assert.strictEqual(second.status, 401);
+    assert.strictEqual(failedAttempts.length, 1);
+  });
+});
+
+describe('2FA enrollment', () => {
+  const token = 'owner-session-token-0123456789';
+
+  const signIn = (user) => {
+    AdminSession.findOne = async () => ({
+      sessionId: token,
+      username: 'owner',
+      isActive: true,
+      loginTime: new Date(),
+      lastActivityAt: new Date(),
+      expiresAt: new Date(Date.now() + 60000),
+      update: async () => {}
+    });
+    AdminUser.findOne = async () => user;
+    AdminUser.findByPk = async () => user;
+  };
+
+  test('a wrong confirmation code counts as a failed attempt', async () => {
+    const user = fakeUser({ totpEnabled: false, totpSecret: RFC_SECRET });
+    signIn(user);
+
+    const response = await request('/api/admin/2fa/enable', { code: '000000' }, token);
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(failedAttempts.length, 1);
+    assert.strictEqual(user.totpEnabled, false);
+  });
+
+  test('is refused while the client is locked out', async () => {
+    const user = fakeUser({ totpEnabled: false, totpSecret: RFC_SECRET });
+    signIn(user);
+    LoginAttempt.findOne = async () => ({ attemptCount: 99, lastAttempt: new Date(), update: async () => {} });
+
+    const response = await request('/api/admin/2fa/enable', { code: totp.generateCode(RFC_SECRET) }, token);
+
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(user.totpEnabled, false);
+  });
+});
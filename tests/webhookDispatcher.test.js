@@ -0,0 +1,61 @@
+// tests/webhookDispatcher.test.js - webhook receivers get job facts, not the credentials or the user's client info
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+
+const { DownloadHistory } = require('../models');
+const webhookDispatcher = require('../utils/webhookDispatcher');
+
+const originals = {
+  findDownload: DownloadHistory.findByPk,
+  dispatch: webhookDispatcher.dispatch
+};
+
+after(() => {
+  DownloadHistory.findByPk = originals.findDownload;
+  webhookDispatcher.dispatch = originals.dispatch;
+});
+
+describe('job events', () => {
+  test('send an allow-list of download fields', async () => {
+    const row = {
+      id: 'dl_1',
+      workshopId: '1564026768',
+      status: 'completed',
+      fileSize: '1048576',
+      sha256: 'a'.repeat(64),
+      startTime: '2026-01-02T03:04:05.000Z',
+      completedTime: '2026-01-02T03:05:00.000Z',
+      downloadUrl: '/api/download/dl_1/file',
+      zipPath: '/tmp/dayz-workshop-downloads/dl_1.zip',
+      workshopInfo: { title: 'Some Mod', description: 'x' },
+      jobData: { format: 'zip-deflate', statusToken: 'plain-token', statusTokenHash: 'b'.repeat(64) },
+      clientInfo: { ip: '198.51.100.4', userAgent: 'Firefox', headers: { cookie: 'x' } }
+    };
+    DownloadHistory.findByPk = async () => ({ toJSON: () => row });
+
+    let sent = null;
+    webhookDispatcher.dispatch = async (event, data) => {
+      sent = { event, data };
+      return [];
+    };
+
+    await webhookDispatcher.dispatchJobEvent('dl_1', { status: 'completed' });
+
+    assert.strictEqual(sent.event, 'job.completed');
+    assert.deepStrictEqual(sent.data.download, {
+      id: 'dl_1',
+      workshopId: '1564026768',
+      title: 'Some Mod',
+      status: 'completed',
+      format: 'zip-deflate',
+      fileSize: 1048576,
+      sha256: 'a'.repeat(64),
+      error: null,
+      startTime: '2026-01-02T03:04:05.000Z',
+      completedTime: '2026-01-02T03:05:00.000Z',
+      errorTime: null,
+      cleanedUpTime: null
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// tests/workshopMetadata.test.js - Steam Web API first, the page scraper when the API is down
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const workshopMetadata = require('../utils/workshopMetadata');
+const { SteamApiProvider } = workshopMetadata;
+
+const originals = {
+  log: console.log,
+  provider: workshopMetadata.provider,
+  fallbackProvider: workshopMetadata.fallbackProvider
+};
+
+// Scraper stand-in: records what it was asked for
+const fakeScraper = (info = {}) => {
+  const scraper = {
+    name: 'html-scraper',
+    calls: [],
+    fetchInfo: async (workshopId) => {
+      scraper.calls.push(['fetchInfo', workshopId]);
+      return {
+        workshopId,
+        title: 'Scraped Mod',
+        isValid: true,
+        isCollection: false,
+        isDayZ: true,
+        appId: '221100',
+        requiredItems: [],
+        source: 'html-scraper',
+        ...info
+      };
+    },
+    fetchPageExtras: async (workshopId) => {
+      scraper.calls.push(['fetchPageExtras', workshopId]);
+      return { author: 'Modder', ratingsCount: 12, requiredItems: ['1559212036'], requiresSubscription: false };
+    }
+  };
+  return scraper;
+};
+
+let server;
+let apiStatus = 200;
+
+before(async () => {
+  // wsLogger echoes every entry to stdout, which the test runner also reads
+  console.log = () => {};
+
+  // Local stand-in for api.steampowered.com
+  const app = express();
+  app.post('/ISteamRemoteStorage/GetPublishedFileDetails/v1/', (req, res) => {
+    if (apiStatus !== 200) return res.sendStatus(apiStatus);
+    res.json({
+      response: {
+        publishedfiledetails: [{
+          publishedfileid: '1564026768',
+          result: 1,
+          consumer_app_id: 221100,
+          title: 'API Mod',
+          file_size: '1048576',
+          filename: 'mod.pbo',
+          time_updated: 1700000000,
+          visibility: 0
+        }]
+      }
+    });
+  });
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  workshopMetadata.setProvider(new SteamApiProvider({ baseUrl: `http://127.0.0.1:${server.address().port}` }));
+});
+
+after(() => {
+  console.log = originals.log;
+  workshopMetadata.setProvider(originals.provider);
+  workshopMetadata.setFallbackProvider(originals.fallbackProvider);
+  server.close();
+});
+
+describe('workshop info', () => {
+  test('comes from the Web API, with author and required items from the page', async () => {
+    apiStatus = 200;
+    const scraper = fakeScraper();
+    workshopMetadata.setFallbackProvider(scraper);
+
+    const info = await workshopMetadata.fetchWorkshopInfo('1564026768');
+
+    assert.strictEqual(info.source, 'steam-api');
+    assert.strictEqual(info.title, 'API Mod');
+    assert.strictEqual(info.timeUpdated, 1700000000);
+    assert.strictEqual(info.author, 'Modder');
+    assert.deepStrictEqual(info.requiredItems, ['1559212036']);
+    assert.deepStrictEqual(scraper.calls, [['fetchPageExtras', '1564026768']]);
+  });
+
+  test('falls back to the scraper when the Web API fails', async () => {
+    apiStatus = 503;
+    const scraper = fakeScraper();
+    workshopMetadata.setFallbackProvider(scraper);
+
+    const info = await workshopMetadata.fetchWorkshopInfo('1564026768');
+
+    assert.strictEqual(info.source, 'html-scraper');
+    assert.strictEqual(info.title, 'Scraped Mod');
+    assert.deepStrictEqual(scraper.calls, [['fetchInfo', '1564026768']]);
+  });
+
+  test('is marked unavailable when both providers fail', async () => {
+    apiStatus = 503;
+    workshopMetadata.setFallbackProvider({
+      name: 'html-scraper',
+      fetchInfo: async () => { throw new Error('page timed out'); }
+    });
+
+    const info = await workshopMetadata.fetchWorkshopInfo('1564026768');
+
+    assert.strictEqual(info.isValid, false);
+    assert.strictEqual(info.error, 'page timed out');
+  });
+});
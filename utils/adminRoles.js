@@ -0,0 +1,58 @@
+// utils/adminRoles.js - Admin roles and the permissions each role grants
+
+// Roles that can be assigned to admin accounts, least to most privileged
+const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+
+const PERMISSIONS = {
+  'dashboard:read': 'See history, active downloads, stats and settings',
+  'downloads:manage': 'Clear or clean up downloads',
+  'logs:manage': 'Clear the server log history',
+  'cache:manage': 'Purge and refresh the content cache',
+  'links:manage': 'Revoke download links',
+  'watchlist:manage': 'Edit the update watchlist and run checks',
+  'webhooks:manage': 'Create, edit and test outgoing webhooks',
+  'apikeys:manage': 'Create, edit and revoke API keys',
+  'users:manage': 'Manage admin accounts and roles',
+  'audit:read': 'See and export the admin audit log',
+  'system:debug': 'See server paths, memory and database connection details'
+};
+
+const VIEWER_PERMISSIONS = ['dashboard:read'];
+const OPERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'downloads:manage',
+  'logs:manage',
+  'cache:manage',
+  'links:manage',
+  'watchlist:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  owner: Object.keys(PERMISSIONS),
+  // API keys with the admin-read scope (not assignable to accounts)
+  'admin-read': VIEWER_PERMISSIONS
+};
+
+// ADMIN_2FA_ENFORCE: 'owner' = owners must use 2FA, 'all' = every admin account
+const TWO_FACTOR_ENFORCE = process.env.ADMIN_2FA_ENFORCE || 'off';   // off | owner | all
+
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+const isTwoFactorRequired = (user) => TWO_FACTOR_ENFORCE === 'all'
+  || (TWO_FACTOR_ENFORCE === 'owner' && user.role === 'owner');
+
+module.exports = {
+  ADMIN_ROLES,
+  PERMISSIONS,
+  TWO_FACTOR_ENFORCE,
+  isAdminRole,
+  getPermissions,
+  hasPermission,
+  isTwoFactorRequired
+};
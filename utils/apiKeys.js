@@ -0,0 +1,220 @@
+// utils/apiKeys.js - API keys for bots and integrations: hashed storage, scopes, daily quota and concurrency
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const wsLogger = require('../websocketLogger');
+const { sequelize, ApiKey } = require('../models');
+
+const KEY_PREFIX = 'dzw_';
+const SCOPES = ['info', 'download', 'admin-read'];
+
+// lastUsedAt / requestCount ไม่ต้องเขียน DB ทุก request
+const USAGE_WRITE_INTERVAL = 60000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+class ApiKeyService {
+  constructor() {
+    this.pendingRequests = new Map();   // apiKeyId -> requests not written yet
+    this.lastUsageWrite = new Map();    // apiKeyId -> ms
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  getBearerToken(req) {
+    const header = req.headers.authorization;
+    return header?.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  }
+
+  // options: { name, owner, scopes, dailyQuota, maxConcurrent, expiresAt, createdBy }
+  // Returns { apiKey, key } - the plain key is only available here
+  async create(options) {
+    const scopes = [...new Set(options.scopes || [])];
+    if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+      throw new Error('INVALID_SCOPES');
+    }
+
+    const lookup = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}${lookup}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      name: options.name,
+      owner: options.owner || null,
+      keyPrefix: `${KEY_PREFIX}${lookup}`,
+      keyHash: hashKey(key),
+      scopes,
+      dailyQuota: options.dailyQuota || null,
+      maxConcurrent: options.maxConcurrent || null,
+      expiresAt: options.expiresAt || null,
+      createdBy: options.createdBy || null
+    });
+
+    wsLogger.info('apikey', `API key created: ${apiKey.name}`, {
+      apiKeyId: apiKey.id,
+      owner: apiKey.owner,
+      scopes
+    });
+
+    return { apiKey, key };
+  }
+
+  // Returns { apiKey } or { error } for a presented key
+  async verify(key, clientIp = null) {
+    const match = /^(dzw_[0-9a-f]{8})_/.exec(key);
+    if (!match) {
+      return { error: 'Malformed API key' };
+    }
+
+    const apiKey = await ApiKey.findOne({ where: { keyPrefix: match[1] } });
+    const expected = apiKey ? Buffer.from(apiKey.keyHash, 'hex') : null;
+    const actual = Buffer.from(hashKey(key), 'hex');
+
+    if (!apiKey || !crypto.timingSafeEqual(expected, actual)) {
+      return { error: 'Invalid API key' };
+    }
+    if (apiKey.revokedAt) {
+      return { error: 'API key has been revoked' };
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date()) {
+      return { error: 'API key has expired' };
+    }
+
+    await this.recordRequest(apiKey, clientIp);
+    return { apiKey };
+  }
+
+  async recordRequest(apiKey, clientIp) {
+    const pending = (this.pendingRequests.get(apiKey.id) || 0) + 1;
+    const lastWrite = this.lastUsageWrite.get(apiKey.id) || 0;
+
+    if (Date.now() - lastWrite < USAGE_WRITE_INTERVAL) {
+      this.pendingRequests.set(apiKey.id, pending);
+      return;
+    }
+
+    this.pendingRequests.delete(apiKey.id);
+    this.lastUsageWrite.set(apiKey.id, Date.now());
+
+    await ApiKey.update({
+      requestCount: sequelize.literal(`requestCount + ${pending}`),
+      lastUsedAt: new Date(),
+      lastUsedIp: clientIp
+    }, { where: { id: apiKey.id } });
+  }
+
+  // Express middleware: resolves `Authorization: Bearer dzw_...` into req.apiKey.
+  // Other bearer tokens (admin sessions) are left alone; a bad API key is rejected outright.
+  authenticate() {
+    return async (req, res, next) => {
+      const token = this.getBearerToken(req);
+      if (!this.isApiKey(token)) return next();
+
+      try {
+        const { apiKey, error } = await this.verify(token, req.ip);
+        if (error) {
+          wsLogger.warning('apikey', error, { ip: req.ip, url: req.url });
+          return res.status(401).json({ error });
+        }
+
+        req.apiKey = apiKey;
+        next();
+      } catch (error) {
+        wsLogger.error('apikey', 'API key verification failed', { error: error.message });
+        res.status(500).json({ error: 'Authentication error' });
+      }
+    };
+  }
+
+  hasScope(apiKey, scope) {
+    return (apiKey.scopes || []).includes(scope);
+  }
+
+  // Requests without a key (the website) pass; requests with a key need the scope
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.apiKey || this.hasScope(req.apiKey, scope)) return next();
+      res.status(403).json({ error: `API key is missing the "${scope}" scope` });
+    };
+  }
+
+  // Check concurrency and daily quota before one more job.
+  // activeJobs = jobs of this key that are queued or running right now (a collection is one job),
+  // downloads = workshop items the job counts against the quota.
+  // Returns an error message or null
+  async checkDownloadLimits(apiKey, activeJobs, downloads = 1) {
+    await apiKey.reload();
+
+    if (apiKey.maxConcurrent && activeJobs >= apiKey.maxConcurrent) {
+      return `API key concurrency limit reached (${activeJobs}/${apiKey.maxConcurrent} jobs active)`;
+    }
+
+    const used = apiKey.quotaDate === today() ? apiKey.quotaUsed : 0;
+    if (apiKey.dailyQuota && used + downloads > apiKey.dailyQuota) {
+      return `API key daily quota reached (${used}/${apiKey.dailyQuota} downloads today)`;
+    }
+
+    return null;
+  }
+
+  // Count an accepted download request against the key's daily quota
+  async recordDownload(apiKey, count = 1) {
+    const date = today();
+
+    // วันใหม่ - เริ่มนับ quota ใหม่
+    await ApiKey.update({ quotaDate: date, quotaUsed: 0 }, {
+      where: { id: apiKey.id, quotaDate: { [Op.or]: [null, { [Op.ne]: date }] } }
+    });
+
+    await ApiKey.update({
+      quotaUsed: sequelize.literal(`quotaUsed + ${count}`),
+      downloadCount: sequelize.literal(`downloadCount + ${count}`)
+    }, { where: { id: apiKey.id } });
+  }
+
+  getQuotaStatus(apiKey) {
+    const used = apiKey.quotaDate === today() ? apiKey.quotaUsed : 0;
+    return {
+      dailyQuota: apiKey.dailyQuota,
+      usedToday: used,
+      remainingToday: apiKey.dailyQuota ? Math.max(apiKey.dailyQuota - used, 0) : null,
+      maxConcurrent: apiKey.maxConcurrent
+    };
+  }
+
+  getKeyStatus(apiKey) {
+    if (apiKey.revokedAt) return 'revoked';
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date()) return 'expired';
+    return 'active';
+  }
+
+  // Safe to show in the dashboard / to the key owner
+  toResponse(apiKey) {
+    const { keyHash, ...data } = apiKey.toJSON();
+    return {
+      ...data,
+      status: this.getKeyStatus(apiKey),
+      quota: this.getQuotaStatus(apiKey)
+    };
+  }
+
+  async revoke(apiKeyId, revokedBy = null) {
+    const [updated] = await ApiKey.update({ revokedAt: new Date() }, {
+      where: { id: apiKeyId, revokedAt: null }
+    });
+
+    if (updated > 0) {
+      wsLogger.info('apikey', `API key revoked: ${apiKeyId}`, { revokedBy });
+    }
+    return updated > 0;
+  }
+}
+
+const apiKeys = new ApiKeyService();
+
+module.exports = apiKeys;
+module.exports.KEY_PREFIX = KEY_PREFIX;
+module.exports.SCOPES = SCOPES;
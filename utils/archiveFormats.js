@@ -0,0 +1,130 @@
+// utils/archiveFormats.js - Archive formats a download can be packed into (zip, tar, tar.gz, tar.zst)
+
+const zlib = require('zlib');
+const { spawn, spawnSync } = require('child_process');
+const { Duplex } = require('stream');
+const archiver = require('archiver');
+
+// PBO ถูกบีบอัดมาแล้ว - zip-store / tar ไม่เสีย CPU บีบซ้ำ
+const FORMATS = {
+  'zip-store': {
+    label: 'ZIP (no compression)',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    archiverType: 'zip',
+    archiverOptions: { store: true, forceLocalTime: true }
+  },
+  'zip-deflate': {
+    label: 'ZIP (deflate)',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    archiverType: 'zip',
+    archiverOptions: { zlib: { level: 1 }, forceLocalTime: true, store: false }
+  },
+  'tar': {
+    label: 'TAR',
+    extension: 'tar',
+    mimeType: 'application/x-tar',
+    archiverType: 'tar',
+    archiverOptions: {}
+  },
+  'tar.gz': {
+    label: 'TAR + gzip',
+    extension: 'tar.gz',
+    mimeType: 'application/gzip',
+    archiverType: 'tar',
+    archiverOptions: { gzip: true, gzipOptions: { level: 6 } }
+  },
+  'tar.zst': {
+    label: 'TAR + zstd',
+    extension: 'tar.zst',
+    mimeType: 'application/zstd',
+    archiverType: 'tar',
+    archiverOptions: {},
+    compressor: 'zstd'
+  }
+};
+
+const DEFAULT_FORMAT = FORMATS[process.env.ARCHIVE_DEFAULT_FORMAT] ? process.env.ARCHIVE_DEFAULT_FORMAT : 'zip-deflate';
+
+const zstdBinary = process.env.ZSTD_PATH || 'zstd';
+let zstdBinaryAvailable = null;
+
+// Node 22.15+ has zstd in zlib; older versions need the zstd binary
+const hasNativeZstd = () => typeof zlib.createZstdCompress === 'function';
+
+const hasZstdBinary = () => {
+  if (zstdBinaryAvailable === null) {
+    const result = spawnSync(zstdBinary, ['--version'], { stdio: 'ignore', timeout: 5000 });
+    zstdBinaryAvailable = !result.error && result.status === 0;
+  }
+  return zstdBinaryAvailable;
+};
+
+const isAvailable = (formatId) => {
+  const format = FORMATS[formatId];
+  if (!format) return false;
+  if (format.compressor === 'zstd') return hasNativeZstd() || hasZstdBinary();
+  return true;
+};
+
+// Unknown or missing ids fall back to the default format
+const getFormat = (formatId) => {
+  const id = FORMATS[formatId] ? formatId : DEFAULT_FORMAT;
+  return { id, ...FORMATS[id] };
+};
+
+const listFormats = () => Object.keys(FORMATS).map(id => ({
+  id,
+  label: FORMATS[id].label,
+  extension: FORMATS[id].extension,
+  available: isAvailable(id),
+  default: id === DEFAULT_FORMAT
+}));
+
+const createArchiver = (formatId) => {
+  const format = getFormat(formatId);
+  return archiver(format.archiverType, format.archiverOptions);
+};
+
+// Stream the archive has to be piped through before it reaches the file, or null when none is needed
+const createCompressor = (formatId) => {
+  const format = getFormat(formatId);
+  if (format.compressor !== 'zstd') return null;
+
+  const level = parseInt(process.env.ARCHIVE_ZSTD_LEVEL) || 3;
+
+  if (hasNativeZstd()) {
+    return zlib.createZstdCompress({
+      params: { [zlib.constants.ZSTD_c_compressionLevel]: level }
+    });
+  }
+
+  const zstd = spawn(zstdBinary, [`-${level}`, '-T0', '-q', '-c'], {
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  const compressor = Duplex.from({ writable: zstd.stdin, readable: zstd.stdout });
+
+  let stderr = '';
+  zstd.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+  zstd.on('error', (error) => compressor.destroy(error));
+  zstd.on('close', (code) => {
+    if (code !== 0 && !compressor.destroyed) {
+      compressor.destroy(new Error(`zstd exited with code ${code}: ${stderr.trim()}`));
+    }
+  });
+
+  return compressor;
+};
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  isAvailable,
+  getFormat,
+  listFormats,
+  createArchiver,
+  createCompressor
+};
@@ -0,0 +1,182 @@
+// utils/auditLog.js - Persistent admin audit trail (AdminAuditLog): actor, action, target, IP and before/after values
+
+const { Op } = require('sequelize');
+const wsLogger = require('../websocketLogger');
+const { AdminAuditLog } = require('../models');
+
+// Values of these keys never reach the audit table, whatever a caller passes in
+const SECRET_KEY_PATTERN = /password|secret|hash|token|totp|recovery/i;
+
+const CSV_COLUMNS = [
+  ['createdAt', 'Time'],
+  ['actor', 'Actor'],
+  ['actorRole', 'Role'],
+  ['action', 'Action'],
+  ['status', 'Status'],
+  ['targetType', 'Target Type'],
+  ['targetId', 'Target ID'],
+  ['ipAddress', 'IP'],
+  ['country', 'Country'],
+  ['userAgent', 'User Agent'],
+  ['before', 'Before'],
+  ['after', 'After'],
+  ['details', 'Details']
+];
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) ? '[redacted]' : redact(inner)
+  ]));
+};
+
+// Quote every cell; a leading = + - @ would be run as a formula by spreadsheet apps
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '""';
+
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+class AdminAuditLogService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365;
+  }
+
+  // Actor and origin of a request (captureClientInfo + verifyAdmin)
+  getRequestContext(req) {
+    const clientInfo = req.clientInfo || {};
+    const countryCode = clientInfo.countryCode && clientInfo.countryCode !== 'xx'
+      ? clientInfo.countryCode.toUpperCase()
+      : null;
+
+    return {
+      actor: req.admin?.username || null,
+      actorRole: req.admin?.role || null,
+      ipAddress: clientInfo.ip || req.ip || null,
+      country: countryCode,
+      userAgent: clientInfo.userAgent || req.headers?.['user-agent'] || null
+    };
+  }
+
+  // Never throws - a failed audit write must not fail the admin action itself.
+  // options: { actor, actorRole, status, targetType, targetId, before, after, details }
+  async record(req, action, options = {}) {
+    const context = req ? this.getRequestContext(req) : {};
+    const entry = {
+      ...context,
+      actor: String(options.actor || context.actor || 'system').slice(0, 100),
+      actorRole: options.actorRole || context.actorRole || null,
+      action,
+      status: options.status || 'success',
+      targetType: options.targetType || null,
+      targetId: options.targetId !== undefined && options.targetId !== null ? String(options.targetId).slice(0, 100) : null,
+      before: options.before ? redact(options.before) : null,
+      after: options.after ? redact(options.after) : null,
+      details: options.details ? redact(options.details) : null
+    };
+
+    // Live stream ของ dashboard ยังเห็นเหมือนเดิม
+    wsLogger.logAdminAction(entry.actor, action, {
+      role: entry.actorRole,
+      ip: entry.ipAddress,
+      status: entry.status,
+      ...(entry.targetType ? { target: `${entry.targetType}:${entry.targetId || ''}` } : {}),
+      ...entry.details
+    });
+
+    try {
+      return await AdminAuditLog.create(entry);
+    } catch (error) {
+      console.error('Audit log write error:', error.message);
+      return null;
+    }
+  }
+
+  // Background jobs (hourly cleanup, ...) - no request, actor is "system"
+  recordSystem(action, options = {}) {
+    return this.record(null, action, { actor: 'system', ...options });
+  }
+
+  // Query string filters -> where clause
+  buildWhere({ actor, action, status, targetType, targetId, ip, startDate, endDate, search } = {}) {
+    const where = {};
+
+    if (actor && actor !== 'all') where.actor = actor;
+    if (action && action !== 'all') where.action = action;
+    if (status && status !== 'all') where.status = status;
+    if (targetType && targetType !== 'all') where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+    if (ip) where.ipAddress = ip;
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    if (search) {
+      where[Op.or] = ['actor', 'action', 'targetId', 'ipAddress'].map(field => ({
+        [field]: { [Op.like]: `%${search}%` }
+      }));
+    }
+
+    return where;
+  }
+
+  async search(filters = {}, { limit = 50, offset = 0 } = {}) {
+    return AdminAuditLog.findAndCountAll({
+      where: this.buildWhere(filters),
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+  }
+
+  // Values for the filter dropdowns of the audit view
+  async getFilterOptions() {
+    const distinct = async (field) => (await AdminAuditLog.findAll({
+      attributes: [field],
+      group: [field],
+      order: [[field, 'ASC']],
+      raw: true
+    })).map(row => row[field]).filter(Boolean);
+
+    const [actors, actions, targetTypes] = await Promise.all([
+      distinct('actor'),
+      distinct('action'),
+      distinct('targetType')
+    ]);
+    return { actors, actions, targetTypes };
+  }
+
+  toCsv(entries) {
+    const header = CSV_COLUMNS.map(([, title]) => toCsvCell(title)).join(',');
+    const rows = entries.map(entry => {
+      const values = typeof entry.toJSON === 'function' ? entry.toJSON() : entry;
+      return CSV_COLUMNS.map(([field]) => toCsvCell(values[field])).join(',');
+    });
+    return [header, ...rows].join('\r\n');
+  }
+
+  // AUDIT_LOG_RETENTION_DAYS (default 365) - called from the hourly database cleanup
+  async purgeOld() {
+    return AdminAuditLog.destroy({
+      where: {
+        createdAt: { [Op.lt]: new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000) }
+      }
+    });
+  }
+}
+
+const auditLog = new AdminAuditLogService();
+
+module.exports = auditLog;
+module.exports.redact = redact;
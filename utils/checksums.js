@@ -0,0 +1,97 @@
+// utils/checksums.js - SHA-256 of archives and of the files inside them (SHA256SUMS manifest)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM = 'sha256';
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash(ALGORITHM);
+  let size = 0;
+
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    })
+    .on('error', reject)
+    .on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+});
+
+// Hashes files one at a time in the order they are added (runs next to the archiver, not after it)
+class FileHasher {
+  constructor() {
+    this.files = [];
+    this.queue = Promise.resolve();
+  }
+
+  add(name, sourcePath) {
+    this.queue = this.queue.then(async () => {
+      try {
+        const { sha256, size } = await hashFile(sourcePath);
+        this.files.push({ name, size, sha256 });
+      } catch (error) {
+        // ไฟล์หายระหว่างทำ archive - archiver ก็ข้ามไปเหมือนกัน
+        this.files.push({ name, size: null, sha256: null, error: error.message });
+      }
+    });
+  }
+
+  async finish() {
+    await this.queue;
+    return [...this.files].sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+const createFileHasher = () => new FileHasher();
+
+// Hash every file below a folder; names use '/' and the given prefix, like entries in the archive
+const hashDirectory = async (dirPath, prefix = '') => {
+  const hasher = new FileHasher();
+
+  const walk = (currentPath, relDir) => {
+    for (const entry of fs.readdirSync(currentPath, { withFileTypes: true })) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(currentPath, entry.name), relPath);
+      } else if (entry.isFile()) {
+        hasher.add(relPath, path.join(currentPath, entry.name));
+      }
+    }
+  };
+
+  walk(dirPath, prefix);
+  return hasher.finish();
+};
+
+// archive: { name, size, sha256 } or null (stream delivery has no stored archive)
+const buildChecksums = (archive, files) => ({
+  algorithm: ALGORITHM,
+  archive,
+  fileCount: files.length,
+  files
+});
+
+// `sha256sum -c` format: the archive first, then every file by its path inside the archive
+const buildManifest = (checksums) => {
+  const lines = [];
+  if (checksums.archive?.sha256) {
+    lines.push(`${checksums.archive.sha256}  ${checksums.archive.name}`);
+  }
+  for (const file of checksums.files || []) {
+    if (file.sha256) {
+      lines.push(`${file.sha256}  ${file.name}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  ALGORITHM,
+  hashFile,
+  createFileHasher,
+  hashDirectory,
+  buildChecksums,
+  buildManifest
+};
@@ -0,0 +1,355 @@
+// utils/contentCache.js - Shared archive cache keyed by workshop ID + Steam update time + archive format
+
+const path = require('path');
+const fs = require('fs-extra');
+const wsLogger = require('../websocketLogger');
+const archiveFormats = require('./archiveFormats');
+
+class ContentCache {
+  constructor() {
+    const downloadDir = process.env.DOWNLOAD_PATH || '/tmp/dayz-workshop-downloads';
+
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.cacheDir = process.env.CACHE_PATH || path.join(downloadDir, 'cache');
+    this.indexPath = path.join(this.cacheDir, 'index.json');
+    this.maxSize = parseInt(process.env.CACHE_MAX_SIZE) || 53687091200; // 50GB
+
+    this.entries = new Map();     // cache key -> entry
+    this.released = new Map();    // zipPath -> entry dropped from the index while a job still served it
+    this.stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+    this.warmHandler = null;
+    this.referenceCheck = null;
+    this.saving = Promise.resolve();
+  }
+
+  // Load the index from disk and drop entries whose ZIP has gone missing
+  async initialize() {
+    if (!this.enabled) {
+      wsLogger.info('cache', 'Content cache disabled');
+      return;
+    }
+
+    await fs.ensureDir(this.cacheDir);
+
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        const saved = await fs.readJson(this.indexPath);
+        this.stats = { ...this.stats, ...(saved.stats || {}) };
+
+        for (const entry of saved.entries || []) {
+          if (!fs.existsSync(entry.zipPath)) continue;
+
+          // entry จากก่อนมีหลาย format เป็น ZIP (deflate) ทั้งหมด
+          if (!entry.format) {
+            entry.format = 'zip-deflate';
+            entry.key = this.getKey(entry.workshopId, entry.timeUpdated, entry.format);
+          }
+          this.entries.set(entry.key, entry);
+        }
+
+        for (const entry of saved.released || []) {
+          if (fs.existsSync(entry.zipPath)) this.released.set(entry.zipPath, entry);
+        }
+      }
+    } catch (error) {
+      wsLogger.error('cache', 'Error loading cache index, starting empty', {
+        error: error.message
+      });
+    }
+
+    // ZIP ที่ไม่มีใน index (เช่น server ดับระหว่างเขียน) ลบทิ้ง
+    const knownFiles = new Set([...this.entries.values(), ...this.released.values()].flatMap(entry => [
+      path.basename(entry.zipPath),
+      ...(entry.checksumsPath ? [path.basename(entry.checksumsPath)] : [])
+    ]));
+    for (const file of fs.readdirSync(this.cacheDir)) {
+      if (file !== path.basename(this.indexPath) && !knownFiles.has(file)) {
+        await fs.remove(path.join(this.cacheDir, file));
+      }
+    }
+
+    await this.releaseUnreferenced();
+    await this.save();
+
+    wsLogger.info('cache', `Content cache ready: ${this.entries.size} entries`, {
+      cacheDir: this.cacheDir,
+      totalSize: wsLogger.formatFileSize(this.getTotalSize()),
+      maxSize: wsLogger.formatFileSize(this.maxSize)
+    });
+  }
+
+  getKey(workshopId, timeUpdated, format) {
+    return `${workshopId}_${timeUpdated}_${archiveFormats.getFormat(format).id}`;
+  }
+
+  // Register the function the server uses to re-download an item on refresh
+  setWarmHandler(warmHandler) {
+    this.warmHandler = warmHandler;
+  }
+
+  // Register (zipPath) => boolean: is a job still serving this archive (download, stream or signed link)
+  setReferenceCheck(referenceCheck) {
+    this.referenceCheck = referenceCheck;
+  }
+
+  isReferenced(entry) {
+    return Boolean(this.referenceCheck && this.referenceCheck(entry.zipPath));
+  }
+
+  // Returns the cached entry for this exact version and format, or null
+  async lookup(workshopId, timeUpdated, format) {
+    if (!this.enabled || !timeUpdated) return null;
+
+    const key = this.getKey(workshopId, timeUpdated, format);
+    const entry = this.entries.get(key);
+
+    if (!entry || !fs.existsSync(entry.zipPath)) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      await this.save();
+      wsLogger.debug('cache', `Cache miss: ${key}`);
+      return null;
+    }
+
+    const updatedEntry = {
+      ...entry,
+      hits: (entry.hits || 0) + 1,
+      lastAccess: new Date().toISOString()
+    };
+    this.entries.set(key, updatedEntry);
+    this.stats.hits++;
+    await this.save();
+
+    wsLogger.info('cache', `Cache hit: ${key}`, {
+      workshopId,
+      fileSize: updatedEntry.fileSize
+    });
+
+    return updatedEntry;
+  }
+
+  // Per-file SHA-256 list of a cached archive (kept next to it, not in the index)
+  async loadChecksums(entry) {
+    if (!entry.checksumsPath || !fs.existsSync(entry.checksumsPath)) return null;
+    try {
+      return await fs.readJson(entry.checksumsPath);
+    } catch (error) {
+      wsLogger.error('cache', `Error reading checksums of ${entry.key}`, {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Move a freshly built archive into the cache and return the cached entry (meta: title, format, checksums)
+  async store(workshopId, timeUpdated, zipPath, meta = {}) {
+    if (!this.enabled || !timeUpdated) return null;
+
+    const format = archiveFormats.getFormat(meta.format);
+    const key = this.getKey(workshopId, timeUpdated, format.id);
+    const existing = this.entries.get(key);
+
+    // อีกงานหนึ่งสร้าง ZIP เวอร์ชันเดียวกันเสร็จก่อน - ใช้ของเดิม
+    if (existing && fs.existsSync(existing.zipPath)) {
+      await fs.remove(zipPath);
+      return existing;
+    }
+
+    const fileSize = fs.statSync(zipPath).size;
+    if (fileSize > this.maxSize) {
+      wsLogger.warning('cache', `ZIP larger than cache limit, not cached: ${key}`, { fileSize });
+      return null;
+    }
+
+    // archive ของเวอร์ชันเก่าของ mod เดียวกันไม่มีทางถูกใช้อีก (format อื่นของเวอร์ชันเดียวกันเก็บไว้)
+    for (const entry of this.entries.values()) {
+      if (entry.workshopId === workshopId && String(entry.timeUpdated) !== String(timeUpdated)) {
+        await this.removeEntry(entry);
+      }
+    }
+
+    const cachedPath = path.join(this.cacheDir, `${key}.${format.extension}`);
+    // purge แล้วโหลดเวอร์ชันเดิมกลับมา - ไฟล์นี้กลับเข้า index แล้ว ห้ามลบตามหลัง
+    this.released.delete(cachedPath);
+    await fs.move(zipPath, cachedPath, { overwrite: true });
+
+    let checksumsPath = null;
+    if (meta.checksums) {
+      checksumsPath = path.join(this.cacheDir, `${key}.sha256.json`);
+      await fs.writeJson(checksumsPath, meta.checksums);
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      key,
+      workshopId,
+      timeUpdated,
+      format: format.id,
+      title: meta.title || `Workshop Item ${workshopId}`,
+      zipPath: cachedPath,
+      fileSize,
+      sha256: meta.checksums?.archive?.sha256 || null,
+      checksumsPath,
+      hits: 0,
+      createdAt: now,
+      lastAccess: now
+    };
+
+    this.entries.set(key, entry);
+    this.stats.stores++;
+
+    // job ยังชี้ไปที่ไฟล์ staging อยู่ - archive ที่เพิ่งเก็บต้องไม่โดน evict ทันที
+    await this.evict(key);
+    await this.save();
+
+    wsLogger.success('cache', `Cached ${entry.title}`, {
+      key,
+      fileSize: wsLogger.formatFileSize(fileSize)
+    });
+
+    return entry;
+  }
+
+  // Least-recently-used eviction until the cache fits in maxSize (keepKey: the entry being stored right now)
+  async evict(keepKey = null) {
+    let totalSize = this.getTotalSize();
+    if (totalSize <= this.maxSize) return 0;
+
+    const byLastAccess = [...this.entries.values()]
+      .sort((a, b) => new Date(a.lastAccess) - new Date(b.lastAccess));
+
+    let evicted = 0;
+    for (const entry of byLastAccess) {
+      if (totalSize <= this.maxSize) break;
+      // ZIP ที่ยังมีงานใช้อยู่ไม่ถูก evict - รอบหน้าค่อยว่ากัน
+      if (entry.key === keepKey || this.isReferenced(entry)) continue;
+
+      await this.removeEntry(entry);
+      totalSize -= entry.fileSize;
+      evicted++;
+      this.stats.evictions++;
+
+      wsLogger.info('cache', `Evicted ${entry.key}`, {
+        fileSize: wsLogger.formatFileSize(entry.fileSize)
+      });
+    }
+
+    return evicted;
+  }
+
+  // Drop an entry from the index; its files go now, or once no job references them (releaseUnreferenced)
+  async removeEntry(entry) {
+    this.entries.delete(entry.key);
+
+    if (this.isReferenced(entry)) {
+      this.released.set(entry.zipPath, entry);
+      wsLogger.debug('cache', `Keeping ${entry.key} on disk until its downloads are done`);
+      return;
+    }
+    await this.removeFiles(entry);
+  }
+
+  // Delete released archives that no job references any more - called after download cleanup
+  async releaseUnreferenced() {
+    let removed = 0;
+    for (const entry of [...this.released.values()]) {
+      if (this.isReferenced(entry)) continue;
+
+      this.released.delete(entry.zipPath);
+      await this.removeFiles(entry);
+      removed++;
+    }
+
+    if (removed > 0) await this.save();
+    return removed;
+  }
+
+  async removeFiles(entry) {
+    try {
+      await fs.remove(entry.zipPath);
+      if (entry.checksumsPath) {
+        await fs.remove(entry.checksumsPath);
+      }
+    } catch (error) {
+      wsLogger.error('cache', `Error removing cached file ${entry.zipPath}`, {
+        error: error.message
+      });
+    }
+  }
+
+  // Remove every cached version of one item, or the whole cache
+  async purge(workshopId = null) {
+    const targets = [...this.entries.values()]
+      .filter(entry => !workshopId || entry.workshopId === workshopId);
+
+    for (const entry of targets) {
+      await this.removeEntry(entry);
+    }
+    await this.save();
+
+    wsLogger.info('cache', workshopId
+      ? `Purged cache for workshop ${workshopId}`
+      : 'Purged entire content cache', { removed: targets.length });
+
+    return targets.length;
+  }
+
+  // Drop the cached copy and pull the item from Steam again
+  async refresh(workshopId, clientInfo) {
+    const removed = await this.purge(workshopId);
+
+    let job = null;
+    if (this.warmHandler) {
+      job = await this.warmHandler(workshopId, clientInfo);
+    }
+
+    return { removed, job };
+  }
+
+  getTotalSize() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.fileSize;
+    }
+    return total;
+  }
+
+  list() {
+    return [...this.entries.values()]
+      .sort((a, b) => new Date(b.lastAccess) - new Date(a.lastAccess));
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 10 : 0,
+      entries: this.entries.size,
+      totalSize: this.getTotalSize(),
+      maxSize: this.maxSize
+    };
+  }
+
+  // Writes are chained so concurrent jobs never interleave index.json
+  save() {
+    if (!this.enabled) return Promise.resolve();
+
+    this.saving = this.saving
+      .then(() => fs.writeJson(this.indexPath, {
+        stats: this.stats,
+        entries: [...this.entries.values()],
+        released: [...this.released.values()]
+      }, { spaces: 2 }))
+      .catch((error) => {
+        wsLogger.error('cache', 'Error saving cache index', { error: error.message });
+      });
+
+    return this.saving;
+  }
+}
+
+// Create singleton instance
+const contentCache = new ContentCache();
+
+module.exports = contentCache;
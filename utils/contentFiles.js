@@ -0,0 +1,105 @@
+// utils/contentFiles.js - List downloaded workshop content and resolve single files inside it
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// mod ใหญ่บางตัวมีไฟล์เป็นหมื่น - ตัด listing ไว้ไม่ให้ response ใหญ่เกินไป
+const MAX_LISTED_FILES = parseInt(process.env.CONTENT_LIST_MAX_FILES) || 5000;
+
+// Paths use '/' and the same layout as the archive (item folder first when there is more than one item)
+const joinPath = (prefix, name) => (prefix ? `${prefix}/${name}` : name);
+
+const walk = async (dirPath, prefix, files) => {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (files.length >= MAX_LISTED_FILES) return;
+
+    const fullPath = path.join(dirPath, entry.name);
+    const relPath = joinPath(prefix, entry.name);
+
+    // symlink ไม่ถูก list และไม่ถูกตาม
+    if (entry.isDirectory()) {
+      await walk(fullPath, relPath, files);
+    } else if (entry.isFile()) {
+      const stats = await fs.stat(fullPath);
+      files.push({
+        path: relPath,
+        size: stats.size,
+        modified: stats.mtime.toISOString()
+      });
+    }
+  }
+};
+
+// sources = [{ contentPath, folderName, workshopId }] as used for the job's archive
+const listFiles = async (sources) => {
+  const files = [];
+
+  for (const source of sources) {
+    await walk(source.contentPath, source.folderName || '', files);
+  }
+
+  return {
+    files,
+    totalFiles: files.length,
+    totalSize: files.reduce((sum, file) => sum + file.size, 0),
+    truncated: files.length >= MAX_LISTED_FILES
+  };
+};
+
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+};
+
+// Map a listed path back to the file or folder on disk.
+// Returns null for anything outside the content folders (../, absolute paths, symlinks pointing out).
+const resolveEntry = async (sources, requestedPath) => {
+  if (typeof requestedPath !== 'string' || !requestedPath || requestedPath.includes('\0')) {
+    return null;
+  }
+
+  const normalized = path.posix.normalize(requestedPath.replace(/\\/g, '/')).replace(/^\/+/, '').replace(/\/+$/, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+
+  let source = sources[0];
+  let relPath = normalized;
+
+  if (sources.length > 1 || source?.folderName) {
+    const [folderName, ...rest] = normalized.split('/');
+    source = sources.find(item => item.folderName === folderName);
+    relPath = rest.join('/');
+  }
+
+  if (!source) return null;
+
+  try {
+    const root = await fs.realpath(source.contentPath);
+    const target = await fs.realpath(path.resolve(root, relPath || '.'));
+
+    if (!isInside(root, target)) return null;
+
+    const stats = await fs.stat(target);
+    if (!stats.isFile() && !stats.isDirectory()) return null;
+
+    return {
+      path: normalized,
+      absolutePath: target,
+      isDirectory: stats.isDirectory(),
+      size: stats.isFile() ? stats.size : null
+    };
+  } catch (error) {
+    // ENOENT และอื่นๆ - ถือว่าไม่มีไฟล์นี้
+    return null;
+  }
+};
+
+module.exports = {
+  MAX_LISTED_FILES,
+  listFiles,
+  resolveEntry
+};
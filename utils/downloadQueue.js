@@ -0,0 +1,241 @@
+// utils/downloadQueue.js - Persistent download job queue backed by MySQL
+
+const wsLogger = require('../websocketLogger');
+const { DownloadQueue } = require('../models');
+
+class DownloadJobQueue {
+  constructor() {
+    this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3;
+    this.maxQueueSize = parseInt(process.env.MAX_QUEUE_SIZE) || 100;
+    this.pending = [];            // downloadIds waiting for a worker, oldest first
+    this.jobs = new Map();        // downloadId -> job data
+    this.running = new Set();     // downloadIds currently being processed
+    this.processJob = null;
+
+    // ใช้คำนวณ ETA จากเวลาที่งานล่าสุดใช้จริง
+    this.recentDurations = [];
+    this.maxDurationSamples = 20;
+    this.defaultJobDuration = parseInt(process.env.QUEUE_DEFAULT_JOB_DURATION) || 300000; // 5 minutes
+
+    // งานที่ทำให้ server ล่มซ้ำๆ (เช่นกิน memory จน pm2 restart) ไม่ควรวนกลับเข้าคิวตลอดไป
+    this.maxRestarts = parseInt(process.env.QUEUE_MAX_RESTARTS) || 2;
+  }
+
+  // Register the function that actually runs a download job
+  setProcessor(processJob) {
+    this.processJob = processJob;
+  }
+
+  isFull() {
+    return !this.canAccept(1);
+  }
+
+  // Check whether `count` more jobs fit in the waiting line
+  canAccept(count = 1) {
+    return this.pending.length + count <= this.maxQueueSize;
+  }
+
+  // Add a job to the queue (persisted first so it survives a restart)
+  async enqueue(job) {
+    await DownloadQueue.create({
+      downloadId: job.id,
+      workshopId: job.workshopId,
+      status: 'queued',
+      jobData: job,
+      queuedAt: new Date()
+    });
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+
+    wsLogger.info('queue', `Job queued: ${job.id}`, {
+      workshopId: job.workshopId,
+      position: this.pending.length,
+      running: this.running.size
+    });
+
+    this.pump();
+    return this.getPosition(job.id);
+  }
+
+  // Rebuild the in-memory queue from MySQL after a restart
+  // Jobs that were running when the server stopped go back in line (job.restarts counts how often);
+  // past maxRestarts they are returned in `abandoned` instead
+  async restore() {
+    const rows = await DownloadQueue.findAll({
+      order: [['queuedAt', 'ASC']]
+    });
+
+    const restored = [];
+    const abandoned = [];
+
+    for (const row of rows) {
+      if (this.jobs.has(row.downloadId)) continue;
+
+      const job = row.jobData || { id: row.downloadId, workshopId: row.workshopId };
+
+      if (row.status !== 'queued') {
+        const restarts = (job.restarts || 0) + 1;
+
+        if (restarts > this.maxRestarts) {
+          await row.destroy();
+          abandoned.push(job);
+          continue;
+        }
+
+        job.restarts = restarts;
+        await row.update({ status: 'queued', startedAt: null, jobData: job });
+      }
+
+      this.jobs.set(row.downloadId, job);
+      this.pending.push(row.downloadId);
+      restored.push(job);
+    }
+
+    if (restored.length > 0) {
+      wsLogger.info('queue', `Restored ${restored.length} queued job(s) from database`);
+    }
+    if (abandoned.length > 0) {
+      wsLogger.warning('queue', `Dropped ${abandoned.length} job(s) interrupted more than ${this.maxRestarts} times`);
+    }
+
+    return { restored, abandoned };
+  }
+
+  // Start as many pending jobs as the concurrency limit allows
+  pump() {
+    if (!this.processJob) return;
+
+    while (this.running.size < this.maxConcurrent && this.pending.length > 0) {
+      const downloadId = this.pending.shift();
+      this.runJob(downloadId);
+    }
+  }
+
+  async runJob(downloadId) {
+    const job = this.jobs.get(downloadId);
+    if (!job) return;
+
+    this.running.add(downloadId);
+    const startedAt = Date.now();
+
+    try {
+      await DownloadQueue.update(
+        { status: 'processing', startedAt: new Date(startedAt) },
+        { where: { downloadId } }
+      );
+    } catch (dbError) {
+      wsLogger.error('queue', 'Error marking job as processing', {
+        downloadId,
+        error: dbError.message
+      });
+    }
+
+    wsLogger.info('queue', `Job started: ${downloadId}`, {
+      running: this.running.size,
+      waiting: this.pending.length
+    });
+
+    try {
+      await this.processJob(job);
+      this.recordDuration(Date.now() - startedAt);
+    } catch (error) {
+      wsLogger.error('queue', `Job failed: ${downloadId}`, { error: error.message });
+    } finally {
+      this.running.delete(downloadId);
+      this.jobs.delete(downloadId);
+
+      try {
+        await DownloadQueue.destroy({ where: { downloadId } });
+      } catch (dbError) {
+        wsLogger.error('queue', 'Error removing finished job', {
+          downloadId,
+          error: dbError.message
+        });
+      }
+
+      this.pump();
+    }
+  }
+
+  // Remove a job that has not started yet
+  async remove(downloadId) {
+    const index = this.pending.indexOf(downloadId);
+    if (index === -1) return false;
+
+    this.pending.splice(index, 1);
+    this.jobs.delete(downloadId);
+
+    try {
+      await DownloadQueue.destroy({ where: { downloadId } });
+    } catch (dbError) {
+      wsLogger.error('queue', 'Error removing queued job', {
+        downloadId,
+        error: dbError.message
+      });
+    }
+
+    wsLogger.info('queue', `Job removed from queue: ${downloadId}`);
+    return true;
+  }
+
+  // Drop every job that is still waiting
+  async clear() {
+    const removed = this.pending.length;
+
+    for (const downloadId of this.pending) {
+      this.jobs.delete(downloadId);
+    }
+    this.pending = [];
+
+    try {
+      await DownloadQueue.destroy({ where: { status: 'queued' } });
+    } catch (dbError) {
+      wsLogger.error('queue', 'Error clearing queue', { error: dbError.message });
+    }
+
+    return removed;
+  }
+
+  recordDuration(duration) {
+    this.recentDurations.push(duration);
+    if (this.recentDurations.length > this.maxDurationSamples) {
+      this.recentDurations.shift();
+    }
+  }
+
+  getAverageDuration() {
+    if (this.recentDurations.length === 0) return this.defaultJobDuration;
+    const total = this.recentDurations.reduce((sum, duration) => sum + duration, 0);
+    return Math.round(total / this.recentDurations.length);
+  }
+
+  // 1-based position in the waiting line, 0 if not waiting
+  getPosition(downloadId) {
+    return this.pending.indexOf(downloadId) + 1;
+  }
+
+  // Estimated wait in seconds before the job gets a worker
+  getEstimatedWait(downloadId) {
+    const position = this.getPosition(downloadId);
+    if (position === 0) return 0;
+
+    const rounds = Math.ceil(position / this.maxConcurrent);
+    return Math.round((rounds * this.getAverageDuration()) / 1000);
+  }
+
+  getStats() {
+    return {
+      queued: this.pending.length,
+      running: this.running.size,
+      maxConcurrent: this.maxConcurrent,
+      maxQueueSize: this.maxQueueSize,
+      averageJobDuration: this.getAverageDuration()
+    };
+  }
+}
+
+// Create singleton instance
+const downloadQueue = new DownloadJobQueue();
+
+module.exports = downloadQueue;
@@ -0,0 +1,85 @@
+// utils/jobEvents.js - In-process change notifications for download jobs (feeds the SSE status stream)
+
+const EventEmitter = require('events');
+
+class JobEventBus extends EventEmitter {
+  constructor() {
+    super();
+    // หนึ่ง listener ต่อหนึ่ง client ที่เปิด stream อยู่ - ไม่จำกัดจำนวน
+    this.setMaxListeners(0);
+    this.subscribers = 0;
+  }
+
+  // Notify subscribers of one job that its state changed
+  publish(downloadId, type = 'update') {
+    this.emit(`job:${downloadId}`, type);
+  }
+
+  // Queue positions shift for every waiting job when one leaves the queue
+  publishQueueChange() {
+    this.emit('queue');
+  }
+
+  // Returns an unsubscribe function
+  subscribe(downloadId, listener) {
+    const onJob = (type) => listener(type);
+    const onQueue = () => listener('queue');
+
+    this.on(`job:${downloadId}`, onJob);
+    this.on('queue', onQueue);
+    this.subscribers++;
+
+    return () => {
+      this.off(`job:${downloadId}`, onJob);
+      this.off('queue', onQueue);
+      this.subscribers--;
+    };
+  }
+
+  getStats() {
+    return { subscribers: this.subscribers };
+  }
+}
+
+// Create singleton instance
+const jobEvents = new JobEventBus();
+
+// Map that publishes every set/delete, so no code path can change a job silently
+class ObservedJobMap extends Map {
+  set(downloadId, job) {
+    const previous = this.get(downloadId);
+    super.set(downloadId, job);
+
+    jobEvents.publish(downloadId);
+    // collection แสดง progress ของลูกแต่ละตัว - แจ้ง parent ด้วย
+    if (job?.parentId) {
+      jobEvents.publish(job.parentId);
+    }
+    if (previous?.status === 'queued' && job?.status !== 'queued') {
+      jobEvents.publishQueueChange();
+    }
+    return this;
+  }
+
+  delete(downloadId) {
+    const previous = this.get(downloadId);
+    const deleted = super.delete(downloadId);
+
+    if (deleted) {
+      jobEvents.publish(downloadId, 'removed');
+      if (previous?.status === 'queued') {
+        jobEvents.publishQueueChange();
+      }
+    }
+    return deleted;
+  }
+
+  clear() {
+    const downloadIds = [...this.keys()];
+    super.clear();
+    downloadIds.forEach(downloadId => jobEvents.publish(downloadId, 'removed'));
+  }
+}
+
+module.exports = jobEvents;
+module.exports.ObservedJobMap = ObservedJobMap;
@@ -0,0 +1,290 @@
+// utils/modInspector.js - Read meta.cpp / mod.cpp, PBO headers and signatures of downloaded mods
+
+const fs = require('fs');
+const path = require('path');
+
+// PBO entry packing methods
+const PACKING_VERSION = 0x56657273;    // 'Vers' - header extension (prefix etc.)
+const PACKING_COMPRESSED = 0x43707273; // 'Cprs'
+
+// header ของ PBO ปกติไม่กี่ KB - เกินนี้ถือว่าไฟล์เสีย
+const MAX_HEADER_SIZE = 16 * 1024 * 1024;
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// ไฟล์ใน PBO อาจมีเป็นพัน - เก็บรายชื่อแค่ส่วนหนึ่ง (fileCount ยังนับครบ)
+const MAX_LISTED_ENTRIES = parseInt(process.env.MOD_INSPECTION_MAX_ENTRIES) || 200;
+
+// --- meta.cpp / mod.cpp ---
+
+// Numbers stay strings: publishedid and timestamp do not fit in a JS number
+const parseConfigValue = (raw) => {
+  const value = raw.trim();
+  if (value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/""/g, '"');
+  }
+  return value;
+};
+
+// Top-level `key = value;` and `key[] = {...};` assignments (enough for meta.cpp / mod.cpp)
+const parseConfig = (text) => {
+  const values = {};
+  const source = text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/^\s*\/\/.*$/gm, '');
+  const pattern = /(\w+)\s*(\[\])?\s*=\s*("(?:[^"]|"")*"|\{[^}]*\}|[^;]*);/g;
+
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const [, key, isArray, rawValue] = match;
+    values[key] = isArray
+      ? rawValue.trim().replace(/^\{|\}$/g, '').split(',').map(parseConfigValue).filter(value => value !== '')
+      : parseConfigValue(rawValue);
+  }
+
+  return values;
+};
+
+const readConfigFile = (filePath) => {
+  if (!filePath) return null;
+  try {
+    return parseConfig(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// --- PBO ---
+
+// Header: entries of <name\0><packing><originalSize><reserved><timestamp><dataSize>,
+// a 'Vers' entry carries key/value extensions, an empty name ends the list.
+const readPboHeader = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    let buffer = Buffer.alloc(0);
+    let filePosition = 0;
+    let offset = 0;
+
+    const readMore = () => {
+      if (filePosition >= fileSize || buffer.length >= MAX_HEADER_SIZE) {
+        throw new Error('Truncated or oversized PBO header');
+      }
+      const chunk = Buffer.alloc(Math.min(READ_CHUNK_SIZE, fileSize - filePosition));
+      const bytesRead = fs.readSync(fd, chunk, 0, chunk.length, filePosition);
+      filePosition += bytesRead;
+      buffer = Buffer.concat([buffer, chunk.subarray(0, bytesRead)]);
+    };
+
+    const readString = () => {
+      let end;
+      while ((end = buffer.indexOf(0, offset)) === -1) readMore();
+      const value = buffer.toString('utf8', offset, end);
+      offset = end + 1;
+      return value;
+    };
+
+    const readUInt32 = () => {
+      while (buffer.length < offset + 4) readMore();
+      const value = buffer.readUInt32LE(offset);
+      offset += 4;
+      return value;
+    };
+
+    const extensions = {};
+    const entries = [];
+
+    for (;;) {
+      const name = readString();
+      const packingMethod = readUInt32();
+      const originalSize = readUInt32();
+      readUInt32(); // reserved
+      const timestamp = readUInt32();
+      const dataSize = readUInt32();
+
+      if (name === '' && packingMethod === PACKING_VERSION) {
+        let key;
+        while ((key = readString()) !== '') {
+          extensions[key] = readString();
+        }
+        continue;
+      }
+
+      if (name === '') break;
+
+      entries.push({
+        name: name.replace(/\\/g, '/'),
+        size: originalSize || dataSize,
+        dataSize,
+        compressed: packingMethod === PACKING_COMPRESSED,
+        timestamp
+      });
+    }
+
+    const dataEnd = offset + entries.reduce((sum, entry) => sum + entry.dataSize, 0);
+    if (dataEnd > fileSize) {
+      throw new Error(`Entry data runs past the end of the file (${dataEnd} > ${fileSize} bytes)`);
+    }
+
+    return {
+      prefix: extensions.prefix || null,
+      extensions,
+      entries,
+      fileSize,
+      // 1 byte + SHA1 หลังข้อมูลของทุก entry
+      hasChecksum: fileSize - dataEnd === 21
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// .bikey and .bisign both start with the key (authority) name as a null-terminated string
+const readAuthority = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(512);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const end = buffer.subarray(0, bytesRead).indexOf(0);
+    return end > 0 ? buffer.toString('utf8', 0, end) : null;
+  } catch (error) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// --- content folder ---
+
+const listFilesRecursive = (dirPath, relDir = '') => {
+  const files = [];
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFilesRecursive(path.join(dirPath, entry.name), relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+};
+
+const findRootFile = (files, contentPath, fileName) => {
+  const match = files.find(file => !file.includes('/') && file.toLowerCase() === fileName);
+  return match ? path.join(contentPath, match) : null;
+};
+
+// Inspect one mod folder
+const inspectItem = (source) => {
+  const { contentPath, workshopId } = source;
+  const files = listFilesRecursive(contentPath);
+  const lowerFiles = files.map(file => file.toLowerCase());
+  const warnings = [];
+
+  const meta = readConfigFile(findRootFile(files, contentPath, 'meta.cpp'));
+  const mod = readConfigFile(findRootFile(files, contentPath, 'mod.cpp'));
+
+  if (!meta) {
+    warnings.push('meta.cpp is missing');
+  } else if (meta.publishedid && workshopId && String(meta.publishedid) !== String(workshopId)) {
+    warnings.push(`meta.cpp publishedid ${meta.publishedid} does not match workshop item ${workshopId}`);
+  }
+
+  const keys = files
+    .filter((file, index) => lowerFiles[index].endsWith('.bikey'))
+    .map(file => ({ file, authority: readAuthority(path.join(contentPath, file)) }));
+  const keyAuthorities = new Set(keys.map(key => key.authority).filter(Boolean));
+
+  const signatureFiles = files.filter((file, index) => lowerFiles[index].endsWith('.bisign'));
+
+  const pbos = files
+    .filter((file, index) => lowerFiles[index].endsWith('.pbo'))
+    .map((file) => {
+      const pboPath = path.join(contentPath, file);
+      const signatures = signatureFiles
+        .filter(signature => signature.toLowerCase().startsWith(`${file.toLowerCase()}.`))
+        .map((signature) => {
+          const authority = readAuthority(path.join(contentPath, signature));
+          return { file: signature, authority, matchesKey: Boolean(authority) && keyAuthorities.has(authority) };
+        });
+
+      let signatureStatus = 'unsigned';
+      if (signatures.length > 0) {
+        signatureStatus = signatures.some(signature => signature.matchesKey) ? 'signed' : 'mismatched';
+      }
+
+      const result = { file, signatureStatus, signatures };
+
+      try {
+        const header = readPboHeader(pboPath);
+        Object.assign(result, {
+          size: header.fileSize,
+          prefix: header.prefix,
+          extensions: header.extensions,
+          hasChecksum: header.hasChecksum,
+          fileCount: header.entries.length,
+          files: header.entries.slice(0, MAX_LISTED_ENTRIES).map(entry => ({
+            name: entry.name,
+            size: entry.size,
+            compressed: entry.compressed
+          }))
+        });
+      } catch (error) {
+        result.error = error.message;
+      }
+
+      return result;
+    });
+
+  const unsigned = pbos.filter(pbo => pbo.signatureStatus === 'unsigned');
+  const mismatched = pbos.filter(pbo => pbo.signatureStatus === 'mismatched');
+  const invalid = pbos.filter(pbo => pbo.error);
+
+  if (pbos.length === 0) warnings.push('No PBO files found');
+  if (pbos.length > 0 && keys.length === 0) warnings.push('No .bikey file found');
+  if (unsigned.length > 0) warnings.push(`${unsigned.length} PBO(s) without a signature`);
+  if (mismatched.length > 0) warnings.push(`${mismatched.length} PBO(s) signed with a key that is not included`);
+  if (invalid.length > 0) warnings.push(`${invalid.length} PBO(s) could not be read`);
+
+  return {
+    workshopId,
+    folderName: source.folderName || null,
+    meta,
+    mod,
+    keys,
+    pbos,
+    warnings
+  };
+};
+
+// sources: [{ contentPath, workshopId, folderName }] - the same items that go into the archive
+const inspect = (sources) => {
+  const items = sources.map(inspectItem);
+  const pbos = items.flatMap(item => item.pbos);
+
+  const summary = {
+    items: items.length,
+    pbos: pbos.length,
+    signed: pbos.filter(pbo => pbo.signatureStatus === 'signed').length,
+    unsigned: pbos.filter(pbo => pbo.signatureStatus === 'unsigned').length,
+    mismatched: pbos.filter(pbo => pbo.signatureStatus === 'mismatched').length,
+    invalid: pbos.filter(pbo => pbo.error).length,
+    keys: items.reduce((sum, item) => sum + item.keys.length, 0),
+    warnings: items.reduce((sum, item) => sum + item.warnings.length, 0)
+  };
+
+  return {
+    status: summary.warnings > 0 ? 'warning' : 'ok',
+    inspectedAt: new Date().toISOString(),
+    summary,
+    items
+  };
+};
+
+module.exports = {
+  parseConfig,
+  readPboHeader,
+  readAuthority,
+  inspectItem,
+  inspect
+};
@@ -0,0 +1,113 @@
+// utils/notifier.js - Pluggable notification channels (log, outgoing webhook, ...)
+
+const crypto = require('crypto');
+const axios = require('axios');
+const wsLogger = require('../websocketLogger');
+
+// Writes the event to the admin log stream - always available, needs no config
+const logChannel = {
+  async send(event, payload) {
+    wsLogger.info('notify', `${event}: ${payload.message || ''}`.trim(), payload);
+  }
+};
+
+// Value of the X-Signature-SHA256 header: sha256=<hex HMAC of the raw body>
+const signBody = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// POSTs { event, timestamp, data } as JSON, signed with signBody() when a secret is set
+const createWebhookChannel = (options = {}) => {
+  const url = options.url;
+  const secret = options.secret || null;
+  const timeout = options.timeout || 10000;
+
+  return {
+    async send(event, payload) {
+      if (!url) {
+        throw new Error('Webhook URL is not configured');
+      }
+
+      const body = JSON.stringify({
+        event,
+        timestamp: new Date().toISOString(),
+        data: payload
+      });
+
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DayZ-Workshop-Downloader',
+        'X-Notification-Event': event
+      };
+      if (secret) {
+        headers['X-Signature-SHA256'] = signBody(secret, body);
+      }
+
+      await axios.post(url, body, { headers, timeout });
+    }
+  };
+};
+
+class Notifier {
+  constructor() {
+    this.channels = new Map();   // name -> { send(event, payload) }
+
+    this.registerChannel('log', logChannel);
+    if (process.env.NOTIFY_WEBHOOK_URL) {
+      this.registerChannel('webhook', createWebhookChannel({
+        url: process.env.NOTIFY_WEBHOOK_URL,
+        secret: process.env.NOTIFY_WEBHOOK_SECRET,
+        timeout: parseInt(process.env.NOTIFY_WEBHOOK_TIMEOUT) || 10000
+      }));
+    }
+
+    // ว่าง = ส่งทุก channel ที่ลงทะเบียนไว้
+    this.enabledChannels = (process.env.NOTIFY_CHANNELS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  // channel: { send: async (event, payload) => {} }
+  registerChannel(name, channel) {
+    if (!channel || typeof channel.send !== 'function') {
+      throw new Error(`Notification channel "${name}" must implement send()`);
+    }
+    this.channels.set(name, channel);
+  }
+
+  unregisterChannel(name) {
+    return this.channels.delete(name);
+  }
+
+  getActiveChannels() {
+    return [...this.channels.keys()]
+      .filter(name => this.enabledChannels.length === 0 || this.enabledChannels.includes(name));
+  }
+
+  // Send to every active channel; one failing channel does not stop the others.
+  // Returns { delivered: [names], failed: [{ channel, error }] }
+  async notify(event, payload = {}) {
+    const delivered = [];
+    const failed = [];
+
+    for (const name of this.getActiveChannels()) {
+      try {
+        await this.channels.get(name).send(event, payload);
+        delivered.push(name);
+      } catch (error) {
+        failed.push({ channel: name, error: error.message });
+        wsLogger.warning('notify', `Notification channel "${name}" failed`, {
+          event,
+          error: error.message
+        });
+      }
+    }
+
+    return { delivered, failed };
+  }
+}
+
+const notifier = new Notifier();
+
+module.exports = notifier;
+module.exports.createWebhookChannel = createWebhookChannel;
+module.exports.signBody = signBody;
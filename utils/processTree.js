@@ -0,0 +1,58 @@
+// utils/processTree.js - Kill SteamCMD together with the processes it starts
+
+// steamcmd.sh starts the real steamcmd binary as a child, so killing only the
+// script leaves the download running. Downloads are spawned with `detached: true`
+// (own process group) and the whole group is signalled instead.
+
+const trackedProcesses = new Set();
+
+// Remember a spawned process until it exits
+const trackProcess = (child) => {
+  trackedProcesses.add(child);
+  child.once('exit', () => trackedProcesses.delete(child));
+  return child;
+};
+
+const signalProcessGroup = (child, signal) => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    // ไม่ได้ spawn แบบ detached หรือ group ปิดไปแล้ว - ส่งให้ตัว process ตรงๆ
+    try {
+      child.kill(signal);
+    } catch (killError) {
+      // already gone
+    }
+  }
+};
+
+// SIGTERM the process group, then SIGKILL whatever is still alive after the grace period.
+// Resolves once the SIGKILL went out. keepAlive: hold the event loop open until then (shutdown)
+const killProcessTree = (child, graceMs = 5000, { keepAlive = false } = {}) => {
+  if (!child || !child.pid) return Promise.resolve();
+
+  signalProcessGroup(child, 'SIGTERM');
+
+  return new Promise((resolve) => {
+    const forceKill = setTimeout(() => {
+      signalProcessGroup(child, 'SIGKILL');
+      resolve();
+    }, graceMs);
+    if (!keepAlive) forceKill.unref();
+  });
+};
+
+// Used on server shutdown so detached SteamCMD processes don't outlive the server.
+// Resolves with the number of process groups once all of them got their SIGKILL - await it before exiting
+const killAllProcesses = async (graceMs = 2000) => {
+  const children = [...trackedProcesses];
+  trackedProcesses.clear();
+  await Promise.all(children.map(child => killProcessTree(child, graceMs, { keepAlive: true })));
+  return children.length;
+};
+
+module.exports = {
+  trackProcess,
+  killProcessTree,
+  killAllProcesses
+};
@@ -0,0 +1,196 @@
+// utils/rateLimiter.js - Sliding-window rate limits for public endpoints (memory or MySQL counters)
+
+const { Op } = require('sequelize');
+const wsLogger = require('../websocketLogger');
+const { RateLimitCounter } = require('../models');
+
+// In-process counters - fine for a single server instance, lost on restart
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();   // bucket|clientKey|windowStart -> count
+  }
+
+  async get(bucket, clientKey, windowStarts) {
+    const counts = {};
+    for (const windowStart of windowStarts) {
+      counts[windowStart] = this.counters.get(`${bucket}|${clientKey}|${windowStart}`) || 0;
+    }
+    return counts;
+  }
+
+  async increment(bucket, clientKey, windowStart) {
+    const id = `${bucket}|${clientKey}|${windowStart}`;
+    this.counters.set(id, (this.counters.get(id) || 0) + 1);
+  }
+
+  async prune(before) {
+    for (const id of this.counters.keys()) {
+      if (parseInt(id.split('|').pop()) < before) {
+        this.counters.delete(id);
+      }
+    }
+  }
+}
+
+// Counters in MySQL - shared by every instance behind the load balancer
+class MysqlStore {
+  async get(bucket, clientKey, windowStarts) {
+    const rows = await RateLimitCounter.findAll({
+      where: { bucket, clientKey, windowStart: windowStarts }
+    });
+
+    const counts = {};
+    for (const windowStart of windowStarts) {
+      const row = rows.find(counter => Number(counter.windowStart) === windowStart);
+      counts[windowStart] = row ? row.count : 0;
+    }
+    return counts;
+  }
+
+  async increment(bucket, clientKey, windowStart) {
+    const [counter] = await RateLimitCounter.findOrCreate({
+      where: { bucket, clientKey, windowStart },
+      defaults: { count: 0 }
+    });
+    await counter.increment('count');
+  }
+
+  async prune(before) {
+    await RateLimitCounter.destroy({ where: { windowStart: { [Op.lt]: before } } });
+  }
+}
+
+class RateLimiter {
+  constructor() {
+    this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+    this.window = parseInt(process.env.RATE_LIMIT_WINDOW) || 60000;
+    this.storeType = process.env.RATE_LIMIT_STORE === 'mysql' ? 'mysql' : 'memory';
+    this.store = this.storeType === 'mysql' ? new MysqlStore() : new MemoryStore();
+
+    // Requests per window for each route budget; API_RATE_LIMIT is the default
+    const defaultLimit = parseInt(process.env.API_RATE_LIMIT) || 60;
+    this.budgets = {
+      download: parseInt(process.env.RATE_LIMIT_DOWNLOAD) || 10,
+      info: parseInt(process.env.RATE_LIMIT_INFO) || defaultLimit,
+      file: parseInt(process.env.RATE_LIMIT_FILE) || 30,
+      // หนึ่ง request = หลาย Steam API call (dependency tree, ลูกของ collection)
+      dependencies: parseInt(process.env.RATE_LIMIT_DEPENDENCIES) || 20,
+      collection: parseInt(process.env.RATE_LIMIT_COLLECTION) || 20,
+      watchlist: parseInt(process.env.RATE_LIMIT_WATCHLIST) || 10
+    };
+
+    this.timer = null;
+  }
+
+  // Drop windows that can no longer count towards a limit
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.store.prune(Date.now() - 2 * this.window).catch((error) => {
+        wsLogger.error('ratelimit', 'Failed to prune rate limit counters', { error: error.message });
+      });
+    }, this.window);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // API key requests are limited per key (wherever they come from), everything else per req.ip.
+  // req.ip honours only the proxies in TRUST_PROXY - clientInfo.ip takes any forwarding header as is,
+  // and falls back to one shared address when it finds none.
+  // There is no per-session budget: the public site has no sessions, and an id the client picks itself
+  // (cookie, header) could simply be rotated past the limit. The API key is the session of an API client.
+  getClientKey(req) {
+    if (req.apiKey) return `key:${req.apiKey.id}`;
+    return `ip:${req.ip}`;
+  }
+
+  // Sliding window counter: the previous window counts for the part of it still inside the window.
+  // Returns { allowed, limit, remaining, reset, retryAfter } - reset/retryAfter in seconds
+  async consume(bucket, clientKey) {
+    const limit = this.budgets[bucket];
+    const now = Date.now();
+    const current = Math.floor(now / this.window) * this.window;
+    const previous = current - this.window;
+    const elapsed = now - current;
+
+    const counts = await this.store.get(bucket, clientKey, [previous, current]);
+    const used = Math.floor(counts[previous] * (1 - elapsed / this.window) + counts[current]);
+    const reset = Math.ceil((this.window - elapsed) / 1000);
+
+    if (used >= limit) {
+      // เวลาที่ window ก่อนหน้าจางลงจนมีที่ว่าง 1 request - ถ้า window นี้เต็มเองต้องรอ window ถัดไป
+      let retryAfter = reset;
+      if (counts[current] < limit && counts[previous] > 0) {
+        const freeAt = this.window * (1 - (limit - 1 - counts[current]) / counts[previous]);
+        retryAfter = Math.max(Math.ceil((freeAt - elapsed) / 1000), 1);
+      }
+      return { allowed: false, limit, remaining: 0, reset, retryAfter };
+    }
+
+    await this.store.increment(bucket, clientKey, current);
+    return { allowed: true, limit, remaining: Math.max(limit - used - 1, 0), reset, retryAfter: null };
+  }
+
+  // Express middleware for one route budget; sends RateLimit-* headers and 429 when over budget.
+  // A broken counter store lets the request through.
+  limit(bucket) {
+    if (!this.budgets[bucket]) {
+      throw new Error(`Unknown rate limit budget "${bucket}"`);
+    }
+
+    return async (req, res, next) => {
+      if (!this.enabled) return next();
+
+      const clientKey = this.getClientKey(req);
+      let result;
+      try {
+        result = await this.consume(bucket, clientKey);
+      } catch (error) {
+        wsLogger.error('ratelimit', 'Rate limit check failed', { bucket, error: error.message });
+        return next();
+      }
+
+      res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.round(this.window / 1000)}`);
+      res.setHeader('RateLimit-Limit', result.limit);
+      res.setHeader('RateLimit-Remaining', result.remaining);
+      res.setHeader('RateLimit-Reset', result.reset);
+
+      if (result.allowed) return next();
+
+      res.setHeader('Retry-After', result.retryAfter);
+      wsLogger.warning('ratelimit', `Rate limit exceeded for ${bucket}`, {
+        clientKey,
+        url: req.originalUrl,
+        limit: result.limit
+      });
+
+      res.status(429).json({
+        error: `Too many requests, please try again in ${result.retryAfter} seconds`,
+        retryAfter: result.retryAfter,
+        limit: result.limit,
+        window: Math.round(this.window / 1000)
+      });
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      store: this.storeType,
+      window: this.window,
+      budgets: { ...this.budgets }
+    };
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = rateLimiter;
+module.exports.MemoryStore = MemoryStore;
+module.exports.MysqlStore = MysqlStore;
@@ -0,0 +1,22 @@
+// utils/secrets.js - Signing secrets from the environment; production refuses to run on the built-in fallback
+
+// Only good enough for development - anyone can read it here and forge tokens or download links
+const DEVELOPMENT_SECRET = 'default-secret-change-in-production';
+
+// First of the env variables that is set. Throws in production when none is (or only the fallback value is)
+const requireSecret = (...names) => {
+  const name = names.find(candidate => process.env[candidate]);
+  const secret = name ? process.env[name] : null;
+
+  if (secret && secret !== DEVELOPMENT_SECRET) return secret;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${names.join(' or ')} must be set to a secret value in production`);
+  }
+  return DEVELOPMENT_SECRET;
+};
+
+module.exports = {
+  DEVELOPMENT_SECRET,
+  requireSecret
+};
@@ -0,0 +1,104 @@
+// utils/serverLayout.js - Server-ready packaging: @ModName folders, a shared keys/ folder and the -mod= launch parameter
+
+const fs = require('fs');
+const path = require('path');
+
+// 'default' = workshop content as-is, 'server' = layout that can be dropped into a DayZ server folder
+const LAYOUTS = ['default', 'server'];
+
+// '@' + title without characters that break folder names or the ';'-separated -mod= list
+const toModFolderName = (title, fallback) => {
+  const cleaned = (title || '')
+    .replace(/[<>:"/\\|?*;@\x00-\x1f]/g, '')
+    .trim()
+    .replace(/\s+/g, '_');
+  return `@${cleaned || fallback}`;
+};
+
+// Give each item a unique @ folder (compared case-insensitively - Windows servers)
+const withModFolderNames = (items) => {
+  const usedNames = new Set();
+
+  return items.map((item) => {
+    let folderName = toModFolderName(item.title, item.workshopId);
+    if (usedNames.has(folderName.toLowerCase())) {
+      folderName = `${folderName}_${item.workshopId}`;
+    }
+    usedNames.add(folderName.toLowerCase());
+
+    return { ...item, folderName };
+  });
+};
+
+const buildModParameter = (folderNames) => `-mod=${folderNames.join(';')}`;
+
+// All .bikey files of a mod, wherever the author put them (keys/, Keys/, key/ ...)
+const findKeyFiles = (dirPath) => {
+  const keyFiles = [];
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      keyFiles.push(...findKeyFiles(entryPath));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.bikey')) {
+      keyFiles.push(entryPath);
+    }
+  }
+
+  return keyFiles;
+};
+
+const hasRootFile = (dirPath, fileName) => {
+  return fs.readdirSync(dirPath).some(name => name.toLowerCase() === fileName);
+};
+
+// Same fields the DayZ launcher writes; only used when the workshop upload has no meta.cpp
+const buildMetaCpp = (item) => {
+  const name = (item.title || item.workshopId).replace(/"/g, "'");
+  const timestamp = item.timeUpdated || Math.floor(Date.now() / 1000);
+
+  return [
+    'protocol = 1;',
+    `publishedid = ${item.workshopId};`,
+    `name = "${name}";`,
+    `timestamp = ${timestamp};`,
+    ''
+  ].join('\n');
+};
+
+// Add mods to an archiver instance in server layout.
+// sources: [{ contentPath, folderName (@...), workshopId, title, timeUpdated }]
+// Returns the key file names placed in keys/
+const addToArchive = (archive, sources) => {
+  const keyNames = new Map();
+
+  for (const source of sources) {
+    // meta.cpp / mod.cpp มากับ content อยู่แล้ว - สร้าง meta.cpp ให้เฉพาะตัวที่ไม่มี
+    archive.directory(source.contentPath, source.folderName);
+
+    if (!hasRootFile(source.contentPath, 'meta.cpp')) {
+      archive.append(buildMetaCpp(source), { name: `${source.folderName}/meta.cpp` });
+    }
+
+    // หลาย mod ใช้ key เดียวกันได้ - ใส่ชื่อซ้ำแค่ครั้งเดียว
+    for (const keyPath of findKeyFiles(source.contentPath)) {
+      const keyName = path.basename(keyPath);
+      if (keyNames.has(keyName.toLowerCase())) continue;
+
+      keyNames.set(keyName.toLowerCase(), keyName);
+      archive.file(keyPath, { name: `keys/${keyName}` });
+    }
+  }
+
+  return [...keyNames.values()];
+};
+
+module.exports = {
+  LAYOUTS,
+  toModFolderName,
+  withModFolderNames,
+  buildModParameter,
+  findKeyFiles,
+  buildMetaCpp,
+  addToArchive
+};
@@ -0,0 +1,150 @@
+// utils/sessionService.js - Opaque admin session tokens backed by AdminSession: idle expiry, refresh, revocation
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const { AdminSession, AdminUser } = require('../models');
+const { isTwoFactorRequired } = require('./adminRoles');
+
+// Activity is written back at most this often, not on every request
+const TOUCH_INTERVAL = 60000;
+
+class AdminSessionService extends EventEmitter {
+  constructor() {
+    super();
+    this.idleTimeout = parseInt(process.env.SESSION_TIMEOUT) || 86400000;        // 24 hours without activity
+    this.maxAge = parseInt(process.env.SESSION_MAX_AGE) || 7 * 24 * 60 * 60 * 1000; // 7 days after login, whatever happens
+  }
+
+  // Bearer token of a request (null when there is none)
+  getToken(req) {
+    const header = req.headers.authorization;
+    const token = header?.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    return token || null;
+  }
+
+  // Idle deadline, capped by the absolute lifetime of the session
+  getExpiry(loginTime, now = Date.now()) {
+    return new Date(Math.min(now + this.idleTimeout, new Date(loginTime).getTime() + this.maxAge));
+  }
+
+  // New session for a user who passed every login step; their older sessions end (new_login)
+  async create(username, { clientIp = null, userAgent = null } = {}) {
+    await this.revokeUser(username, 'new_login');
+
+    const now = new Date();
+    return AdminSession.create({
+      sessionId: crypto.randomBytes(32).toString('base64url'),
+      username,
+      loginTime: now,
+      lastActivityAt: now,
+      expiresAt: this.getExpiry(now, now.getTime()),
+      clientIp,
+      userAgent: userAgent || 'Unknown',
+      isActive: true
+    });
+  }
+
+  // Role ของ session มาจาก admin_users ทุกครั้ง - เปลี่ยน role/ปิดบัญชีแล้วมีผลทันที
+  async loadAdmin(username) {
+    const user = await AdminUser.findOne({ where: { username, isActive: true } });
+    if (!user) return null;
+
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      twoFactorEnabled: user.totpEnabled,
+      twoFactorRequired: isTwoFactorRequired(user),
+      twoFactorSetupRequired: isTwoFactorRequired(user) && !user.totpEnabled
+    };
+  }
+
+  // Active, unexpired session for a token or null. touch = count this as activity (slides the idle expiry)
+  async validate(token, { touch = true } = {}) {
+    if (typeof token !== 'string' || token.length < 20 || token.length > 100) return null;
+
+    const session = await AdminSession.findOne({
+      where: { sessionId: token, isActive: true }
+    });
+    if (!session) return null;
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      await this.end([session], 'expired');
+      return null;
+    }
+
+    if (touch && Date.now() - new Date(session.lastActivityAt || 0).getTime() > TOUCH_INTERVAL) {
+      await session.update({
+        lastActivityAt: new Date(),
+        expiresAt: this.getExpiry(session.loginTime)
+      });
+    }
+
+    return session;
+  }
+
+  // Explicit "keep me signed in" - same token, new idle deadline
+  async refresh(token) {
+    const session = await this.validate(token, { touch: false });
+    if (!session) return null;
+
+    await session.update({
+      lastActivityAt: new Date(),
+      expiresAt: this.getExpiry(session.loginTime)
+    });
+    return session;
+  }
+
+  // The ended session, or null when the token had none
+  async revoke(token, reason = 'logout') {
+    const session = await AdminSession.findOne({ where: { sessionId: token, isActive: true } });
+    if (!session) return null;
+
+    await this.end([session], reason);
+    return session;
+  }
+
+  // End every session of an account (disabled, deleted, new password, new login elsewhere)
+  async revokeUser(username, reason) {
+    const sessions = await AdminSession.findAll({ where: { username, isActive: true } });
+    await this.end(sessions, reason);
+    return sessions.length;
+  }
+
+  // Sessions that ran past their expiry without anyone noticing (periodic cleanup)
+  async expireStale() {
+    const sessions = await AdminSession.findAll({
+      where: { isActive: true, expiresAt: { [Op.lte]: new Date() } }
+    });
+    await this.end(sessions, 'expired');
+    return sessions.length;
+  }
+
+  // Emits 'ended' ({ sessionIds, reason }) so open WebSocket connections of these sessions can be closed
+  async end(sessions, reason) {
+    if (sessions.length === 0) return;
+
+    const sessionIds = sessions.map(session => session.sessionId);
+    await AdminSession.update(
+      { isActive: false, deactivatedAt: new Date(), deactivatedReason: reason },
+      { where: { sessionId: sessionIds } }
+    );
+
+    this.emit('ended', { sessionIds, reason });
+  }
+
+  // Deactivated sessions are kept a while for the audit trail
+  async purgeInactive(olderThanMs = 7 * 24 * 60 * 60 * 1000) {
+    return AdminSession.destroy({
+      where: {
+        isActive: false,
+        updatedAt: { [Op.lt]: new Date(Date.now() - olderThanMs) }
+      }
+    });
+  }
+}
+
+const sessionService = new AdminSessionService();
+
+module.exports = sessionService;
@@ -0,0 +1,192 @@
+// utils/signedUrls.js - HMAC-signed, expiring download links with optional use limits
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const wsLogger = require('../websocketLogger');
+const { requireSecret } = require('./secrets');
+const { sequelize, DownloadLink } = require('../models');
+
+class SignedUrlService {
+  constructor() {
+    this.secret = requireSecret('DOWNLOAD_LINK_SECRET', 'JWT_SECRET');
+    this.defaultTtl = parseInt(process.env.DOWNLOAD_LINK_TTL) || 7200;      // seconds (2 hours)
+    this.maxTtl = parseInt(process.env.DOWNLOAD_LINK_MAX_TTL) || 604800;    // seconds (7 days)
+    this.defaultMaxUses = parseInt(process.env.DOWNLOAD_LINK_MAX_USES) || null;
+  }
+
+  // Signature covers the download, the link record and the expiry so none can be swapped
+  sign(downloadId, linkId, expires) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${downloadId}:${linkId}:${expires}`)
+      .digest('hex');
+  }
+
+  buildUrl(baseUrl, link) {
+    const expires = Math.floor(new Date(link.expiresAt).getTime() / 1000);
+    const params = new URLSearchParams({
+      link: link.id,
+      expires: String(expires),
+      sig: this.sign(link.downloadId, link.id, expires)
+    });
+    return `${baseUrl}?${params.toString()}`;
+  }
+
+  // options: { expiresIn (seconds), maxUses (null = unlimited), workshopId, clientIp }
+  async createLink(downloadId, baseUrl, options = {}) {
+    const ttl = Math.min(parseInt(options.expiresIn) || this.defaultTtl, this.maxTtl);
+
+    let maxUses = this.defaultMaxUses;
+    if (options.maxUses !== undefined && options.maxUses !== null && options.maxUses !== '') {
+      maxUses = parseInt(options.maxUses);
+      if (!Number.isInteger(maxUses) || maxUses < 1) {
+        throw new Error('INVALID_MAX_USES');
+      }
+    }
+
+    const link = await DownloadLink.create({
+      id: crypto.randomBytes(16).toString('hex'),
+      downloadId,
+      workshopId: options.workshopId || null,
+      // ตัดเศษ ms ให้ตรงกับ expires ที่อยู่ใน URL
+      expiresAt: new Date(Math.floor((Date.now() + ttl * 1000) / 1000) * 1000),
+      maxUses,
+      createdIp: options.clientIp || null
+    });
+
+    wsLogger.info('download', `Signed download link created: ${link.id}`, {
+      downloadId,
+      expiresAt: link.expiresAt,
+      maxUses
+    });
+
+    return {
+      linkId: link.id,
+      url: this.buildUrl(baseUrl, link),
+      expiresAt: link.expiresAt,
+      maxUses
+    };
+  }
+
+  // Check signature, expiry, revocation and use limit.
+  // countUse=false for resumed (Range) requests - continuing a download is not another use.
+  // Returns { valid, status, reason, link }
+  async verify(downloadId, query, { countUse = true } = {}) {
+    const { link: linkId, expires, sig } = query;
+
+    if (!linkId || !expires || !sig || typeof sig !== 'string') {
+      return { valid: false, status: 403, reason: 'Download link is not signed' };
+    }
+
+    const expected = this.sign(downloadId, linkId, expires);
+    if (sig.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+      return { valid: false, status: 403, reason: 'Invalid download link signature' };
+    }
+
+    if (parseInt(expires) * 1000 < Date.now()) {
+      return { valid: false, status: 410, reason: 'Download link has expired' };
+    }
+
+    const link = await DownloadLink.findByPk(linkId);
+    if (!link || link.downloadId !== downloadId) {
+      return { valid: false, status: 403, reason: 'Download link not found' };
+    }
+
+    if (link.revokedAt) {
+      return { valid: false, status: 410, reason: 'Download link has been revoked' };
+    }
+
+    if (!countUse) {
+      return { valid: true, link };
+    }
+
+    // นับครั้งแบบ atomic - สอง request พร้อมกันจะไม่ใช้ link single-use ได้ทั้งคู่
+    const where = { id: linkId, revokedAt: null };
+    if (link.maxUses !== null) {
+      where.useCount = { [Op.lt]: link.maxUses };
+    }
+
+    const [updated] = await DownloadLink.update({
+      useCount: sequelize.literal('useCount + 1'),
+      lastUsedAt: new Date()
+    }, { where });
+
+    if (updated === 0) {
+      return { valid: false, status: 410, reason: 'Download link has reached its maximum number of uses' };
+    }
+
+    return { valid: true, link };
+  }
+
+  // True while any link for the download can still be used
+  async hasUsableLinks(downloadId) {
+    const links = await DownloadLink.findAll({
+      where: {
+        downloadId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    return links.some(link => link.maxUses === null || link.useCount < link.maxUses);
+  }
+
+  getLinkStatus(link) {
+    if (link.revokedAt) return 'revoked';
+    if (new Date(link.expiresAt) < new Date()) return 'expired';
+    if (link.maxUses !== null && link.useCount >= link.maxUses) return 'used';
+    return 'active';
+  }
+
+  async revoke(linkId, revokedBy = null) {
+    const [updated] = await DownloadLink.update(
+      { revokedAt: new Date(), revokedBy },
+      { where: { id: linkId, revokedAt: null } }
+    );
+
+    if (updated > 0) {
+      wsLogger.warning('download', `Download link revoked: ${linkId}`, { revokedBy });
+    }
+    return updated > 0;
+  }
+
+  // Revoke every link that points at one download
+  async revokeForDownload(downloadId, revokedBy = null) {
+    const [updated] = await DownloadLink.update(
+      { revokedAt: new Date(), revokedBy },
+      { where: { downloadId, revokedAt: null } }
+    );
+
+    if (updated > 0) {
+      wsLogger.warning('download', `Revoked ${updated} link(s) for ${downloadId}`, { revokedBy });
+    }
+    return updated;
+  }
+
+  async list({ downloadId = null, limit = 100 } = {}) {
+    const links = await DownloadLink.findAll({
+      where: downloadId ? { downloadId } : {},
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+
+    return links.map(link => ({
+      ...link.toJSON(),
+      status: this.getLinkStatus(link)
+    }));
+  }
+
+  // Links that expired long ago are only noise in the admin list
+  async purgeExpired(olderThanMs = 7 * 24 * 60 * 60 * 1000) {
+    return DownloadLink.destroy({
+      where: {
+        expiresAt: { [Op.lt]: new Date(Date.now() - olderThanMs) }
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const signedUrls = new SignedUrlService();
+
+module.exports = signedUrls;
@@ -0,0 +1,246 @@
+// utils/steamcmdProgress.js - Real download progress from SteamCMD output and on-disk bytes
+
+const path = require('path');
+const fs = require('fs-extra');
+
+// Phases in the order SteamCMD goes through them
+const PHASES = ['starting', 'connecting', 'downloading', 'validating', 'committing', 'completed'];
+
+// Share of the item's progress range each phase starts at (downloading fills up to validating)
+const PHASE_PROGRESS = {
+  starting: 0,
+  connecting: 0.05,
+  downloading: 0.1,
+  validating: 0.9,
+  committing: 0.96,
+  completed: 1
+};
+
+// Parse one line of SteamCMD output; returns null when the line carries no progress info
+const parseSteamCMDLine = (line) => {
+  const text = line.trim();
+  if (!text) return null;
+
+  // Update state (0x61) downloading, progress: 45.32 (123456789 / 272345678)
+  const updateState = text.match(/Update state \(0x[0-9a-f]+\) ([a-z ]+), progress: ([\d.]+) \((\d+) \/ (\d+)\)/i);
+  if (updateState) {
+    const state = updateState[1].toLowerCase();
+    let phase = 'downloading';
+    if (state.includes('verif') || state.includes('validat')) phase = 'validating';
+    if (state.includes('commit')) phase = 'committing';
+
+    return {
+      phase,
+      percent: parseFloat(updateState[2]),
+      bytesDownloaded: parseInt(updateState[3]),
+      bytesTotal: parseInt(updateState[4])
+    };
+  }
+
+  // Success. Downloaded item 1559212036 to "/path" (123456 bytes)
+  const success = text.match(/Success\. Downloaded item \d+ to .*\((\d+) bytes\)/i);
+  if (success) {
+    const bytes = parseInt(success[1]);
+    return { phase: 'completed', percent: 100, bytesDownloaded: bytes, bytesTotal: bytes };
+  }
+
+  if (/ERROR! Download item \d+ failed/i.test(text)) {
+    return { phase: 'failed' };
+  }
+
+  if (/Downloading item \d+/i.test(text)) {
+    return { phase: 'downloading' };
+  }
+
+  if (/verifying|validating/i.test(text)) {
+    return { phase: 'validating' };
+  }
+
+  if (/Logging in|Connecting anonymously|Waiting for user info/i.test(text)) {
+    return { phase: 'connecting' };
+  }
+
+  return null;
+};
+
+// Recursive size of a directory; missing paths count as 0
+const getDirectorySize = async (dirPath) => {
+  let size = 0;
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(entryPath);
+    } else {
+      try {
+        size += (await fs.stat(entryPath)).size;
+      } catch (error) {
+        // ไฟล์อาจถูกย้ายจาก downloads ไป content ระหว่างนับ
+      }
+    }
+  }
+  return size;
+};
+
+// Tracks one SteamCMD download: parses output and samples bytes on disk
+// (workshop_download_item often prints nothing between "Downloading item" and "Success")
+class SteamCMDProgressTracker {
+  constructor({ workshopId, appId, downloadPath, bytesTotal = null, onProgress = null, sampleInterval }) {
+    this.workshopId = workshopId;
+    this.onProgress = onProgress;
+    this.sampleInterval = sampleInterval || parseInt(process.env.STEAMCMD_PROGRESS_INTERVAL) || 2000;
+
+    // SteamCMD downloads into workshop/downloads then moves the files to workshop/content
+    const workshopDir = path.join(downloadPath, 'steamapps', 'workshop');
+    this.samplePaths = [
+      path.join(workshopDir, 'downloads', appId, workshopId),
+      path.join(workshopDir, 'content', appId, workshopId)
+    ];
+
+    this.phase = 'starting';
+    this.bytesDownloaded = 0;
+    this.bytesTotal = bytesTotal;
+    this.speed = 0;                 // bytes per second, smoothed
+    this.lastSample = null;
+    this.buffer = '';
+    this.timer = null;
+    this.sampling = false;
+  }
+
+  start() {
+    this.lastSample = { time: Date.now(), bytes: 0 };
+    this.timer = setInterval(() => this.sample(), this.sampleInterval);
+    this.emit();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // SteamCMD exited successfully
+  complete() {
+    this.stop();
+    this.phase = 'completed';
+    if (!this.bytesTotal || this.bytesDownloaded > this.bytesTotal) {
+      this.bytesTotal = this.bytesDownloaded;
+    }
+    this.emit();
+  }
+
+  // Feed raw stdout; SteamCMD uses \r for in-place updates so split on both
+  feed(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r\n|\r|\n/);
+    this.buffer = lines.pop();
+
+    let changed = false;
+    for (const line of lines) {
+      const parsed = parseSteamCMDLine(line);
+      if (!parsed) continue;
+
+      if (parsed.phase !== 'failed' && PHASES.indexOf(parsed.phase) >= PHASES.indexOf(this.phase)) {
+        this.phase = parsed.phase;
+      }
+      if (parsed.bytesTotal) {
+        this.bytesTotal = parsed.bytesTotal;
+      }
+      if (parsed.bytesDownloaded !== undefined) {
+        this.updateBytes(parsed.bytesDownloaded);
+      }
+      changed = true;
+    }
+
+    if (changed) this.emit();
+  }
+
+  async sample() {
+    // mod ใหญ่ที่มีไฟล์เยอะ การนับอาจนานกว่า interval - ข้ามรอบที่ซ้อนกัน
+    if (this.phase === 'completed' || this.sampling) return;
+
+    this.sampling = true;
+    let onDisk = 0;
+    try {
+      for (const samplePath of this.samplePaths) {
+        onDisk = Math.max(onDisk, await getDirectorySize(samplePath));
+      }
+    } finally {
+      this.sampling = false;
+    }
+    if (!this.timer) return;
+
+    if (onDisk > this.bytesDownloaded) {
+      if (this.phase === 'starting' || this.phase === 'connecting') {
+        this.phase = 'downloading';
+      }
+      this.updateBytes(onDisk);
+      this.emit();
+    } else if (this.lastSample) {
+      // ไม่มี byte ใหม่ - ค่อยๆ ลด speed เพื่อให้ ETA ไม่ค้างที่ค่าเก่า
+      this.updateBytes(this.bytesDownloaded);
+      this.emit();
+    }
+  }
+
+  updateBytes(bytes) {
+    const now = Date.now();
+
+    if (this.lastSample) {
+      const elapsed = (now - this.lastSample.time) / 1000;
+      if (elapsed > 0) {
+        const instantSpeed = Math.max(bytes - this.lastSample.bytes, 0) / elapsed;
+        this.speed = this.speed === 0 ? instantSpeed : (this.speed * 0.7) + (instantSpeed * 0.3);
+      }
+    }
+
+    this.lastSample = { time: now, bytes };
+    this.bytesDownloaded = Math.max(this.bytesDownloaded, bytes);
+  }
+
+  // Fraction (0-1) of this item's work that is done
+  getFraction() {
+    if (this.phase === 'completed') return 1;
+
+    if (this.phase === 'downloading' && this.bytesTotal) {
+      const byteFraction = Math.min(this.bytesDownloaded / this.bytesTotal, 1);
+      return PHASE_PROGRESS.downloading +
+        byteFraction * (PHASE_PROGRESS.validating - PHASE_PROGRESS.downloading);
+    }
+
+    return PHASE_PROGRESS[this.phase] || 0;
+  }
+
+  getSnapshot() {
+    const remaining = this.bytesTotal ? Math.max(this.bytesTotal - this.bytesDownloaded, 0) : null;
+
+    return {
+      phase: this.phase,
+      bytesDownloaded: this.bytesDownloaded,
+      bytesTotal: this.bytesTotal,
+      speed: Math.round(this.speed),
+      eta: remaining !== null && this.speed > 0 ? Math.round(remaining / this.speed) : null,
+      fraction: this.getFraction()
+    };
+  }
+
+  emit() {
+    if (this.onProgress) {
+      this.onProgress(this.getSnapshot());
+    }
+  }
+}
+
+module.exports = {
+  PHASES,
+  parseSteamCMDLine,
+  getDirectorySize,
+  SteamCMDProgressTracker
+};
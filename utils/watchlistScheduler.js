@@ -0,0 +1,231 @@
+// utils/watchlistScheduler.js - Watch workshop items for author updates, record them and notify
+
+const wsLogger = require('../websocketLogger');
+const workshopMetadata = require('./workshopMetadata');
+const notifier = require('./notifier');
+const { WatchlistItem, WorkshopUpdate } = require('../models');
+
+class WatchlistScheduler {
+  constructor() {
+    this.enabled = process.env.WATCHLIST_ENABLED !== 'false';
+    this.checkInterval = parseInt(process.env.WATCHLIST_CHECK_INTERVAL) || 3600000; // 1 hour
+    this.itemDelay = parseInt(process.env.WATCHLIST_ITEM_DELAY) || 2000;            // ไม่ยิง Steam รัวๆ
+    this.maxItems = parseInt(process.env.WATCHLIST_MAX_ITEMS) || 500;
+    this.maxItemsPerClient = parseInt(process.env.WATCHLIST_MAX_ITEMS_PER_CLIENT) || 20;  // public adds per API key / IP
+
+    this.timer = null;
+    this.running = null;          // Promise of the check that is in progress
+    this.lastRunAt = null;
+    this.lastRunSummary = null;
+    this.downloadHandler = null;
+  }
+
+  // handler(workshopId, workshopInfo) -> download job; used for items with autoDownload
+  setDownloadHandler(downloadHandler) {
+    this.downloadHandler = downloadHandler;
+  }
+
+  start() {
+    if (!this.enabled) {
+      wsLogger.info('watchlist', 'Watchlist scheduler disabled');
+      return;
+    }
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkAll().catch((error) => {
+        wsLogger.error('watchlist', 'Watchlist check failed', { error: error.message });
+      });
+    }, this.checkInterval);
+
+    wsLogger.info('watchlist', `Watchlist scheduler started (every ${Math.round(this.checkInterval / 60000)} min)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Register an item; the current Steam update time becomes the baseline so only later updates count.
+  // options.limitPerClient: public add - at most maxItemsPerClient items per addedBy (API key) or addedIp
+  async addItem(workshopId, options = {}) {
+    const existing = await WatchlistItem.findOne({ where: { workshopId } });
+    if (existing) {
+      return { item: existing, created: false };
+    }
+
+    const count = await WatchlistItem.count();
+    if (count >= this.maxItems) {
+      throw new Error('WATCHLIST_FULL');
+    }
+
+    if (options.limitPerClient) {
+      const where = options.addedBy && options.addedBy !== 'user'
+        ? { addedBy: options.addedBy }
+        : { addedBy: 'user', addedIp: options.addedIp || null };
+      if (await WatchlistItem.count({ where }) >= this.maxItemsPerClient) {
+        throw new Error('WATCHLIST_CLIENT_LIMIT');
+      }
+    }
+
+    const workshopInfo = await workshopMetadata.fetchWorkshopInfo(workshopId);
+    if (!workshopInfo.isValid || !workshopInfo.isDayZ) {
+      throw new Error('INVALID_WORKSHOP_ITEM');
+    }
+    if (workshopInfo.isCollection) {
+      throw new Error('COLLECTION_NOT_SUPPORTED');
+    }
+
+    const item = await WatchlistItem.create({
+      workshopId,
+      title: workshopInfo.title,
+      lastKnownUpdate: workshopInfo.timeUpdated,
+      lastCheckedAt: new Date(),
+      autoDownload: Boolean(options.autoDownload),
+      notify: options.notify !== false,
+      addedBy: options.addedBy || null,
+      addedIp: options.addedIp || null
+    });
+
+    wsLogger.info('watchlist', `Watching ${item.title}`, { workshopId, addedBy: item.addedBy });
+    return { item, created: true };
+  }
+
+  // Check every enabled item one by one; a second call while running waits for the same run
+  async checkAll() {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const items = await WatchlistItem.findAll({
+        where: { enabled: true },
+        order: [['lastCheckedAt', 'ASC']]
+      });
+
+      const summary = { checked: 0, updated: 0, failed: 0 };
+
+      for (const [index, item] of items.entries()) {
+        if (index > 0 && this.itemDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.itemDelay));
+        }
+
+        summary.checked++;
+        try {
+          const result = await this.checkItem(item);
+          if (result.error) summary.failed++;
+          if (result.update) summary.updated++;
+        } catch (error) {
+          summary.failed++;
+          wsLogger.error('watchlist', `Error checking workshop ${item.workshopId}`, { error: error.message });
+        }
+      }
+
+      this.lastRunAt = new Date().toISOString();
+      this.lastRunSummary = summary;
+
+      if (summary.checked > 0) {
+        wsLogger.info('watchlist', `Watchlist check finished: ${summary.updated} updated, ${summary.failed} failed`, summary);
+      }
+
+      return summary;
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  // Returns { update } when the item changed, { error } when Steam could not be asked
+  async checkItem(item) {
+    const workshopInfo = await workshopMetadata.fetchWorkshopInfo(item.workshopId);
+
+    if (!workshopInfo.isValid || !workshopInfo.timeUpdated) {
+      // HTML fallback ไม่มีเวลาอัปเดต - เช็คไม่ได้จนกว่า Steam Web API จะกลับมา
+      const error = !workshopInfo.isValid
+        ? (workshopInfo.error || 'Workshop item is unavailable')
+        : 'Steam did not report an update time';
+      await item.update({ lastCheckedAt: new Date(), lastError: error });
+      return { error };
+    }
+
+    const previousUpdate = item.lastKnownUpdate;
+    const changed = previousUpdate !== null && workshopInfo.timeUpdated > previousUpdate;
+
+    await item.update({
+      title: workshopInfo.title || item.title,
+      lastKnownUpdate: workshopInfo.timeUpdated,
+      lastCheckedAt: new Date(),
+      lastError: null
+    });
+
+    if (!changed) {
+      return {};
+    }
+
+    const update = await WorkshopUpdate.create({
+      workshopId: item.workshopId,
+      title: item.title,
+      previousUpdate,
+      newUpdate: workshopInfo.timeUpdated,
+      detectedAt: new Date()
+    });
+
+    wsLogger.info('watchlist', `Update detected: ${item.title}`, {
+      workshopId: item.workshopId,
+      previousUpdate: new Date(previousUpdate * 1000).toISOString(),
+      newUpdate: new Date(workshopInfo.timeUpdated * 1000).toISOString()
+    });
+
+    if (item.autoDownload && this.downloadHandler) {
+      try {
+        const job = await this.downloadHandler(item.workshopId, workshopInfo);
+        await update.update({ downloadId: job?.id || null });
+      } catch (error) {
+        await update.update({ downloadError: error.message });
+        wsLogger.error('watchlist', `Auto download failed for ${item.title}`, {
+          workshopId: item.workshopId,
+          error: error.message
+        });
+      }
+    }
+
+    if (item.notify) {
+      const { failed } = await notifier.notify('workshop.updated', {
+        message: `${item.title} was updated on the Steam Workshop`,
+        workshopId: item.workshopId,
+        title: item.title,
+        url: workshopInfo.url,
+        previousUpdate: previousUpdate ? new Date(previousUpdate * 1000).toISOString() : null,
+        newUpdate: new Date(workshopInfo.timeUpdated * 1000).toISOString(),
+        downloadId: update.downloadId || null
+      });
+
+      await update.update({
+        notifiedAt: new Date(),
+        notifyError: failed.length > 0
+          ? failed.map(failure => `${failure.channel}: ${failure.error}`).join('; ')
+          : null
+      });
+    }
+
+    return { update };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: Boolean(this.running),
+      checkInterval: this.checkInterval,
+      lastRunAt: this.lastRunAt,
+      lastRunSummary: this.lastRunSummary,
+      channels: notifier.getActiveChannels()
+    };
+  }
+}
+
+const watchlistScheduler = new WatchlistScheduler();
+
+module.exports = watchlistScheduler;
@@ -0,0 +1,247 @@
+// utils/webhookDispatcher.js - Admin-configured outgoing webhooks: signed delivery, retry with backoff, delivery log
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const wsLogger = require('../websocketLogger');
+const { signBody } = require('./notifier');
+const { Webhook, WebhookDelivery, DownloadHistory } = require('../models');
+
+const WEBHOOK_EVENTS = [
+  'job.started',
+  'job.completed',
+  'job.failed',
+  'job.cancelled',
+  'job.cleaned',
+  'workshop.updated'
+];
+
+// DownloadHistory status -> event (the job lifecycle as stored in MySQL)
+const STATUS_EVENTS = {
+  preparing: 'job.started',
+  completed: 'job.completed',
+  error: 'job.failed',
+  cancelled: 'job.cancelled',
+  cleaned: 'job.cleaned'
+};
+
+// เก็บ response ไว้ดูใน delivery log แค่ต้นๆ
+const MAX_RESPONSE_BODY = 1000;
+
+// Which lifecycle event (if any) an update of a DownloadHistory row represents
+const getJobEvent = (updates) => {
+  if (STATUS_EVENTS[updates.status]) return STATUS_EVENTS[updates.status];
+  if (updates.cleanedUpTime || updates.autoCleanedTime) return 'job.cleaned';
+  return null;
+};
+
+// What a receiver learns about a job - never the raw row: jobData holds the status token hash and
+// clientInfo the user's IP and headers
+const toWebhookDownload = (row) => {
+  const data = typeof row.toJSON === 'function' ? row.toJSON() : row;
+  return {
+    id: data.id,
+    workshopId: data.workshopId,
+    title: data.workshopInfo?.title || null,
+    status: data.status,
+    format: data.jobData?.format || null,
+    fileSize: data.fileSize !== null && data.fileSize !== undefined ? Number(data.fileSize) : null,
+    sha256: data.sha256 || null,
+    error: data.error || null,
+    startTime: data.startTime || null,
+    completedTime: data.completedTime || null,
+    errorTime: data.errorTime || null,
+    cleanedUpTime: data.cleanedUpTime || data.autoCleanedTime || null
+  };
+};
+
+class WebhookDispatcher {
+  constructor() {
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 30000;   // 30s, 1m, 2m, 4m ...
+    this.retryInterval = parseInt(process.env.WEBHOOK_RETRY_INTERVAL) || 15000;
+    this.retentionDays = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+    this.timer = null;
+    this.retrying = false;
+  }
+
+  // Pick up retries that are due (also the ones left over from before a restart)
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processRetries().catch((error) => {
+        wsLogger.error('webhook', 'Webhook retry run failed', { error: error.message });
+      });
+    }, this.retryInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getRetryDelay(attempts) {
+    return this.retryBaseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  // Called after a DownloadHistory row was updated; sends nothing when the update is not a lifecycle event
+  async dispatchJobEvent(downloadId, updates) {
+    const event = getJobEvent(updates);
+    if (!event) return [];
+
+    const row = await DownloadHistory.findByPk(downloadId);
+    if (!row) return [];
+
+    return this.dispatch(event, { download: toWebhookDownload(row) }, { downloadId });
+  }
+
+  // Queue one delivery per enabled webhook that subscribed to the event and send it right away.
+  // options.webhookId sends to that webhook only, whatever it subscribed to (test events)
+  async dispatch(event, data, options = {}) {
+    const where = { enabled: true };
+    if (options.webhookId) where.id = options.webhookId;
+
+    const webhooks = (await Webhook.findAll({ where }))
+      .filter(webhook => options.webhookId || (webhook.events || []).includes(event));
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      const deliveryId = crypto.randomBytes(16).toString('hex');
+      const delivery = await WebhookDelivery.create({
+        id: deliveryId,
+        webhookId: webhook.id,
+        event,
+        downloadId: options.downloadId || null,
+        payload: {
+          id: deliveryId,
+          event,
+          timestamp: new Date().toISOString(),
+          data
+        },
+        status: 'pending',
+        // ส่งทันทีด้านล่าง - เวลานี้ใช้เฉพาะกรณี server ดับก่อนได้ส่ง
+        nextAttemptAt: new Date(Date.now() + this.retryBaseDelay)
+      });
+
+      deliveries.push(await this.attempt(delivery, webhook));
+    }
+
+    return deliveries;
+  }
+
+  // One HTTP attempt; failures are rescheduled until maxAttempts
+  async attempt(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const attempts = delivery.attempts + 1;
+    const startedAt = Date.now();
+    const result = { attempts, duration: null, responseStatus: null, responseBody: null, error: null };
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DayZ-Workshop-Downloader',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Signature-SHA256': signBody(webhook.secret, body)
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        // ตัดสินเองจาก status - ไม่ให้ axios throw กับ 4xx/5xx
+        validateStatus: () => true
+      });
+
+      result.responseStatus = response.status;
+      result.responseBody = typeof response.data === 'string'
+        ? response.data.substring(0, MAX_RESPONSE_BODY)
+        : JSON.stringify(response.data ?? '').substring(0, MAX_RESPONSE_BODY);
+
+      if (response.status < 200 || response.status >= 300) {
+        result.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      result.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    result.duration = Date.now() - startedAt;
+
+    let status = 'success';
+    let nextAttemptAt = null;
+    if (result.error) {
+      status = attempts >= this.maxAttempts ? 'failed' : 'pending';
+      nextAttemptAt = status === 'pending' ? new Date(Date.now() + this.getRetryDelay(attempts)) : null;
+    }
+
+    await delivery.update({
+      ...result,
+      status,
+      nextAttemptAt,
+      deliveredAt: status === 'success' ? new Date() : null
+    });
+    await webhook.update({ lastDeliveryAt: new Date(), lastDeliveryStatus: status });
+
+    if (result.error) {
+      wsLogger.warning('webhook', `Webhook delivery ${status === 'failed' ? 'failed' : 'will be retried'}: ${webhook.name}`, {
+        deliveryId: delivery.id,
+        event: delivery.event,
+        attempts,
+        error: result.error,
+        nextAttemptAt
+      });
+    } else {
+      wsLogger.debug('webhook', `Webhook delivered: ${webhook.name}`, {
+        deliveryId: delivery.id,
+        event: delivery.event,
+        responseStatus: result.responseStatus
+      });
+    }
+
+    return delivery;
+  }
+
+  async processRetries() {
+    if (this.retrying) return;
+    this.retrying = true;
+
+    try {
+      const due = await WebhookDelivery.findAll({
+        where: {
+          status: 'pending',
+          nextAttemptAt: { [Op.lte]: new Date() }
+        },
+        order: [['nextAttemptAt', 'ASC']],
+        limit: 50
+      });
+
+      for (const delivery of due) {
+        const webhook = await Webhook.findByPk(delivery.webhookId);
+        if (!webhook || !webhook.enabled) {
+          await delivery.update({ status: 'failed', nextAttemptAt: null, error: 'Webhook was removed or disabled' });
+          continue;
+        }
+        await this.attempt(delivery, webhook);
+      }
+
+      await WebhookDelivery.destroy({
+        where: {
+          status: { [Op.ne]: 'pending' },
+          createdAt: { [Op.lt]: new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000) }
+        }
+      });
+    } finally {
+      this.retrying = false;
+    }
+  }
+}
+
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.getJobEvent = getJobEvent;
+module.exports.toWebhookDownload = toWebhookDownload;
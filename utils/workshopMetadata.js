@@ -0,0 +1,527 @@
+// utils/workshopMetadata.js - Workshop metadata providers (Steam Web API first, HTML scraper as fallback)
+
+const axios = require('axios');
+const wsLogger = require('../websocketLogger');
+
+const DEFAULT_DAYZ_APP_ID = '221100';
+
+// visibility codes from ISteamRemoteStorage
+const VISIBILITY = {
+  0: 'public',
+  1: 'friends-only',
+  2: 'private',
+  3: 'unlisted'
+};
+
+const workshopItemUrl = (workshopId) => `https://steamcommunity.com/sharedfiles/filedetails/?id=${workshopId}`;
+
+// Parse the "Required items" block of a workshop page
+const parseRequiredItems = (pageContent, workshopId) => {
+  const requiredItems = [];
+  const requiredItemPattern = /<a href="[^"]*filedetails\/\?id=(\d+)"[^>]*>\s*<div class="requiredItem">\s*([^<]+?)\s*<\/div>/g;
+  let requiredMatch;
+  while ((requiredMatch = requiredItemPattern.exec(pageContent)) !== null) {
+    if (requiredMatch[1] !== workshopId && !requiredItems.some(item => item.workshopId === requiredMatch[1])) {
+      requiredItems.push({
+        workshopId: requiredMatch[1],
+        title: requiredMatch[2].trim()
+      });
+    }
+  }
+  return requiredItems;
+};
+
+// Primary provider: public ISteamRemoteStorage endpoints (no API key required)
+class SteamApiProvider {
+  constructor(options = {}) {
+    this.name = 'steam-api';
+    this.baseUrl = options.baseUrl || process.env.STEAM_API_BASE_URL || 'https://api.steampowered.com';
+    this.timeout = options.timeout || 15000;
+  }
+
+  async post(endpoint, params) {
+    const response = await axios.post(
+      `${this.baseUrl}/ISteamRemoteStorage/${endpoint}/v1/`,
+      params.toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      }
+    );
+
+    if (!response.data?.response) {
+      throw new Error(`Unexpected ${endpoint} response`);
+    }
+
+    return response.data.response;
+  }
+
+  async getPublishedFileDetails(workshopIds) {
+    const params = new URLSearchParams();
+    params.append('itemcount', String(workshopIds.length));
+    workshopIds.forEach((id, index) => params.append(`publishedfileids[${index}]`, id));
+
+    const response = await this.post('GetPublishedFileDetails', params);
+    return response.publishedfiledetails || [];
+  }
+
+  // Ordered child IDs of a collection, or null if it is not a collection
+  async getCollectionChildren(collectionId) {
+    const params = new URLSearchParams();
+    params.append('collectioncount', '1');
+    params.append('publishedfileids[0]', collectionId);
+
+    const response = await this.post('GetCollectionDetails', params);
+    const details = response.collectiondetails?.[0];
+    if (!details || details.result !== 1 || !Array.isArray(details.children)) {
+      return null;
+    }
+
+    // filetype 0 = workshop item, 2 = nested collection (ไม่รองรับ)
+    return details.children
+      .filter(child => child.filetype === 0)
+      .sort((a, b) => a.sortorder - b.sortorder)
+      .map(child => child.publishedfileid);
+  }
+
+  // Map a publishedfiledetails entry to the workshopInfo shape used across the app
+  toWorkshopInfo(details) {
+    const workshopId = String(details.publishedfileid);
+    const dayzAppId = process.env.DAYZ_APP_ID || DEFAULT_DAYZ_APP_ID;
+    const found = details.result === 1;
+    const appId = details.consumer_app_id ? String(details.consumer_app_id) : 'unknown';
+    const fileSizeBytes = details.file_size ? parseInt(details.file_size) : null;
+    const isBanned = Boolean(details.banned);
+    const visibility = found ? (VISIBILITY[details.visibility] || 'public') : null;
+
+    // description เป็น BBCode - ตัด tag ออกให้เหลือข้อความสั้นๆ
+    const description = details.description
+      ? details.description.replace(/\[[^\]]+\]/g, '').trim().substring(0, 200) + '...'
+      : 'No description available';
+
+    return {
+      workshopId,
+      title: details.title || `Workshop Item ${workshopId}`,
+      description,
+      author: 'Unknown',
+      previewImage: details.preview_url || null,
+      fileSize: fileSizeBytes ? wsLogger.formatFileSize(fileSizeBytes) : 'Unknown',
+      ratingsCount: 0,
+      isValid: found && !isBanned,
+      isPrivate: visibility === 'private' || visibility === 'friends-only',
+      requiresSubscription: false,
+      // collection ไม่มีไฟล์ของตัวเอง
+      isCollection: found && !fileSizeBytes && !details.filename,
+      isDayZ: appId === dayzAppId,
+      appId,
+      requiredItems: [],
+      fileSizeBytes,
+      tags: (details.tags || []).map(tag => tag.tag).filter(Boolean),
+      visibility,
+      isBanned,
+      banReason: isBanned ? (details.ban_reason || null) : null,
+      timeUpdated: details.time_updated ? parseInt(details.time_updated) : null,
+      url: workshopItemUrl(workshopId),
+      source: this.name
+    };
+  }
+
+  async fetchInfo(workshopId) {
+    const [details] = await this.getPublishedFileDetails([workshopId]);
+    if (!details) {
+      throw new Error('No details returned for workshop item');
+    }
+    return this.toWorkshopInfo(details);
+  }
+
+  async fetchInfoBatch(workshopIds) {
+    const fileDetails = await this.getPublishedFileDetails(workshopIds);
+    return workshopIds.map((id) => {
+      const details = fileDetails.find(file => String(file.publishedfileid) === id) || { publishedfileid: id, result: 9 };
+      return this.toWorkshopInfo(details);
+    });
+  }
+}
+
+// Fallback provider: scrapes the public workshop page
+class HtmlScraperProvider {
+  constructor(options = {}) {
+    this.name = 'html-scraper';
+    this.baseUrl = options.baseUrl || process.env.STEAM_COMMUNITY_BASE_URL || 'https://steamcommunity.com';
+    this.timeout = options.timeout || 15000;
+  }
+
+  async fetchPage(workshopId) {
+    const response = await axios.get(`${this.baseUrl}/sharedfiles/filedetails/?id=${workshopId}`, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1'
+      },
+      timeout: this.timeout,
+      maxRedirects: 5
+    });
+
+    return response.data;
+  }
+
+  // Fields the Web API does not expose: author name, ratings and required items
+  async fetchPageExtras(workshopId) {
+    const pageContent = await this.fetchPage(workshopId);
+
+    const authorMatch = pageContent.match(/<div class="creatorsBlock">[\s\S]*?<a[^>]+>([^<]+)<\/a>/) ||
+                       pageContent.match(/<span class="whiteLink">([^<]+)<\/span>/);
+    const ratingMatch = pageContent.match(/(\d+)\s+ratings/i);
+
+    return {
+      author: authorMatch ? authorMatch[1].trim() : null,
+      ratingsCount: ratingMatch ? parseInt(ratingMatch[1]) : 0,
+      requiredItems: parseRequiredItems(pageContent, workshopId),
+      requiresSubscription: pageContent.includes('Subscribe to download') ||
+                            pageContent.includes('This item requires a subscription')
+    };
+  }
+
+  async fetchInfo(workshopId) {
+    const workshopUrl = workshopItemUrl(workshopId);
+    const pageContent = await this.fetchPage(workshopId);
+    
+    // Extract title
+    const titleMatch = pageContent.match(/<div class="workshopItemTitle">([^<]+)<\/div>/) || 
+                     pageContent.match(/<title>Steam Workshop::([^<]+)<\/title>/);
+    const title = titleMatch ? titleMatch[1].trim() : `Workshop Item ${workshopId}`;
+    
+    // Extract description
+    const descMatch = pageContent.match(/<div class="workshopItemDescription" id="highlightContent">([^<]+)<\/div>/);
+    const description = descMatch ? descMatch[1].trim().substring(0, 200) + '...' : 'No description available';
+    
+    // Extract preview image
+    let previewImage = null;
+    const imgMatches = [
+      pageContent.match(/<img id="previewImageMain" src="([^"]+)"/),
+      pageContent.match(/<img id="previewImage" src="([^"]+)"/),
+      pageContent.match(/<meta property="og:image" content="([^"]+)"/),
+      pageContent.match(/<img[^>]+class="[^"]*workshopItemPreviewImage[^"]*"[^>]+src="([^"]+)"/),
+    ];
+    
+    for (const match of imgMatches) {
+      if (match && match[1]) {
+        previewImage = match[1];
+        break;
+      }
+    }
+    
+    // Extract file size
+    let fileSize = null;
+    const sizeMatches = [
+      pageContent.match(/File Size[^>]*>([^<]+)</i),
+      pageContent.match(/Size[^>]*:\s*([0-9.,]+\s*[KMGT]?B)/i),
+      pageContent.match(/([0-9.,]+\s*[KMGT]B)/i)
+    ];
+    
+    for (const match of sizeMatches) {
+      if (match && match[1]) {
+        fileSize = match[1].trim();
+        break;
+      }
+    }
+    
+    // Extract author
+    const authorMatch = pageContent.match(/<div class="creatorsBlock">[\s\S]*?<a[^>]+>([^<]+)<\/a>/) ||
+                       pageContent.match(/<span class="whiteLink">([^<]+)<\/span>/);
+    const author = authorMatch ? authorMatch[1].trim() : 'Unknown';
+    
+    // Extract ratings
+    const ratingMatch = pageContent.match(/(\d+)\s+ratings/i);
+    const ratingsCount = ratingMatch ? parseInt(ratingMatch[1]) : 0;
+    
+    // Check if item is valid
+    const isValid = !pageContent.includes('The specified item does not exist') &&
+                   !pageContent.includes('This item is unavailable') &&
+                   !pageContent.includes('Access Denied');
+    
+    const isPrivate = pageContent.includes('This item is only visible to you') ||
+                     pageContent.includes('private workshop item');
+    
+    const requiresSubscription = pageContent.includes('Subscribe to download') ||
+                               pageContent.includes('This item requires a subscription');
+
+    // Extract "Required items" (dependencies such as CF, Dabs Framework)
+    const requiredItems = parseRequiredItems(pageContent, workshopId);
+
+    // Collection pages list their children instead of a single file
+    const isCollection = pageContent.includes('collectionChildren') ||
+                        pageContent.includes('collectionItemDetails');
+
+    let appId = 'unknown';
+    let detectionMethod = 'none';
+    
+    // Pattern 1: Legacy data-appid attribute (may still work on some pages)
+    const dataAppIdMatch = pageContent.match(/data-appid="(\d+)"/);
+    if (dataAppIdMatch && dataAppIdMatch[1]) {
+      appId = dataAppIdMatch[1];
+      detectionMethod = 'data-appid';
+    }
+    
+    // Pattern 2: steamcommunity.com/app/XXXXX URLs
+    if (appId === 'unknown') {
+      const communityAppMatch = pageContent.match(/steamcommunity\.com\/app\/(\d+)/);
+      if (communityAppMatch && communityAppMatch[1]) {
+        appId = communityAppMatch[1];
+        detectionMethod = 'community-app-url';
+      }
+    }
+    
+    // Pattern 3: store.steampowered.com/app/XXXXX URLs
+    if (appId === 'unknown') {
+      const storeAppMatch = pageContent.match(/store\.steampowered\.com\/app\/(\d+)/);
+      if (storeAppMatch && storeAppMatch[1]) {
+        appId = storeAppMatch[1];
+        detectionMethod = 'store-app-url';
+      }
+    }
+    
+    // Pattern 4: ?appid=XXXXX query parameters
+    if (appId === 'unknown') {
+      const queryAppIdMatch = pageContent.match(/[?&]appid=(\d+)/i);
+      if (queryAppIdMatch && queryAppIdMatch[1]) {
+        appId = queryAppIdMatch[1];
+        detectionMethod = 'query-param';
+      }
+    }
+    
+    // Pattern 5: /app/XXXXX/ in any URL path
+    if (appId === 'unknown') {
+      const genericAppMatch = pageContent.match(/\/app\/(\d+)\//);
+      if (genericAppMatch && genericAppMatch[1]) {
+        appId = genericAppMatch[1];
+        detectionMethod = 'generic-app-path';
+      }
+    }
+    
+    // Pattern 6: DayZ-specific text detection as fallback
+    if (appId === 'unknown') {
+      const isDayZByContent = pageContent.includes('>DayZ<') || 
+                             pageContent.includes('DayZ >') ||
+                             pageContent.includes('"DayZ"') ||
+                             pageContent.includes('/app/221100');
+      
+      if (isDayZByContent) {
+        appId = '221100';
+        detectionMethod = 'dayz-content-detection';
+      }
+    }
+    
+    // Determine if this is a DayZ item
+    const isDayZ = appId === '221100';
+    
+    wsLogger.info('workshop', `AppID Detection: ${appId} via ${detectionMethod}`, {
+      workshopId,
+      appId,
+      isDayZ,
+      detectionMethod
+    });
+    
+    const workshopInfo = {
+      workshopId,
+      title,
+      description,
+      author,
+      previewImage,
+      fileSize,
+      ratingsCount,
+      isValid,
+      isPrivate,
+      requiresSubscription,
+      isCollection,
+      isDayZ,
+      appId: appId || 'unknown',
+      requiredItems,
+      fileSizeBytes: null,
+      tags: [],
+      visibility: isPrivate ? 'private' : 'public',
+      isBanned: false,
+      banReason: null,
+      timeUpdated: null,
+      url: workshopUrl,
+      source: this.name
+    };
+
+    wsLogger.success('workshop', `Workshop info scraped: ${title}`, {
+      workshopId,
+      title,
+      author,
+      isDayZ,
+      isValid,
+      requiredItems: requiredItems.length
+    });
+    
+    return workshopInfo;
+  }
+}
+
+class WorkshopMetadata {
+  constructor() {
+    this.provider = new SteamApiProvider();
+    this.fallbackProvider = new HtmlScraperProvider();
+  }
+
+  // Swap providers (e.g. point them at a local fixture server in tests)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  setFallbackProvider(provider) {
+    this.fallbackProvider = provider;
+  }
+
+  async fetchWorkshopInfo(workshopId) {
+    wsLogger.info('workshop', `Fetching workshop info for ID: ${workshopId}`);
+
+    let workshopInfo = null;
+
+    try {
+      workshopInfo = await this.provider.fetchInfo(workshopId);
+    } catch (error) {
+      wsLogger.warning('workshop', `${this.provider.name} failed, falling back to ${this.fallbackProvider?.name || 'none'}`, {
+        workshopId,
+        error: error.message
+      });
+    }
+
+    if (!workshopInfo && this.fallbackProvider) {
+      try {
+        workshopInfo = await this.fallbackProvider.fetchInfo(workshopId);
+      } catch (error) {
+        wsLogger.error('workshop', 'Error fetching workshop info', {
+          workshopId,
+          error: error.message
+        });
+        return this.unavailableInfo(workshopId, error);
+      }
+    }
+
+    if (!workshopInfo) {
+      return this.unavailableInfo(workshopId, new Error('No metadata provider available'));
+    }
+
+    // Web API ไม่มีชื่อผู้สร้างและ required items - เติมจากหน้าเว็บถ้าทำได้
+    if (workshopInfo.source !== this.fallbackProvider?.name && workshopInfo.isValid &&
+        !workshopInfo.isCollection && this.fallbackProvider?.fetchPageExtras) {
+      try {
+        const extras = await this.fallbackProvider.fetchPageExtras(workshopId);
+        workshopInfo = {
+          ...workshopInfo,
+          author: extras.author || workshopInfo.author,
+          ratingsCount: extras.ratingsCount,
+          requiredItems: extras.requiredItems,
+          requiresSubscription: extras.requiresSubscription
+        };
+      } catch (error) {
+        wsLogger.warning('workshop', 'Unable to load page extras (author, required items)', {
+          workshopId,
+          error: error.message
+        });
+      }
+    }
+
+    wsLogger.success('workshop', `Workshop info fetched: ${workshopInfo.title}`, {
+      workshopId,
+      source: workshopInfo.source,
+      appId: workshopInfo.appId,
+      isDayZ: workshopInfo.isDayZ,
+      isValid: workshopInfo.isValid,
+      requiredItems: workshopInfo.requiredItems.length
+    });
+
+    return workshopInfo;
+  }
+
+  // Resolve the child items of a Steam Workshop collection
+  async fetchCollectionDetails(collectionId) {
+    if (!this.provider.getCollectionChildren) {
+      wsLogger.warning('workshop', `${this.provider.name} cannot resolve collections`, { collectionId });
+      return null;
+    }
+
+    try {
+      wsLogger.info('workshop', `Fetching collection details for ID: ${collectionId}`);
+
+      const childIds = await this.provider.getCollectionChildren(collectionId);
+      if (!childIds || childIds.length === 0) {
+        wsLogger.warning('workshop', 'Collection not found or has no children', { collectionId });
+        return null;
+      }
+
+      // Fetch collection + children details in one request
+      const [collectionInfo, ...items] = await this.provider.fetchInfoBatch([collectionId, ...childIds]);
+
+      wsLogger.success('workshop', `Collection resolved: ${items.length} items`, { collectionId });
+
+      return {
+        collectionId,
+        title: collectionInfo.isValid ? collectionInfo.title : `Collection ${collectionId}`,
+        description: collectionInfo.isValid ? collectionInfo.description : '',
+        previewImage: collectionInfo.previewImage,
+        itemCount: items.length,
+        items: items.map(item => ({
+          workshopId: item.workshopId,
+          title: item.title,
+          previewImage: item.previewImage,
+          fileSize: item.fileSize,
+          fileSizeBytes: item.fileSizeBytes,
+          isValid: item.isValid,
+          isDayZ: item.isDayZ,
+          appId: item.appId,
+          timeUpdated: item.timeUpdated,
+          url: item.url
+        })),
+        url: workshopItemUrl(collectionId)
+      };
+
+    } catch (error) {
+      wsLogger.error('workshop', 'Error fetching collection details', {
+        collectionId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  unavailableInfo(workshopId, error) {
+    return {
+      workshopId,
+      title: `Workshop Item ${workshopId}`,
+      description: 'Unable to fetch description',
+      author: 'Unknown',
+      previewImage: null,
+      fileSize: 'Unknown',
+      ratingsCount: 0,
+      isValid: false,
+      isPrivate: false,
+      requiresSubscription: false,
+      isCollection: false,
+      isDayZ: false,
+      appId: 'unknown',
+      requiredItems: [],
+      fileSizeBytes: null,
+      tags: [],
+      visibility: null,
+      isBanned: false,
+      banReason: null,
+      timeUpdated: null,
+      url: workshopItemUrl(workshopId),
+      error: error.message
+    };
+  }
+}
+
+// Create singleton instance
+const workshopMetadata = new WorkshopMetadata();
+
+module.exports = workshopMetadata;
+module.exports.SteamApiProvider = SteamApiProvider;
+module.exports.HtmlScraperProvider = HtmlScraperProvider;
@@ -1,7 +1,12 @@
 // websocketLogger.js - Real-time logging system with WebSocket support
 
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
+const sessionService = require('./utils/sessionService');
+const { hasPermission } = require('./utils/adminRoles');
+
+// Close code sent when the admin session behind a connection ends - the dashboard logs out instead of reconnecting
+const SESSION_ENDED_CLOSE_CODE = 4001;
+const SESSION_CHECK_INTERVAL = 60000;
 
 class WebSocketLogger {
   constructor() {
@@ -9,7 +14,8 @@ class WebSocketLogger {
     this.clients = new Set();
     this.logHistory = [];
     this.maxHistorySize = 1000;
-    this.JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-in-production';
+    this.sessionCheckTimer = null;
+    this.onSessionEnded = ({ sessionIds, reason }) => this.closeSessions(sessionIds, reason);
   }
 
   // Initialize WebSocket server
@@ -19,35 +25,44 @@ class WebSocketLogger {
     this.wss = new WebSocket.Server({
       server,
       path: '/ws/logs',
-      verifyClient: (info) => {
+      verifyClient: (info, done) => {
         // Extract token from query string
         const url = new URL(info.req.url, 'http://localhost');
         const token = url.searchParams.get('token');
         
         if (!token) {
           console.log('❌ WebSocket connection rejected: No token provided');
-          return false;
-        }
-
-        try {
-          // Verify admin session token
-          const decoded = this.verifySessionToken(token);
-          if (decoded) {
-            info.req.adminUser = decoded;
-            console.log('✅ WebSocket connection authorized for admin user');
-            return true;
-          }
-        } catch (error) {
-          console.error('❌ WebSocket token verification failed:', error.message);
+          return done(false, 401, 'Unauthorized');
         }
 
-        return false;
+        this.authorize(token)
+          .then(({ session, reason }) => {
+            if (!session) {
+              console.log(`❌ WebSocket connection rejected: ${reason}`);
+              return done(false, reason === 'forbidden' ? 403 : 401, 'Unauthorized');
+            }
+            
+            info.req.adminSession = session;
+            console.log(`✅ WebSocket connection authorized for ${session.username}`);
+            done(true);
+          })
+          .catch(error => {
+            console.error('❌ WebSocket session verification failed:', error.message);
+            done(false, 500, 'Authentication error');
+          });
       }
     });
 
+    // Logout, revocation or expiry of a session closes its connections
+    sessionService.on('ended', this.onSessionEnded);
+    this.sessionCheckTimer = setInterval(() => this.checkSessions(), SESSION_CHECK_INTERVAL);
+    this.sessionCheckTimer.unref();
+
     this.wss.on('connection', (ws, req) => {
       console.log('🔗 New WebSocket connection established');
       
+      ws.sessionId = req.adminSession.sessionId;
+      ws.username = req.adminSession.username;
       this.clients.add(ws);
       
       // Send recent log history to new client
@@ -93,24 +108,46 @@ class WebSocketLogger {
     console.log('✅ WebSocket server initialized successfully');
   }
 
-  // Verify session token (similar to admin middleware)
-  verifySessionToken(token) {
-    try {
-      // Try JWT verification first
-      const decoded = jwt.verify(token, this.JWT_SECRET);
-      if (decoded) {
-        return decoded;
+  // Same checks as verifyAdmin + requirePermission('dashboard:read') - opening the log stream is not activity.
+  // Resolves { session, admin } or { session: null, reason }
+  async authorize(token) {
+    const session = await sessionService.validate(token, { touch: false });
+    if (!session) return { session: null, reason: 'expired' };
+
+    const admin = await sessionService.loadAdmin(session.username);
+    if (!admin) return { session: null, reason: 'account_disabled' };
+    if (admin.twoFactorSetupRequired || !hasPermission(admin.role, 'dashboard:read')) {
+      return { session: null, reason: 'forbidden' };
+    }
+
+    return { session, admin };
+  }
+
+  // Close every connection that belongs to one of these sessions
+  closeSessions(sessionIds, reason = 'session_ended') {
+    this.clients.forEach(client => {
+      if (sessionIds.includes(client.sessionId)) {
+        console.log(`🔌 Closing WebSocket of ${client.username}: ${reason}`);
+        client.close(SESSION_ENDED_CLOSE_CODE, reason);
+        this.clients.delete(client);
       }
-    } catch (jwtError) {
-      // If JWT fails, check if it's a session token format
-      if (token.startsWith('admin_session')) {
-        // For session tokens, we'll accept them if they're in the correct format
-        // In production, you should validate against the database
-        return { username: 'admin', role: 'admin', sessionToken: token };
+    });
+  }
+
+  // Sessions can run out, and accounts can be disabled or demoted, while the log stream stays open
+  async checkSessions() {
+    const sessionIds = [...new Set([...this.clients].map(client => client.sessionId))];
+
+    for (const sessionId of sessionIds) {
+      try {
+        const { session, reason } = await this.authorize(sessionId);
+        if (!session) {
+          this.closeSessions([sessionId], reason);
+        }
+      } catch (error) {
+        console.error('WebSocket session check error:', error.message);
       }
     }
-    
-    throw new Error('Invalid token');
   }
 
   // Log message and broadcast to all connected clients
@@ -342,6 +379,9 @@ class WebSocketLogger {
   shutdown() {
     console.log('🔌 Shutting down WebSocket logger...');
     
+    clearInterval(this.sessionCheckTimer);
+    sessionService.off('ended', this.onSessionEnded);
+    
     if (this.wss) {
       this.clients.forEach(client => {
         if (client.readyState === WebSocket.OPEN) {